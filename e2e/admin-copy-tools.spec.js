@@ -334,7 +334,10 @@ test.describe('Admin copy/customization tools', () => {
         if (String(url).endsWith('/api/admin/budgets/src12345/clone')) {
           return { ok: true, json: async () => ({ success: true, id: 'clone987', url: '/b/clone987' }) };
         }
-        if (String(url).endsWith('/api/admin/budgets')) {
+        if (String(url).includes('/api/admin/budgets?')) {
+          return { status: 200, ok: true, json: async () => ({ budgets: [], total: 0, page: 1, pageSize: 50, summary: null }) };
+        }
+        if (String(url).endsWith('/api/admin/budgets/directory')) {
           return { status: 200, ok: true, json: async () => [] };
         }
         return { ok: true, json: async () => ({}) };
@@ -1418,7 +1421,7 @@ test.describe('Admin copy/customization tools', () => {
         condo_sections: [],
         condo_extras: []
       };
-      budgets = [
+      budgetDirectory = [
         { id: 'draft123', clientName: 'Draft Test' },
         { id: 'source123', clientName: 'Source Residence' }
       ];
@@ -1579,7 +1582,7 @@ test.describe('Admin copy/customization tools', () => {
         categoryConfig: {},
         customCategories: [{ id: 'custom-audio', name: 'Custom Audio', tiers: { good: { enabled: true, label: 'Good', price: 123 } } }]
       };
-      budgets = [
+      budgetDirectory = [
         { id: 'target123', clientName: 'Target Residence' },
         { id: 'source123', clientName: 'Source Residence', builder: 'Gamma Builder' }
       ];
@@ -1639,7 +1642,7 @@ test.describe('Admin copy/customization tools', () => {
 
   test('copy-to searchable combo selects target budget id', async ({ page }) => {
     const result = await page.evaluate(() => {
-      budgets = [
+      budgetDirectory = [
         { id: 'source123', clientName: 'Source Residence' },
         { id: 'target456', clientName: 'Target Residence', builder: 'Huffman' }
       ];
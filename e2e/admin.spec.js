@@ -1,5 +1,13 @@
 const { test, expect } = require('@playwright/test');
 
+const EMPTY_BUDGET_PAGE = {
+  budgets: [],
+  total: 0,
+  page: 1,
+  pageSize: 50,
+  summary: { viewCount: 0, totalValue: 0, createdThisWeek: 0 }
+};
+
 test.describe('Admin Dashboard', () => {
   test.beforeEach(async ({ page }) => {
     await page.route('**/api/auth/me', route => {
@@ -46,7 +54,10 @@ test.describe('Admin Dashboard', () => {
         })
       });
     });
-    await page.route('**/api/admin/budgets', route => {
+    await page.route('**/api/admin/budgets?*', route => {
+      route.fulfill({ status: 200, contentType: 'application/json', body: JSON.stringify(EMPTY_BUDGET_PAGE) });
+    });
+    await page.route('**/api/admin/budgets/directory', route => {
       route.fulfill({ status: 200, contentType: 'application/json', body: JSON.stringify([]) });
     });
     await page.route('**/api/admin/users', route => {
@@ -79,7 +90,10 @@ test.describe('Admin Dashboard', () => {
         })
       });
     });
-    await page.route('**/api/admin/budgets', route => {
+    await page.route('**/api/admin/budgets?*', route => {
+      route.fulfill({ status: 200, contentType: 'application/json', body: JSON.stringify(EMPTY_BUDGET_PAGE) });
+    });
+    await page.route('**/api/admin/budgets/directory', route => {
       route.fulfill({ status: 200, contentType: 'application/json', body: JSON.stringify([]) });
     });
     await page.route('**/api/admin/users', route => {
@@ -308,13 +308,88 @@ test.describe('Budget Planner', () => {
     await expect(page.locator('#summaryBody')).toContainText('<img src=x');
   });
 
-  test('proposal payload includes scaled extras in subtotal and total', async ({ page }) => {
-    let proposalPayload = null;
+  test('saved budgets are emailed through the admin send route', async ({ page }) => {
+    let sendPayload = null;
+    let unsavedSends = 0;
     await page.route('**/api/budgets', async route => {
       await route.fulfill({
         status: 200,
         contentType: 'application/json',
-        body: JSON.stringify({ success: true, id: 'email123', url: '/b/email123?edit=test-token' })
+        body: JSON.stringify({ success: true, id: 'email123', url: '/b/email123?edit=test-token', revision: 1 })
+      });
+    });
+    await page.route('**/api/admin/budgets/*/send', async route => {
+      sendPayload = { url: route.request().url(), body: route.request().postDataJSON() };
+      await route.fulfill({
+        status: 200,
+        contentType: 'application/json',
+        body: JSON.stringify({ success: true, version: 1, url: 'http://localhost/b/email123?edit=test-token', failed: [] })
+      });
+    });
+    await page.route('**/api/send-proposal', async route => {
+      unsavedSends += 1;
+      await route.fulfill({ status: 200, contentType: 'application/json', body: JSON.stringify({ success: true }) });
+    });
+
+    await page.evaluate(async () => {
+      window.__isAdmin = true;
+      currentBudgetId = null;
+      document.getElementById('emailRecipientEmail').value = 'client@example.com, spouse@example.com';
+      document.getElementById('emailCc').value = 'builder@example.com';
+      document.getElementById('emailBcc').value = 'crm@example.com';
+      document.getElementById('emailMessage').value = 'Here is the plan we discussed.';
+      await sendProposalEmail();
+    });
+
+    await expect.poll(() => sendPayload).not.toBeNull();
+    expect(sendPayload.url).toContain('/api/admin/budgets/email123/send');
+    expect(sendPayload.body).toMatchObject({
+      recipients: ['client@example.com', 'spouse@example.com'],
+      cc: ['builder@example.com'],
+      bcc: ['crm@example.com'],
+      message: 'Here is the plan we discussed.',
+      link: 'edit'
+    });
+    expect(sendPayload.body.proposalData).toBeUndefined();
+    expect(unsavedSends).toBe(0);
+  });
+
+  test('nothing is emailed when saving the budget first is rejected', async ({ page }) => {
+    let sends = 0;
+    await page.route('**/api/budgets/email123', async route => {
+      await route.fulfill({
+        status: 409,
+        contentType: 'application/json',
+        body: JSON.stringify({ conflict: true, revision: 4, currentState: { clientName: 'Changed elsewhere', homeSize: 4000, selections: {} } })
+      });
+    });
+    await page.route('**/api/admin/budgets/*/send', async route => {
+      sends += 1;
+      await route.fulfill({ status: 200, contentType: 'application/json', body: JSON.stringify({ success: true }) });
+    });
+
+    await page.evaluate(async () => {
+      window.__isAdmin = true;
+      currentBudgetId = 'email123';
+      showEmailModal();
+      document.getElementById('emailRecipientEmail').value = 'client@example.com';
+      await sendProposalEmail();
+    });
+
+    await expect(page.locator('#emailModal')).not.toHaveClass(/active/);
+    await expect(page.locator('#toast')).toContainText('changed elsewhere');
+    await expect(page.locator('#clientName')).toHaveValue('Changed elsewhere');
+    expect(sends).toBe(0);
+  });
+
+  test('unsaved budgets are emailed from the on-screen pricing, scaled extras included', async ({ page }) => {
+    let proposalPayload = null;
+    // Creating the budget fails, so there is nothing saved to send.
+    await page.route('**/api/budgets', async route => {
+      await route.fulfill({
+        status: 503,
+        contentType: 'application/json',
+        body: JSON.stringify({ error: 'Service unavailable' })
       });
     });
     await page.route('**/api/send-proposal', async route => {
@@ -332,12 +407,15 @@ test.describe('Budget Planner', () => {
       const extra = EXTRAS()[0];
       state.extras[extra.id] = true;
       document.getElementById('emailRecipientEmail').value = 'client@example.com';
+      document.getElementById('emailCc').value = 'builder@example.com';
+      document.getElementById('emailMessage').value = 'Rough numbers for now.';
       const price = getExtraPrice(extra);
       await sendProposalEmail();
       return { price, name: extra.name };
     });
 
     await expect.poll(() => proposalPayload).not.toBeNull();
+    expect(proposalPayload).toMatchObject({ recipients: ['client@example.com'], cc: ['builder@example.com'], message: 'Rough numbers for now.' });
     expect(proposalPayload.proposalData.extras).toContainEqual({ name: expected.name, price: expected.price });
     expect(proposalPayload.proposalData.subtotal).toBe(expected.price);
     expect(proposalPayload.proposalData.total).toBe(Math.round(expected.price * 1.06));
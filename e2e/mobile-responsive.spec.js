@@ -276,7 +276,7 @@ test.describe('Mobile responsive layout', () => {
     await page.waitForFunction(() => typeof renderCustomizeEditor === 'function');
 
     const result = await page.evaluate(() => {
-      budgets = [{ id: 'source123', clientName: 'Source Budget', builder: 'Builder' }];
+      budgetDirectory = [{ id: 'source123', clientName: 'Source Budget', builder: 'Builder' }];
       catData = {
         residential_categories: [
           {
@@ -0,0 +1,5 @@
+-- Configurable sales tax: default rate/label plus per-county presets.
+-- Rates are fractions (0.06 = 6%). Budgets may override this in category_config.__tax.
+ALTER TABLE category_defaults
+  ADD COLUMN IF NOT EXISTS tax_settings JSONB NOT NULL
+  DEFAULT '{"rate": 0.06, "label": "Sales Tax", "presets": []}'::jsonb;
@@ -0,0 +1,39 @@
+-- Every publish of category_defaults (save, factory reset, restore) is kept as a
+-- revision so a bad pricing save can be diffed and rolled back. Service-role only.
+CREATE TABLE IF NOT EXISTS public.category_defaults_history (
+  id BIGSERIAL PRIMARY KEY,
+  residential_categories JSONB NOT NULL DEFAULT '[]'::jsonb,
+  residential_sections JSONB NOT NULL DEFAULT '[]'::jsonb,
+  residential_extras JSONB NOT NULL DEFAULT '[]'::jsonb,
+  condo_categories JSONB NOT NULL DEFAULT '[]'::jsonb,
+  condo_sections JSONB NOT NULL DEFAULT '[]'::jsonb,
+  condo_extras JSONB NOT NULL DEFAULT '[]'::jsonb,
+  base_sqft INTEGER NOT NULL DEFAULT 4000,
+  tax_settings JSONB,
+  action TEXT NOT NULL DEFAULT 'save' CHECK (action IN ('save', 'reset', 'restore', 'baseline')),
+  restored_from BIGINT REFERENCES public.category_defaults_history(id) ON DELETE SET NULL,
+  saved_by TEXT,
+  saved_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS category_defaults_history_saved_at_idx
+  ON public.category_defaults_history (saved_at DESC);
+
+ALTER TABLE public.category_defaults_history ENABLE ROW LEVEL SECURITY;
+REVOKE ALL PRIVILEGES ON TABLE public.category_defaults_history FROM anon, authenticated;
+GRANT ALL PRIVILEGES ON TABLE public.category_defaults_history TO service_role;
+GRANT USAGE, SELECT ON SEQUENCE public.category_defaults_history_id_seq TO service_role;
+
+-- Capture whatever is live today as the first revision.
+INSERT INTO public.category_defaults_history (
+  residential_categories, residential_sections, residential_extras,
+  condo_categories, condo_sections, condo_extras,
+  base_sqft, tax_settings, action, saved_by, saved_at
+)
+SELECT
+  residential_categories, COALESCE(residential_sections, '[]'::jsonb), residential_extras,
+  condo_categories, COALESCE(condo_sections, '[]'::jsonb), condo_extras,
+  base_sqft, tax_settings, 'baseline', updated_by, COALESCE(updated_at, NOW())
+FROM public.category_defaults
+WHERE id = 'current'
+  AND NOT EXISTS (SELECT 1 FROM public.category_defaults_history);
@@ -0,0 +1,39 @@
+-- Staged category_defaults drafts that the server publishes at effective_at.
+-- Publishing refreshes the default snapshot of open, non-customized budgets. Service-role only.
+CREATE TABLE IF NOT EXISTS public.category_defaults_scheduled (
+  id BIGSERIAL PRIMARY KEY,
+  residential_categories JSONB NOT NULL DEFAULT '[]'::jsonb,
+  residential_sections JSONB NOT NULL DEFAULT '[]'::jsonb,
+  residential_extras JSONB NOT NULL DEFAULT '[]'::jsonb,
+  condo_categories JSONB NOT NULL DEFAULT '[]'::jsonb,
+  condo_sections JSONB NOT NULL DEFAULT '[]'::jsonb,
+  condo_extras JSONB NOT NULL DEFAULT '[]'::jsonb,
+  base_sqft INTEGER NOT NULL DEFAULT 4000,
+  tax_settings JSONB,
+  effective_at TIMESTAMPTZ NOT NULL,
+  note TEXT NOT NULL DEFAULT '',
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'publishing', 'published', 'cancelled', 'failed')),
+  created_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  published_at TIMESTAMPTZ,
+  published_revision_id BIGINT REFERENCES public.category_defaults_history(id) ON DELETE SET NULL,
+  affected_budget_count INTEGER,
+  error TEXT
+);
+
+CREATE INDEX IF NOT EXISTS category_defaults_scheduled_pending_idx
+  ON public.category_defaults_scheduled (effective_at)
+  WHERE status = 'pending';
+
+ALTER TABLE public.category_defaults_scheduled ENABLE ROW LEVEL SECURITY;
+REVOKE ALL PRIVILEGES ON TABLE public.category_defaults_scheduled FROM anon, authenticated;
+GRANT ALL PRIVILEGES ON TABLE public.category_defaults_scheduled TO service_role;
+GRANT USAGE, SELECT ON SEQUENCE public.category_defaults_scheduled_id_seq TO service_role;
+
+-- Scheduled publishes show up in pricing history with their own action.
+ALTER TABLE public.category_defaults_history
+  DROP CONSTRAINT IF EXISTS category_defaults_history_action_check;
+ALTER TABLE public.category_defaults_history
+  ADD CONSTRAINT category_defaults_history_action_check
+  CHECK (action IN ('save', 'reset', 'restore', 'baseline', 'scheduled'));
@@ -0,0 +1,26 @@
+-- Client approvals ("Approve this budget") signed from the edit-token link.
+-- Each row is the audit record: typed signature, request details and the exact
+-- canonicalized state that was approved, with its SHA-256. Service-role only.
+CREATE TABLE IF NOT EXISTS public.budget_approvals (
+  id BIGSERIAL PRIMARY KEY,
+  budget_id TEXT NOT NULL REFERENCES public.budgets(id) ON DELETE CASCADE,
+  version_number INTEGER NOT NULL,
+  signer_name TEXT NOT NULL,
+  signer_initials TEXT NOT NULL,
+  ip_address TEXT,
+  user_agent TEXT,
+  approved_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  state JSONB NOT NULL,
+  state_hash TEXT NOT NULL,
+  total NUMERIC NOT NULL DEFAULT 0,
+  line_items JSONB NOT NULL DEFAULT '[]'::jsonb,
+  scenario_name TEXT
+);
+
+CREATE INDEX IF NOT EXISTS budget_approvals_budget_idx
+  ON public.budget_approvals (budget_id, approved_at DESC);
+
+ALTER TABLE public.budget_approvals ENABLE ROW LEVEL SECURITY;
+REVOKE ALL PRIVILEGES ON TABLE public.budget_approvals FROM anon, authenticated;
+GRANT ALL PRIVILEGES ON TABLE public.budget_approvals TO service_role;
+GRANT USAGE, SELECT ON SEQUENCE public.budget_approvals_id_seq TO service_role;
@@ -0,0 +1,6 @@
+-- Revision counter for optimistic concurrency on budgets. Every write that
+-- changes a budget's state or customization bumps it, conditional on the
+-- revision the writer loaded; editors send it back as If-Match and a stale
+-- one is rejected with 409 instead of silently overwriting someone else.
+ALTER TABLE public.budgets
+  ADD COLUMN IF NOT EXISTS revision INTEGER NOT NULL DEFAULT 1;
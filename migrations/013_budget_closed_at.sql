@@ -0,0 +1,13 @@
+-- When a budget was marked won or lost, for time-to-close on the team
+-- dashboard. Set when the status changes to won/lost (including client
+-- approval) and cleared when it goes back to active. Budgets closed before
+-- this column existed use their last modification as the best estimate.
+ALTER TABLE public.budgets
+  ADD COLUMN IF NOT EXISTS closed_at TIMESTAMPTZ;
+
+UPDATE public.budgets
+  SET closed_at = modified_at
+  WHERE status IN ('won', 'lost') AND closed_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS budgets_created_by_email_idx
+  ON public.budgets (created_by_email);
@@ -0,0 +1,184 @@
+-- One page of the admin budget list, filtered and sorted in the database.
+-- Returns the list columns only (not current_state) with the view, version
+-- and approval aggregates. Every row also carries totals for the whole
+-- filtered list: total_count, total_views, total_value and created_this_week.
+-- The filter and sort rules are the ones in public/src/utils/budget-list.js;
+-- src/storage/sqlite-driver.js has the same query for the local schema. Dates
+-- are compared in UTC, and p_office_ips are the addresses whose views count
+-- as the team's.
+CREATE OR REPLACE FUNCTION public.search_budgets(
+  p_search TEXT DEFAULT NULL,
+  p_status TEXT DEFAULT 'all',
+  p_owner TEXT DEFAULT NULL,
+  p_hide_expired BOOLEAN DEFAULT false,
+  p_sort TEXT DEFAULT 'lastClientActivity',
+  p_direction TEXT DEFAULT 'desc',
+  p_limit INTEGER DEFAULT NULL,
+  p_offset INTEGER DEFAULT 0,
+  p_now TIMESTAMPTZ DEFAULT now(),
+  p_idle_days INTEGER DEFAULT 7,
+  p_office_ips TEXT[] DEFAULT '{}'
+)
+RETURNS TABLE (
+  id TEXT,
+  client_name TEXT,
+  builder TEXT,
+  created_at TIMESTAMPTZ,
+  modified_at TIMESTAMPTZ,
+  last_viewed_at TIMESTAMPTZ,
+  last_client_activity_at TIMESTAMPTZ,
+  is_customized BOOLEAN,
+  sqft_locked INTEGER,
+  property_type_locked TEXT,
+  created_by_email TEXT,
+  status TEXT,
+  closed_at TIMESTAMPTZ,
+  notes TEXT,
+  follow_up_date TEXT,
+  total NUMERIC,
+  home_size NUMERIC,
+  property_type TEXT,
+  scenario_count INTEGER,
+  chosen_scenario_name TEXT,
+  expires_at TEXT,
+  expired_at TEXT,
+  is_expired BOOLEAN,
+  version_count BIGINT,
+  client_views BIGINT,
+  team_views BIGINT,
+  approved_at TIMESTAMPTZ,
+  total_count BIGINT,
+  total_views NUMERIC,
+  total_value NUMERIC,
+  created_this_week BIGINT
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH view_counts AS (
+    SELECT v.budget_id,
+      COUNT(*) FILTER (WHERE NOT (COALESCE(v.is_internal, false) OR v.ip_address = ANY (p_office_ips))) AS client_views,
+      COUNT(*) FILTER (WHERE COALESCE(v.is_internal, false) OR v.ip_address = ANY (p_office_ips)) AS team_views
+    FROM public.budget_views v
+    GROUP BY v.budget_id
+  ),
+  version_counts AS (
+    SELECT bv.budget_id, COUNT(*) AS version_count
+    FROM public.budget_versions bv
+    GROUP BY bv.budget_id
+  ),
+  latest_approvals AS (
+    SELECT ba.budget_id, MAX(ba.approved_at) AS approved_at
+    FROM public.budget_approvals ba
+    GROUP BY ba.budget_id
+  ),
+  listed AS (
+    SELECT
+      b.id,
+      b.client_name,
+      b.builder,
+      b.created_at,
+      b.modified_at,
+      b.last_viewed_at,
+      b.last_client_activity_at::timestamptz AS last_client_activity_at,
+      COALESCE(b.is_customized, false) AS is_customized,
+      b.sqft_locked,
+      b.property_type_locked,
+      b.created_by_email,
+      CASE WHEN b.status IN ('active', 'won', 'lost') THEN b.status::text ELSE 'active' END AS status,
+      b.closed_at,
+      b.notes::text AS notes,
+      b.follow_up_date::text AS follow_up_date,
+      CASE WHEN jsonb_typeof(b.current_state -> 'total') = 'number' THEN (b.current_state ->> 'total')::numeric ELSE 0 END AS total,
+      CASE WHEN jsonb_typeof(b.current_state -> 'homeSize') = 'number' THEN (b.current_state ->> 'homeSize')::numeric END AS home_size,
+      b.current_state ->> 'propertyType' AS property_type,
+      CASE WHEN jsonb_typeof(b.current_state -> 'scenarios') = 'array' THEN jsonb_array_length(b.current_state -> 'scenarios') ELSE 0 END AS scenario_count,
+      CASE WHEN jsonb_typeof(b.current_state -> 'scenarios') = 'array' THEN COALESCE(
+        (SELECT s ->> 'name' FROM jsonb_array_elements(b.current_state -> 'scenarios') s
+          WHERE s ->> 'id' = b.current_state ->> 'chosenScenarioId' LIMIT 1),
+        b.current_state -> 'scenarios' -> 0 ->> 'name'
+      ) END AS chosen_scenario_name,
+      NULLIF(b.current_state ->> 'expiresAt', '') AS expires_at,
+      NULLIF(b.current_state ->> 'expiredAt', '') AS expired_at,
+      COALESCE(
+        NULLIF(b.current_state ->> 'expiredAt', '') IS NOT NULL
+        OR (
+          b.current_state ->> 'expiresAt' ~ '^\d{4}-\d{2}-\d{2}$'
+          AND b.current_state ->> 'expiresAt' < to_char(p_now AT TIME ZONE 'UTC', 'YYYY-MM-DD')
+        ),
+        false
+      ) AS is_expired,
+      COALESCE(vc.version_count, 0) AS version_count,
+      COALESCE(views.client_views, 0) AS client_views,
+      COALESCE(views.team_views, 0) AS team_views,
+      la.approved_at
+    FROM public.budgets b
+    LEFT JOIN view_counts views ON views.budget_id = b.id
+    LEFT JOIN version_counts vc ON vc.budget_id = b.id
+    LEFT JOIN latest_approvals la ON la.budget_id = b.id
+  ),
+  filtered AS (
+    SELECT l.*,
+      CASE p_sort
+        WHEN 'clientName' THEN lower(COALESCE(l.client_name, ''))
+        WHEN 'status' THEN CASE WHEN l.is_expired THEN 'expired' ELSE l.status END
+      END AS sort_text,
+      CASE p_sort
+        WHEN 'clientName' THEN NULL
+        WHEN 'status' THEN NULL
+        WHEN 'currentTotal' THEN l.total
+        WHEN 'created' THEN extract(epoch FROM l.created_at)
+        WHEN 'viewCount' THEN l.client_views
+        WHEN 'versionCount' THEN l.version_count
+        ELSE COALESCE(extract(epoch FROM l.last_client_activity_at), 0)
+      END AS sort_number
+    FROM listed l
+    WHERE (
+        COALESCE(trim(p_owner), '') = ''
+        OR (lower(trim(p_owner)) = 'unassigned' AND COALESCE(l.created_by_email, '') = '')
+        OR lower(l.created_by_email) = lower(trim(p_owner))
+      )
+      AND (
+        COALESCE(trim(p_search), '') = ''
+        OR strpos(lower(concat_ws(' ', NULLIF(l.client_name, ''), NULLIF(l.builder, ''), l.id, NULLIF(l.created_by_email, ''), NULLIF(l.notes, ''))), lower(trim(p_search))) > 0
+      )
+      AND (
+        CASE COALESCE(p_status, 'all')
+          WHEN 'all' THEN true
+          WHEN 'expired' THEN l.is_expired
+          WHEN 'needs-followup' THEN NOT l.is_expired AND l.status = 'active' AND (
+            CASE WHEN l.follow_up_date IS NOT NULL
+              THEN l.follow_up_date <= to_char(p_now AT TIME ZONE 'UTC', 'YYYY-MM-DD')
+              ELSE l.last_client_activity_at <= p_now - make_interval(days => p_idle_days)
+            END
+          )
+          ELSE NOT l.is_expired AND l.status = p_status
+        END
+      )
+      AND (NOT COALESCE(p_hide_expired, false) OR p_status = 'expired' OR NOT l.is_expired)
+  )
+  SELECT
+    f.id, f.client_name, f.builder, f.created_at, f.modified_at, f.last_viewed_at,
+    f.last_client_activity_at, f.is_customized, f.sqft_locked, f.property_type_locked,
+    f.created_by_email, f.status, f.closed_at, f.notes, f.follow_up_date, f.total,
+    f.home_size, f.property_type, f.scenario_count, f.chosen_scenario_name,
+    f.expires_at, f.expired_at, f.is_expired, f.version_count, f.client_views,
+    f.team_views, f.approved_at,
+    COUNT(*) OVER () AS total_count,
+    SUM(f.client_views + f.team_views) OVER () AS total_views,
+    SUM(f.total) OVER () AS total_value,
+    SUM(CASE WHEN f.created_at > p_now - interval '7 days' THEN 1 ELSE 0 END) OVER () AS created_this_week
+  FROM filtered f
+  ORDER BY
+    CASE WHEN p_direction = 'asc' THEN f.sort_text END ASC,
+    CASE WHEN p_direction <> 'asc' THEN f.sort_text END DESC,
+    CASE WHEN p_direction = 'asc' THEN f.sort_number END ASC,
+    CASE WHEN p_direction <> 'asc' THEN f.sort_number END DESC,
+    f.modified_at DESC,
+    f.id
+  LIMIT p_limit
+  OFFSET COALESCE(p_offset, 0);
+$$;
+
+REVOKE ALL ON FUNCTION public.search_budgets(TEXT, TEXT, TEXT, BOOLEAN, TEXT, TEXT, INTEGER, INTEGER, TIMESTAMPTZ, INTEGER, TEXT[]) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.search_budgets(TEXT, TEXT, TEXT, BOOLEAN, TEXT, TEXT, INTEGER, INTEGER, TIMESTAMPTZ, INTEGER, TEXT[]) TO service_role;
@@ -0,0 +1,16 @@
+-- When a budget's proposal was first emailed from the planner, for the
+-- send → first client view time on the analytics tab. Set by
+-- POST /api/send-proposal when the email links to the budget; budgets sent
+-- before this column existed have none and are measured from created_at.
+ALTER TABLE public.budgets
+  ADD COLUMN IF NOT EXISTS first_sent_at TIMESTAMPTZ;
+
+-- The analytics tab reads budgets, views and versions from a date onwards.
+CREATE INDEX IF NOT EXISTS budgets_created_at_idx
+  ON public.budgets (created_at);
+
+CREATE INDEX IF NOT EXISTS budget_views_viewed_at_idx
+  ON public.budget_views (viewed_at);
+
+CREATE INDEX IF NOT EXISTS budget_versions_created_at_idx
+  ON public.budget_versions (created_at);
@@ -0,0 +1,16 @@
+-- Per-user email preferences, keyed by the lowercased sign-in email (budgets
+-- record their owner by email too). follow_up_digest turns the morning
+-- follow-up digest on or off; expiring_within_days is how far ahead it lists
+-- expiring budgets; last_digest_on is the local date of the last digest sent,
+-- so a restart never sends the same morning twice. Service-role access only.
+CREATE TABLE IF NOT EXISTS public.user_settings (
+  email TEXT PRIMARY KEY,
+  follow_up_digest BOOLEAN NOT NULL DEFAULT true,
+  expiring_within_days INTEGER NOT NULL DEFAULT 7,
+  last_digest_on DATE,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE public.user_settings ENABLE ROW LEVEL SECURITY;
+REVOKE ALL PRIVILEGES ON TABLE public.user_settings FROM anon, authenticated;
+GRANT ALL PRIVILEGES ON TABLE public.user_settings TO service_role;
@@ -0,0 +1,34 @@
+-- Every email the server sends: proposals, owner notifications and the
+-- follow-up digest. The rendered HTML is kept so the admin can show exactly
+-- what went out. provider_id is the Resend email id; the delivery webhook
+-- (POST /api/webhooks/email) finds rows by it and moves status on from
+-- sent to delivered, delayed, bounced or complained, recording opens in
+-- opened_at. events is that webhook history, oldest first. budget_id has no
+-- foreign key: the log outlives deleted budgets. Service-role access only.
+CREATE TABLE IF NOT EXISTS public.email_log (
+  id BIGSERIAL PRIMARY KEY,
+  type TEXT NOT NULL,
+  budget_id TEXT,
+  recipient TEXT NOT NULL,
+  subject TEXT NOT NULL,
+  html TEXT NOT NULL,
+  provider_id TEXT,
+  status TEXT NOT NULL,
+  error TEXT,
+  sent_by_email TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  status_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  opened_at TIMESTAMPTZ,
+  events JSONB NOT NULL DEFAULT '[]'::jsonb
+);
+
+CREATE INDEX IF NOT EXISTS email_log_budget_idx
+  ON public.email_log (budget_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS email_log_provider_idx
+  ON public.email_log (provider_id);
+
+ALTER TABLE public.email_log ENABLE ROW LEVEL SECURITY;
+REVOKE ALL PRIVILEGES ON TABLE public.email_log FROM anon, authenticated;
+GRANT ALL PRIVILEGES ON TABLE public.email_log TO service_role;
+GRANT USAGE, SELECT ON SEQUENCE public.email_log_id_seq TO service_role;
@@ -0,0 +1,19 @@
+-- Editable wording for the emails the server sends, managed by superadmins in
+-- the admin dashboard. One row per template key (see EMAIL_TEMPLATE_DEFINITIONS
+-- in src/utils/email-templates.js); a key without a row uses the built-in
+-- default, so deleting a row resets that template. subject and body are plain
+-- text with {{placeholders}}, never HTML. user_settings.email_signature is the
+-- {{ownerSignature}} placeholder for that user's budgets. Service-role access only.
+CREATE TABLE IF NOT EXISTS public.email_templates (
+  key TEXT PRIMARY KEY,
+  subject TEXT NOT NULL,
+  body TEXT NOT NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_by_email TEXT
+);
+
+ALTER TABLE public.email_templates ENABLE ROW LEVEL SECURITY;
+REVOKE ALL PRIVILEGES ON TABLE public.email_templates FROM anon, authenticated;
+GRANT ALL PRIVILEGES ON TABLE public.email_templates TO service_role;
+
+ALTER TABLE public.user_settings ADD COLUMN IF NOT EXISTS email_signature TEXT;
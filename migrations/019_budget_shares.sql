@@ -0,0 +1,24 @@
+-- Proposals sent from a saved budget (POST /api/admin/budgets/:id/send): which
+-- version was priced into the email, who it went to and whether the link
+-- could edit the budget. recipients is a JSON array of { email }. The email
+-- itself, with its delivery status, is in email_log. Service-role access only.
+CREATE TABLE IF NOT EXISTS public.budget_shares (
+  id BIGSERIAL PRIMARY KEY,
+  budget_id TEXT NOT NULL REFERENCES public.budgets(id) ON DELETE CASCADE,
+  version_number INTEGER NOT NULL,
+  recipients JSONB NOT NULL DEFAULT '[]'::jsonb,
+  link_type TEXT NOT NULL CHECK (link_type IN ('edit', 'view')),
+  subject TEXT NOT NULL DEFAULT '',
+  message TEXT,
+  provider_id TEXT,
+  sent_by_email TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS budget_shares_budget_idx
+  ON public.budget_shares (budget_id, created_at DESC);
+
+ALTER TABLE public.budget_shares ENABLE ROW LEVEL SECURITY;
+REVOKE ALL PRIVILEGES ON TABLE public.budget_shares FROM anon, authenticated;
+GRANT ALL PRIVILEGES ON TABLE public.budget_shares TO service_role;
+GRANT USAGE, SELECT ON SEQUENCE public.budget_shares_id_seq TO service_role;
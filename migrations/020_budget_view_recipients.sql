@@ -0,0 +1,9 @@
+-- Per-recipient link tracking for proposals sent from a saved budget. Each
+-- address on a send gets its own copy of the email whose link carries a
+-- recipient token (?r=…), kept with the address in budget_shares.recipients
+-- as { email, kind, token, providerId }. A view through that link records the
+-- token and address here, so the admin can tell who opened it. provider_id on
+-- budget_shares is left empty from now on: every copy has its own.
+ALTER TABLE public.budget_views
+  ADD COLUMN IF NOT EXISTS recipient_token TEXT,
+  ADD COLUMN IF NOT EXISTS recipient_email TEXT;
@@ -0,0 +1,13 @@
+-- A scheduled price change stores the whole catalog as it was drafted. It now
+-- also records the pricing revision it was drafted from (base_revision_id). When
+-- the live catalog has been saved since, publishing it would undo that save, so
+-- the server marks the change 'conflict' instead and leaves live pricing alone.
+-- Changes scheduled before this migration have no base and publish as before.
+ALTER TABLE public.category_defaults_scheduled
+  ADD COLUMN IF NOT EXISTS base_revision_id BIGINT REFERENCES public.category_defaults_history(id) ON DELETE SET NULL;
+
+ALTER TABLE public.category_defaults_scheduled
+  DROP CONSTRAINT IF EXISTS category_defaults_scheduled_status_check;
+ALTER TABLE public.category_defaults_scheduled
+  ADD CONSTRAINT category_defaults_scheduled_status_check
+  CHECK (status IN ('pending', 'publishing', 'published', 'cancelled', 'failed', 'conflict'));
@@ -0,0 +1,10 @@
+-- Each approval records the budget revision the client approved
+-- (budget_revision). One approval per budget revision is allowed, so two clicks
+-- on "Approve" that raced past the server's check cannot both write a
+-- certificate. A budget reopened and approved again is at a later revision.
+-- Approvals recorded before this migration have no revision and are left as is.
+ALTER TABLE public.budget_approvals
+  ADD COLUMN IF NOT EXISTS budget_revision INTEGER;
+
+CREATE UNIQUE INDEX IF NOT EXISTS budget_approvals_budget_revision_key
+  ON public.budget_approvals (budget_id, budget_revision);
@@ -0,0 +1,161 @@
+-- Local (STORAGE_BACKEND=sqlite) schema: the Supabase tables as of
+-- migrations/012, for offline development and the e2e suite. Applied by
+-- src/storage/sqlite-driver.js on start and recorded in schema_migrations.
+-- JSON columns hold JSON text and BOOLEAN columns 0/1; the driver converts
+-- both. Timestamps are ISO-8601 UTC text so they sort and compare as strings.
+
+CREATE TABLE IF NOT EXISTS budgets (
+  id TEXT PRIMARY KEY,
+  client_name TEXT,
+  builder TEXT,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  modified_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  revision INTEGER NOT NULL DEFAULT 1,
+  views_count INTEGER NOT NULL DEFAULT 0,
+  last_viewed_at TEXT,
+  last_client_activity_at TEXT,
+  current_state JSON,
+  is_customized BOOLEAN NOT NULL DEFAULT 0,
+  sqft_locked INTEGER,
+  property_type_locked TEXT,
+  category_config JSON,
+  custom_categories JSON,
+  customized_at TEXT,
+  created_by_email TEXT,
+  status TEXT,
+  notes TEXT,
+  follow_up_date TEXT
+);
+
+CREATE INDEX IF NOT EXISTS budgets_modified_idx ON budgets (modified_at DESC);
+
+CREATE TABLE IF NOT EXISTS budget_versions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  budget_id TEXT REFERENCES budgets (id) ON DELETE CASCADE,
+  version_number INTEGER,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  state JSON,
+  note TEXT,
+  is_pinned BOOLEAN NOT NULL DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS budget_versions_budget_idx ON budget_versions (budget_id, version_number);
+
+CREATE TABLE IF NOT EXISTS budget_views (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  budget_id TEXT REFERENCES budgets (id) ON DELETE CASCADE,
+  viewed_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  ip_address TEXT,
+  user_agent TEXT,
+  is_internal BOOLEAN NOT NULL DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS budget_views_budget_idx ON budget_views (budget_id, viewed_at DESC);
+
+CREATE TABLE IF NOT EXISTS budget_approvals (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  budget_id TEXT NOT NULL REFERENCES budgets (id) ON DELETE CASCADE,
+  version_number INTEGER NOT NULL,
+  signer_name TEXT NOT NULL,
+  signer_initials TEXT NOT NULL,
+  ip_address TEXT,
+  user_agent TEXT,
+  approved_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  state JSON NOT NULL,
+  state_hash TEXT NOT NULL,
+  total REAL NOT NULL DEFAULT 0,
+  line_items JSON NOT NULL DEFAULT '[]',
+  scenario_name TEXT
+);
+
+CREATE INDEX IF NOT EXISTS budget_approvals_budget_idx ON budget_approvals (budget_id, approved_at DESC);
+
+CREATE TABLE IF NOT EXISTS ai_budget_undo (
+  budget_id TEXT PRIMARY KEY REFERENCES budgets (id) ON DELETE CASCADE,
+  snapshot JSON NOT NULL,
+  applied_at TEXT NOT NULL,
+  applied_by TEXT,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS short_links (
+  code TEXT PRIMARY KEY,
+  config JSON NOT NULL,
+  client_name TEXT,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  last_accessed_at TEXT,
+  access_count INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE TABLE IF NOT EXISTS category_defaults (
+  id TEXT PRIMARY KEY DEFAULT 'current',
+  residential_categories JSON NOT NULL DEFAULT '[]',
+  residential_sections JSON NOT NULL DEFAULT '[]',
+  residential_extras JSON NOT NULL DEFAULT '[]',
+  condo_categories JSON NOT NULL DEFAULT '[]',
+  condo_sections JSON NOT NULL DEFAULT '[]',
+  condo_extras JSON NOT NULL DEFAULT '[]',
+  base_sqft INTEGER NOT NULL DEFAULT 4000,
+  tax_settings JSON,
+  updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_by TEXT
+);
+
+CREATE TABLE IF NOT EXISTS category_defaults_history (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  residential_categories JSON NOT NULL DEFAULT '[]',
+  residential_sections JSON NOT NULL DEFAULT '[]',
+  residential_extras JSON NOT NULL DEFAULT '[]',
+  condo_categories JSON NOT NULL DEFAULT '[]',
+  condo_sections JSON NOT NULL DEFAULT '[]',
+  condo_extras JSON NOT NULL DEFAULT '[]',
+  base_sqft INTEGER NOT NULL DEFAULT 4000,
+  tax_settings JSON,
+  action TEXT NOT NULL DEFAULT 'save'
+    CHECK (action IN ('save', 'reset', 'restore', 'baseline', 'scheduled')),
+  restored_from INTEGER REFERENCES category_defaults_history (id) ON DELETE SET NULL,
+  saved_by TEXT,
+  saved_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS category_defaults_history_saved_at_idx ON category_defaults_history (saved_at DESC);
+
+CREATE TABLE IF NOT EXISTS category_defaults_scheduled (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  residential_categories JSON NOT NULL DEFAULT '[]',
+  residential_sections JSON NOT NULL DEFAULT '[]',
+  residential_extras JSON NOT NULL DEFAULT '[]',
+  condo_categories JSON NOT NULL DEFAULT '[]',
+  condo_sections JSON NOT NULL DEFAULT '[]',
+  condo_extras JSON NOT NULL DEFAULT '[]',
+  base_sqft INTEGER NOT NULL DEFAULT 4000,
+  tax_settings JSON,
+  effective_at TEXT NOT NULL,
+  note TEXT NOT NULL DEFAULT '',
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'publishing', 'published', 'cancelled', 'failed')),
+  created_by TEXT,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  published_at TEXT,
+  published_revision_id INTEGER REFERENCES category_defaults_history (id) ON DELETE SET NULL,
+  affected_budget_count INTEGER,
+  error TEXT
+);
+
+CREATE INDEX IF NOT EXISTS category_defaults_scheduled_pending_idx
+  ON category_defaults_scheduled (effective_at)
+  WHERE status = 'pending';
+
+CREATE TABLE IF NOT EXISTS section_library (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL CHECK (length(name) BETWEEN 1 AND 200),
+  description TEXT NOT NULL DEFAULT '',
+  category TEXT NOT NULL DEFAULT 'Other',
+  tags JSON NOT NULL DEFAULT '[]',
+  payload JSON NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  created_by TEXT NOT NULL DEFAULT ''
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS section_library_name_lower_idx ON section_library (lower(name));
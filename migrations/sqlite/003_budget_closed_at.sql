@@ -0,0 +1,8 @@
+-- migrations/013_budget_closed_at.sql for the local schema.
+ALTER TABLE budgets ADD COLUMN closed_at TEXT;
+
+UPDATE budgets
+  SET closed_at = modified_at
+  WHERE status IN ('won', 'lost') AND closed_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS budgets_created_by_email_idx ON budgets (created_by_email);
@@ -0,0 +1,6 @@
+-- migrations/015_budget_first_sent_at.sql for the local schema.
+ALTER TABLE budgets ADD COLUMN first_sent_at TEXT;
+
+CREATE INDEX IF NOT EXISTS budgets_created_at_idx ON budgets (created_at);
+CREATE INDEX IF NOT EXISTS budget_views_viewed_at_idx ON budget_views (viewed_at);
+CREATE INDEX IF NOT EXISTS budget_versions_created_at_idx ON budget_versions (created_at);
@@ -0,0 +1,8 @@
+-- migrations/016_user_settings.sql for the local schema.
+CREATE TABLE IF NOT EXISTS user_settings (
+  email TEXT PRIMARY KEY,
+  follow_up_digest BOOLEAN NOT NULL DEFAULT 1,
+  expiring_within_days INTEGER NOT NULL DEFAULT 7,
+  last_digest_on TEXT,
+  updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
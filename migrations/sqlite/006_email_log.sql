@@ -0,0 +1,20 @@
+-- migrations/017_email_log.sql for the local schema.
+CREATE TABLE IF NOT EXISTS email_log (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  type TEXT NOT NULL,
+  budget_id TEXT,
+  recipient TEXT NOT NULL,
+  subject TEXT NOT NULL,
+  html TEXT NOT NULL,
+  provider_id TEXT,
+  status TEXT NOT NULL,
+  error TEXT,
+  sent_by_email TEXT,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  status_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  opened_at TEXT,
+  events JSON NOT NULL DEFAULT '[]'
+);
+
+CREATE INDEX IF NOT EXISTS email_log_budget_idx ON email_log (budget_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS email_log_provider_idx ON email_log (provider_id);
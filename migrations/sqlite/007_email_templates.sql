@@ -0,0 +1,10 @@
+-- migrations/018_email_templates.sql for the local schema.
+CREATE TABLE IF NOT EXISTS email_templates (
+  key TEXT PRIMARY KEY,
+  subject TEXT NOT NULL,
+  body TEXT NOT NULL,
+  updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_by_email TEXT
+);
+
+ALTER TABLE user_settings ADD COLUMN email_signature TEXT;
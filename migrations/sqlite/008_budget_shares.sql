@@ -0,0 +1,15 @@
+-- migrations/019_budget_shares.sql for the local schema.
+CREATE TABLE IF NOT EXISTS budget_shares (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  budget_id TEXT NOT NULL REFERENCES budgets (id) ON DELETE CASCADE,
+  version_number INTEGER NOT NULL,
+  recipients JSON NOT NULL DEFAULT '[]',
+  link_type TEXT NOT NULL CHECK (link_type IN ('edit', 'view')),
+  subject TEXT NOT NULL DEFAULT '',
+  message TEXT,
+  provider_id TEXT,
+  sent_by_email TEXT,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS budget_shares_budget_idx ON budget_shares (budget_id, created_at DESC);
@@ -0,0 +1,3 @@
+-- migrations/020_budget_view_recipients.sql for the local schema.
+ALTER TABLE budget_views ADD COLUMN recipient_token TEXT;
+ALTER TABLE budget_views ADD COLUMN recipient_email TEXT;
@@ -0,0 +1,44 @@
+-- migrations/021_scheduled_price_change_base.sql for the local schema. SQLite
+-- cannot change a CHECK constraint in place, so the table is rebuilt.
+CREATE TABLE category_defaults_scheduled_next (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  residential_categories JSON NOT NULL DEFAULT '[]',
+  residential_sections JSON NOT NULL DEFAULT '[]',
+  residential_extras JSON NOT NULL DEFAULT '[]',
+  condo_categories JSON NOT NULL DEFAULT '[]',
+  condo_sections JSON NOT NULL DEFAULT '[]',
+  condo_extras JSON NOT NULL DEFAULT '[]',
+  base_sqft INTEGER NOT NULL DEFAULT 4000,
+  tax_settings JSON,
+  effective_at TEXT NOT NULL,
+  note TEXT NOT NULL DEFAULT '',
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'publishing', 'published', 'cancelled', 'failed', 'conflict')),
+  created_by TEXT,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  published_at TEXT,
+  published_revision_id INTEGER REFERENCES category_defaults_history (id) ON DELETE SET NULL,
+  affected_budget_count INTEGER,
+  error TEXT,
+  base_revision_id INTEGER REFERENCES category_defaults_history (id) ON DELETE SET NULL
+);
+
+INSERT INTO category_defaults_scheduled_next (
+  id, residential_categories, residential_sections, residential_extras,
+  condo_categories, condo_sections, condo_extras, base_sqft, tax_settings,
+  effective_at, note, status, created_by, created_at, published_at,
+  published_revision_id, affected_budget_count, error
+)
+SELECT
+  id, residential_categories, residential_sections, residential_extras,
+  condo_categories, condo_sections, condo_extras, base_sqft, tax_settings,
+  effective_at, note, status, created_by, created_at, published_at,
+  published_revision_id, affected_budget_count, error
+FROM category_defaults_scheduled;
+
+DROP TABLE category_defaults_scheduled;
+ALTER TABLE category_defaults_scheduled_next RENAME TO category_defaults_scheduled;
+
+CREATE INDEX IF NOT EXISTS category_defaults_scheduled_pending_idx
+  ON category_defaults_scheduled (effective_at)
+  WHERE status = 'pending';
@@ -0,0 +1,4 @@
+-- migrations/022_budget_approval_claim.sql for the local schema.
+ALTER TABLE budget_approvals ADD COLUMN budget_revision INTEGER;
+
+CREATE UNIQUE INDEX IF NOT EXISTS budget_approvals_budget_revision_key ON budget_approvals (budget_id, budget_revision);
@@ -2,6 +2,8 @@
 const { defineConfig, devices } = require('@playwright/test');
 const testPort = Number(process.env.TEST_PORT || 3000);
 const testBaseUrl = `http://localhost:${testPort}`;
+// The suite runs against a throwaway local database unless told otherwise.
+const testStorage = `STORAGE_BACKEND=${process.env.STORAGE_BACKEND || 'sqlite'} SQLITE_PATH=${process.env.SQLITE_PATH || ':memory:'}`;
 
 module.exports = defineConfig({
   testDir: './e2e',
@@ -25,7 +27,7 @@ module.exports = defineConfig({
     },
   ],
   webServer: {
-    command: `PORT=${testPort} APP_URL=${testBaseUrl} npm start`,
+    command: `${testStorage} PORT=${testPort} APP_URL=${testBaseUrl} npm start`,
     url: testBaseUrl,
     reuseExistingServer: !process.env.CI && testPort === 3000,
   },
@@ -0,0 +1,117 @@
+/**
+ * Admin budget list filtering and sorting.
+ *
+ * The admin list is filtered, sorted and paged on the server by the
+ * search_budgets database function (migrations/014_search_budgets.sql), which
+ * follows these rules; the server applies them here instead where that
+ * function is not installed. admin.html uses the status helpers to render rows.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.BudgetList = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const BUDGET_STATUSES = ['active', 'won', 'lost'];
+  const LIST_FILTERS = ['all', ...BUDGET_STATUSES, 'expired', 'needs-followup'];
+  const SORT_COLUMNS = ['clientName', 'status', 'currentTotal', 'created', 'viewCount', 'versionCount', 'lastClientActivity'];
+  const FOLLOW_UP_IDLE_DAYS = 7;
+  // Owner filter value for budgets nobody has been assigned to.
+  const UNASSIGNED_OWNER = 'unassigned';
+  const DEFAULT_PAGE_SIZE = 50;
+  const MAX_PAGE_SIZE = 200;
+
+  function normalizeBudgetStatus(status) {
+    return BUDGET_STATUSES.includes(status) ? status : 'active';
+  }
+
+  function displayStatus(budget) {
+    return budget.isExpired ? 'expired' : normalizeBudgetStatus(budget.status);
+  }
+
+  // Active budgets with an overdue follow-up date, or no customer activity for a week.
+  function isOverdueFollowUp(budget, now = new Date()) {
+    if (budget.isExpired) return false;
+    if (normalizeBudgetStatus(budget.status) !== 'active') return false;
+    if (budget.followUpDate) {
+      const followUp = new Date(budget.followUpDate + 'T00:00:00');
+      return followUp <= now;
+    }
+    if (!budget.lastClientActivity) return false;
+    const daysSince = (now.getTime() - new Date(budget.lastClientActivity).getTime()) / 86400000;
+    return daysSince >= FOLLOW_UP_IDLE_DAYS;
+  }
+
+  // `owner` is an owner email, UNASSIGNED_OWNER, or empty for everyone's budgets.
+  function filterBudgets(budgets = [], options = {}) {
+    const search = String(options.search || '').trim().toLowerCase();
+    const status = LIST_FILTERS.includes(options.status) ? options.status : 'all';
+    const owner = String(options.owner || '').trim().toLowerCase();
+    const now = options.now || new Date();
+    let rows = budgets.slice();
+
+    if (owner === UNASSIGNED_OWNER) {
+      rows = rows.filter(budget => !budget.createdByEmail);
+    } else if (owner) {
+      rows = rows.filter(budget => String(budget.createdByEmail || '').toLowerCase() === owner);
+    }
+
+    if (search) {
+      rows = rows.filter(budget => {
+        const haystack = [budget.clientName, budget.builder, budget.id, budget.createdByEmail, budget.notes]
+          .filter(Boolean).join(' ').toLowerCase();
+        return haystack.includes(search);
+      });
+    }
+
+    if (status === 'needs-followup') {
+      rows = rows.filter(budget => isOverdueFollowUp(budget, now));
+    } else if (status === 'expired') {
+      rows = rows.filter(budget => !!budget.isExpired);
+    } else if (status !== 'all') {
+      rows = rows.filter(budget => !budget.isExpired && normalizeBudgetStatus(budget.status) === status);
+    }
+    if (options.hideExpired && status !== 'expired') {
+      rows = rows.filter(budget => !budget.isExpired);
+    }
+    return rows;
+  }
+
+  function sortValue(budget, column) {
+    if (column === 'clientName') return (budget.clientName || '').toLowerCase();
+    if (column === 'status') return displayStatus(budget);
+    if (column === 'currentTotal') return budget.currentTotal || 0;
+    if (column === 'created') return new Date(budget.created).getTime();
+    if (column === 'viewCount') return budget.clientViews || 0;
+    if (column === 'versionCount') return budget.versionCount || 0;
+    if (column === 'lastClientActivity') return budget.lastClientActivity ? new Date(budget.lastClientActivity).getTime() : 0;
+    return 0;
+  }
+
+  function sortBudgets(budgets = [], sort = {}) {
+    const column = SORT_COLUMNS.includes(sort.column) ? sort.column : 'lastClientActivity';
+    const direction = sort.direction === 'asc' ? 1 : -1;
+    return budgets.slice().sort((a, b) => {
+      const valueA = sortValue(a, column);
+      const valueB = sortValue(b, column);
+      if (valueA < valueB) return -1 * direction;
+      if (valueA > valueB) return 1 * direction;
+      return 0;
+    });
+  }
+
+  return {
+    BUDGET_STATUSES,
+    DEFAULT_PAGE_SIZE,
+    FOLLOW_UP_IDLE_DAYS,
+    LIST_FILTERS,
+    MAX_PAGE_SIZE,
+    SORT_COLUMNS,
+    UNASSIGNED_OWNER,
+    displayStatus,
+    filterBudgets,
+    isOverdueFollowUp,
+    normalizeBudgetStatus,
+    sortBudgets
+  };
+});
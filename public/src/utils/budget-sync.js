@@ -0,0 +1,207 @@
+/**
+ * Live-collaboration helpers: state patches and three-way merges of budget
+ * states. index.html applies the patches server.js pushes over the budget's
+ * event stream, and merges when a save comes back 409.
+ *
+ * States are compared in a "sync view": server-owned fields (totals, access
+ * dates, version metadata) are left out, scenarios are keyed by id, and the
+ * chosen scenario drops its selection fields because they mirror the top
+ * level. Patch paths are arrays of keys into that view. Arrays other than
+ * scenarios (modifiers) are replaced whole.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./scenarios'));
+  else root.BudgetSync = factory(root.BudgetScenarios);
+})(typeof self !== 'undefined' ? self : this, function (BudgetScenarios) {
+  'use strict';
+
+  const SYNC_IGNORED_KEYS = ['total', 'timestamp', 'expiresAt', 'expiredAt', '__versionMeta'];
+  const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+  function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  }
+
+  // Key-order-independent JSON; a missing value and null compare equal.
+  function stableJson(value) {
+    if (Array.isArray(value)) return `[${value.map(stableJson).join(',')}]`;
+    if (isPlainObject(value)) {
+      return `{${Object.keys(value).sort()
+        .filter(key => value[key] !== undefined)
+        .map(key => `${JSON.stringify(key)}:${stableJson(value[key])}`)
+        .join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+  }
+
+  function sameValue(a, b) {
+    return stableJson(a) === stableJson(b);
+  }
+
+  function samePath(a, b) {
+    return a.length === b.length && a.every((key, index) => key === b[index]);
+  }
+
+  // One path is the other or an ancestor of it.
+  function pathsOverlap(a, b) {
+    const length = Math.min(a.length, b.length);
+    for (let index = 0; index < length; index++) {
+      if (a[index] !== b[index]) return false;
+    }
+    return true;
+  }
+
+  function toSyncView(state) {
+    const view = clone(state || {});
+    SYNC_IGNORED_KEYS.forEach(key => delete view[key]);
+    if (Array.isArray(view.scenarios)) {
+      const chosen = BudgetScenarios.chosenScenario(view);
+      const byId = {};
+      view.scenarios.forEach(scenario => {
+        const { total, ...rest } = scenario;
+        if (chosen && scenario.id === chosen.id) BudgetScenarios.SCENARIO_FIELDS.forEach(field => delete rest[field]);
+        byId[scenario.id] = rest;
+      });
+      view.scenarios = { order: view.scenarios.map(scenario => scenario.id), byId };
+    }
+    return view;
+  }
+
+  function fromSyncView(view, serverFields = {}) {
+    let state = clone(view);
+    if (isPlainObject(state.scenarios)) {
+      const order = Array.isArray(state.scenarios.order) ? state.scenarios.order : [];
+      const byId = isPlainObject(state.scenarios.byId) ? state.scenarios.byId : {};
+      const ids = [
+        ...order.filter(id => byId[id]),
+        ...Object.keys(byId).filter(id => !order.includes(id))
+      ];
+      state.scenarios = ids.map(id => ({ ...byId[id], id }));
+      state = BudgetScenarios.syncChosenScenario(state);
+    }
+    SYNC_IGNORED_KEYS.forEach(key => {
+      if (serverFields[key] !== undefined) state[key] = serverFields[key];
+    });
+    return state;
+  }
+
+  function valueAt(view, path) {
+    return path.reduce((value, key) => (isPlainObject(value) ? value[key] : undefined), view);
+  }
+
+  function diffValues(previous, next, path, ops) {
+    if (sameValue(previous, next)) return;
+    if (isPlainObject(previous) && isPlainObject(next)) {
+      new Set([...Object.keys(previous), ...Object.keys(next)])
+        .forEach(key => diffValues(previous[key], next[key], [...path, key], ops));
+      return;
+    }
+    ops.push(next === undefined ? { path, remove: true } : { path, value: clone(next) });
+  }
+
+  function applyOps(view, ops) {
+    ops.forEach(({ path, value, remove }) => {
+      if (!Array.isArray(path) || !path.length || path.some(key => UNSAFE_KEYS.includes(String(key)))) return;
+      let target = view;
+      for (const key of path.slice(0, -1)) {
+        if (!isPlainObject(target[key])) {
+          if (remove) return;
+          target[key] = {};
+        }
+        target = target[key];
+      }
+      const last = path[path.length - 1];
+      if (remove) delete target[last];
+      else target[last] = clone(value);
+    });
+    return view;
+  }
+
+  /**
+   * The changes that turn `previous` into `next`:
+   * [{ path, value }] to set and [{ path, remove: true }] to delete.
+   */
+  function diffState(previous, next) {
+    const ops = [];
+    diffValues(toSyncView(previous), toSyncView(next), [], ops);
+    return ops;
+  }
+
+  // Apply a diffState patch. Server-owned fields stay as they were on `state`.
+  function applyPatch(state, ops) {
+    return fromSyncView(applyOps(toSyncView(state), ops || []), state || {});
+  }
+
+  /**
+   * Three-way merge: my edits since `base` replayed on top of `theirs`.
+   * Where both sides changed the same thing differently, `theirs` is kept in
+   * `state` and the clash is listed in `conflicts` as { path, mine, theirs }.
+   */
+  function mergeStates(base, mine, theirs) {
+    const baseView = toSyncView(base);
+    const mineView = toSyncView(mine);
+    const theirsView = toSyncView(theirs);
+    const myOps = [];
+    const theirOps = [];
+    diffValues(baseView, mineView, [], myOps);
+    diffValues(baseView, theirsView, [], theirOps);
+
+    const clean = [];
+    const conflicts = [];
+    myOps.forEach(op => {
+      const clash = theirOps.find(theirOp => pathsOverlap(theirOp.path, op.path));
+      if (!clash) {
+        clean.push(op);
+        return;
+      }
+      const path = clash.path.length < op.path.length ? clash.path : op.path;
+      const mineValue = valueAt(mineView, path);
+      const theirsValue = valueAt(theirsView, path);
+      if (sameValue(mineValue, theirsValue)) return;
+      if (conflicts.some(conflict => samePath(conflict.path, path))) return;
+      conflicts.push({ path, mine: clone(mineValue), theirs: clone(theirsValue) });
+    });
+
+    return { state: fromSyncView(applyOps(theirsView, clean), theirs || {}), conflicts };
+  }
+
+  /**
+   * Where `mine` and `theirs` differ, as [{ path, mine, theirs }]. server.js
+   * sends this with a 409 so the editor can show what a stale save would
+   * overwrite.
+   */
+  function compareStates(mine, theirs) {
+    const mineView = toSyncView(mine);
+    const theirsView = toSyncView(theirs);
+    const ops = [];
+    diffValues(mineView, theirsView, [], ops);
+    return ops.map(({ path }) => ({
+      path,
+      mine: clone(valueAt(mineView, path)),
+      theirs: clone(valueAt(theirsView, path))
+    }));
+  }
+
+  // Settle mergeStates conflicts: each one marked `keep: 'mine'` takes my value.
+  function resolveConflicts(state, conflicts) {
+    return applyPatch(state, (conflicts || [])
+      .filter(conflict => conflict.keep === 'mine')
+      .map(conflict => (conflict.mine === undefined
+        ? { path: conflict.path, remove: true }
+        : { path: conflict.path, value: conflict.mine })));
+  }
+
+  return {
+    SYNC_IGNORED_KEYS,
+    applyPatch,
+    compareStates,
+    diffState,
+    mergeStates,
+    resolveConflicts,
+    sameValue
+  };
+});
@@ -0,0 +1,87 @@
+/**
+ * Staff roles and what each one may do.
+ *
+ * The role lives in the Supabase user's `app_metadata.role`. The server checks
+ * these permissions on every admin route and admin.html uses the same table to
+ * hide controls the signed-in user cannot use. Users without a recognised role
+ * are salespeople.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.BudgetPermissions = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const ROLES = ['salesperson', 'sales_manager', 'pricing_admin', 'superadmin', 'read_only'];
+  const DEFAULT_ROLE = 'salesperson';
+
+  const ROLE_LABELS = {
+    salesperson: 'Salesperson',
+    sales_manager: 'Sales manager',
+    pricing_admin: 'Pricing admin',
+    superadmin: 'Superadmin',
+    read_only: 'Read-only'
+  };
+
+  const EVERYONE = ROLES;
+  const EDITORS = ['salesperson', 'sales_manager', 'pricing_admin', 'superadmin'];
+
+  // budgets.edit covers creating, editing, cloning, restoring and emailing
+  // budgets; budgets.delete.own only applies to budgets the user created.
+  // email.manage is the email setup itself, such as the development outbox.
+  const PERMISSIONS = {
+    'budgets.view': EVERYONE,
+    'budgets.edit': EDITORS,
+    'budgets.delete.own': EDITORS,
+    'budgets.delete.any': ['sales_manager', 'superadmin'],
+    'budgets.reprice': ['sales_manager', 'pricing_admin', 'superadmin'],
+    'team.view': ['sales_manager', 'superadmin'],
+    'pricing.view': EVERYONE,
+    'pricing.edit': ['pricing_admin', 'superadmin'],
+    'library.edit': ['sales_manager', 'pricing_admin', 'superadmin'],
+    'users.manage': ['superadmin'],
+    'email.manage': ['superadmin']
+  };
+
+  function normalizeRole(role) {
+    return ROLES.includes(role) ? role : DEFAULT_ROLE;
+  }
+
+  function getUserRole(user) {
+    return normalizeRole(user?.app_metadata?.role);
+  }
+
+  function roleCan(role, permission) {
+    return (PERMISSIONS[permission] || []).includes(normalizeRole(role));
+  }
+
+  function can(user, permission) {
+    return !!user && roleCan(getUserRole(user), permission);
+  }
+
+  function permissionsFor(role) {
+    return Object.keys(PERMISSIONS).filter(permission => roleCan(role, permission));
+  }
+
+  // Deleting is allowed for any budget with budgets.delete.any, otherwise only
+  // for budgets created by the same email address.
+  function canDeleteBudget(user, budget) {
+    if (can(user, 'budgets.delete.any')) return true;
+    if (!can(user, 'budgets.delete.own')) return false;
+    const owner = String(budget?.createdByEmail || '').toLowerCase();
+    return !!owner && owner === String(user.email || '').toLowerCase();
+  }
+
+  return {
+    DEFAULT_ROLE,
+    PERMISSIONS,
+    ROLES,
+    ROLE_LABELS,
+    can,
+    canDeleteBudget,
+    getUserRole,
+    normalizeRole,
+    permissionsFor,
+    roleCan
+  };
+});
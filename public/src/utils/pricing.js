@@ -1,7 +1,461 @@
-export function getSizeMultiplier(sqft, scaleFactor) {
-  if (scaleFactor === 0) return 1;
-  const effectiveSqft = Math.max(Number(sqft) || 0, 2500);
-  const baseline = 4000;
-  const ratio = effectiveSqft / baseline;
-  return 1 + (ratio - 1) * scaleFactor;
-}
+/**
+ * Shared budget pricing engine.
+ *
+ * server.js loads this with require(); index.html and admin.html load it as a
+ * classic script and read it from window.BudgetPricing. Every total the app
+ * shows or stores must come from calculateBudgetPricing so the browser and the
+ * server can never disagree about what a budget costs.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.BudgetPricing = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const TIER_KEYS = ['good', 'standard', 'better', 'best'];
+  const BASELINE_SQFT = 4000;
+  const MINIMUM_SQFT = 2500;
+  const DEFAULT_CATEGORY_SIZE_SCALE = 0.5;
+  const DEFAULT_TAX_RATE = 0.06;
+  const DEFAULT_TAX_LABEL = 'Sales Tax';
+  const MAX_TAX_RATE = 0.25;
+
+  const DEFAULT_CATEGORY_DEPENDENCIES = {
+    'lighting-designer': { categoryId: 'lighting-centralized', tierKeys: [] },
+    'invisible-speakers': { categoryId: 'audio', tierKeys: [] }
+  };
+
+  // ------------------------------------------------------------
+  // Size scaling
+  // ------------------------------------------------------------
+  function getSizeMultiplier(sqft, scaleFactor) {
+    // Baseline: 4000 sq ft = 1.0. Smaller homes are priced as 2500 sq ft.
+    // scaleFactor blends between a flat price (0) and full linear scaling (1).
+    if (scaleFactor === 0) return 1;
+    const effectiveSqft = Math.max(Number(sqft) || 0, MINIMUM_SQFT);
+    const ratio = effectiveSqft / BASELINE_SQFT;
+    return 1 + (ratio - 1) * (Number(scaleFactor) || 0);
+  }
+
+  function getScaledPrice(basePrice, sqft, scaleFactor) {
+    return Math.round((Number(basePrice) || 0) * getSizeMultiplier(sqft, scaleFactor) / 100) * 100;
+  }
+
+  // ------------------------------------------------------------
+  // Category dependencies
+  // ------------------------------------------------------------
+  function normalizeCategoryDependency(value) {
+    if (value === null || value === false) return null;
+    const raw = value && typeof value === 'object' ? value : {};
+    const categoryId = String(raw.categoryId || raw.category || raw.dependsOnCategoryId || '').trim();
+    if (!categoryId) return null;
+    const tierKeys = Array.isArray(raw.tierKeys)
+      ? raw.tierKeys
+      : (Array.isArray(raw.tiers) ? raw.tiers : []);
+    return {
+      categoryId,
+      tierKeys: tierKeys.filter(tierKey => TIER_KEYS.includes(tierKey))
+    };
+  }
+
+  function categoryDependencyFor(category) {
+    if (!category) return null;
+    if (Object.prototype.hasOwnProperty.call(category, 'dependsOn')) return normalizeCategoryDependency(category.dependsOn);
+    if (Object.prototype.hasOwnProperty.call(category, 'visibilityDependency')) return normalizeCategoryDependency(category.visibilityDependency);
+    return normalizeCategoryDependency(DEFAULT_CATEGORY_DEPENDENCIES[category.id]);
+  }
+
+  function isCategoryDependencySatisfied(category, selections = {}) {
+    const dependency = categoryDependencyFor(category);
+    if (!dependency) return true;
+    const selectedTier = selections?.[dependency.categoryId];
+    if (!selectedTier) return false;
+    return !dependency.tierKeys.length || dependency.tierKeys.includes(selectedTier);
+  }
+
+  // ------------------------------------------------------------
+  // Feature matrix add-ons
+  // ------------------------------------------------------------
+  function matrixCellStatus(value) {
+    return value && typeof value === 'object' ? value.status : value;
+  }
+
+  function matrixCellPrice(value) {
+    return value && typeof value === 'object' ? Math.max(0, Number(value.price) || 0) : 0;
+  }
+
+  function matrixCellScale(value) {
+    return value && typeof value === 'object' ? Math.max(0, Number(value.scale) || 0) : 0;
+  }
+
+  function matrixCellCalculatedPrice(value, sqft) {
+    const basePrice = matrixCellPrice(value);
+    if (basePrice <= 0) return 0;
+    return getScaledPrice(basePrice, sqft || BASELINE_SQFT, matrixCellScale(value));
+  }
+
+  function featureMatrixCell(feature, tierKey) {
+    return feature?.tierStatus?.[tierKey] || feature?.tiers?.[tierKey] || feature?.[tierKey] || 'not_included';
+  }
+
+  function getMatrixAddOnLines(category, tierKey, selectedForCategory = {}, sqft = BASELINE_SQFT) {
+    if (!category || !tierKey || !Array.isArray(category.featureMatrix)) return [];
+    const selectedForTier = selectedForCategory?.[tierKey] || {};
+    return category.featureMatrix.reduce((lines, feature, index) => {
+      const label = String(feature?.label || feature?.name || '').trim();
+      if (!label) return lines;
+      const id = String(feature.id || `feature-${index + 1}`);
+      if (!selectedForTier[id]) return lines;
+      const cell = featureMatrixCell(feature, tierKey);
+      if (matrixCellStatus(cell) !== 'addon') return lines;
+      const price = matrixCellCalculatedPrice(cell, sqft);
+      if (price > 0) lines.push({ id, label, price });
+      return lines;
+    }, []);
+  }
+
+  // ------------------------------------------------------------
+  // Unit prices
+  // ------------------------------------------------------------
+
+  /**
+   * Price of one tier at the given home size, or null when the tier is not
+   * offered. Tiers flagged fixedPrice (admin overrides, custom sections) are
+   * never size-scaled.
+   */
+  function getTierPrice(category, tierKey, sqft = BASELINE_SQFT) {
+    const tier = category?.tiers?.[tierKey];
+    if (!tier || tier.enabled === false) return null;
+    const basePrice = Number(tier.price) || 0;
+    if (tier.fixedPrice || category.fixedPrice) return basePrice;
+    if (category.baseTierNoScale && tierKey === 'good') return basePrice;
+    const scale = tier.sizeScale !== undefined ? tier.sizeScale : (category.sizeScale ?? DEFAULT_CATEGORY_SIZE_SCALE);
+    return getScaledPrice(basePrice, sqft, scale);
+  }
+
+  function getExtraPrice(extra, sqft = BASELINE_SQFT) {
+    if (!extra) return null;
+    const basePrice = Number(extra.price || extra.cost || 0);
+    if (extra.sizeScale !== undefined) return getScaledPrice(basePrice, sqft, extra.sizeScale);
+    return basePrice;
+  }
+
+  // ------------------------------------------------------------
+  // Budget customization
+  // ------------------------------------------------------------
+  function titleCaseTier(tierKey) {
+    return tierKey.charAt(0).toUpperCase() + tierKey.slice(1);
+  }
+
+  function orderedTierKeys(tiers) {
+    if (!tiers) return [];
+    const isEnabledTier = tierKey => tiers[tierKey] && tiers[tierKey].enabled !== false;
+    const known = TIER_KEYS.filter(isEnabledTier);
+    const unknown = Object.keys(tiers).filter(tierKey => !TIER_KEYS.includes(tierKey) && isEnabledTier(tierKey));
+    return [...known, ...unknown];
+  }
+
+  function slugifySectionId(value) {
+    const slug = String(value || 'other')
+      .toLowerCase()
+      .replace(/&/g, 'and')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '');
+    return slug || 'other';
+  }
+
+  /**
+   * Apply a budget's category_config overrides and custom sections to the
+   * template categories it snapshotted. Uncustomized budgets price straight
+   * from the snapshot.
+   */
+  function resolveBudgetCategories(baseCategories = [], options = {}) {
+    const categoryConfig = options.categoryConfig || null;
+    const customCategories = options.customCategories || [];
+    if (!options.isCustomized || !categoryConfig) return (baseCategories || []).slice();
+
+    const result = [];
+    (baseCategories || []).forEach(category => {
+      const override = categoryConfig[category.id];
+      if (override && override.hidden === true) return;
+
+      const resolved = JSON.parse(JSON.stringify(category));
+      resolved.tiers = resolved.tiers || {};
+      if (override?.section_id || override?.sectionId) {
+        resolved.section_id = override.section_id || override.sectionId;
+        resolved.sectionId = override.section_id || override.sectionId;
+      }
+      if (override?.section) resolved.section = override.section;
+      if (override?.name) resolved.name = override.name;
+      if (override?.sortOrder !== undefined) resolved.sortOrder = override.sortOrder;
+      if (override?.required !== undefined) resolved.required = override.required === true;
+      if (override?.taxable !== undefined) resolved.taxable = override.taxable !== false;
+      if (override?.presentationMode) resolved.presentationMode = override.presentationMode;
+      if (override?.featureMatrix) resolved.featureMatrix = override.featureMatrix;
+
+      Object.keys(override?.tiers || {}).forEach(tierKey => {
+        const tierOverride = override.tiers[tierKey] || {};
+        if (tierOverride.enabled === false) {
+          delete resolved.tiers[tierKey];
+          return;
+        }
+        if (!resolved.tiers[tierKey] && tierOverride.enabled === true) {
+          resolved.tiers[tierKey] = {
+            price: 0,
+            label: titleCaseTier(tierKey),
+            tag: titleCaseTier(tierKey),
+            features: [],
+            brands: '',
+            fixedPrice: true
+          };
+        }
+        const tier = resolved.tiers[tierKey];
+        if (!tier) return;
+        if (tierOverride.price !== undefined) {
+          tier.price = tierOverride.price;
+          tier.fixedPrice = true;
+        }
+        if (tierOverride.label) tier.label = tierOverride.label;
+        if (tierOverride.tag) tier.tag = tierOverride.tag;
+        if (tierOverride.features) tier.features = tierOverride.features;
+        if (tierOverride.brands !== undefined) tier.brands = tierOverride.brands;
+        if (tierOverride.sizeScale !== undefined) tier.sizeScale = tierOverride.sizeScale;
+      });
+
+      resolved.isCustomized = true;
+      result.push(resolved);
+    });
+
+    customCategories.forEach(custom => {
+      const tiers = {};
+      orderedTierKeys(custom.tiers).forEach(tierKey => {
+        const tier = custom.tiers[tierKey];
+        tiers[tierKey] = {
+          price: tier.price || 0,
+          label: tier.label || tierKey,
+          features: tier.features || [],
+          brands: tier.brands || ''
+        };
+      });
+      const sectionId = custom.section_id || custom.sectionId || slugifySectionId(custom.section || 'Custom');
+      result.push({
+        id: custom.id,
+        section_id: sectionId,
+        sectionId,
+        section: custom.section || 'Custom',
+        name: custom.name,
+        icon: custom.icon || '📦',
+        desc: custom.desc || '',
+        sizeScale: 0,
+        fixedPrice: true,
+        isCustomized: true,
+        sortOrder: custom.sortOrder,
+        required: custom.required === true,
+        ...(custom.dependsOn !== undefined ? { dependsOn: custom.dependsOn } : {}),
+        ...(custom.taxable === false ? { taxable: false } : {}),
+        presentationMode: custom.presentationMode,
+        featureMatrix: custom.featureMatrix,
+        tiers
+      });
+    });
+
+    return result;
+  }
+
+  function resolveBudgetExtras(baseExtras = [], options = {}) {
+    const extraConfig = options.extraConfig || null;
+    if (!options.isCustomized || !extraConfig) return (baseExtras || []).slice();
+    return (baseExtras || []).reduce((result, extra) => {
+      const override = extraConfig[extra.id];
+      if (override?.hidden === true) return result;
+      const resolved = { ...extra };
+      if (override?.price !== undefined) {
+        resolved.price = override.price;
+        resolved.sizeScale = 0;
+      }
+      if (override?.name) resolved.name = override.name;
+      if (override?.note) resolved.note = override.note;
+      if (override?.taxable !== undefined) resolved.taxable = override.taxable !== false;
+      result.push(resolved);
+      return result;
+    }, []);
+  }
+
+  // ------------------------------------------------------------
+  // Sales tax
+  // ------------------------------------------------------------
+  function normalizeTaxRate(rate, fallback = DEFAULT_TAX_RATE) {
+    const value = Number(rate);
+    if (rate === null || rate === undefined || rate === '' || !Number.isFinite(value)) return fallback;
+    return Math.min(Math.max(value, 0), MAX_TAX_RATE);
+  }
+
+  // Rates are stored as fractions (0.06); presets let admins pick a county rate per budget.
+  function normalizeTaxSettings(settings = {}) {
+    const presets = [];
+    (Array.isArray(settings?.presets) ? settings.presets : []).forEach(preset => {
+      const id = String(preset?.id || '').trim();
+      if (!id || presets.some(existing => existing.id === id)) return;
+      presets.push({
+        id,
+        label: String(preset.label || id).trim().slice(0, 100),
+        rate: normalizeTaxRate(preset.rate)
+      });
+    });
+    return {
+      rate: normalizeTaxRate(settings?.rate),
+      label: String(settings?.label || '').trim().slice(0, 100) || DEFAULT_TAX_LABEL,
+      presets
+    };
+  }
+
+  /**
+   * Resolve the tax a budget is quoted with. A budget override can point at a
+   * preset (presetId) or carry its own rate/label; anything else falls back to
+   * the global default.
+   */
+  function resolveBudgetTax(settings, override) {
+    const normalized = normalizeTaxSettings(settings);
+    const preset = override?.presetId
+      ? normalized.presets.find(item => item.id === override.presetId)
+      : null;
+    if (preset) return { rate: preset.rate, label: preset.label, presetId: preset.id };
+    if (override && override.rate !== undefined && override.rate !== null) {
+      return {
+        rate: normalizeTaxRate(override.rate, normalized.rate),
+        label: String(override.label || '').trim() || normalized.label,
+        presetId: null
+      };
+    }
+    return { rate: normalized.rate, label: normalized.label, presetId: null };
+  }
+
+  function formatTaxRate(rate) {
+    const percent = Math.round(normalizeTaxRate(rate) * 10000) / 100;
+    return `${percent}%`;
+  }
+
+  function isTaxable(item) {
+    return item?.taxable !== false;
+  }
+
+  // ------------------------------------------------------------
+  // Budget totals
+  // ------------------------------------------------------------
+
+  /**
+   * Price a budget state against already-resolved categories and extras.
+   * Returns the per-line breakdown along with subtotal, tax and total.
+   * Categories and extras flagged taxable:false are left out of the taxed
+   * amount; modifiers always adjust it.
+   */
+  function calculateBudgetPricing(state = {}, options = {}) {
+    const sqft = Number(options.sqft || state.homeSize || BASELINE_SQFT);
+    const taxRate = normalizeTaxRate(options.taxRate);
+    const taxLabel = options.taxLabel || DEFAULT_TAX_LABEL;
+    const selections = state.selections || {};
+    const categoryLines = [];
+
+    (options.categories || []).forEach(category => {
+      const tierKey = selections[category.id];
+      if (!tierKey) return;
+      if (!isCategoryDependencySatisfied(category, selections)) return;
+      const basePrice = getTierPrice(category, tierKey, sqft);
+      if (basePrice === null) return;
+      const tier = category.tiers[tierKey];
+      const addOns = getMatrixAddOnLines(category, tierKey, state.addOns?.[category.id], sqft);
+      const addOnTotal = addOns.reduce((sum, addOn) => sum + addOn.price, 0);
+      // Adjustments count only with their category, as the planner always showed
+      // them; the server used to add every catMods entry (see CHANGELOG).
+      const catMod = state.catMods?.[category.id];
+      const adjustmentAmount = Number(catMod?.amount) || 0;
+      categoryLines.push({
+        categoryId: category.id,
+        name: category.name || category.id,
+        icon: category.icon || '',
+        section: category.section || 'Other',
+        sectionId: category.section_id || category.sectionId || slugifySectionId(category.section),
+        tierKey,
+        tierLabel: tier.label || titleCaseTier(tierKey),
+        tierTag: tier.tag || titleCaseTier(tierKey),
+        features: tier.features || [],
+        brands: tier.brands || '',
+        basePrice,
+        addOns,
+        addOnTotal,
+        adjustment: adjustmentAmount !== 0 ? { name: catMod.name || 'Adjustment', amount: adjustmentAmount } : null,
+        taxable: isTaxable(category),
+        total: basePrice + addOnTotal + adjustmentAmount
+      });
+    });
+
+    const extraLines = [];
+    (options.extras || []).forEach(extra => {
+      if (!state.extras?.[extra.id]) return;
+      extraLines.push({
+        extraId: extra.id,
+        name: extra.name || extra.id,
+        note: extra.note || '',
+        taxable: isTaxable(extra),
+        price: getExtraPrice(extra, sqft) || 0
+      });
+    });
+
+    const modifierLines = (state.modifiers || [])
+      .map(modifier => ({ id: modifier?.id ?? null, name: modifier?.name || '', amount: Number(modifier?.amount) || 0 }))
+      .filter(modifier => modifier.amount !== 0);
+
+    const categoriesTotal = categoryLines.reduce((sum, line) => sum + line.total, 0);
+    const extrasTotal = extraLines.reduce((sum, line) => sum + line.price, 0);
+    const modifiersTotal = modifierLines.reduce((sum, line) => sum + line.amount, 0);
+    const subtotal = categoriesTotal + extrasTotal + modifiersTotal;
+    const taxableSubtotal = Math.max(0,
+      categoryLines.reduce((sum, line) => sum + (line.taxable ? line.total : 0), 0)
+      + extraLines.reduce((sum, line) => sum + (line.taxable ? line.price : 0), 0)
+      + modifiersTotal);
+    const tax = Math.round(taxableSubtotal * taxRate);
+
+    return {
+      sqft,
+      categories: categoryLines,
+      extras: extraLines,
+      modifiers: modifierLines,
+      categoriesTotal,
+      extrasTotal,
+      modifiersTotal,
+      subtotal,
+      taxableSubtotal,
+      taxRate,
+      taxLabel,
+      tax,
+      total: Math.round(subtotal + tax)
+    };
+  }
+
+  return {
+    BASELINE_SQFT,
+    DEFAULT_CATEGORY_DEPENDENCIES,
+    DEFAULT_TAX_LABEL,
+    DEFAULT_TAX_RATE,
+    TIER_KEYS,
+    calculateBudgetPricing,
+    categoryDependencyFor,
+    formatTaxRate,
+    getExtraPrice,
+    getMatrixAddOnLines,
+    getScaledPrice,
+    getSizeMultiplier,
+    getTierPrice,
+    isCategoryDependencySatisfied,
+    matrixCellCalculatedPrice,
+    matrixCellPrice,
+    matrixCellScale,
+    matrixCellStatus,
+    normalizeCategoryDependency,
+    normalizeTaxSettings,
+    orderedTierKeys,
+    resolveBudgetCategories,
+    resolveBudgetExtras,
+    resolveBudgetTax
+  };
+});
@@ -0,0 +1,123 @@
+/**
+ * Named scenarios inside one budget ("Base", "Upgraded", "Dream", ...).
+ *
+ * A scenario carries its own selection fields; everything else on the budget
+ * state (sqft, property type, client, builder) plus the budget's
+ * category_config and custom_categories is shared. The chosen scenario is
+ * mirrored onto the top-level state fields, so anything that only reads
+ * `current_state` — totals, the admin list, PDF and exports — sees the
+ * client's pick. index.html and server.js both load this file.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.BudgetScenarios = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const SCENARIO_FIELDS = ['selections', 'extras', 'modifiers', 'catMods', 'addOns'];
+  const MAX_SCENARIOS = 6;
+  const DEFAULT_SCENARIO_NAMES = ['Base', 'Upgraded', 'Dream'];
+
+  function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  }
+
+  function emptyFieldValue(field) {
+    return field === 'modifiers' ? [] : {};
+  }
+
+  function scenarioFields(source) {
+    const fields = {};
+    SCENARIO_FIELDS.forEach(field => {
+      fields[field] = clone(source?.[field] ?? emptyFieldValue(field));
+    });
+    return fields;
+  }
+
+  function hasScenarios(state) {
+    return Array.isArray(state?.scenarios) && state.scenarios.length > 0;
+  }
+
+  function chosenScenario(state) {
+    if (!hasScenarios(state)) return null;
+    return state.scenarios.find(scenario => scenario.id === state.chosenScenarioId) || state.scenarios[0];
+  }
+
+  function nextScenarioName(scenarios = []) {
+    const used = new Set(scenarios.map(scenario => scenario.name));
+    return DEFAULT_SCENARIO_NAMES.find(name => !used.has(name)) || `Option ${scenarios.length + 1}`;
+  }
+
+  function createScenarioId(scenarios = []) {
+    const used = new Set(scenarios.map(scenario => scenario.id));
+    let index = scenarios.length + 1;
+    while (used.has(`s${index}`)) index++;
+    return `s${index}`;
+  }
+
+  /**
+   * The full budget state for one scenario: shared fields from `state`,
+   * selection fields from the scenario. Price or render this like any budget.
+   */
+  function scenarioState(state, scenario) {
+    const { scenarios, chosenScenarioId, ...shared } = state || {};
+    return { ...shared, ...scenarioFields(scenario) };
+  }
+
+  /**
+   * Copy the top-level selection fields into the chosen scenario. Top-level
+   * wins, so server-side edits (customize, AI drafts) land on the chosen
+   * scenario without knowing about scenarios.
+   */
+  function syncChosenScenario(state) {
+    if (!hasScenarios(state)) {
+      const { scenarios, chosenScenarioId, ...rest } = state || {};
+      return rest;
+    }
+    const chosen = chosenScenario(state);
+    return {
+      ...state,
+      chosenScenarioId: chosen.id,
+      scenarios: state.scenarios.map(scenario => (
+        scenario.id === chosen.id ? { ...scenario, ...scenarioFields(state) } : scenario
+      ))
+    };
+  }
+
+  // Make `scenarioId` the chosen scenario and mirror its selections onto the top level.
+  function chooseScenario(state, scenarioId) {
+    const scenario = (state?.scenarios || []).find(item => item.id === scenarioId);
+    if (!scenario) return state;
+    return { ...state, ...scenarioFields(scenario), chosenScenarioId: scenario.id };
+  }
+
+  /**
+   * Sync the chosen scenario, then price every scenario with `priceState`
+   * (state => total). The returned state's `total` is the chosen scenario's.
+   */
+  function priceScenarios(state, priceState) {
+    const synced = syncChosenScenario(state);
+    if (!hasScenarios(synced)) return { ...synced, total: priceState(synced) };
+    const scenarios = synced.scenarios.map(scenario => ({
+      ...scenario,
+      total: priceState(scenarioState(synced, scenario))
+    }));
+    const chosen = scenarios.find(scenario => scenario.id === synced.chosenScenarioId);
+    return { ...synced, scenarios, total: chosen.total };
+  }
+
+  return {
+    DEFAULT_SCENARIO_NAMES,
+    MAX_SCENARIOS,
+    SCENARIO_FIELDS,
+    chooseScenario,
+    chosenScenario,
+    createScenarioId,
+    hasScenarios,
+    nextScenarioName,
+    priceScenarios,
+    scenarioFields,
+    scenarioState,
+    syncChosenScenario
+  };
+});
@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+// Plays the email provider against a local server: posts a delivery webhook
+// for one logged email, signed with RESEND_WEBHOOK_SECRET the way Resend signs
+// them, so the email log can be exercised without real mail.
+//
+//   node scripts/email-webhook-stub.js <provider email id> [event]
+//
+// event is delivered (default), delivery_delayed, bounced, complained, opened
+// or clicked. The server is APP_URL, or http://localhost:PORT.
+require('dotenv').config();
+
+const { signWebhookPayload } = require('../src/utils/email-delivery');
+
+const EVENTS = ['sent', 'delivered', 'delivery_delayed', 'bounced', 'complained', 'opened', 'clicked'];
+
+async function main() {
+  const [emailId, event = 'delivered'] = process.argv.slice(2);
+  const secret = process.env.RESEND_WEBHOOK_SECRET;
+  if (!emailId || !EVENTS.includes(event)) {
+    console.error(`Usage: node scripts/email-webhook-stub.js <provider email id> [${EVENTS.join('|')}]`);
+    process.exit(1);
+  }
+  if (!secret) {
+    console.error('Missing RESEND_WEBHOOK_SECRET');
+    process.exit(1);
+  }
+
+  const appUrl = process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`;
+  const payload = JSON.stringify({
+    type: `email.${event}`,
+    created_at: new Date().toISOString(),
+    data: {
+      email_id: emailId,
+      ...(event === 'bounced' ? { bounce: { message: 'Mailbox does not exist (stub)' } } : {})
+    }
+  });
+  const res = await fetch(`${appUrl}/api/webhooks/email`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...signWebhookPayload(secret, payload) },
+    body: payload
+  });
+  console.log(res.status, await res.text());
+  if (!res.ok) process.exit(1);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
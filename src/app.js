@@ -0,0 +1,160 @@
+// The Express app: security headers, CORS, logging, the API routers, static
+// files and the error handlers. Everything stateful comes in through
+// `services` (see src/services), so tests can build an app on stubs.
+const path = require('path');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const cors = require('cors');
+const helmet = require('helmet');
+const { z } = require('zod');
+const { createRateLimits } = require('./rate-limits');
+const { createCategoryRouter } = require('./routes/categories');
+const { createSectionLibraryRouter } = require('./routes/section-library');
+const { createAuthRouter } = require('./routes/auth');
+const { createBudgetRouter } = require('./routes/budgets');
+const { createAdminBudgetRouter } = require('./routes/admin-budgets');
+const { createAiRouter } = require('./routes/ai');
+const { createShortLinkRouter } = require('./routes/short-links');
+const { createEmailRouter } = require('./routes/email');
+
+const DEFAULT_PUBLIC_DIR = path.join(__dirname, '..', 'public');
+
+function createApp({ services, config }) {
+  const app = express();
+  const { storage } = services;
+  const publicDir = config.publicDir || DEFAULT_PUBLIC_DIR;
+  const context = {
+    services,
+    limits: createRateLimits(),
+    config: { ...config, publicDir }
+  };
+
+  // ============================================================
+  // CORS
+  // ============================================================
+  const allowedOrigins = new Set();
+  try {
+    allowedOrigins.add(new URL(config.appUrl).origin);
+  } catch (_) {}
+  app.disable('x-powered-by');
+  app.use(helmet({
+    // The current UI uses inline styles and event handlers. Apply the CSP
+    // directives that are safe today without silently breaking the app.
+    contentSecurityPolicy: {
+      useDefaults: false,
+      directives: {
+        defaultSrc: ["'self'"],
+        scriptSrc: ["'self'", "'unsafe-inline'"],
+        styleSrc: ["'self'", "'unsafe-inline'", 'https://fonts.googleapis.com'],
+        fontSrc: ["'self'", 'https://fonts.gstatic.com', 'data:'],
+        imgSrc: ["'self'", 'data:'],
+        connectSrc: ["'self'"],
+        baseUri: ["'self'"],
+        objectSrc: ["'none'"],
+        frameAncestors: ["'none'"],
+        formAction: ["'self'"]
+      }
+    },
+    crossOriginEmbedderPolicy: false
+  }));
+  app.use(cors({
+    origin(origin, callback) {
+      if (!origin || allowedOrigins.has(origin)) return callback(null, true);
+      return callback(null, false);
+    },
+    credentials: true
+  }));
+
+  // ============================================================
+  // REQUEST LOGGING
+  // ============================================================
+  app.use((req, res, next) => {
+    const timestamp = new Date().toISOString();
+    const start = Date.now();
+
+    res.on('finish', () => {
+      const duration = Date.now() - start;
+      console.log(`[${timestamp}] ${req.method} ${req.path} ${res.statusCode} ${duration}ms`);
+    });
+
+    next();
+  });
+
+  // ============================================================
+  // MIDDLEWARE
+  // ============================================================
+  app.set('trust proxy', 1);
+  app.use(express.json({
+    limit: '1mb',
+    // Webhook signatures are over the body exactly as sent.
+    verify(req, res, buf) {
+      if (req.originalUrl.startsWith('/api/webhooks/')) req.rawBody = buf;
+    }
+  }));
+  app.use(cookieParser());
+
+  // ============================================================
+  // ROUTES
+  // ============================================================
+  app.use(createCategoryRouter(context));
+  app.use(createSectionLibraryRouter(context));
+  app.use(createAuthRouter(context));
+  app.use(createBudgetRouter(context));
+  app.use(createAdminBudgetRouter(context));
+  app.use(createAiRouter(context));
+  app.use(createShortLinkRouter(context));
+  app.use(createEmailRouter(context));
+
+  // ============================================================
+  // STATIC FILES
+  // ============================================================
+  app.use(express.static(publicDir));
+
+  app.get('/admin', (req, res) => {
+    res.sendFile(path.join(publicDir, 'admin.html'));
+  });
+  app.get('/admin/*', (req, res) => {
+    res.sendFile(path.join(publicDir, 'admin.html'));
+  });
+
+  // ============================================================
+  // HEALTH CHECK
+  // ============================================================
+  app.get('/api/health', async (req, res) => {
+    try {
+      const database = await storage.budgets.ping().then(() => true, () => false);
+      res.json({
+        status: database ? 'ok' : 'degraded',
+        timestamp: new Date().toISOString(),
+        services: { database, storage: storage.backend, email: services.notifications.configured }
+      });
+    } catch (err) {
+      res.status(500).json({ status: 'error', message: 'Database error' });
+    }
+  });
+
+  // ============================================================
+  // ERROR HANDLERS
+  // ============================================================
+  app.use((err, req, res, next) => {
+    if (err instanceof z.ZodError) {
+      const issues = err.issues || err.errors || [];
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: issues.map(e => `${e.path.join('.')}: ${e.message}`)
+      });
+    }
+    console.error('Unhandled error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  });
+
+  app.use((req, res) => {
+    res.status(404).json({ error: 'Not found' });
+  });
+
+  return app;
+}
+
+module.exports = {
+  createApp
+};
@@ -0,0 +1,62 @@
+// A mailer that delivers nowhere: each message is written to `dir` as
+// <id>.json, newest ids sorting last. `outbox` reads them back for the admin
+// preview route.
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+const OUTBOX_LIST_LIMIT = 100;
+const OUTBOX_ID_PATTERN = /^outbox-\d+-[0-9a-f]+$/;
+
+function createOutboxTransport({ dir }) {
+  async function send(message) {
+    const id = `outbox-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    try {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(path.join(dir, `${id}.json`), JSON.stringify({ id, createdAt: new Date().toISOString(), ...message }, null, 2));
+      return { data: { id }, error: null };
+    } catch (err) {
+      return { data: null, error: { message: `Could not write to the outbox: ${err.message}` } };
+    }
+  }
+
+  async function find(id) {
+    if (!OUTBOX_ID_PATTERN.test(String(id))) return null;
+    try {
+      return JSON.parse(await fs.readFile(path.join(dir, `${id}.json`), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  // The newest messages first, without their bodies.
+  async function list(limit = OUTBOX_LIST_LIMIT) {
+    let files;
+    try {
+      files = await fs.readdir(dir);
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+    const ids = files
+      .filter(file => file.endsWith('.json'))
+      .map(file => file.slice(0, -5))
+      .filter(id => OUTBOX_ID_PATTERN.test(id))
+      .sort((a, b) => Number(b.split('-')[1]) - Number(a.split('-')[1]) || b.localeCompare(a))
+      .slice(0, limit);
+    const messages = await Promise.all(ids.map(find));
+    return messages.filter(Boolean).map(({ html, text, ...summary }) => summary);
+  }
+
+  return {
+    name: 'outbox',
+    configured: true,
+    emails: { send },
+    outbox: { find, list }
+  };
+}
+
+module.exports = {
+  createOutboxTransport
+};
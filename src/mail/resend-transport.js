@@ -0,0 +1,27 @@
+// Sending through Resend. The SDK already answers { data, error }; it only
+// needs reply_to under its own name.
+function createResendTransport({ apiKey }) {
+  if (!apiKey) {
+    return {
+      name: 'resend',
+      configured: false,
+      emails: {
+        send: async () => ({ data: null, error: { message: 'Email is not configured (RESEND_API_KEY is not set)' } })
+      }
+    };
+  }
+
+  const { Resend } = require('resend');
+  const resend = new Resend(apiKey);
+  return {
+    name: 'resend',
+    configured: true,
+    emails: {
+      send: ({ replyTo, ...message }) => resend.emails.send({ ...message, ...(replyTo ? { reply_to: replyTo } : {}) })
+    }
+  };
+}
+
+module.exports = {
+  createResendTransport
+};
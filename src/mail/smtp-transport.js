@@ -0,0 +1,26 @@
+// Sending through an SMTP server with nodemailer. `options` is an SMTP URL or
+// anything nodemailer.createTransport accepts. Errors from the server come back
+// as { error } the way Resend reports them.
+const nodemailer = require('nodemailer');
+
+function createSmtpTransport(options) {
+  const transporter = nodemailer.createTransport(options);
+  return {
+    name: 'smtp',
+    configured: true,
+    emails: {
+      async send(message) {
+        try {
+          const info = await transporter.sendMail(message);
+          return { data: { id: info.messageId }, error: null };
+        } catch (err) {
+          return { data: null, error: { message: err.message } };
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  createSmtpTransport
+};
@@ -0,0 +1,42 @@
+// Per-IP request limits, created per app so each instance counts on its own.
+const rateLimit = require('express-rate-limit');
+
+function createRateLimits() {
+  return {
+    auth: rateLimit({
+      windowMs: 5 * 60 * 1000,
+      max: 7,
+      message: { error: 'Too many attempts, please try again later' },
+      standardHeaders: true,
+      legacyHeaders: false
+    }),
+    api: rateLimit({
+      windowMs: 60 * 1000,
+      max: 60,
+      message: { error: 'Too many requests, please slow down' }
+    }),
+    publicRead: rateLimit({
+      windowMs: 60 * 1000,
+      max: 120,
+      message: { error: 'Too many requests, please slow down' },
+      standardHeaders: true,
+      legacyHeaders: false
+    }),
+    email: rateLimit({
+      windowMs: 60 * 60 * 1000,
+      max: 10,
+      message: { error: 'Email quota exceeded, please try again later' }
+    }),
+    ai: rateLimit({
+      windowMs: 60 * 60 * 1000,
+      max: 30,
+      message: { error: 'AI draft quota exceeded, please try again later' },
+      standardHeaders: true,
+      legacyHeaders: false
+    })
+  };
+}
+
+module.exports = {
+  createRateLimits
+};
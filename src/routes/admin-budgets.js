@@ -0,0 +1,821 @@
+// Admin budget routes (requireAuth): the budget list and export, comparisons,
+// re-pricing to the live catalog, CRM fields, customization, versions, the
+// email log, emailing a budget to its clients and duplicating or deleting
+// budgets. Changes need the permissions in public/src/utils/permissions.js.
+const express = require('express');
+const { z } = require('zod');
+const { schemas } = require('../schemas');
+const budgetExport = require('../utils/budget-export');
+const budgetApproval = require('../utils/budget-approval');
+const { compareBudgets } = require('../utils/budget-compare');
+const { periodStart, summarizeSalesAnalytics } = require('../utils/sales-analytics');
+const { summarizeTeamPipeline } = require('../utils/team-pipeline');
+const budgetList = require('../../public/src/utils/budget-list');
+const budgetSync = require('../../public/src/utils/budget-sync');
+const pricing = require('../../public/src/utils/pricing');
+const { can, canDeleteBudget } = require('../../public/src/utils/permissions');
+const {
+  budgetConflictBody,
+  defaultExpirationDate,
+  formatDateOnly,
+  isExpirationDatePast,
+  isStaleBudgetWrite,
+  preserveBudgetAccess,
+  sendBudgetWriteConflict
+} = require('../utils/budget-access');
+const {
+  BUDGET_TAX_CONFIG_KEY,
+  buildBlankBudgetSnapshot,
+  buildBudgetDefaultSnapshot,
+  deepClone,
+  getBudgetDefaultCategoriesFromConfig,
+  getBudgetDefaultExtrasFromConfig,
+  mergeCategoryConfigPayload,
+  mergeCustomCategoriesPayload,
+  normalizeCategoryConfigPayload,
+  normalizeCustomCategoriesPayload,
+  slugifySectionId
+} = require('../utils/category-defaults');
+const {
+  budgetPricingOptions,
+  calculateBudgetPricing,
+  preserveCategoryPricesAcrossChange,
+  preserveExtraPricesAcrossChange,
+  priceBudgetState,
+  resolveBudgetTaxFromConfig,
+  updateNonCustomCategoryPrices,
+  updateNonCustomExtraPrices
+} = require('../utils/budget-pricing');
+const { isOfficeTeamIp } = require('../utils/request');
+const { buildVersionMeta } = require('../utils/version-meta');
+const { approvalSummaryFromRow, budgetCustomization } = require('../services/budgets');
+const { summarizeBudgetReprices } = require('../services/price-changes');
+
+// Versions are priced with the budget's current catalog snapshot, the same way
+// restoring that version would price it.
+function budgetComparisonSide(budget, versionNum, defaults) {
+  const version = versionNum ? budget.versions.find(v => v.version === versionNum) : null;
+  if (versionNum && !version) return null;
+  const state = version ? version.state : (budget.currentState || {});
+  return {
+    info: {
+      budgetId: budget.id,
+      clientName: state.clientName || budget.clientName || '',
+      version: version ? version.version : null,
+      latestVersion: budget.versions.length ? budget.versions[budget.versions.length - 1].version : null,
+      timestamp: version ? version.timestamp : budget.lastModified,
+      note: version ? version.note || '' : '',
+      versions: budget.versions.map(v => ({ version: v.version, timestamp: v.timestamp, note: v.note || '', pinned: v.pinned }))
+    },
+    state,
+    breakdown: calculateBudgetPricing(state, defaults, budgetPricingOptions(budget, state)),
+    customCategories: budget.customCategories || []
+  };
+}
+
+// The list filters from a parsed listBudgets or exportBudgets query.
+function budgetListFilters(query) {
+  return {
+    search: query.search,
+    status: query.status,
+    owner: query.owner,
+    hideExpired: query.hideExpired === '1' || query.hideExpired === 'true',
+    sort: query.sort,
+    direction: query.direction
+  };
+}
+
+function createAdminBudgetRouter({ services, limits }) {
+  const { storage } = services;
+  const { requireAuth, requirePermission } = services.auth;
+  const requireBudgetEditor = requirePermission('budgets.edit');
+  const { loadCategoryDefaultsData } = services.categories;
+  const {
+    addVersion,
+    budgetEditUrl,
+    generateBudgetId,
+    listBudgetDirectory,
+    loadBudget,
+    loadSalesAnalyticsData,
+    recomputeLastClientActivity,
+    saveBudget,
+    searchBudgets,
+    updateBudgetRow
+  } = services.budgets;
+  const { findBudgetEmail, listBudgetEmails } = services.emailLog;
+  const { listBudgetShares, sendBudget } = services.budgetShares;
+  const { publishBudgetReload } = services.live;
+  const { loadOpenBudgets, repriceBudgetToDefaults } = services.priceChanges;
+  const router = express.Router();
+
+  // One page of the admin list: { budgets, total, page, pageSize, summary }.
+  router.get('/api/admin/budgets', requireAuth, async (req, res) => {
+    try {
+      const query = schemas.listBudgets.parse(req.query);
+      const { budgets, total, summary } = await searchBudgets({
+        ...budgetListFilters(query),
+        limit: query.pageSize,
+        offset: (query.page - 1) * query.pageSize
+      });
+      res.json({ budgets, total, page: query.page, pageSize: query.pageSize, summary });
+    } catch (err) {
+      if (err instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Invalid input', details: err.issues || err.errors });
+      }
+      console.error('List budgets error:', err);
+      res.status(500).json({ error: 'Failed to list budgets' });
+    }
+  });
+
+  // Every budget's id, names and owner, for budget pickers and the owner filter.
+  router.get('/api/admin/budgets/directory', requireAuth, async (req, res) => {
+    try {
+      res.json(await listBudgetDirectory());
+    } catch (err) {
+      console.error('Budget directory error:', err);
+      res.status(500).json({ error: 'Failed to list budgets' });
+    }
+  });
+
+  // Query params mirror the admin list filters so the export matches what is on screen.
+  router.get('/api/admin/budgets/export', requireAuth, async (req, res) => {
+    try {
+      const query = schemas.exportBudgets.parse(req.query);
+      const { budgets: rows } = await searchBudgets(budgetListFilters(query));
+      await budgetExport.sendExport(res, query.format, 'budgets', 'Budgets', budgetExport.BUDGET_LIST_COLUMNS, rows);
+    } catch (err) {
+      if (err instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Invalid input', details: err.issues || err.errors });
+      }
+      console.error('Export budgets error:', err);
+      if (res.headersSent) return res.end();
+      res.status(500).json({ error: 'Failed to export budgets' });
+    }
+  });
+
+  // Pipeline numbers per owner for the team dashboard.
+  router.get('/api/admin/budgets/team', requirePermission('team.view'), async (req, res) => {
+    try {
+      const now = new Date();
+      res.json({ generatedAt: now.toISOString(), ...summarizeTeamPipeline((await searchBudgets({ now })).budgets, { now }) });
+    } catch (err) {
+      console.error('Team pipeline error:', err);
+      res.status(500).json({ error: 'Failed to load team pipeline' });
+    }
+  });
+
+  // Engagement and conversion for the budgets created in the last `days` days.
+  router.get('/api/admin/budgets/analytics', requirePermission('team.view'), async (req, res) => {
+    try {
+      const { days } = schemas.salesAnalytics.parse(req.query);
+      const now = new Date();
+      const [data, defaults] = await Promise.all([
+        loadSalesAnalyticsData(periodStart(now, days).toISOString()),
+        loadCategoryDefaultsData().catch(() => null)
+      ]);
+      const categoryNames = {};
+      [...(defaults?.residential_categories || []), ...(defaults?.condo_categories || [])].forEach(category => {
+        categoryNames[category.id] = categoryNames[category.id] || category.name;
+      });
+      res.json({ generatedAt: now.toISOString(), ...summarizeSalesAnalytics({ ...data, categoryNames }, { now, days }) });
+    } catch (err) {
+      if (err instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Invalid input', details: err.issues || err.errors });
+      }
+      console.error('Sales analytics error:', err);
+      res.status(500).json({ error: 'Failed to load analytics' });
+    }
+  });
+
+  // Compare any two budgets, or two versions of one budget; omit a version for the current state.
+  router.get('/api/admin/budgets/compare', requireAuth, async (req, res) => {
+    try {
+      const query = schemas.compareBudgets.parse(req.query);
+      const leftBudget = await loadBudget(query.left);
+      const rightBudget = query.right === query.left ? leftBudget : await loadBudget(query.right);
+      if (!leftBudget || !rightBudget) return res.status(404).json({ error: 'Budget not found' });
+
+      const defaults = await loadCategoryDefaultsData();
+      const left = budgetComparisonSide(leftBudget, query.leftVersion, defaults);
+      const right = budgetComparisonSide(rightBudget, query.rightVersion, defaults);
+      if (!left || !right) return res.status(404).json({ error: 'Version not found' });
+
+      res.json({
+        left: left.info,
+        right: right.info,
+        comparison: compareBudgets(left, right)
+      });
+    } catch (err) {
+      if (err instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Invalid input', details: err.issues || err.errors });
+      }
+      console.error('GET /api/admin/budgets/compare error:', err);
+      res.status(500).json({ error: 'Failed to compare budgets' });
+    }
+  });
+
+  // Open budgets whose default snapshot no longer matches live pricing.
+  router.get('/api/admin/budgets/reprice', requireAuth, async (req, res) => {
+    try {
+      const defaults = await loadCategoryDefaultsData();
+      res.json(summarizeBudgetReprices(await loadOpenBudgets(), defaults, defaults));
+    } catch (err) {
+      console.error('GET /api/admin/budgets/reprice error:', err);
+      res.status(500).json({ error: 'Failed to compare budgets with current pricing' });
+    }
+  });
+
+  router.post('/api/admin/budgets/reprice', requirePermission('budgets.reprice'), async (req, res) => {
+    try {
+      const { budgetIds, note } = schemas.repriceBudgets.parse(req.body);
+      const defaults = await loadCategoryDefaultsData();
+      const versionNote = `Repriced to current pricing${note ? ` (${note})` : ''}`;
+      const meta = buildVersionMeta(req, req.user);
+      const repriced = [];
+      const skipped = [];
+      for (const budgetId of [...new Set(budgetIds)]) {
+        try {
+          const result = await repriceBudgetToDefaults(budgetId, defaults, defaults, {
+            note: versionNote,
+            meta,
+            includeCustomized: true
+          });
+          if (result) repriced.push(result);
+          else skipped.push({ id: budgetId, reason: 'Not open or already on current pricing' });
+        } catch (err) {
+          console.error(`Reprice budget ${budgetId} error:`, err);
+          skipped.push({ id: budgetId, reason: err.budgetConflict ? 'Changed by someone else while repricing' : 'Failed to update' });
+        }
+      }
+      res.json({
+        success: true,
+        repriced,
+        skipped,
+        totalDelta: repriced.reduce((sum, budget) => sum + budget.delta, 0)
+      });
+    } catch (err) {
+      if (err instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Invalid input', details: err.issues || err.errors });
+      }
+      console.error('POST /api/admin/budgets/reprice error:', err);
+      res.status(500).json({ error: 'Failed to reprice budgets' });
+    }
+  });
+
+  router.get('/api/admin/budgets/:id/export', requireAuth, async (req, res) => {
+    try {
+      const query = schemas.exportBudgetLineItems.parse(req.query);
+      const budget = await loadBudget(req.params.id);
+      if (!budget) return res.status(404).json({ error: 'Budget not found' });
+      const defaults = await loadCategoryDefaultsData();
+      const state = budget.currentState || {};
+      const breakdown = calculateBudgetPricing(state, defaults, budgetPricingOptions(budget, state));
+      const fileBase = `${slugifySectionId(budget.clientName || 'budget')}-${budget.id}-line-items`;
+      await budgetExport.sendExport(res, query.format, fileBase, 'Line Items', budgetExport.LINE_ITEM_COLUMNS, budgetExport.budgetLineItemRows(breakdown));
+    } catch (err) {
+      if (err instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Invalid input', details: err.issues || err.errors });
+      }
+      console.error('Export budget line items error:', err);
+      if (res.headersSent) return res.end();
+      res.status(500).json({ error: 'Failed to export budget line items' });
+    }
+  });
+
+  router.get('/api/admin/budgets/:id', requireAuth, async (req, res) => {
+    const budget = await loadBudget(req.params.id);
+    if (!budget) return res.status(404).json({ error: 'Budget not found' });
+    res.json(budget);
+  });
+
+  // Audit certificate for one client approval, re-verified against the stored and live state.
+  router.get('/api/admin/budgets/:id/approvals/:approvalId', requireAuth, async (req, res) => {
+    try {
+      const { approvalId } = schemas.budgetApprovalParams.parse(req.params);
+      const row = await storage.approvals.find(req.params.id, approvalId);
+      if (!row) return res.status(404).json({ error: 'Approval not found' });
+
+      const budget = await loadBudget(req.params.id);
+      const approval = {
+        ...approvalSummaryFromRow(row),
+        budgetId: row.budget_id,
+        ipAddress: row.ip_address || null,
+        userAgent: row.user_agent || null,
+        lineItems: row.line_items || [],
+        state: row.state
+      };
+      res.json({
+        approval,
+        budget: budget ? { id: budget.id, clientName: budget.clientName, builder: budget.builder, status: budget.status } : null,
+        verification: budgetApproval.verifyApproval(approval, budget?.currentState || {})
+      });
+    } catch (err) {
+      if (err instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Invalid input', details: err.issues || err.errors });
+      }
+      console.error('GET /api/admin/budgets/:id/approvals/:approvalId error:', err);
+      res.status(500).json({ error: 'Failed to load approval' });
+    }
+  });
+
+  // Every email logged for the budget, newest first: proposals and owner notifications.
+  router.get('/api/admin/budgets/:id/emails', requireAuth, async (req, res) => {
+    res.json({ emails: await listBudgetEmails(req.params.id) });
+  });
+
+  // One logged email with the HTML exactly as it was sent.
+  router.get('/api/admin/budgets/:id/emails/:emailId', requireAuth, async (req, res) => {
+    try {
+      const { emailId } = schemas.budgetEmailParams.parse(req.params);
+      const email = await findBudgetEmail(req.params.id, emailId);
+      if (!email) return res.status(404).json({ error: 'Email not found' });
+      res.json(email);
+    } catch (err) {
+      if (err instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Invalid input', details: err.issues || err.errors });
+      }
+      console.error('GET /api/admin/budgets/:id/emails/:emailId error:', err);
+      res.status(500).json({ error: 'Failed to load email' });
+    }
+  });
+
+  // Email the budget, priced on the server from the stored state (or `version`),
+  // with an edit or read-only link: one copy per To, CC and BCC address.
+  // `failed` lists the addresses that could not be sent to when others were.
+  router.post('/api/admin/budgets/:id/send', limits.email, requireBudgetEditor, async (req, res) => {
+    try {
+      const data = schemas.sendBudget.parse(req.body);
+      const budget = await loadBudget(req.params.id);
+      if (!budget) return res.status(404).json({ error: 'Budget not found' });
+      const version = data.version ? budget.versions.find(v => v.version === data.version) : null;
+      if (data.version && !version) return res.status(404).json({ error: 'Version not found' });
+      // The link always opens the budget as it is now, so an older version goes
+      // out only while it is the same budget; otherwise the email and the link
+      // would show different totals.
+      if (version && budgetApproval.approvalStateHash(version.state) !== budgetApproval.approvalStateHash(budget.currentState || {})) {
+        return res.status(409).json({ error: `Version ${version.version} is not the current budget, which is what the link opens. Restore it first, or send the current budget.` });
+      }
+      if (budget.isExpired) {
+        return res.status(409).json({ error: 'This budget link has expired. Extend it before sending.', expired: true });
+      }
+
+      const result = await sendBudget(budget, data, { sender: req.user, versionMeta: buildVersionMeta(req, req.user) });
+      if (result.error) {
+        console.error('Send budget email error:', result.error);
+        return res.status(500).json({ error: 'Failed to send email', details: result.error.message });
+      }
+      res.json({ success: true, version: result.version, url: result.url, share: result.share, failed: result.failed });
+    } catch (err) {
+      if (err instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Invalid input', details: err.issues || err.errors });
+      }
+      console.error('POST /api/admin/budgets/:id/send error:', err);
+      res.status(500).json({ error: 'Failed to send email' });
+    }
+  });
+
+  // Who each proposal sent from the budget went to, newest first.
+  router.get('/api/admin/budgets/:id/shares', requireAuth, async (req, res) => {
+    res.json({ shares: await listBudgetShares(req.params.id) });
+  });
+
+  router.post('/api/admin/budgets/:id/edit-link', requireBudgetEditor, async (req, res) => {
+    const budget = await loadBudget(req.params.id);
+    if (!budget) return res.status(404).json({ error: 'Budget not found' });
+    res.json({ success: true, url: budgetEditUrl(req.params.id) });
+  });
+
+  // Reclassify a single view as internal (team) or external (client)
+  router.patch('/api/admin/budgets/:id/views/:viewId', requireBudgetEditor, async (req, res) => {
+    try {
+      const existingView = await storage.views.find(req.params.id, req.params.viewId, 'ip_address');
+      if (!existingView) return res.status(404).json({ error: 'View not found' });
+
+      const isInternal = !!req.body.isInternal || isOfficeTeamIp(existingView.ip_address);
+      await storage.views.update(req.params.id, req.params.viewId, { is_internal: isInternal });
+      const lastClientActivity = await recomputeLastClientActivity(req.params.id);
+      res.json({ success: true, isInternal, lastClientActivity });
+    } catch (err) {
+      console.error('Reclassify view error:', err);
+      res.status(500).json({ error: 'Failed to reclassify view' });
+    }
+  });
+
+  // Update budget CRM metadata (status, notes, follow-up date)
+  router.patch('/api/admin/budgets/:id/meta', requireBudgetEditor, async (req, res) => {
+    try {
+      const allowedStatus = ['active','won','lost'];
+      const update = {};
+      // Loaded only when the state changes, which goes through updateBudgetRow.
+      let budget = null;
+      if (req.body.status !== undefined) {
+        if (!allowedStatus.includes(req.body.status)) {
+          return res.status(400).json({ error: 'Invalid status' });
+        }
+        update.status = req.body.status;
+        const current = await storage.budgets.find(req.params.id, 'status');
+        if (!current) return res.status(404).json({ error: 'Budget not found' });
+        if (budgetList.normalizeBudgetStatus(current.status) !== req.body.status) {
+          update.closed_at = req.body.status === 'active' ? null : new Date().toISOString();
+        }
+        if (req.body.status === 'lost') {
+          budget = await loadBudget(req.params.id);
+          if (!budget) return res.status(404).json({ error: 'Budget not found' });
+          const state = { ...(budget.currentState || {}) };
+          state.expiredAt = state.expiredAt || new Date().toISOString();
+          if (!state.expiresAt) state.expiresAt = formatDateOnly(new Date());
+          update.current_state = state;
+          update.modified_at = new Date().toISOString();
+        }
+      }
+      if (req.body.notes !== undefined) update.notes = String(req.body.notes || '').slice(0, 5000);
+      if (req.body.followUpDate !== undefined) {
+        update.follow_up_date = req.body.followUpDate || null;
+      }
+      if (req.body.expiresAt !== undefined || req.body.expireNow !== undefined || req.body.clearExpired !== undefined) {
+        budget = budget || await loadBudget(req.params.id);
+        if (!budget) return res.status(404).json({ error: 'Budget not found' });
+        const state = { ...(update.current_state || budget.currentState || {}) };
+
+        if (req.body.expiresAt !== undefined) {
+          const expiresAt = req.body.expiresAt || null;
+          if (expiresAt && !/^\d{4}-\d{2}-\d{2}$/.test(expiresAt)) {
+            return res.status(400).json({ error: 'Invalid expiration date' });
+          }
+          state.expiresAt = expiresAt;
+          if (expiresAt && !isExpirationDatePast(expiresAt)) state.expiredAt = null;
+        }
+
+        if (req.body.expireNow === true) {
+          state.expiredAt = new Date().toISOString();
+          if (!state.expiresAt) state.expiresAt = formatDateOnly(new Date());
+        }
+
+        if (req.body.clearExpired === true) {
+          state.expiredAt = null;
+          if (!state.expiresAt || state.expiresAt <= formatDateOnly(new Date()) || isExpirationDatePast(state.expiresAt)) {
+            state.expiresAt = defaultExpirationDate();
+          }
+        }
+
+        update.current_state = state;
+        update.modified_at = new Date().toISOString();
+      }
+      if (Object.keys(update).length === 0) return res.json({ success: true });
+      if (update.current_state) {
+        await updateBudgetRow(budget, update, 'updateBudgetMeta');
+      } else {
+        await storage.budgets.update(req.params.id, update);
+      }
+      const updatedBudget = await loadBudget(req.params.id);
+      if (update.status !== undefined || update.current_state) publishBudgetReload(req.params.id, 'meta', updatedBudget?.revision);
+      res.json({ success: true, budget: updatedBudget });
+    } catch (err) {
+      if (err.budgetConflict) return sendBudgetWriteConflict(res, err);
+      console.error('Update meta error:', err);
+      res.status(500).json({ error: 'Failed to update budget meta' });
+    }
+  });
+
+  // Update project details that affect the live budget state.
+  router.patch('/api/admin/budgets/:id/project', requireBudgetEditor, async (req, res) => {
+    try {
+      const data = schemas.updateBudgetProject.parse(req.body);
+      const budget = await loadBudget(req.params.id);
+      if (!budget) return res.status(404).json({ error: 'Budget not found' });
+
+      const state = { ...(budget.currentState || {}) };
+      const oldSqft = Number(budget.sqftLocked || state.homeSize || 4000);
+      const oldPropertyType = budget.propertyTypeLocked || state.propertyType || 'residential';
+      const newSqft = data.homeSize !== undefined ? data.homeSize : oldSqft;
+      const newPropertyType = data.propertyType || oldPropertyType;
+      const oldClientName = budget.clientName || state.clientName || null;
+      const oldBuilder = budget.builder || state.builder || null;
+      const oldCreatedByEmail = budget.createdByEmail || null;
+      const clientName = data.clientName !== undefined ? (String(data.clientName || '').trim() || null) : oldClientName;
+      const builder = data.builder !== undefined ? (String(data.builder || '').trim() || null) : oldBuilder;
+      const createdByEmail = data.createdByEmail !== undefined ? (String(data.createdByEmail || '').trim() || null) : (budget.createdByEmail || null);
+      const pricingChanged = newSqft !== oldSqft || newPropertyType !== oldPropertyType;
+      const ownerChanged = createdByEmail !== oldCreatedByEmail;
+
+      if (pricingChanged && !data.pricingMode) {
+        return res.status(400).json({ error: 'pricingMode is required when sqft or property type changes' });
+      }
+
+      const defaults = await loadCategoryDefaultsData();
+      const oldTaxOverride = budget.categoryConfig?.[BUDGET_TAX_CONFIG_KEY] || null;
+      let taxOverride = oldTaxOverride;
+      if (data.tax !== undefined) {
+        taxOverride = null;
+        if (data.tax?.presetId) {
+          if (!defaults.tax_settings.presets.some(preset => preset.id === data.tax.presetId)) {
+            return res.status(400).json({ error: 'Unknown tax preset' });
+          }
+          taxOverride = { presetId: data.tax.presetId };
+        } else if (data.tax && data.tax.rate !== undefined && data.tax.rate !== null) {
+          taxOverride = { rate: data.tax.rate, label: String(data.tax.label || '').trim() || null };
+        }
+      }
+      const taxChanged = JSON.stringify(taxOverride) !== JSON.stringify(oldTaxOverride);
+      const projectStateChanged = clientName !== oldClientName || builder !== oldBuilder || pricingChanged || taxChanged;
+
+      let isCustomized = budget.isCustomized;
+      let sqftLocked = budget.sqftLocked;
+      let propertyTypeLocked = budget.propertyTypeLocked;
+      let categoryConfig = budget.categoryConfig || null;
+      const customCategories = budget.customCategories || null;
+
+      if (pricingChanged) {
+        const oldCategories = getBudgetDefaultCategoriesFromConfig(categoryConfig || {}, defaults, oldPropertyType);
+        const newCategories = getBudgetDefaultCategoriesFromConfig(categoryConfig || {}, defaults, newPropertyType);
+        const oldExtras = getBudgetDefaultExtrasFromConfig(categoryConfig || {}, defaults, oldPropertyType);
+        const newExtras = getBudgetDefaultExtrasFromConfig(categoryConfig || {}, defaults, newPropertyType);
+
+        if (data.pricingMode === 'preserve') {
+          categoryConfig = preserveCategoryPricesAcrossChange(categoryConfig || {}, oldCategories, newCategories, oldSqft, newSqft);
+          categoryConfig.__extras = preserveExtraPricesAcrossChange((budget.categoryConfig || {}).__extras || {}, oldExtras, newExtras, oldSqft, newSqft);
+          isCustomized = true;
+          sqftLocked = newSqft;
+          propertyTypeLocked = newPropertyType;
+        } else if (isCustomized) {
+          categoryConfig = updateNonCustomCategoryPrices(categoryConfig || {}, oldCategories, newCategories, oldSqft, newSqft);
+          if ((budget.categoryConfig || {}).__extras) {
+            categoryConfig.__extras = updateNonCustomExtraPrices((budget.categoryConfig || {}).__extras || {}, oldExtras, newExtras, oldSqft, newSqft);
+          }
+          sqftLocked = newSqft;
+          propertyTypeLocked = newPropertyType;
+        } else {
+          sqftLocked = null;
+          propertyTypeLocked = null;
+        }
+      }
+
+      if (taxChanged) {
+        categoryConfig = { ...(categoryConfig || {}) };
+        if (taxOverride) categoryConfig[BUDGET_TAX_CONFIG_KEY] = taxOverride;
+        else delete categoryConfig[BUDGET_TAX_CONFIG_KEY];
+      }
+
+      state.clientName = clientName;
+      state.builder = builder;
+      state.homeSize = newSqft;
+      state.propertyType = newPropertyType;
+      priceBudgetState(state, defaults, {
+        sqft: newSqft,
+        propertyType: newPropertyType,
+        isCustomized,
+        categoryConfig,
+        customCategories
+      });
+
+      const conflictChanges = current => budgetSync.compareStates(state, current.currentState);
+      if (isStaleBudgetWrite(req, budget)) {
+        return res.status(409).json(budgetConflictBody(budget, conflictChanges(budget)));
+      }
+
+      const update = {
+        client_name: clientName,
+        builder,
+        created_by_email: createdByEmail,
+        current_state: state,
+        is_customized: isCustomized,
+        sqft_locked: sqftLocked || null,
+        property_type_locked: propertyTypeLocked || null,
+        category_config: categoryConfig,
+        custom_categories: customCategories
+      };
+
+      const { revision } = await updateBudgetRow(budget, update, 'updateBudgetProject', conflictChanges);
+
+      if (projectStateChanged) {
+        const versionNum = (budget.versions?.length || 0) + 1;
+        const notes = [];
+        if (pricingChanged) notes.push(data.pricingMode === 'preserve' ? 'pricing preserved' : 'standard pricing recalculated');
+        if (taxChanged) {
+          const tax = resolveBudgetTaxFromConfig(categoryConfig, defaults);
+          notes.push(`tax set to ${tax.label} ${pricing.formatTaxRate(tax.rate)}`);
+        }
+        const note = notes.length
+          ? `Admin updated project details (${notes.join('; ')})`
+          : 'Admin updated project details';
+        await addVersion(req.params.id, versionNum, state, note, true, buildVersionMeta(req, req.user));
+      } else if (ownerChanged) {
+        console.log(`Admin updated budget owner for ${req.params.id}: ${createdByEmail || 'none'}`);
+      }
+
+      const updatedBudget = await loadBudget(req.params.id);
+      publishBudgetReload(req.params.id, 'project', revision);
+      res.json({ success: true, budget: updatedBudget });
+    } catch (err) {
+      if (err instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Invalid input', details: err.issues || err.errors });
+      }
+      if (err.budgetConflict) return sendBudgetWriteConflict(res, err);
+      console.error('Update project details error:', err);
+      res.status(500).json({ error: 'Failed to update project details' });
+    }
+  });
+
+  router.post('/api/admin/budgets/:id/restore/:version', requireBudgetEditor, async (req, res) => {
+    try {
+      const budget = await loadBudget(req.params.id);
+      if (!budget) return res.status(404).json({ error: 'Budget not found' });
+      
+      const versionNum = parseInt(req.params.version);
+      const targetVersion = budget.versions.find(v => v.version === versionNum);
+      if (!targetVersion) return res.status(404).json({ error: 'Version not found' });
+      
+      const restoredState = preserveBudgetAccess(targetVersion.state, budget.currentState || {});
+      const conflictChanges = current => budgetSync.compareStates(restoredState, current.currentState);
+      if (isStaleBudgetWrite(req, budget)) {
+        return res.status(409).json(budgetConflictBody(budget, conflictChanges(budget)));
+      }
+
+      const { revision } = await updateBudgetRow(budget, { current_state: restoredState }, 'restoreBudget', conflictChanges);
+      const newVersionNum = budget.versions.length + 1;
+      await addVersion(req.params.id, newVersionNum, restoredState, `Restored to version ${versionNum}`, true, buildVersionMeta(req, req.user));
+      
+      publishBudgetReload(req.params.id, 'restore', revision);
+      res.json({ success: true, newVersion: newVersionNum, revision });
+      
+    } catch (err) {
+      if (err.budgetConflict) return sendBudgetWriteConflict(res, err);
+      console.error('Restore error:', err);
+      res.status(500).json({ error: 'Failed to restore version' });
+    }
+  });
+
+  router.delete('/api/admin/budgets/:id', requirePermission('budgets.delete.own'), async (req, res) => {
+    try {
+      const id = req.params.id;
+      if (!can(req.user, 'budgets.delete.any')) {
+        const row = await storage.budgets.find(id, 'created_by_email');
+        if (!row) return res.status(404).json({ error: 'Budget not found' });
+        if (!canDeleteBudget(req.user, { createdByEmail: row.created_by_email })) {
+          return res.status(403).json({ error: 'You can only delete budgets you created' });
+        }
+      }
+      const removed = await storage.budgets.remove(id);
+      if (!removed) return res.status(404).json({ error: 'Budget not found' });
+      publishBudgetReload(id, 'deleted');
+      res.json({ success: true });
+    } catch (err) {
+      console.error('Delete budget error:', err);
+      res.status(500).json({ error: 'Failed to delete budget' });
+    }
+  });
+
+  router.post('/api/admin/budgets', requireBudgetEditor, async (req, res) => {
+    try {
+      const { clientName, builder, homeSize, propertyType, budgetType } = schemas.createAdminBudget.parse(req.body);
+      
+      const id = await generateBudgetId();
+
+      const isBlankCustom = budgetType === 'blank_custom';
+      
+      const state = {
+        selections: {}, extras: {}, modifiers: [], catMods: {},
+        homeSize: parseInt(homeSize), propertyType,
+        clientName: clientName || null, total: 0,
+        expiresAt: defaultExpirationDate(),
+        expiredAt: null
+      };
+      const defaults = await loadCategoryDefaultsData();
+      
+      const budget = {
+        id,
+        clientName: clientName || null,
+        builder: builder || null,
+        currentState: state,
+        isCustomized: isBlankCustom,
+        sqftLocked: isBlankCustom ? homeSize : null,
+        propertyTypeLocked: isBlankCustom ? propertyType : null,
+        categoryConfig: isBlankCustom ? buildBlankBudgetSnapshot() : buildBudgetDefaultSnapshot(defaults),
+        customCategories: isBlankCustom ? [] : null
+      };
+      await saveBudget(budget);
+      await addVersion(
+        id,
+        1,
+        state,
+        isBlankCustom ? 'Initial blank custom budget' : 'Initial template budget',
+        true,
+        buildVersionMeta(req, req.user)
+      );
+      
+      res.json({ success: true, id, url: budgetEditUrl(id) });
+      
+    } catch (err) {
+      if (err instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Invalid budget details', details: err.issues || err.errors });
+      }
+      console.error('Create admin budget error:', err);
+      res.status(500).json({ error: 'Failed to create budget' });
+    }
+  });
+
+  router.post('/api/admin/budgets/:id/clone', requireBudgetEditor, async (req, res) => {
+    try {
+      const data = schemas.cloneBudget.parse(req.body || {});
+      const source = await loadBudget(req.params.id);
+      if (!source) return res.status(404).json({ error: 'Budget not found' });
+
+      const id = await generateBudgetId();
+
+      const state = deepClone(source.currentState || {});
+      const clientName = data.clientName !== undefined
+        ? (data.clientName || null)
+        : `${source.clientName || state.clientName || 'Unnamed Budget'} Copy`;
+      state.clientName = clientName;
+      state.expiresAt = defaultExpirationDate();
+      state.expiredAt = null;
+
+      const budget = {
+        id,
+        clientName,
+        builder: source.builder || state.builder || null,
+        currentState: state,
+        isCustomized: source.isCustomized,
+        sqftLocked: source.sqftLocked || null,
+        propertyTypeLocked: source.propertyTypeLocked || null,
+        categoryConfig: normalizeCategoryConfigPayload(deepClone(source.categoryConfig || null)),
+        customCategories: source.customCategories ? normalizeCustomCategoriesPayload(source.customCategories) : null,
+        createdByEmail: req.user.email
+      };
+
+      await saveBudget(budget);
+      await addVersion(id, 1, state, `Cloned from ${source.clientName || source.id}`, true, buildVersionMeta(req, req.user));
+
+      const cloned = await loadBudget(id);
+      res.json({ success: true, id, url: budgetEditUrl(id), budget: cloned });
+    } catch (err) {
+      if (err instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Invalid input', details: err.issues || err.errors });
+      }
+      console.error('Clone budget error:', err);
+      res.status(500).json({ error: 'Failed to clone budget' });
+    }
+  });
+
+  router.put('/api/admin/budgets/:id/customize', requireBudgetEditor, async (req, res) => {
+    try {
+      const data = schemas.customizeBudget.parse(req.body);
+      const budget = await loadBudget(req.params.id);
+      if (!budget) return res.status(404).json({ error: 'Budget not found' });
+      
+      const now = new Date().toISOString();
+      const currentState = budget.currentState || budget.versions[budget.versions.length - 1]?.state || {};
+      const sqftLocked = budget.currentState?.homeSize || budget.versions[0]?.state?.homeSize;
+      const propertyTypeLocked = budget.currentState?.propertyType || budget.versions[0]?.state?.propertyType;
+      const defaults = await loadCategoryDefaultsData();
+      const baseCategoryConfig = normalizeCategoryConfigPayload({
+        ...buildBudgetDefaultSnapshot(defaults),
+        ...(budget.categoryConfig || {})
+      });
+      const categoryConfig = mergeCategoryConfigPayload(baseCategoryConfig, data.categoryConfig);
+      const customCategories = mergeCustomCategoriesPayload(budget.customCategories || [], data.customCategories);
+      const conflictChanges = current => budgetSync.compareStates({ categoryConfig, customCategories }, budgetCustomization(current, defaults));
+      if (isStaleBudgetWrite(req, budget)) {
+        return res.status(409).json(budgetConflictBody(budget, conflictChanges(budget)));
+      }
+      priceBudgetState(currentState, defaults, {
+        sqft: sqftLocked,
+        propertyType: propertyTypeLocked,
+        isCustomized: true,
+        categoryConfig,
+        customCategories
+      });
+      
+      const { revision } = await updateBudgetRow(budget, {
+        is_customized: true,
+        customized_at: now,
+        sqft_locked: sqftLocked,
+        property_type_locked: propertyTypeLocked,
+        current_state: currentState,
+        category_config: categoryConfig,
+        custom_categories: customCategories.length ? customCategories : null,
+        modified_at: now
+      }, 'customizeBudget', conflictChanges);
+
+      const nextVersionNum = (budget.versions?.length || 0) + 1;
+      await addVersion(req.params.id, nextVersionNum, currentState, 'Customization applied', true, buildVersionMeta(req, req.user));
+
+      publishBudgetReload(req.params.id, 'customize', revision);
+      res.json({ success: true, message: 'Budget customized successfully', newVersion: nextVersionNum, revision });
+      
+    } catch (err) {
+      if (err instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Invalid input', details: err.issues || err.errors });
+      }
+      if (err.budgetConflict) return sendBudgetWriteConflict(res, err);
+      console.error('Customize budget error:', err);
+      res.status(500).json({ error: 'Failed to customize budget' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createAdminBudgetRouter
+};
@@ -0,0 +1,226 @@
+// AI budget drafts (requireAuth). A draft is only a proposal: the admin
+// reviews it before apply-ai-draft writes it to the budget, and the write can
+// be undone until the budget changes again.
+const express = require('express');
+const { z } = require('zod');
+const { schemas } = require('../schemas');
+const { normalizeAiDraft } = require('../utils/budget-ai');
+const budgetSync = require('../../public/src/utils/budget-sync');
+const {
+  budgetConflictBody,
+  isStaleBudgetWrite,
+  preserveBudgetAccess,
+  sendBudgetWriteConflict
+} = require('../utils/budget-access');
+const {
+  getBudgetDefaultCategoriesFromConfig,
+  normalizeCategoryConfigPayload,
+  normalizeCustomCategoriesPayload
+} = require('../utils/category-defaults');
+const { priceBudgetState } = require('../utils/budget-pricing');
+const { buildVersionMeta } = require('../utils/version-meta');
+const { budgetCustomization } = require('../services/budgets');
+const { aiBudgetUndoIsCurrent, buildAiDraftCustomization } = require('../services/ai');
+
+function createAiRouter({ services, limits }) {
+  const { storage, ai } = services;
+  const { requireAuth, requirePermission } = services.auth;
+  const requireBudgetEditor = requirePermission('budgets.edit');
+  const { loadCategoryDefaultsData } = services.categories;
+  const { addVersion, loadBudget, updateBudgetRow } = services.budgets;
+  const { loadSectionLibraryData } = services.sectionLibrary;
+  const { publishBudgetReload } = services.live;
+  const router = express.Router();
+
+  // ============================================================
+  router.get('/api/admin/ai/status', requireAuth, (req, res) => {
+    res.json({ configured: ai.configured, model: ai.model });
+  });
+
+  router.get('/api/admin/budgets/:id/ai-draft-undo', requireAuth, async (req, res) => {
+    try {
+      const budget = await loadBudget(req.params.id);
+      if (!budget) return res.status(404).json({ error: 'Budget not found' });
+      const undo = await ai.loadAiBudgetUndo(req.params.id);
+      res.json({
+        available: aiBudgetUndoIsCurrent(undo, budget),
+        appliedAt: undo?.applied_at || null
+      });
+    } catch (err) {
+      console.error('AI draft undo status error:', err);
+      res.status(500).json({ error: 'Failed to check AI undo status' });
+    }
+  });
+
+  router.post('/api/admin/budgets/:id/undo-ai-draft', requireBudgetEditor, async (req, res) => {
+    try {
+      const budget = await loadBudget(req.params.id);
+      if (!budget) return res.status(404).json({ error: 'Budget not found' });
+      const undo = await ai.loadAiBudgetUndo(req.params.id);
+      if (!undo || !aiBudgetUndoIsCurrent(undo, budget)) {
+        return res.status(409).json({ error: 'Undo is no longer available because the budget changed after the AI draft was applied.' });
+      }
+      const snapshot = undo.snapshot || {};
+      if (!snapshot.currentState || !snapshot.categoryConfig || !Array.isArray(snapshot.customCategories)) {
+        return res.status(409).json({ error: 'The AI undo snapshot is incomplete.' });
+      }
+
+      if (isStaleBudgetWrite(req, budget)) {
+        return res.status(409).json(budgetConflictBody(budget));
+      }
+
+      const restoredState = preserveBudgetAccess(snapshot.currentState, budget.currentState || {});
+      const now = new Date().toISOString();
+      const { revision } = await updateBudgetRow(budget, {
+        is_customized: true,
+        customized_at: now,
+        sqft_locked: snapshot.sqftLocked || budget.sqftLocked,
+        property_type_locked: snapshot.propertyTypeLocked || budget.propertyTypeLocked,
+        current_state: restoredState,
+        category_config: normalizeCategoryConfigPayload(snapshot.categoryConfig),
+        custom_categories: snapshot.customCategories.length ? normalizeCustomCategoriesPayload(snapshot.customCategories) : null,
+        modified_at: now
+      }, 'undoAiBudgetDraft');
+
+      const nextVersionNum = (budget.versions?.length || 0) + 1;
+      await addVersion(req.params.id, nextVersionNum, restoredState, 'AI budget draft undone', true, buildVersionMeta(req, req.user));
+      await storage.aiUndo.remove(req.params.id);
+      publishBudgetReload(req.params.id, 'ai-draft', revision);
+      res.json({ success: true, budget: await loadBudget(req.params.id), newVersion: nextVersionNum });
+    } catch (err) {
+      if (err.budgetConflict) return sendBudgetWriteConflict(res, err);
+      console.error('Undo AI budget draft error:', err);
+      res.status(500).json({ error: 'Failed to undo AI budget draft' });
+    }
+  });
+
+  router.post('/api/admin/ai/budget-draft', requireBudgetEditor, limits.ai, async (req, res) => {
+    try {
+      if (!ai.configured) {
+        return res.status(503).json({ error: 'AI Budget Draft is not configured' });
+      }
+      const input = schemas.aiBudgetDraft.parse(req.body);
+      const budget = await loadBudget(input.budgetId);
+      if (!budget) return res.status(404).json({ error: 'Budget not found' });
+
+      const defaults = await loadCategoryDefaultsData();
+      const effectiveBudget = input.customization ? {
+        ...budget,
+        categoryConfig: normalizeCategoryConfigPayload(input.customization.categoryConfig),
+        customCategories: normalizeCustomCategoriesPayload(input.customization.customCategories)
+      } : budget;
+      const propertyType = effectiveBudget.propertyTypeLocked || effectiveBudget.currentState?.propertyType || 'residential';
+      const categories = getBudgetDefaultCategoriesFromConfig(effectiveBudget.categoryConfig || {}, defaults, propertyType);
+      const library = await loadSectionLibraryData();
+      const parsed = await ai.requestBudgetDraft({ prompt: input.prompt, budget: effectiveBudget, categories, library });
+      if (!parsed) {
+        return res.status(502).json({ error: 'AI did not return a usable budget draft' });
+      }
+      const draft = normalizeAiDraft(parsed, categories, library);
+      res.json({ draft, model: ai.model });
+    } catch (err) {
+      if (err instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Invalid AI budget request', details: err.issues || err.errors });
+      }
+      console.error('AI budget draft error:', err);
+      res.status(502).json({ error: 'AI budget draft failed. Please try again.' });
+    }
+  });
+
+  router.post('/api/admin/budgets/:id/apply-ai-draft', requireBudgetEditor, async (req, res) => {
+    try {
+      const input = schemas.applyAiBudgetDraft.parse(req.body);
+      const budget = await loadBudget(req.params.id);
+      if (!budget) return res.status(404).json({ error: 'Budget not found' });
+
+      const defaults = await loadCategoryDefaultsData();
+      const propertyType = budget.propertyTypeLocked || budget.currentState?.propertyType || 'residential';
+      const sqftLocked = budget.sqftLocked || budget.currentState?.homeSize || 4000;
+      const baseCategoryConfig = input.customization
+        ? normalizeCategoryConfigPayload(input.customization.categoryConfig)
+        : (budget.categoryConfig || {});
+      const baseCustomCategories = input.customization
+        ? normalizeCustomCategoriesPayload(input.customization.customCategories)
+        : (budget.customCategories || []);
+      const categories = getBudgetDefaultCategoriesFromConfig(baseCategoryConfig, defaults, propertyType);
+      const library = await loadSectionLibraryData();
+      const draft = normalizeAiDraft(input.draft, categories, library, { preserveReviewedValues: true });
+      const appliedAt = new Date().toISOString();
+      const { categoryConfig, customCategories, selections } = buildAiDraftCustomization({
+        draft,
+        defaults,
+        categories,
+        library,
+        baseCategoryConfig,
+        baseCustomCategories,
+        currentSelections: budget.currentState?.selections || {},
+        appliedAt
+      });
+
+      const currentState = { ...(budget.currentState || {}), selections };
+      priceBudgetState(currentState, defaults, {
+        sqft: sqftLocked,
+        propertyType,
+        isCustomized: true,
+        categoryConfig,
+        customCategories
+      });
+      const undoState = { ...(budget.currentState || {}) };
+      priceBudgetState(undoState, defaults, {
+        sqft: sqftLocked,
+        propertyType,
+        isCustomized: true,
+        categoryConfig: baseCategoryConfig,
+        customCategories: baseCustomCategories
+      });
+      const conflictChanges = current => budgetSync.compareStates({ categoryConfig, customCategories }, budgetCustomization(current, defaults));
+      if (isStaleBudgetWrite(req, budget)) {
+        return res.status(409).json(budgetConflictBody(budget, conflictChanges(budget)));
+      }
+
+      await storage.aiUndo.save({
+        budget_id: req.params.id,
+        snapshot: {
+          currentState: undoState,
+          categoryConfig: baseCategoryConfig,
+          customCategories: baseCustomCategories,
+          sqftLocked,
+          propertyTypeLocked: propertyType
+        },
+        applied_at: appliedAt,
+        applied_by: req.user.id,
+        created_at: appliedAt
+      });
+
+      const now = appliedAt;
+      const { revision } = await updateBudgetRow(budget, {
+        is_customized: true,
+        customized_at: now,
+        sqft_locked: sqftLocked,
+        property_type_locked: propertyType,
+        current_state: currentState,
+        category_config: categoryConfig,
+        custom_categories: customCategories.length ? customCategories : null,
+        modified_at: now
+      }, 'applyAiBudgetDraft', conflictChanges);
+
+      const nextVersionNum = (budget.versions?.length || 0) + 1;
+      await addVersion(req.params.id, nextVersionNum, currentState, 'AI budget draft applied', true, buildVersionMeta(req, req.user));
+      publishBudgetReload(req.params.id, 'ai-draft', revision);
+      res.json({ success: true, budget: await loadBudget(req.params.id), newVersion: nextVersionNum, undoAvailable: true });
+    } catch (err) {
+      if (err instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Invalid AI budget draft', details: err.issues || err.errors });
+      }
+      if (err.budgetConflict) return sendBudgetWriteConflict(res, err);
+      console.error('Apply AI budget draft error:', err);
+      res.status(500).json({ error: 'Failed to apply AI budget draft' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createAiRouter
+};
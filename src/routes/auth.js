@@ -0,0 +1,270 @@
+// Sign-in, password reset, the current session and its email settings, plus
+// the superadmin user management routes backed by the Supabase Auth admin API.
+const express = require('express');
+const { z } = require('zod');
+const { schemas } = require('../schemas');
+const { clearAuthCookies, isSuperAdmin, setAuthCookies } = require('../services/auth');
+const { ROLES, getUserRole, permissionsFor } = require('../../public/src/utils/permissions');
+
+// The session user as the admin UI sees it: identity plus role and permissions.
+function sessionUser(user) {
+  const role = getUserRole(user);
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.user_metadata?.name || user.email,
+    username: user.email,
+    role,
+    permissions: permissionsFor(role),
+    canManageUsers: isSuperAdmin(user)
+  };
+}
+
+function isKnownRole(role) {
+  return role === undefined || ROLES.includes(role);
+}
+
+function createAuthRouter({ services, limits, config }) {
+  const {
+    admin: authAdmin,
+    createPublicAuthClient,
+    getRequestUser,
+    requireAuth,
+    requirePermission
+  } = services.auth;
+  const { emailTemplates, followUpDigests } = services;
+  const requireUserManager = requirePermission('users.manage');
+  const router = express.Router();
+
+  router.post('/api/auth/login', limits.auth, async (req, res) => {
+    try {
+      let { email, password, rememberMe } = schemas.login.parse(req.body);
+      if (!email.includes('@')) email += '@gamma.tech';
+
+      const { data, error } = await createPublicAuthClient().auth.signInWithPassword({ email, password });
+      
+      if (error) {
+        return res.status(401).json({ error: 'Invalid credentials' });
+      }
+      
+      setAuthCookies(req, res, data.session, rememberMe);
+      
+      res.json({ 
+        success: true, 
+        user: sessionUser(data.user)
+      });
+      
+    } catch (err) {
+      if (err instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Invalid input', details: err.issues || err.errors });
+      }
+      if (err.authUnavailable) return res.status(503).json({ error: 'Sign-in is not configured on this server' });
+      console.error('Login error:', err);
+      res.status(500).json({ error: 'Login failed' });
+    }
+  });
+
+  router.post('/api/auth/forgot-password', limits.auth, async (req, res) => {
+    try {
+      const { email } = schemas.forgotPassword.parse(req.body);
+      const successMsg = { success: true, message: 'If an account with that email exists, a reset link has been sent.' };
+      
+      await createPublicAuthClient().auth.resetPasswordForEmail(email, {
+        redirectTo: `${config.appUrl}/admin.html#reset-password`
+      });
+      
+      res.json(successMsg);
+    } catch (err) {
+      if (err instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Please enter a valid email address' });
+      }
+      console.error('Forgot password error:', err);
+      res.status(500).json({ error: 'Something went wrong. Please try again.' });
+    }
+  });
+
+  async function handleResetPassword(req, res) {
+    try {
+      const { password, code, accessToken, refreshToken } = schemas.resetPassword.parse(req.body);
+
+      if (!code && !accessToken) {
+        return res.status(400).json({ error: 'Invalid reset link. Please request a new one.' });
+      }
+
+      const resetClient = createPublicAuthClient(accessToken ? {
+        global: { headers: { Authorization: `Bearer ${accessToken}` } }
+      } : undefined);
+
+      if (code) {
+        const { error } = await resetClient.auth.exchangeCodeForSession(code);
+        if (error) {
+          return res.status(400).json({ error: 'Reset link is invalid or expired. Please request a new one.' });
+        }
+      } else if (refreshToken) {
+        const { error } = await resetClient.auth.setSession({
+          access_token: accessToken,
+          refresh_token: refreshToken
+        });
+        if (error) {
+          return res.status(400).json({ error: 'Reset link is invalid or expired. Please request a new one.' });
+        }
+      }
+
+      const { error } = await resetClient.auth.updateUser({ password });
+      if (error) {
+        return res.status(400).json({ error: error.message || 'Failed to update password.' });
+      }
+
+      clearAuthCookies(res);
+      res.json({ success: true });
+    } catch (err) {
+      if (err instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Invalid password reset request' });
+      }
+      console.error('Reset password error:', err);
+      res.status(500).json({ error: 'Failed to update password' });
+    }
+  }
+
+  router.post('/api/auth/reset-password', limits.auth, handleResetPassword);
+  router.post('/api/auth/reset-password-with-token', limits.auth, handleResetPassword);
+
+  router.post('/api/auth/logout', async (req, res) => {
+    clearAuthCookies(res);
+    res.json({ success: true });
+  });
+
+  router.get('/api/auth/me', async (req, res) => {
+    const user = await getRequestUser(req, res);
+    if (!user) return res.json({ authenticated: false });
+    
+    res.json({ 
+      authenticated: true, 
+      user: sessionUser(user)
+    });
+  });
+
+  // The signed-in user's follow-up digest settings and email signature.
+  router.get('/api/auth/me/settings', requireAuth, async (req, res) => {
+    try {
+      const { followUpDigest, expiringWithinDays } = await followUpDigests.getDigestSettings(req.user.email);
+      res.json({ followUpDigest, expiringWithinDays, emailSignature: await emailTemplates.getSignature(req.user.email) });
+    } catch (err) {
+      console.error('Load settings error:', err);
+      res.status(500).json({ error: 'Failed to load settings' });
+    }
+  });
+
+  router.put('/api/auth/me/settings', requireAuth, async (req, res) => {
+    try {
+      const { emailSignature, ...settings } = schemas.userSettings.parse(req.body);
+      const { followUpDigest, expiringWithinDays } = await followUpDigests.saveDigestSettings(req.user.email, settings);
+      const signature = emailSignature === undefined
+        ? await emailTemplates.getSignature(req.user.email)
+        : await emailTemplates.saveSignature(req.user.email, emailSignature);
+      res.json({ followUpDigest, expiringWithinDays, emailSignature: signature });
+    } catch (err) {
+      if (err instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Invalid input', details: err.issues || err.errors });
+      }
+      console.error('Save settings error:', err);
+      res.status(500).json({ error: 'Failed to save settings' });
+    }
+  });
+
+  // ============================================================
+  // ADMIN USER ROUTES (via Supabase Auth Admin)
+  // ============================================================
+  router.get('/api/admin/users', requireUserManager, async (req, res) => {
+    try {
+      const { data: { users }, error } = await authAdmin.listUsers();
+      if (error) throw error;
+      
+      res.json(users.map(u => ({
+        id: u.id,
+        username: u.email,
+        email: u.email,
+        name: u.user_metadata?.name || u.email,
+        role: getUserRole(u),
+        created: u.created_at
+      })));
+    } catch (err) {
+      console.error('List users error:', err);
+      res.status(500).json({ error: 'Failed to list users' });
+    }
+  });
+
+  router.post('/api/auth/users', requireUserManager, async (req, res) => {
+    try {
+      const { email, password, name, role } = req.body;
+      if (!email || !password) return res.status(400).json({ error: 'Email and password required' });
+      if (!isKnownRole(role)) return res.status(400).json({ error: 'Unknown role' });
+      
+      const { data, error } = await authAdmin.createUser({
+        email,
+        password,
+        email_confirm: true,
+        user_metadata: { name: name || email },
+        app_metadata: { role: role || 'salesperson' }
+      });
+      
+      if (error) return res.status(400).json({ error: error.message });
+      
+      res.json({ 
+        success: true, 
+        user: { id: data.user.id, email: data.user.email, name: name || email, role: getUserRole(data.user) } 
+      });
+    } catch (err) {
+      console.error('Create user error:', err);
+      res.status(500).json({ error: 'Failed to create user' });
+    }
+  });
+
+  router.put('/api/admin/users/:id', requireUserManager, async (req, res) => {
+    try {
+      const { email, password, name, role } = req.body;
+      if (!isKnownRole(role)) return res.status(400).json({ error: 'Unknown role' });
+      if (role && req.params.id === req.user.id && role !== getUserRole(req.user)) {
+        return res.status(400).json({ error: 'Cannot change your own role' });
+      }
+      const updates = {};
+      if (email) updates.email = email;
+      if (password) updates.password = password;
+      if (name) updates.user_metadata = { name };
+      if (role) updates.app_metadata = { role };
+      
+      const { data, error } = await authAdmin.updateUserById(req.params.id, updates);
+      if (error) return res.status(400).json({ error: error.message });
+      
+      res.json({ 
+        success: true, 
+        user: { id: data.user.id, email: data.user.email, name: data.user.user_metadata?.name || data.user.email, role: getUserRole(data.user) } 
+      });
+    } catch (err) {
+      console.error('Update user error:', err);
+      res.status(500).json({ error: 'Failed to update user' });
+    }
+  });
+
+  router.delete('/api/admin/users/:id', requireUserManager, async (req, res) => {
+    try {
+      if (req.params.id === req.user.id) {
+        return res.status(400).json({ error: 'Cannot delete your own account' });
+      }
+      
+      const { error } = await authAdmin.deleteUser(req.params.id);
+      if (error) return res.status(400).json({ error: error.message });
+      
+      res.json({ success: true });
+    } catch (err) {
+      console.error('Delete user error:', err);
+      res.status(500).json({ error: 'Failed to delete user' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createAuthRouter
+};
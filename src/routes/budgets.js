@@ -0,0 +1,528 @@
+// Budget routes for whoever holds the link: create, load, save, the live
+// event stream, client approval and the PDF, plus the /b/:id page itself.
+const path = require('path');
+const express = require('express');
+const { z } = require('zod');
+const { schemas } = require('../schemas');
+const { canonicalize } = require('../utils/security');
+const { renderBudgetPdf } = require('../utils/budget-pdf');
+const { formatServerSentEvent } = require('../utils/budget-events');
+const budgetApproval = require('../utils/budget-approval');
+const budgetScenarios = require('../../public/src/utils/scenarios');
+const budgetSync = require('../../public/src/utils/budget-sync');
+const { normalizeBudgetStatus } = require('../../public/src/utils/budget-list');
+const { can } = require('../../public/src/utils/permissions');
+const {
+  budgetConflictBody,
+  defaultExpirationDate,
+  getBudgetAccess,
+  isBudgetApprovalLocked,
+  isStaleBudgetWrite,
+  preserveBudgetAccess,
+  sendBudgetWriteConflict
+} = require('../utils/budget-access');
+const { buildBudgetDefaultSnapshot, slugifySectionId } = require('../utils/category-defaults');
+const {
+  budgetPricingOptions,
+  buildBudgetPdfData,
+  calculateBudgetPricing,
+  priceBudgetState
+} = require('../utils/budget-pricing');
+const { getRequestIp, isOfficeTeamIp } = require('../utils/request');
+const { buildVersionMeta, withVersionMeta } = require('../utils/version-meta');
+const { getToken } = require('../services/auth');
+const {
+  BUDGET_EVENTS_HEARTBEAT_MS,
+  budgetActorLabel,
+  getBudgetBrowserId
+} = require('../services/budget-live');
+const { BUDGET_APPROVAL_SUMMARY_COLUMNS, approvalSummaryFromRow } = require('../services/budgets');
+
+const VERSION_CONSOLIDATION_MS = 15 * 60 * 1000;
+
+function createBudgetRouter({ services, limits, config }) {
+  const { storage } = services;
+  const { createPublicAuthClient, getRequestUser } = services.auth;
+  const { loadCategoryDefaultsData } = services.categories;
+  const {
+    addVersion,
+    budgetEditUrl,
+    generateBudgetId,
+    hasValidBudgetEditToken,
+    loadBudget,
+    recordView,
+    saveBudget,
+    updateBudgetRow
+  } = services.budgets;
+  const {
+    events: budgetEvents,
+    getActiveBudgetBrowsers,
+    publicBudgetBrowsers,
+    publishBudgetPresence,
+    publishBudgetReload,
+    removeBudgetPresence,
+    touchBudgetPresence
+  } = services.live;
+  const { sendApprovalNotification, sendChangeNotification } = services.notifications;
+  const { findShareRecipient } = services.budgetShares;
+  const router = express.Router();
+
+  router.post('/api/budgets', limits.api, async (req, res) => {
+    try {
+      const data = schemas.createBudget.parse(req.body);
+
+      const id = await generateBudgetId();
+
+      // Capture creator email if authenticated
+      let createdByEmail = null;
+      const token = getToken(req);
+      if (token) {
+        try {
+          const { data: { user } } = await createPublicAuthClient().auth.getUser(token);
+          if (user?.email) createdByEmail = user.email;
+        } catch (_) {}
+      }
+
+      const initialState = {
+        ...data.state,
+        expiresAt: data.state.expiresAt || defaultExpirationDate(),
+        expiredAt: data.state.expiredAt || null
+      };
+      const defaults = await loadCategoryDefaultsData();
+
+      const budget = {
+        id,
+        clientName: data.clientName || initialState.clientName || null,
+        builder: initialState.builder || null,
+        currentState: initialState,
+        isCustomized: false,
+        sqftLocked: null,
+        propertyTypeLocked: null,
+        categoryConfig: buildBudgetDefaultSnapshot(defaults),
+        customCategories: null,
+        createdByEmail
+      };
+      priceBudgetState(initialState, defaults, budgetPricingOptions(budget, initialState));
+
+      const { revision, lastModified } = await saveBudget(budget);
+      await addVersion(id, 1, initialState, 'Initial budget', true, buildVersionMeta(req, createdByEmail ? { email: createdByEmail } : null));
+
+      res.json({ success: true, id, url: budgetEditUrl(id), revision, lastModified });
+      
+    } catch (err) {
+      if (err instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Invalid input', details: err.issues || err.errors });
+      }
+      console.error('Create budget error:', err);
+      res.status(500).json({ error: 'Failed to create budget' });
+    }
+  });
+
+  router.get('/api/budgets/:id', limits.publicRead, async (req, res) => {
+    try {
+      const budget = await loadBudget(req.params.id);
+      if (!budget) return res.status(404).json({ error: 'Budget not found' });
+
+      const user = await getRequestUser(req, res);
+      const isAuthenticatedViewer = !!user;
+      const hasEditToken = hasValidBudgetEditToken(req, budget.id);
+      const approvalLocked = isBudgetApprovalLocked(budget);
+      const canEdit = can(user, 'budgets.edit') || (hasEditToken && !approvalLocked);
+      if (budget.isExpired && !isAuthenticatedViewer) {
+        return res.status(410).json({ error: 'This budget link has expired.', expired: true });
+      }
+
+      if (!req.query.admin) {
+        // isInternal is true when the viewer is an authenticated admin.
+        // Validate the token — cookie presence alone isn't enough (could be
+        // stale/invalid). Also treat "viewer is the creator" as internal so
+        // the creator doesn't get a notification for viewing their own budget.
+        const requestIp = getRequestIp(req);
+        const isInternal = isAuthenticatedViewer || isOfficeTeamIp(requestIp);
+        touchBudgetPresence(req.params.id, req, isInternal);
+        if (req.query.recordView === '1') {
+          // `recipient` is the token from a link emailed to one person (?r= on /b/:id).
+          const recipient = typeof req.query.recipient === 'string' ? req.query.recipient : null;
+          (recipient ? findShareRecipient(req.params.id, recipient) : Promise.resolve(null))
+            .then(shareRecipient => recordView(req.params.id, requestIp, req.get('User-Agent'), isInternal, shareRecipient))
+            .catch(err => console.error('recordView error:', err));
+        }
+      }
+      
+      res.json({
+        id: budget.id,
+        clientName: budget.clientName,
+        builder: budget.builder,
+        created: budget.created,
+        lastModified: budget.lastModified,
+        revision: budget.revision,
+        currentState: budget.currentState,
+        versionCount: budget.versions.length,
+        isCustomized: budget.isCustomized,
+        sqftLocked: budget.sqftLocked,
+        propertyTypeLocked: budget.propertyTypeLocked,
+        categoryConfig: budget.categoryConfig,
+        customCategories: budget.customCategories,
+        expiresAt: budget.expiresAt,
+        expiredAt: budget.expiredAt,
+        isExpired: budget.isExpired,
+        canEdit,
+        canApprove: hasEditToken && !approvalLocked && !budget.isExpired && normalizeBudgetStatus(budget.status) !== 'lost',
+        approval: approvalLocked ? {
+          signerName: budget.approval.signerName,
+          approvedAt: budget.approval.approvedAt,
+          total: budget.approval.total,
+          scenarioName: budget.approval.scenarioName
+        } : null,
+        activeBrowserCount: getActiveBudgetBrowsers(budget.id).length
+      });
+      
+    } catch (err) {
+      console.error('Get budget error:', err);
+      res.status(500).json({ error: 'Failed to load budget' });
+    }
+  });
+
+  router.put('/api/budgets/:id', limits.api, async (req, res) => {
+    try {
+      const data = schemas.updateBudget.parse(req.body);
+      const budget = await loadBudget(req.params.id);
+      if (!budget) return res.status(404).json({ error: 'Budget not found' });
+
+      // Determine viewer identity (validates token, not just presence)
+      const user = await getRequestUser(req, res);
+      const viewerEmail = user?.email || null;
+      const staffEditor = can(user, 'budgets.edit');
+      if (!staffEditor && !hasValidBudgetEditToken(req, req.params.id)) {
+        return res.status(403).json({ error: 'This is a read-only budget link.' });
+      }
+      if (budget.isExpired && !viewerEmail) {
+        return res.status(410).json({ error: 'This budget link has expired.', expired: true });
+      }
+      if (!staffEditor && isBudgetApprovalLocked(budget)) {
+        return res.status(409).json({ error: 'This budget has been approved and can no longer be changed.', approved: true });
+      }
+      const conflictChanges = current => budgetSync.compareStates(data.state, current.currentState);
+      if (isStaleBudgetWrite(req, budget)) {
+        return res.status(409).json(budgetConflictBody(budget, conflictChanges(budget)));
+      }
+
+      data.state = preserveBudgetAccess(data.state, budget.currentState || {});
+      // The browser's total is only a preview; price the state from the budget's
+      // own snapshot so the admin list never shows a client-supplied number.
+      const defaults = await loadCategoryDefaultsData();
+      priceBudgetState(data.state, defaults, budgetPricingOptions(budget, data.state));
+      
+      const now = new Date();
+      const nowISO = now.toISOString();
+      const lastVersion = budget.versions[budget.versions.length - 1];
+      
+      const normalizeState = (s) => {
+        const { timestamp, ...rest } = s || {};
+        return JSON.stringify(canonicalize(rest));
+      };
+      
+      if (normalizeState(lastVersion.state) === normalizeState(data.state)) {
+        if (data.pin && !lastVersion.pinned) {
+          await storage.versions.update(req.params.id, lastVersion.version, { is_pinned: true, note: data.note || lastVersion.note });
+          return res.json({ success: true, message: 'Version pinned', versionCount: budget.versions.length, revision: budget.revision, lastModified: budget.lastModified, total: data.state.total });
+        }
+        return res.json({ success: true, message: 'No changes detected', versionCount: budget.versions.length, revision: budget.revision, lastModified: budget.lastModified, total: data.state.total });
+      }
+      
+      const lastVersionTime = new Date(lastVersion.timestamp);
+      const timeSinceLastVersion = now - lastVersionTime;
+      const shouldConsolidate = !lastVersion.pinned && timeSinceLastVersion < VERSION_CONSOLIDATION_MS;
+      
+      const isNewVersion = !(shouldConsolidate && !data.pin);
+      const versionMeta = buildVersionMeta(req, user);
+
+      const previousState = budget.currentState;
+      budget.currentState = data.state;
+      if (data.state.clientName) budget.clientName = data.state.clientName;
+      if (data.state.builder !== undefined) budget.builder = data.state.builder || null;
+
+      // Self-heal: if the budget has no creator on record and an authenticated
+      // user is saving, claim them as the creator. Fixes cases where the initial
+      // POST happened without a valid token.
+      if (!budget.createdByEmail && viewerEmail) {
+        budget.createdByEmail = viewerEmail;
+        console.log(`Backfilled createdByEmail=${viewerEmail} for budget ${req.params.id}`);
+      }
+
+      // The row goes first: if it lost a race, no version is recorded for this save.
+      const { revision, lastModified } = await saveBudget(budget, { conflictChanges });
+
+      if (!isNewVersion) {
+        await storage.versions.update(req.params.id, lastVersion.version, { state: withVersionMeta(data.state, versionMeta), created_at: nowISO });
+      } else {
+        const newVersionNum = budget.versions.length + 1;
+        await addVersion(req.params.id, newVersionNum, data.state, data.pin ? (data.note || 'Shared/Emailed') : 'Auto-save', !!data.pin, versionMeta);
+      }
+
+      budgetEvents.publish(budget.id, 'state', {
+        patch: budgetSync.diffState(previousState, data.state),
+        previousRevision: budget.revision,
+        revision,
+        lastModified,
+        browserId: getBudgetBrowserId(req) || null,
+        by: budgetActorLabel(req, user)
+      }, { exceptBrowserId: getBudgetBrowserId(req) });
+
+      // Notify budget creator when a client creates a new version.
+      // Skip if the saver is the creator themselves (or any authenticated admin).
+      if (isNewVersion && budget.createdByEmail && !data.pin) {
+        const isCreatorOrAdmin = !!viewerEmail;
+        if (!isCreatorOrAdmin) {
+          sendChangeNotification({ ...budget, currentState: previousState }, data.state).catch(err =>
+            console.error('Change notification failed:', err)
+          );
+        }
+      }
+      
+      res.json({
+        success: true,
+        versionCount: shouldConsolidate && !data.pin ? budget.versions.length : budget.versions.length + 1,
+        revision,
+        lastModified,
+        consolidated: shouldConsolidate && !data.pin,
+        total: data.state.total
+      });
+      
+    } catch (err) {
+      if (err instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Invalid input', details: err.issues || err.errors });
+      }
+      if (err.budgetConflict) return sendBudgetWriteConflict(res, err);
+      console.error('Update budget error:', err);
+      res.status(500).json({ error: 'Failed to update budget' });
+    }
+  });
+
+  // Same access rules as GET /api/budgets/:id: anyone holding the link can download
+  // while the budget is active; only signed-in team members once it has expired.
+  router.get('/api/budgets/:id/pdf', limits.api, async (req, res) => {
+    try {
+      const budget = await loadBudget(req.params.id);
+      if (!budget) return res.status(404).json({ error: 'Budget not found' });
+
+      const user = await getRequestUser(req, res);
+      if (budget.isExpired && !user) {
+        return res.status(410).json({ error: 'This budget link has expired.', expired: true });
+      }
+
+      const defaults = await loadCategoryDefaultsData();
+      const pdf = await renderBudgetPdf(buildBudgetPdfData(budget, defaults));
+      const fileName = `${slugifySectionId(budget.clientName || 'budget')}-${budget.id}.pdf`;
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `${req.query.download === '0' ? 'inline' : 'attachment'}; filename="${fileName}"`,
+        'Cache-Control': 'no-store'
+      });
+      res.send(pdf);
+    } catch (err) {
+      console.error('Budget PDF error:', err);
+      res.status(500).json({ error: 'Failed to generate PDF' });
+    }
+  });
+
+  /**
+   * Client approval from the edit-token link. Records the typed signature with the
+   * exact canonicalized state and its hash, pins the approved version, marks the
+   * budget won and tells the owner. The client must be looking at the saved total.
+   */
+  router.post('/api/budgets/:id/approve', limits.api, async (req, res) => {
+    try {
+      const data = schemas.approveBudget.parse(req.body);
+      const budget = await loadBudget(req.params.id);
+      if (!budget) return res.status(404).json({ error: 'Budget not found' });
+      if (!hasValidBudgetEditToken(req, budget.id)) {
+        return res.status(403).json({ error: 'Only the client edit link can approve this budget.' });
+      }
+      if (budget.isExpired) {
+        return res.status(410).json({ error: 'This budget link has expired.', expired: true });
+      }
+      if (isBudgetApprovalLocked(budget)) {
+        return res.status(409).json({ error: 'This budget has already been approved.', approved: true });
+      }
+      if (normalizeBudgetStatus(budget.status) === 'lost') {
+        return res.status(409).json({ error: 'This budget is closed. Please contact your Gamma Tech representative.' });
+      }
+
+      const defaults = await loadCategoryDefaultsData();
+      const state = { ...(budget.currentState || {}) };
+      const breakdown = calculateBudgetPricing(state, defaults, budgetPricingOptions(budget, state));
+      if (isStaleBudgetWrite(req, budget) || (data.expectedTotal !== undefined && Math.abs(Math.round(data.expectedTotal) - Math.round(breakdown.total)) > 1)) {
+        return res.status(409).json({ error: 'This budget changed while you were reviewing it. Please review the new total and approve again.', total: breakdown.total });
+      }
+
+      const initials = budgetApproval.normalizeInitials(data.initials);
+      if (!initials) return res.status(400).json({ error: 'Invalid input', details: [{ path: ['initials'], message: 'Initials must contain letters' }] });
+
+      const stateHash = budgetApproval.approvalStateHash(state);
+      const approvedAt = new Date().toISOString();
+      const scenarioName = budgetScenarios.chosenScenario(state)?.name || null;
+      const meta = buildVersionMeta(req, null);
+
+      // Pin the version that is exactly what was approved, or add one if the latest differs.
+      const lastVersion = budget.versions[budget.versions.length - 1];
+      const note = `Approved by ${data.signerName}`;
+      const pinsLastVersion = !!lastVersion && budgetApproval.approvalStateHash(lastVersion.state) === stateHash;
+      const versionNumber = pinsLastVersion ? lastVersion.version : budget.versions.length + 1;
+
+      // The approval row is the claim: one per budget revision, so a second
+      // approval that raced past the check above stops here.
+    const row = await storage.approvals.claim({
+        budget_id: budget.id,
+        budget_revision: budget.revision,
+        version_number: versionNumber,
+        signer_name: data.signerName,
+        signer_initials: initials,
+        ip_address: meta.ip,
+        user_agent: meta.userAgent,
+        approved_at: approvedAt,
+        state: budgetApproval.approvalDocument(state),
+        state_hash: stateHash,
+        total: breakdown.total,
+        line_items: budgetApproval.approvalLineItems(breakdown),
+        scenario_name: scenarioName
+      }, BUDGET_APPROVAL_SUMMARY_COLUMNS);
+      if (!row) return res.status(409).json({ error: 'This budget has already been approved.', approved: true });
+
+      // Won only at the revision the client reviewed. A save that landed since
+      // means they approved something else, so the claim is given back.
+      let revision;
+      try {
+        ({ revision } = await updateBudgetRow(budget, { status: 'won', closed_at: approvedAt, last_client_activity_at: approvedAt }, 'approveBudget'));
+      } catch (err) {
+        await storage.approvals.remove(budget.id, row.id);
+        if (!err.budgetConflict) throw err;
+        if (!err.budget) return res.status(404).json({ error: 'Budget not found' });
+        return res.status(409).json({ error: 'This budget changed while you were reviewing it. Please review the new total and approve again.', revision: err.budget.revision });
+      }
+
+      if (pinsLastVersion) {
+        await storage.versions.update(budget.id, versionNumber, { is_pinned: true, note });
+      } else {
+        await addVersion(budget.id, versionNumber, state, note, true, meta);
+      }
+
+      const approval = approvalSummaryFromRow(row);
+      publishBudgetReload(budget.id, 'approved');
+      sendApprovalNotification(budget, approval).catch(err => console.error('Approval notification failed:', err));
+
+      res.json({
+        success: true,
+        revision,
+        approval: {
+          signerName: approval.signerName,
+          approvedAt: approval.approvedAt,
+          total: approval.total,
+          scenarioName: approval.scenarioName
+        }
+      });
+    } catch (err) {
+      if (err instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Invalid input', details: err.issues || err.errors });
+      }
+      console.error('Approve budget error:', err);
+      res.status(500).json({ error: 'Failed to record approval' });
+    }
+  });
+
+  /**
+   * Live stream for one budget. Events: `hello` (on connect), `state` (a patch
+   * after someone else's save), `reload` (re-fetch the budget), `presence` and
+   * `editing`. The stream itself is the browser's presence; closing it leaves.
+   */
+  router.get('/api/budgets/:id/events', limits.publicRead, async (req, res) => {
+    try {
+      const row = await storage.budgets.find(req.params.id, 'id, modified_at, revision, current_state');
+      if (!row) return res.status(404).json({ error: 'Budget not found' });
+      const user = await getRequestUser(req, res);
+      if (getBudgetAccess(row.current_state || {}).isExpired && !user) {
+        return res.status(410).json({ error: 'This budget link has expired.', expired: true });
+      }
+      const browserId = getBudgetBrowserId(req);
+      if (!browserId) return res.status(400).json({ error: 'browserId is required' });
+
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      res.flushHeaders();
+      res.write('retry: 5000\n\n');
+
+      const label = budgetActorLabel(req, user);
+      const unsubscribe = budgetEvents.subscribe(row.id, { browserId, write: chunk => res.write(chunk) });
+      touchBudgetPresence(row.id, req, !!user, label);
+      res.write(formatServerSentEvent('hello', {
+        browserId,
+        label,
+        revision: Number(row.revision) || 1,
+        lastModified: row.modified_at,
+        browsers: publicBudgetBrowsers(row.id)
+      }));
+      publishBudgetPresence(row.id);
+
+      const heartbeat = setInterval(() => {
+        touchBudgetPresence(row.id, req, !!user, label);
+        res.write(': ping\n\n');
+      }, BUDGET_EVENTS_HEARTBEAT_MS);
+
+      req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+        if (!budgetEvents.hasBrowser(row.id, browserId)) removeBudgetPresence(row.id, browserId);
+        publishBudgetPresence(row.id);
+      });
+    } catch (err) {
+      console.error('Budget events error:', err);
+      if (!res.headersSent) res.status(500).json({ error: 'Failed to open live updates' });
+    }
+  });
+
+  // "X is editing Audio": the category this browser has open, or null when it closes it.
+  router.post('/api/budgets/:id/activity', limits.api, async (req, res) => {
+    try {
+      const data = schemas.budgetActivity.parse(req.body);
+      const browserId = getBudgetBrowserId(req);
+      if (!browserId) return res.status(400).json({ error: 'browserId is required' });
+      const row = await storage.budgets.find(req.params.id, 'id');
+      if (!row) return res.status(404).json({ error: 'Budget not found' });
+      const user = await getRequestUser(req, res);
+      if (!can(user, 'budgets.edit') && !hasValidBudgetEditToken(req, row.id)) {
+        return res.status(403).json({ error: 'This is a read-only budget link.' });
+      }
+
+      const presence = touchBudgetPresence(row.id, req, !!user, budgetActorLabel(req, user));
+      presence.editing = data.categoryId ? { categoryId: data.categoryId, since: presence.lastSeen } : null;
+      budgetEvents.publish(row.id, 'editing', {
+        browserId,
+        label: presence.label,
+        categoryId: data.categoryId
+      }, { exceptBrowserId: browserId });
+      res.json({ success: true });
+    } catch (err) {
+      if (err instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Invalid input', details: err.issues || err.errors });
+      }
+      console.error('Budget activity error:', err);
+      res.status(500).json({ error: 'Failed to record activity' });
+    }
+  });
+
+  router.get('/b/:id', async (req, res) => {
+    const exists = await storage.budgets.exists(req.params.id).catch(() => false);
+    if (!exists) return res.status(404).send('Budget not found');
+    res.sendFile(path.join(config.publicDir, 'index.html'));
+  });
+
+  return router;
+}
+
+module.exports = {
+  createBudgetRouter
+};
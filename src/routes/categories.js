@@ -0,0 +1,381 @@
+// The category catalog: the public read used by the budget UI, admin edits
+// with revision history, price changes scheduled for a later date, and the
+// category popularity report.
+const express = require('express');
+const { z } = require('zod');
+const { schemas } = require('../schemas');
+const budgetExport = require('../utils/budget-export');
+const { diffCategoryDefaults } = require('../utils/catalog-diff');
+const { CATEGORY_REPORT_COLUMNS, buildCategoryReport } = require('../utils/category-report');
+const { categoryDefaultsFromRow, normalizeCategoryDefaults } = require('../utils/category-defaults');
+const { CATEGORY_HISTORY_META_COLUMNS, revisionMeta } = require('../services/categories');
+const {
+  pricingDraftDefaults,
+  scheduledChangeDefaults,
+  scheduledPriceChangeMeta
+} = require('../services/price-changes');
+
+function createCategoryRouter({ services, limits }) {
+  const { storage } = services;
+  const { requireAuth, requirePermission } = services.auth;
+  const requirePricingEditor = requirePermission('pricing.edit');
+  const {
+    loadCategoryDefaultsData,
+    loadCategoryDefaultsRevision,
+    loadLiveCategoryDefaultsRevision,
+    loadStaticCategoryData,
+    publishCategoryDefaults
+  } = services.categories;
+  const { buildPriceChangePreview, loadScheduledPriceChange } = services.priceChanges;
+  const { loadCategoryReportData } = services.budgets;
+  const router = express.Router();
+
+  // The report for budgets created between query.from and query.to (whole UTC days).
+  async function loadCategoryReport(query) {
+    const until = query.to ? new Date(Date.parse(query.to) + 24 * 60 * 60 * 1000).toISOString() : null;
+    const [data, defaults] = await Promise.all([
+      loadCategoryReportData({ since: query.from ? new Date(query.from).toISOString() : null, until }),
+      loadCategoryDefaultsData()
+    ]);
+    const catalogs = { residential: defaults.residential_categories, condo: defaults.condo_categories };
+    return buildCategoryReport({ ...data, catalogs }, { propertyType: query.propertyType });
+  }
+
+  // ============================================================
+  // CATEGORY API — PUBLIC
+  // ============================================================
+  router.get('/api/categories', limits.publicRead, async (req, res) => {
+    try {
+      res.set('Cache-Control', 'no-store, max-age=0');
+      const data = await storage.categoryDefaults.findCurrent();
+      if (!data) {
+        console.error('GET /api/categories missing category_defaults row');
+        return res.status(503).json({ error: 'Live category pricing unavailable' });
+      }
+      res.json(normalizeCategoryDefaults({
+        residential_categories: data.residential_categories,
+        residential_sections: data.residential_sections || [],
+        residential_extras: data.residential_extras,
+        condo_categories: data.condo_categories,
+        condo_sections: data.condo_sections || [],
+        condo_extras: data.condo_extras,
+        base_sqft: data.base_sqft,
+        tax_settings: data.tax_settings
+      }));
+    } catch (err) {
+      console.error('GET /api/categories error:', err);
+      res.status(503).json({ error: 'Live category pricing unavailable' });
+    }
+  });
+
+  // ============================================================
+  // CATEGORY API — ADMIN (requireAuth; changes need pricing.edit)
+  // ============================================================
+  router.get('/api/admin/categories', requireAuth, async (req, res) => {
+    try {
+      const data = await storage.categoryDefaults.findCurrent();
+      if (!data) {
+        console.error('GET /api/admin/categories missing category_defaults row');
+        return res.status(503).json({ error: 'Live category pricing unavailable' });
+      }
+      res.json({ ...data, ...normalizeCategoryDefaults(data), source: 'database' });
+    } catch (err) {
+      console.error('GET /api/admin/categories error:', err);
+      res.status(503).json({ error: 'Live category pricing unavailable' });
+    }
+  });
+
+  router.put('/api/admin/categories', requirePricingEditor, async (req, res) => {
+    try {
+      const {
+        residential_categories,
+        residential_sections,
+        residential_extras,
+        condo_categories,
+        condo_sections,
+        condo_extras,
+        base_sqft,
+        tax_settings
+      } = req.body;
+      if (!residential_categories || !condo_categories) {
+        return res.status(400).json({ error: 'Missing required category data' });
+      }
+      const normalized = normalizeCategoryDefaults({
+        residential_categories,
+        residential_sections,
+        residential_extras,
+        condo_categories,
+        condo_sections,
+        condo_extras,
+        base_sqft,
+        tax_settings
+      });
+      const row = {
+        id: 'current',
+        residential_categories: normalized.residential_categories,
+        residential_sections: normalized.residential_sections,
+        residential_extras: normalized.residential_extras || [],
+        condo_categories: normalized.condo_categories,
+        condo_sections: normalized.condo_sections,
+        condo_extras: normalized.condo_extras || [],
+        base_sqft: normalized.base_sqft || 4000,
+        updated_at: new Date().toISOString(),
+        updated_by: req.user.email
+      };
+      // Older payloads without tax settings leave the stored configuration alone.
+      if (tax_settings !== undefined) row.tax_settings = normalized.tax_settings;
+      const revision = await publishCategoryDefaults(row, { action: 'save', savedBy: req.user.email });
+      res.json({ success: true, revisionId: revision?.id || null });
+    } catch (err) {
+      console.error('PUT /api/admin/categories error:', err);
+      res.status(500).json({ error: 'Failed to save categories' });
+    }
+  });
+
+  router.post('/api/admin/categories/reset', requirePricingEditor, async (req, res) => {
+    try {
+      const staticData = loadStaticCategoryData();
+      // Tax settings are not part of the static seed; a category reset keeps them.
+      delete staticData.tax_settings;
+      const row = {
+        id: 'current',
+        ...staticData,
+        updated_at: new Date().toISOString(),
+        updated_by: req.user.email + ' (reset)'
+      };
+      const revision = await publishCategoryDefaults(row, { action: 'reset', savedBy: req.user.email });
+      res.json({ success: true, message: 'Reset to factory defaults', revisionId: revision?.id || null });
+    } catch (err) {
+      console.error('POST /api/admin/categories/reset error:', err);
+      res.status(500).json({ error: 'Failed to reset categories' });
+    }
+  });
+
+  router.get('/api/admin/categories/history', requireAuth, async (req, res) => {
+    try {
+      const { limit } = schemas.categoryHistoryList.parse(req.query);
+      const revisions = await storage.categoryHistory.list(CATEGORY_HISTORY_META_COLUMNS, limit);
+      res.json({ revisions: revisions.map(revisionMeta) });
+    } catch (err) {
+      if (err instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Invalid input', details: err.issues || err.errors });
+      }
+      console.error('GET /api/admin/categories/history error:', err);
+      res.status(503).json({ error: 'Pricing history is unavailable' });
+    }
+  });
+
+  // Diff a revision against the revision before it (default), the live catalog,
+  // or another revision id. `compare=current` shows what a restore would change.
+  router.get('/api/admin/categories/history/:id', requireAuth, async (req, res) => {
+    try {
+      const { id } = schemas.categoryRevisionParams.parse(req.params);
+      const { compare } = schemas.categoryHistoryDiff.parse(req.query);
+      const revision = await loadCategoryDefaultsRevision(id);
+      if (!revision) return res.status(404).json({ error: 'Pricing revision not found' });
+
+      const revisionData = categoryDefaultsFromRow(revision);
+      let base = null;
+      let baseMeta = null;
+      let before;
+      let after;
+      if (compare === 'current') {
+        before = await loadCategoryDefaultsData();
+        after = revisionData;
+      } else {
+        if (compare === 'previous') {
+          base = await storage.categoryHistory.findPrevious(id);
+        } else {
+          base = await loadCategoryDefaultsRevision(Number(compare));
+          if (!base) return res.status(404).json({ error: 'Comparison revision not found' });
+        }
+        baseMeta = revisionMeta(base);
+        before = base ? categoryDefaultsFromRow(base) : null;
+        after = revisionData;
+      }
+
+      res.json({
+        revision: revisionMeta(revision),
+        compare,
+        compareTo: baseMeta,
+        diff: diffCategoryDefaults(before, after)
+      });
+    } catch (err) {
+      if (err instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Invalid input', details: err.issues || err.errors });
+      }
+      console.error('GET /api/admin/categories/history/:id error:', err);
+      res.status(503).json({ error: 'Pricing history is unavailable' });
+    }
+  });
+
+  router.post('/api/admin/categories/history/:id/restore', requirePricingEditor, async (req, res) => {
+    try {
+      const { id } = schemas.categoryRevisionParams.parse(req.params);
+      const revision = await loadCategoryDefaultsRevision(id);
+      if (!revision) return res.status(404).json({ error: 'Pricing revision not found' });
+
+      const restored = categoryDefaultsFromRow(revision);
+      const row = {
+        id: 'current',
+        ...restored,
+        updated_at: new Date().toISOString(),
+        updated_by: `${req.user.email} (restored #${revision.id})`
+      };
+      // Revisions recorded before tax settings existed leave the live tax configuration alone.
+      if (!revision.tax_settings) delete row.tax_settings;
+      const published = await publishCategoryDefaults(row, {
+        action: 'restore',
+        savedBy: req.user.email,
+        restoredFrom: revision.id
+      });
+      res.json({ success: true, restoredFrom: revision.id, revisionId: published?.id || null });
+    } catch (err) {
+      if (err instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Invalid input', details: err.issues || err.errors });
+      }
+      console.error('POST /api/admin/categories/history/:id/restore error:', err);
+      res.status(500).json({ error: 'Failed to restore pricing revision' });
+    }
+  });
+
+  // ============================================================
+  // CATEGORY REPORT — ADMIN (pricing.edit)
+  // ============================================================
+
+  // Tier shares, client downgrades, removals and add-ons per template category.
+  router.get('/api/admin/categories/report', requirePricingEditor, async (req, res) => {
+    try {
+      const query = schemas.categoryReport.parse(req.query);
+      res.json({ ...query, ...(await loadCategoryReport(query)) });
+    } catch (err) {
+      if (err instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Invalid input', details: err.issues || err.errors });
+      }
+      console.error('GET /api/admin/categories/report error:', err);
+      res.status(500).json({ error: 'Failed to build category report' });
+    }
+  });
+
+  router.get('/api/admin/categories/report/export', requirePricingEditor, async (req, res) => {
+    try {
+      const query = schemas.exportCategoryReport.parse(req.query);
+      const { categories } = await loadCategoryReport(query);
+      await budgetExport.sendExport(res, query.format, 'category-report', 'Category Report', CATEGORY_REPORT_COLUMNS, categories);
+    } catch (err) {
+      if (err instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Invalid input', details: err.issues || err.errors });
+      }
+      console.error('GET /api/admin/categories/report/export error:', err);
+      if (res.headersSent) return res.end();
+      res.status(500).json({ error: 'Failed to export category report' });
+    }
+  });
+
+  // ============================================================
+  // SCHEDULED PRICE CHANGES — ADMIN
+  // ============================================================
+
+  router.get('/api/admin/categories/scheduled', requireAuth, async (req, res) => {
+    try {
+      const changes = await storage.scheduledPriceChanges.list(
+        'id, effective_at, note, status, created_by, created_at, published_at, published_revision_id, affected_budget_count, error',
+        50
+      );
+      res.json({ changes: changes.map(scheduledPriceChangeMeta) });
+    } catch (err) {
+      console.error('GET /api/admin/categories/scheduled error:', err);
+      res.status(503).json({ error: 'Scheduled price changes are unavailable' });
+    }
+  });
+
+  router.post('/api/admin/categories/scheduled/preview', requireAuth, async (req, res) => {
+    try {
+      const draft = schemas.previewPriceChange.parse(req.body);
+      const liveDefaults = await loadCategoryDefaultsData();
+      res.json(await buildPriceChangePreview(pricingDraftDefaults(draft, liveDefaults)));
+    } catch (err) {
+      if (err instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Invalid input', details: err.issues || err.errors });
+      }
+      console.error('POST /api/admin/categories/scheduled/preview error:', err);
+      res.status(500).json({ error: 'Failed to preview price change' });
+    }
+  });
+
+  router.post('/api/admin/categories/scheduled', requirePricingEditor, async (req, res) => {
+    try {
+      const data = schemas.schedulePriceChange.parse(req.body);
+      const effectiveAt = new Date(data.effective_at);
+      if (effectiveAt.getTime() <= Date.now()) {
+        return res.status(400).json({ error: 'Effective date must be in the future' });
+      }
+      const normalized = normalizeCategoryDefaults(data);
+      // Publishing checks live pricing is still at this revision (see publishDueScheduledPriceChanges).
+      const baseRevision = await loadLiveCategoryDefaultsRevision();
+      const change = await storage.scheduledPriceChanges.insert({
+        residential_categories: normalized.residential_categories,
+        residential_sections: normalized.residential_sections,
+        residential_extras: normalized.residential_extras,
+        condo_categories: normalized.condo_categories,
+        condo_sections: normalized.condo_sections,
+        condo_extras: normalized.condo_extras,
+        base_sqft: normalized.base_sqft,
+        tax_settings: data.tax_settings === undefined ? null : normalized.tax_settings,
+        effective_at: effectiveAt.toISOString(),
+        note: data.note,
+        created_by: req.user.email,
+        base_revision_id: baseRevision?.id || null
+      });
+      res.status(201).json({ success: true, change: scheduledPriceChangeMeta(change) });
+    } catch (err) {
+      if (err instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Invalid input', details: err.issues || err.errors });
+      }
+      console.error('POST /api/admin/categories/scheduled error:', err);
+      res.status(500).json({ error: 'Failed to schedule price change' });
+    }
+  });
+
+  router.get('/api/admin/categories/scheduled/:id/preview', requireAuth, async (req, res) => {
+    try {
+      const { id } = schemas.scheduledPriceChangeParams.parse(req.params);
+      const change = await loadScheduledPriceChange(id);
+      if (!change) return res.status(404).json({ error: 'Scheduled price change not found' });
+      const [liveDefaults, liveRevision] = await Promise.all([loadCategoryDefaultsData(), loadLiveCategoryDefaultsRevision()]);
+      const preview = await buildPriceChangePreview(scheduledChangeDefaults(change, liveDefaults));
+      res.json({ change: scheduledPriceChangeMeta(change), liveRevisionId: liveRevision?.id || null, ...preview });
+    } catch (err) {
+      if (err instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Invalid input', details: err.issues || err.errors });
+      }
+      console.error('GET /api/admin/categories/scheduled/:id/preview error:', err);
+      res.status(500).json({ error: 'Failed to preview price change' });
+    }
+  });
+
+  router.delete('/api/admin/categories/scheduled/:id', requirePricingEditor, async (req, res) => {
+    try {
+      const { id } = schemas.scheduledPriceChangeParams.parse(req.params);
+      const cancelled = await storage.scheduledPriceChanges.transitionFromPending(id, 'cancelled');
+      if (!cancelled) {
+        const change = await loadScheduledPriceChange(id);
+        if (!change) return res.status(404).json({ error: 'Scheduled price change not found' });
+        return res.status(409).json({ error: `This change is already ${change.status}` });
+      }
+      res.json({ success: true });
+    } catch (err) {
+      if (err instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Invalid input', details: err.issues || err.errors });
+      }
+      console.error('DELETE /api/admin/categories/scheduled/:id error:', err);
+      res.status(500).json({ error: 'Failed to cancel scheduled price change' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createCategoryRouter
+};
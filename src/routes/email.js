@@ -0,0 +1,169 @@
+// Emailing a proposal built in the planner for a budget that was never saved
+// (signed-in staff only), the email provider's signed delivery webhook that
+// updates the email log, and for superadmins the editable email templates and
+// the development outbox (EMAIL_TRANSPORT=outbox).
+const express = require('express');
+const { z } = require('zod');
+const { schemas } = require('../schemas');
+const { proposalEmail } = require('../utils/email-templates');
+
+// The budget id in a /b/:id link (behind any base path), or null.
+function budgetIdFromUrl(url) {
+  try {
+    const match = new URL(url).pathname.match(/\/b\/([^/]+)\/?$/);
+    return match ? decodeURIComponent(match[1]) : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+function createEmailRouter({ services, limits }) {
+  const { requirePermission } = services.auth;
+  const { send } = services.notifications;
+  const { emailLog, emailTemplates, mailer, storage } = services;
+  const requireEmailManager = requirePermission('email.manage');
+  const router = express.Router();
+
+  // One email to every To, CC and BCC address, replying to the sender, for a
+  // budget that was never saved. The email is built from what the planner sends,
+  // so a link to a saved budget is refused: that budget is sent with
+  // /api/admin/budgets/:id/send, which prices it on the server.
+  router.post('/api/send-proposal', limits.email, requirePermission('budgets.edit'), async (req, res) => {
+    try {
+      const data = schemas.sendEmail.parse(req.body);
+      const linkedId = data.proposalData.budgetUrl ? budgetIdFromUrl(data.proposalData.budgetUrl) : null;
+      if (linkedId && await storage.budgets.find(linkedId, 'id')) {
+        return res.status(409).json({ error: 'This budget is saved. Send it from the budget so its prices come from the server.', budgetId: linkedId });
+      }
+      const to = data.recipientEmail ? [data.recipientEmail, ...data.recipients] : data.recipients;
+      const sender = { email: req.user.email, name: req.user.user_metadata?.name || null };
+      const email = proposalEmail({ ...data.proposalData, message: data.message }, data.recipientName, await emailTemplates.emailOptions('proposal', sender));
+      
+      const { data: sendData, error } = await send({
+        to,
+        cc: data.cc,
+        bcc: data.bcc,
+        replyTo: sender.email,
+        subject: data.subject || email.subject,
+        html: email.html,
+        text: email.text
+      }, { type: 'proposal', sentBy: req.user.email });
+      
+      if (error) {
+        console.error('Resend error:', error);
+        return res.status(500).json({ error: 'Failed to send email', details: error.message });
+      }
+      
+      console.log(`Email sent to ${to.join(', ')}. ID: ${sendData.id}`);
+      res.json({ success: true, messageId: sendData.id });
+      
+    } catch (err) {
+      if (err instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Invalid input', details: err.issues || err.errors });
+      }
+      console.error('Send email error:', err);
+      res.status(500).json({ error: 'Failed to send email' });
+    }
+  });
+
+  // Resend delivery, bounce and open events. Unsigned or stale calls get 401;
+  // events for emails that aren't in the log are acknowledged and ignored.
+  router.post('/api/webhooks/email', async (req, res) => {
+    if (!emailLog.webhooksConfigured) return res.status(503).json({ error: 'Email webhooks are not configured' });
+    if (!req.rawBody || !emailLog.verifyWebhook(req.headers, req.rawBody.toString('utf8'))) {
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+    try {
+      const matched = await emailLog.recordDeliveryEvent(req.body, req.get('svix-id'));
+      res.json({ received: true, matched });
+    } catch (err) {
+      console.error('Email webhook error:', err);
+      res.status(500).json({ error: 'Failed to record email event' });
+    }
+  });
+
+  // Every editable template with its placeholders, blocks and built-in wording.
+  router.get('/api/admin/email-templates', requireEmailManager, async (req, res) => {
+    try {
+      res.json({ templates: await emailTemplates.listTemplates() });
+    } catch (err) {
+      console.error('List email templates error:', err);
+      res.status(500).json({ error: 'Failed to load email templates' });
+    }
+  });
+
+  const templateNotFound = res => res.status(404).json({ error: 'Email template not found' });
+
+  router.put('/api/admin/email-templates/:key', requireEmailManager, async (req, res) => {
+    if (!emailTemplates.isTemplateKey(req.params.key)) return templateNotFound(res);
+    try {
+      const template = schemas.emailTemplate.parse(req.body);
+      const problems = emailTemplates.checkTemplate(req.params.key, template);
+      if (problems.length) return res.status(400).json({ error: 'Invalid template', details: problems });
+      res.json(await emailTemplates.saveTemplate(req.params.key, template, req.user.email));
+    } catch (err) {
+      if (err instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Invalid input', details: err.issues || err.errors });
+      }
+      console.error('Save email template error:', err);
+      res.status(500).json({ error: 'Failed to save email template' });
+    }
+  });
+
+  // Back to the built-in wording.
+  router.delete('/api/admin/email-templates/:key', requireEmailManager, async (req, res) => {
+    if (!emailTemplates.isTemplateKey(req.params.key)) return templateNotFound(res);
+    try {
+      res.json(await emailTemplates.resetTemplate(req.params.key));
+    } catch (err) {
+      console.error('Reset email template error:', err);
+      res.status(500).json({ error: 'Failed to reset email template' });
+    }
+  });
+
+  // An unsaved draft rendered with sample data. Problems are reported, not refused, so the preview keeps up while typing.
+  router.post('/api/admin/email-templates/:key/preview', requireEmailManager, async (req, res) => {
+    if (!emailTemplates.isTemplateKey(req.params.key)) return templateNotFound(res);
+    try {
+      const template = schemas.emailTemplateDraft.parse(req.body);
+      const sender = { email: req.user.email, name: req.user.user_metadata?.name || null };
+      const { subject, html, text } = await emailTemplates.previewTemplate(req.params.key, template, sender);
+      res.json({ subject, html, text, problems: emailTemplates.checkTemplate(req.params.key, template) });
+    } catch (err) {
+      if (err instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Invalid input', details: err.issues || err.errors });
+      }
+      console.error('Preview email template error:', err);
+      res.status(500).json({ error: 'Failed to preview email template' });
+    }
+  });
+
+  // Messages the outbox transport wrote instead of sending, newest first.
+  router.get('/api/admin/outbox', requireEmailManager, async (req, res) => {
+    if (!mailer.outbox) return res.status(404).json({ error: 'The outbox is only used with EMAIL_TRANSPORT=outbox' });
+    try {
+      res.json({ messages: await mailer.outbox.list() });
+    } catch (err) {
+      console.error('List outbox error:', err);
+      res.status(500).json({ error: 'Failed to read the outbox' });
+    }
+  });
+
+  router.get('/api/admin/outbox/:id', requireEmailManager, async (req, res) => {
+    if (!mailer.outbox) return res.status(404).json({ error: 'The outbox is only used with EMAIL_TRANSPORT=outbox' });
+    try {
+      const message = await mailer.outbox.find(req.params.id);
+      if (!message) return res.status(404).json({ error: 'Message not found' });
+      res.json(message);
+    } catch (err) {
+      console.error('Read outbox error:', err);
+      res.status(500).json({ error: 'Failed to read the outbox' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createEmailRouter
+};
@@ -0,0 +1,121 @@
+// Admin CRUD for the reusable section library.
+const crypto = require('crypto');
+const express = require('express');
+const { z } = require('zod');
+const { schemas } = require('../schemas');
+const { sanitizeIdentifier } = require('../utils/category-defaults');
+const { normalizeSectionLibraryItems } = require('../services/section-library');
+
+function createSectionLibraryRouter({ services }) {
+  const { storage } = services;
+  const { requireAuth, requirePermission } = services.auth;
+  const requireLibraryEditor = requirePermission('library.edit');
+  const { loadSectionLibraryData } = services.sectionLibrary;
+  const router = express.Router();
+
+  router.get('/api/admin/section-library', requireAuth, async (req, res) => {
+    try {
+      res.json({ items: await loadSectionLibraryData() });
+    } catch (err) {
+      console.error('GET section library error:', err);
+      res.status(503).json({ error: 'Section library is unavailable' });
+    }
+  });
+
+  router.post('/api/admin/section-library', requireLibraryEditor, async (req, res) => {
+    try {
+      const input = schemas.saveSectionLibraryItem.parse(req.body);
+      const now = new Date().toISOString();
+      const id = sanitizeIdentifier(input.id || input.name, `library-${crypto.randomUUID().slice(0, 8)}`);
+      const duplicate = await storage.sectionLibrary.findByName(input.name.trim(), 'id,name');
+      if (duplicate) {
+        return res.status(409).json({ error: `A library section named “${duplicate.name}” already exists`, existingId: duplicate.id });
+      }
+      const item = normalizeSectionLibraryItems([{
+        id,
+        name: input.name,
+        description: input.description,
+        category: input.category,
+        tags: input.tags,
+        payload: input.payload,
+        createdAt: now,
+        updatedAt: now,
+        createdBy: req.user.email
+      }])[0];
+      if (!item) return res.status(400).json({ error: 'Section must contain at least one priced option' });
+      await storage.sectionLibrary.insert({
+        id: item.id,
+        name: item.name,
+        description: item.description,
+        category: item.category,
+        tags: item.tags,
+        payload: item.payload,
+        created_at: item.createdAt,
+        updated_at: item.updatedAt,
+        created_by: item.createdBy
+      });
+      res.json({ success: true, item });
+    } catch (err) {
+      if (err instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Invalid section library item', details: err.issues || err.errors });
+      }
+      console.error('POST section library error:', err);
+      res.status(500).json({ error: 'Failed to save section' });
+    }
+  });
+
+  router.put('/api/admin/section-library/:id', requireLibraryEditor, async (req, res) => {
+    try {
+      const input = schemas.saveSectionLibraryItem.omit({ id: true }).parse(req.body);
+      const items = await loadSectionLibraryData();
+      const existing = items.find(item => item.id === req.params.id);
+      if (!existing) return res.status(404).json({ error: 'Library section not found' });
+      const duplicate = items.find(item => item.id !== req.params.id && item.name.toLowerCase() === input.name.trim().toLowerCase());
+      if (duplicate) {
+        return res.status(409).json({ error: `A library section named “${duplicate.name}” already exists`, existingId: duplicate.id });
+      }
+      const item = normalizeSectionLibraryItems([{
+        ...existing,
+        name: input.name,
+        description: input.description,
+        category: input.category,
+        tags: input.tags,
+        payload: input.payload,
+        updatedAt: new Date().toISOString()
+      }])[0];
+      if (!item) return res.status(400).json({ error: 'Section must contain at least one option' });
+      await storage.sectionLibrary.update(req.params.id, {
+        name: item.name,
+        description: item.description,
+        category: item.category,
+        tags: item.tags,
+        payload: item.payload,
+        updated_at: item.updatedAt
+      });
+      res.json({ success: true, item });
+    } catch (err) {
+      if (err instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Invalid section library item', details: err.issues || err.errors });
+      }
+      console.error('PUT section library error:', err);
+      res.status(500).json({ error: 'Failed to update section' });
+    }
+  });
+
+  router.delete('/api/admin/section-library/:id', requireLibraryEditor, async (req, res) => {
+    try {
+      const removed = await storage.sectionLibrary.remove(req.params.id);
+      if (!removed) return res.status(404).json({ error: 'Library section not found' });
+      res.json({ success: true });
+    } catch (err) {
+      console.error('DELETE section library error:', err);
+      res.status(500).json({ error: 'Failed to delete section' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createSectionLibraryRouter
+};
@@ -0,0 +1,73 @@
+// Short links to a saved planner configuration (/s/:code).
+const express = require('express');
+const { z } = require('zod');
+const { schemas } = require('../schemas');
+const { generateCode } = require('../utils/request');
+
+function createShortLinkRouter({ services, limits }) {
+  const { storage } = services;
+  const { requireAuth } = services.auth;
+  const router = express.Router();
+
+  router.get('/s/:code', limits.publicRead, async (req, res) => {
+    try {
+      const link = await storage.shortLinks.find(req.params.code);
+      if (!link) return res.status(404).send('Short link not found');
+      // Update access stats
+      await storage.shortLinks.update(req.params.code, { last_accessed_at: new Date().toISOString(), access_count: (link.access_count || 0) + 1 });
+      res.redirect('/?' + link.config);
+    } catch (err) {
+      console.error('Short link error:', err);
+      res.status(500).send('Short link unavailable');
+    }
+  });
+
+  router.post('/api/shorten', limits.api, async (req, res) => {
+    try {
+      const data = schemas.createLink.parse(req.body);
+      
+      let code = data.customCode?.toLowerCase().replace(/[^a-z0-9-]/g, '');
+      
+      if (code) {
+        if (await storage.shortLinks.exists(code)) return res.status(400).json({ error: 'Custom code already in use' });
+      } else {
+        let exists;
+        do {
+          code = generateCode();
+          exists = await storage.shortLinks.exists(code);
+        } while (exists);
+      }
+      
+      await storage.shortLinks.insert({ code, config: data.config, client_name: data.clientName || null });
+      
+      res.json({ success: true, code, shortUrl: `/s/${code}` });
+      
+    } catch (err) {
+      if (err instanceof z.ZodError) {
+        return res.status(400).json({ error: 'Invalid input', details: err.issues || err.errors });
+      }
+      console.error('Shorten error:', err);
+      res.status(500).json({ error: 'Failed to create short link' });
+    }
+  });
+
+  router.get('/api/links', requireAuth, async (req, res) => {
+    try {
+      const links = await storage.shortLinks.list();
+      res.json(links.map(l => ({
+        code: l.code, shortUrl: `/s/${l.code}`, config: l.config,
+        clientName: l.client_name, created: l.created_at,
+        lastAccessed: l.last_accessed_at, accessCount: l.access_count
+      })));
+    } catch (err) {
+      console.error('List links error:', err);
+      res.status(500).json({ error: 'Failed to list links' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createShortLinkRouter
+};
@@ -0,0 +1,346 @@
+// Request body and query schemas (Zod) for the API routes. Handlers parse with
+// these and answer a ZodError with 400 { error, details }.
+const { z } = require('zod');
+const { aiBudgetDraftSchema } = require('./utils/budget-ai');
+const budgetExport = require('./utils/budget-export');
+const salesAnalytics = require('./utils/sales-analytics');
+const categoryReport = require('./utils/category-report');
+const followUpDigest = require('./utils/follow-up-digest');
+const budgetList = require('../public/src/utils/budget-list');
+const budgetScenarios = require('../public/src/utils/scenarios');
+
+const customizationSnapshotSchema = z.object({
+  categoryConfig: z.record(z.string(), z.any()),
+  customCategories: z.array(z.any()).max(200)
+}).strict();
+
+// The per-scenario part of a budget state (see public/src/utils/scenarios.js).
+const budgetSelectionShape = {
+  selections: z.record(z.string(), z.enum(['good', 'standard', 'better', 'best']).nullable()).optional(),
+  extras: z.record(z.string(), z.boolean()).optional(),
+  modifiers: z.array(z.object({
+    id: z.number().int().finite().optional(),
+    name: z.string().max(200).optional(),
+    amount: z.number().finite().min(-100000000).max(100000000).optional()
+  }).passthrough()).max(100).optional(),
+  catMods: z.record(z.string(), z.object({
+    name: z.string().max(200).optional(),
+    amount: z.number().finite().min(-100000000).max(100000000).optional()
+  }).passthrough()).optional(),
+  addOns: z.record(z.string(), z.record(z.string(), z.boolean())).optional()
+};
+
+// Filters for the category report: budgets created between two dates (inclusive).
+const categoryReportQueryShape = {
+  from: z.iso.date().optional(),
+  to: z.iso.date().optional(),
+  propertyType: z.enum(['all', ...categoryReport.PROPERTY_TYPES]).optional().default('all')
+};
+
+const datesInOrder = [
+  query => !query.from || !query.to || query.from <= query.to,
+  { message: 'from must not be after to', path: ['to'] }
+];
+
+// The To, CC or BCC addresses on a proposal email.
+const emailAddressList = z.array(z.string().trim().email().max(254)).max(10);
+
+// The admin list filters, shared by the paged list and the export.
+const budgetListQueryShape = {
+  search: z.string().max(200).optional(),
+  status: z.enum(budgetList.LIST_FILTERS).optional().default('all'),
+  owner: z.string().max(320).optional(),
+  hideExpired: z.enum(['0', '1', 'true', 'false']).optional(),
+  sort: z.enum(budgetList.SORT_COLUMNS).optional(),
+  direction: z.enum(['asc', 'desc']).optional()
+};
+
+const budgetScenarioShape = {
+  scenarios: z.array(z.object({
+    id: z.string().trim().min(1).max(40),
+    name: z.string().trim().min(1).max(60),
+    ...budgetSelectionShape,
+    total: z.number().finite().min(-100000000).max(100000000).optional()
+  }).passthrough())
+    .max(budgetScenarios.MAX_SCENARIOS)
+    .refine(list => new Set(list.map(scenario => scenario.id)).size === list.length, 'Scenario ids must be unique')
+    .optional(),
+  chosenScenarioId: z.string().max(40).optional().nullable()
+};
+
+// A full category_defaults payload, as sent by the Categories & Pricing editor.
+const pricingDraftShape = {
+  residential_categories: z.array(z.record(z.string(), z.any())),
+  residential_sections: z.array(z.record(z.string(), z.any())).optional(),
+  residential_extras: z.array(z.record(z.string(), z.any())).optional(),
+  condo_categories: z.array(z.record(z.string(), z.any())),
+  condo_sections: z.array(z.record(z.string(), z.any())).optional(),
+  condo_extras: z.array(z.record(z.string(), z.any())).optional(),
+  base_sqft: z.number().int().positive().max(100000).optional(),
+  tax_settings: z.record(z.string(), z.any()).optional()
+};
+
+const schemas = {
+  login: z.object({
+    email: z.string().min(1).max(254),
+    password: z.string().min(1).max(100),
+    rememberMe: z.boolean().optional().default(true)
+  }),
+
+  forgotPassword: z.object({
+    email: z.string().email().max(254)
+  }),
+
+  resetPassword: z.object({
+    password: z.string().min(8).max(100),
+    code: z.string().min(1).max(1000).optional(),
+    accessToken: z.string().min(1).max(5000).optional(),
+    refreshToken: z.string().min(1).max(5000).optional()
+  }),
+
+  userSettings: z.object({
+    followUpDigest: z.boolean(),
+    expiringWithinDays: z.number().int().min(1).max(followUpDigest.MAX_EXPIRING_WITHIN_DAYS),
+    emailSignature: z.string().max(1000).optional()
+  }).strict(),
+
+  // An editable email template; see src/utils/email-template-render.js for the syntax.
+  emailTemplate: z.object({
+    subject: z.string().trim().min(1).max(200),
+    body: z.string().trim().min(1).max(20000)
+  }).strict(),
+
+  // A template being typed in the editor, for the live preview.
+  emailTemplateDraft: z.object({
+    subject: z.string().max(200),
+    body: z.string().max(20000)
+  }).strict(),
+
+  createBudget: z.object({
+    state: z.object({
+      ...budgetSelectionShape,
+      ...budgetScenarioShape,
+      homeSize: z.number().int().min(500).max(50000).optional(),
+      propertyType: z.enum(['residential', 'condo']).optional(),
+      clientName: z.string().max(200).optional().nullable(),
+      builder: z.string().max(200).optional().nullable(),
+      total: z.number().finite().min(-100000000).max(100000000).optional()
+    }).passthrough(),
+    clientName: z.string().max(200).optional().nullable()
+  }),
+
+  createAdminBudget: z.object({
+    clientName: z.string().max(200).optional().nullable(),
+    builder: z.string().max(200).optional().nullable(),
+    homeSize: z.coerce.number().int().min(500).max(50000),
+    propertyType: z.enum(['residential', 'condo']),
+    budgetType: z.enum(['template', 'blank_custom']).optional().default('template')
+  }),
+
+  updateBudget: z.object({
+    state: z.object({
+      ...budgetSelectionShape,
+      ...budgetScenarioShape,
+      homeSize: z.number().int().min(500).max(50000).optional(),
+      propertyType: z.enum(['residential', 'condo']).optional(),
+      clientName: z.string().max(200).optional().nullable(),
+      builder: z.string().max(200).optional().nullable(),
+      total: z.number().finite().min(-100000000).max(100000000).optional()
+    }).passthrough(),
+    note: z.string().max(500).optional(),
+    pin: z.boolean().optional()
+  }),
+
+  updateBudgetProject: z.object({
+    clientName: z.string().max(200).optional().nullable(),
+    builder: z.string().max(200).optional().nullable(),
+    createdByEmail: z.union([z.string().email().max(254), z.literal('')]).optional().nullable(),
+    homeSize: z.coerce.number().int().min(500).max(50000).optional(),
+    propertyType: z.enum(['residential', 'condo']).optional(),
+    pricingMode: z.enum(['recalculate', 'preserve']).optional(),
+    // null clears the override so the budget follows the default tax settings again.
+    tax: z.object({
+      presetId: z.string().min(1).max(100).optional().nullable(),
+      rate: z.number().finite().min(0).max(0.25).optional().nullable(),
+      label: z.string().max(100).optional().nullable()
+    }).strict().optional().nullable()
+  }),
+
+  categoryHistoryList: z.object({
+    limit: z.coerce.number().int().min(1).max(200).optional().default(50)
+  }),
+
+  categoryRevisionParams: z.object({
+    id: z.coerce.number().int().positive()
+  }),
+
+  categoryHistoryDiff: z.object({
+    compare: z.union([z.enum(['previous', 'current']), z.string().regex(/^\d+$/)]).optional().default('previous')
+  }),
+
+  previewPriceChange: z.object(pricingDraftShape),
+
+  schedulePriceChange: z.object({
+    ...pricingDraftShape,
+    effective_at: z.string().datetime({ offset: true }),
+    note: z.string().trim().max(200).optional().default('')
+  }),
+
+  scheduledPriceChangeParams: z.object({
+    id: z.coerce.number().int().positive()
+  }),
+
+  budgetApprovalParams: z.object({
+    approvalId: z.coerce.number().int().positive()
+  }).passthrough(),
+
+  budgetEmailParams: z.object({
+    emailId: z.coerce.number().int().positive()
+  }).passthrough(),
+
+  approveBudget: z.object({
+    signerName: z.string().trim().min(2).max(120),
+    initials: z.string().trim().min(1).max(12),
+    consent: z.literal(true),
+    expectedTotal: z.number().finite().min(-100000000).max(100000000).optional()
+  }),
+
+  budgetActivity: z.object({
+    categoryId: z.string().max(100).nullable()
+  }),
+
+  compareBudgets: z.object({
+    left: z.string().min(1).max(100),
+    right: z.string().min(1).max(100),
+    leftVersion: z.coerce.number().int().positive().optional(),
+    rightVersion: z.coerce.number().int().positive().optional()
+  }),
+
+  repriceBudgets: z.object({
+    budgetIds: z.array(z.string().min(1).max(100)).min(1).max(500),
+    note: z.string().trim().max(200).optional().default('')
+  }),
+
+  listBudgets: z.object({
+    ...budgetListQueryShape,
+    page: z.coerce.number().int().min(1).optional().default(1),
+    pageSize: z.coerce.number().int().min(1).max(budgetList.MAX_PAGE_SIZE).optional().default(budgetList.DEFAULT_PAGE_SIZE)
+  }),
+
+  exportBudgets: z.object({
+    format: z.enum(budgetExport.EXPORT_FORMATS).optional().default('csv'),
+    ...budgetListQueryShape
+  }),
+
+  salesAnalytics: z.object({
+    days: z.coerce.number().int().min(7).max(salesAnalytics.MAX_PERIOD_DAYS).optional().default(salesAnalytics.DEFAULT_PERIOD_DAYS)
+  }),
+
+  categoryReport: z.object(categoryReportQueryShape).refine(...datesInOrder),
+
+  exportCategoryReport: z.object({
+    format: z.enum(budgetExport.EXPORT_FORMATS).optional().default('csv'),
+    ...categoryReportQueryShape
+  }).refine(...datesInOrder),
+
+  exportBudgetLineItems: z.object({
+    format: z.enum(budgetExport.EXPORT_FORMATS).optional().default('csv')
+  }),
+
+  cloneBudget: z.object({
+    clientName: z.string().max(200).optional().nullable()
+  }),
+
+  customizeBudget: customizationSnapshotSchema,
+
+  saveSectionLibraryItem: z.object({
+    id: z.string().max(100).optional(),
+    name: z.string().min(1).max(200),
+    description: z.string().max(1000).optional().default(''),
+    category: z.string().min(1).max(100).optional().default('Other'),
+    tags: z.array(z.string().min(1).max(50)).max(20).optional().default([]),
+    payload: z.record(z.string(), z.any())
+  }).strict(),
+
+  aiBudgetDraft: z.object({
+    budgetId: z.string().min(1).max(100),
+    prompt: z.string().min(10).max(15000),
+    customization: customizationSnapshotSchema.optional()
+  }).strict(),
+
+  applyAiBudgetDraft: z.object({
+    draft: aiBudgetDraftSchema,
+    customization: customizationSnapshotSchema.optional()
+  }).strict(),
+
+  createLink: z.object({
+    config: z.string().min(1).max(5000),
+    clientName: z.string().max(200).optional().nullable(),
+    customCode: z.string().max(50).optional()
+  }),
+
+  // Emailing a saved budget; `recipients` are the To addresses and `version`
+  // defaults to the current state.
+  sendBudget: z.object({
+    recipients: emailAddressList.min(1),
+    cc: emailAddressList.default([]),
+    bcc: emailAddressList.default([]),
+    recipientName: z.string().trim().max(200).optional(),
+    subject: z.string().trim().max(200).optional(),
+    message: z.string().trim().max(5000).optional(),
+    version: z.number().int().positive().optional(),
+    link: z.enum(['edit', 'view']).default('edit')
+  }).strict(),
+
+  // A proposal from client-built data. `recipientEmail` is the single To
+  // address older planners send; `recipients` takes several.
+  sendEmail: z.object({
+    recipientEmail: z.string().email().max(254).optional(),
+    recipients: emailAddressList.default([]),
+    cc: emailAddressList.default([]),
+    bcc: emailAddressList.default([]),
+    recipientName: z.string().max(200).optional(),
+    subject: z.string().max(200).optional(),
+    message: z.string().trim().max(5000).optional(),
+    proposalData: z.object({
+      categories: z.array(z.object({
+        name: z.string().max(200),
+        tier: z.string().max(50),
+        price: z.number().finite().min(-100000000).max(100000000),
+        taxable: z.boolean().optional()
+      })).max(100).default([]),
+      extras: z.array(z.object({
+        name: z.string().max(200),
+        price: z.number().finite().min(-100000000).max(100000000),
+        taxable: z.boolean().optional()
+      })).max(100).default([]),
+      catMods: z.array(z.object({
+        categoryName: z.string().max(200),
+        name: z.string().max(200),
+        amount: z.number().finite().min(-100000000).max(100000000)
+      })).max(100).default([]),
+      modifiers: z.array(z.object({
+        name: z.string().max(200),
+        amount: z.number().finite().min(-100000000).max(100000000)
+      })).max(100).default([]),
+      subtotal: z.number().finite().min(-100000000).max(100000000),
+      tax: z.number().finite().min(-100000000).max(100000000),
+      taxRate: z.number().finite().min(0).max(0.25).optional(),
+      taxLabel: z.string().max(100).optional(),
+      total: z.number().finite().min(-100000000).max(100000000),
+      tierLabel: z.string().max(100).optional(),
+      clientName: z.string().max(200).optional(),
+      builder: z.string().max(200).optional(),
+      homeSize: z.number().int().min(500).max(50000).optional(),
+      propertyType: z.enum(['residential', 'condo']).optional(),
+      budgetUrl: z.string().url().max(1000).optional().nullable()
+    }).strict()
+  }).strict().refine(data => data.recipientEmail || data.recipients.length > 0, {
+    message: 'Add at least one recipient',
+    path: ['recipients']
+  })
+};
+
+module.exports = {
+  schemas
+};
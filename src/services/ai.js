@@ -0,0 +1,183 @@
+// AI budget drafts: asking OpenAI for a draft, turning an approved draft into
+// budget customization, and the one-step undo snapshot kept per budget.
+// `openai` is an OpenAI client, or null when OPENAI_API_KEY is not set.
+const { zodTextFormat } = require('openai/helpers/zod');
+const {
+  BUDGET_DRAFT_INSTRUCTIONS,
+  aiBudgetDraftSchema,
+  buildBudgetDraftInput
+} = require('../utils/budget-ai');
+const {
+  buildBudgetDefaultSnapshot,
+  deepClone,
+  normalizeCategoryConfigPayload,
+  normalizeCustomCategoriesPayload,
+  sanitizeIdentifier,
+  slugifySectionId,
+  uniqueSectionId
+} = require('../utils/category-defaults');
+
+function aiBudgetUndoIsCurrent(undo, budget) {
+  if (!undo?.applied_at || !budget?.lastModified) return false;
+  return new Date(undo.applied_at).getTime() === new Date(budget.lastModified).getTime();
+}
+
+// The customization an approved draft produces: reviewed template tiers,
+// generated sections added to the layout, and the sections of any earlier AI
+// draft (with their selections) replaced.
+function buildAiDraftCustomization({
+  draft,
+  defaults,
+  categories,
+  library,
+  baseCategoryConfig,
+  baseCustomCategories,
+  currentSelections = {},
+  appliedAt
+}) {
+  const libraryMap = new Map(library.map(item => [item.id, item]));
+  const usedIds = new Set([
+    ...categories.map(category => category.id),
+    ...baseCustomCategories.filter(category => !category.aiGenerated).map(category => category.id)
+  ]);
+  const priorAiCustom = baseCustomCategories.filter(category => category.aiGenerated);
+  const preservedCustom = baseCustomCategories.filter(category => !category.aiGenerated);
+  const generatedCustom = [];
+  const selections = { ...currentSelections };
+  priorAiCustom.forEach(category => delete selections[category.id]);
+
+  const categoryConfig = normalizeCategoryConfigPayload({
+    ...buildBudgetDefaultSnapshot(defaults),
+    ...baseCategoryConfig
+  });
+  draft.templateSelections.forEach(selection => {
+    categoryConfig[selection.categoryId] = {
+      ...(categoryConfig[selection.categoryId] || {}),
+      hidden: false,
+      required: selection.required === true,
+      provenance: 'approved',
+      aiReviewedAt: appliedAt,
+      aiPriceReviewed: true,
+      aiRecommendedTier: selection.tierKey,
+      aiRationale: selection.rationale,
+      tiers: {
+        ...(categoryConfig[selection.categoryId]?.tiers || {}),
+        [selection.tierKey]: {
+          ...(categoryConfig[selection.categoryId]?.tiers?.[selection.tierKey] || {}),
+          price: selection.price
+        }
+      }
+    };
+  });
+
+  draft.sections.forEach((section, index) => {
+    let payload;
+    if (section.source === 'library') {
+      payload = deepClone(libraryMap.get(section.sourceId)?.payload || null);
+      if (!payload) return;
+      section.tiers.forEach(tier => {
+        if (!payload.tiers?.[tier.key]) return;
+        payload.tiers[tier.key] = {
+          ...payload.tiers[tier.key],
+          label: tier.label,
+          price: Math.round(Number(tier.price || 0) / 100) * 100
+        };
+      });
+    } else {
+      payload = {
+        name: section.name,
+        icon: section.icon || '📦',
+        desc: section.rationale,
+        tiers: Object.fromEntries(section.tiers.map(tier => [tier.key, {
+          enabled: true,
+          label: tier.label,
+          tag: tier.label,
+          price: Math.round(Number(tier.price || 0) / 100) * 100,
+          features: tier.features,
+          brands: tier.brands
+        }]))
+      };
+    }
+
+    const header = section.header || payload.section || 'Custom';
+    const id = uniqueSectionId(
+      sanitizeIdentifier(`ai-${section.source === 'library' ? section.sourceId : section.name}`, `ai-section-${index + 1}`),
+      usedIds
+    );
+    const normalized = normalizeCustomCategoriesPayload([{
+      ...payload,
+      id,
+      name: section.name || payload.name,
+      icon: payload.icon || section.icon || '📦',
+      section: header,
+      section_id: slugifySectionId(header),
+      sectionId: slugifySectionId(header),
+      required: section.required === true || payload.required === true,
+      sortOrder: index,
+      aiGenerated: true,
+      provenance: section.source === 'library' ? 'library' : 'ai',
+      aiReviewedAt: appliedAt,
+      aiPriceReviewed: true,
+      aiRationale: section.rationale,
+      librarySourceId: section.source === 'library' ? section.sourceId : null
+    }])[0];
+    if (!normalized) return;
+    generatedCustom.push(normalized);
+    delete selections[normalized.id];
+  });
+
+  const customCategories = normalizeCustomCategoriesPayload([...preservedCustom, ...generatedCustom]);
+  const currentLayout = Array.isArray(categoryConfig.__layout?.sections)
+    ? deepClone(categoryConfig.__layout.sections)
+    : [];
+  const existingSectionIds = new Set(currentLayout.map(section => section.id || slugifySectionId(section.name)));
+  generatedCustom.forEach(category => {
+    const id = category.section_id || category.sectionId || slugifySectionId(category.section);
+    if (existingSectionIds.has(id)) return;
+    currentLayout.push({ id, name: category.section || 'Custom', order: currentLayout.length });
+    existingSectionIds.add(id);
+  });
+  if (currentLayout.length) categoryConfig.__layout = { sections: currentLayout };
+  categoryConfig.__aiDraft = {
+    templateCategoryIds: draft.templateSelections.map(selection => selection.categoryId),
+    generatedCustomCategoryIds: generatedCustom.map(category => category.id),
+    summary: draft.summary,
+    assumptions: draft.assumptions || [],
+    questions: draft.questions || [],
+    appliedAt
+  };
+
+  return { categoryConfig, customCategories, selections };
+}
+
+function createAiService({ storage, openai = null, model }) {
+  function loadAiBudgetUndo(budgetId) {
+    return storage.aiUndo.find(budgetId, 'budget_id,snapshot,applied_at,applied_by,created_at');
+  }
+
+  async function requestBudgetDraft({ prompt, budget, categories, library }) {
+    const response = await openai.responses.parse({
+      model,
+      reasoning: { effort: 'medium' },
+      instructions: BUDGET_DRAFT_INSTRUCTIONS,
+      input: buildBudgetDraftInput({ prompt, budget, categories, library }),
+      text: { format: zodTextFormat(aiBudgetDraftSchema, 'gamma_budget_draft') },
+      max_output_tokens: 12000,
+      store: false
+    }, { timeout: 90000 });
+    return response.output_parsed || null;
+  }
+
+  return {
+    configured: !!openai,
+    model,
+    loadAiBudgetUndo,
+    requestBudgetDraft
+  };
+}
+
+module.exports = {
+  aiBudgetUndoIsCurrent,
+  buildAiDraftCustomization,
+  createAiService
+};
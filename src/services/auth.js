@@ -0,0 +1,143 @@
+// Sign-in through Supabase Auth. The session lives in httpOnly cookies
+// (sb_token, plus sb_refresh_token for "remember me"); API clients may send a
+// Bearer token instead. `clients` is { createPublicClient(options), admin } —
+// an anon-key client factory and the service-role auth admin API — or null
+// when SUPABASE_URL is not set, which turns sign-in off.
+const { can } = require('../../public/src/utils/permissions');
+
+const REMEMBER_ME_MAX_AGE_MS = 90 * 24 * 60 * 60 * 1000;
+const DEFAULT_ACCESS_MAX_AGE_MS = 60 * 60 * 1000;
+
+function authCookieOptions(req, maxAge) {
+  const options = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production' || req.secure,
+    sameSite: 'lax',
+    path: '/'
+  };
+  if (maxAge) options.maxAge = maxAge;
+  return options;
+}
+
+function setAuthCookies(req, res, session, rememberMe) {
+  if (!session?.access_token) return;
+  const accessMaxAge = rememberMe
+    ? REMEMBER_ME_MAX_AGE_MS
+    : Math.max(1, session.expires_in || 3600) * 1000;
+
+  res.cookie('sb_token', session.access_token, authCookieOptions(req, accessMaxAge || DEFAULT_ACCESS_MAX_AGE_MS));
+
+  if (rememberMe && session.refresh_token) {
+    res.cookie('sb_refresh_token', session.refresh_token, authCookieOptions(req, REMEMBER_ME_MAX_AGE_MS));
+  } else {
+    res.clearCookie('sb_refresh_token', { path: '/' });
+  }
+}
+
+function clearAuthCookies(res) {
+  res.clearCookie('sb_token', { path: '/' });
+  res.clearCookie('sb_refresh_token', { path: '/' });
+}
+
+// Extract Supabase auth token from request
+function getToken(req) {
+  // Check cookie first, then Authorization header
+  if (req.cookies.sb_token) return req.cookies.sb_token;
+  const auth = req.headers.authorization;
+  if (auth && auth.startsWith('Bearer ')) return auth.slice(7);
+  return null;
+}
+
+function isSuperAdmin(user) {
+  return user?.app_metadata?.role === 'superadmin';
+}
+
+// 403 messages for a missing permission (see public/src/utils/permissions.js).
+const PERMISSION_ERRORS = {
+  'budgets.edit': 'Your role cannot change budgets',
+  'budgets.reprice': 'Your role cannot re-price budgets',
+  'team.view': 'Sales manager access required',
+  'pricing.edit': 'Pricing admin access required',
+  'library.edit': 'Your role cannot change the section library',
+  'users.manage': 'Superadmin access required',
+  'email.manage': 'Superadmin access required'
+};
+
+function createAuthService({ clients = null } = {}) {
+  function createPublicAuthClient(options) {
+    if (!clients) {
+      const err = new Error('Sign-in is not configured (SUPABASE_URL is not set)');
+      err.authUnavailable = true;
+      throw err;
+    }
+    return clients.createPublicClient(options);
+  }
+
+  async function refreshRequestSession(req, res) {
+    const refreshToken = req.cookies.sb_refresh_token;
+    if (!refreshToken || !res) return null;
+    try {
+      const refreshClient = createPublicAuthClient();
+      const { data, error } = await refreshClient.auth.refreshSession({ refresh_token: refreshToken });
+      if (error || !data?.session || !data?.user) {
+        clearAuthCookies(res);
+        return null;
+      }
+      setAuthCookies(req, res, data.session, true);
+      return data.user;
+    } catch (err) {
+      console.error('Refresh session error:', err);
+      clearAuthCookies(res);
+      return null;
+    }
+  }
+
+  async function getRequestUser(req, res = null) {
+    if (!clients) return null;
+    const token = getToken(req);
+    if (token) {
+      try {
+        const { data: { user }, error } = await createPublicAuthClient().auth.getUser(token);
+        if (!error && user) return user;
+      } catch (_) {}
+    }
+    return refreshRequestSession(req, res);
+  }
+
+  async function requireAuth(req, res, next) {
+    const user = await getRequestUser(req, res);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    req.user = user;
+    next();
+  }
+
+  function requirePermission(permission) {
+    return async function (req, res, next) {
+      const user = await getRequestUser(req, res);
+      if (!user) return res.status(401).json({ error: 'Unauthorized' });
+      if (!can(user, permission)) {
+        return res.status(403).json({ error: PERMISSION_ERRORS[permission] || 'You do not have permission to do this' });
+      }
+      req.user = user;
+      next();
+    };
+  }
+
+  return {
+    configured: !!clients,
+    admin: clients?.admin || null,
+    createPublicAuthClient,
+    getRequestUser,
+    requireAuth,
+    requirePermission
+  };
+}
+
+module.exports = {
+  clearAuthCookies,
+  createAuthService,
+  getToken,
+  isSuperAdmin,
+  setAuthCookies
+};
@@ -0,0 +1,128 @@
+// Live budget state kept in this process: which browsers have a budget open
+// (ephemeral presence; view history remains persisted separately) and the
+// event hub behind GET /api/budgets/:id/events.
+const { createBudgetEventHub } = require('../utils/budget-events');
+const { getRequestIp, isOfficeTeamIp } = require('../utils/request');
+
+const PRESENCE_TTL_MS = 35 * 1000;
+// The heartbeat keeps each open stream's presence fresh well inside PRESENCE_TTL_MS.
+const BUDGET_EVENTS_HEARTBEAT_MS = 20 * 1000;
+
+function getBudgetBrowserId(req) {
+  const raw = req.query.browserId || req.get('X-Budget-Browser-Id') || '';
+  return String(raw).replace(/[^a-zA-Z0-9_-]/g, '').slice(0, 100);
+}
+
+// Who other browsers see: the signed-in user's name, otherwise "Client".
+function budgetActorLabel(req, user = null) {
+  if (user) return user.user_metadata?.name || String(user.email || 'Team').split('@')[0];
+  return isOfficeTeamIp(getRequestIp(req)) ? 'Gamma Tech' : 'Client';
+}
+
+function createBudgetLiveService() {
+  const budgetPresence = new Map();
+  const budgetEvents = createBudgetEventHub();
+
+  function pruneBudgetPresence(budgetId = null) {
+    const now = Date.now();
+    const pruneMap = (map) => {
+      for (const [id, presence] of map.entries()) {
+        if (now - presence.lastSeenMs > PRESENCE_TTL_MS) map.delete(id);
+      }
+    };
+
+    if (budgetId) {
+      const map = budgetPresence.get(budgetId);
+      if (map) {
+        pruneMap(map);
+        if (map.size === 0) budgetPresence.delete(budgetId);
+      }
+      return;
+    }
+
+    for (const [id, map] of budgetPresence.entries()) {
+      pruneMap(map);
+      if (map.size === 0) budgetPresence.delete(id);
+    }
+  }
+
+  function touchBudgetPresence(budgetId, req, isInternal = false, label = null) {
+    const browserId = getBudgetBrowserId(req);
+    if (!browserId) return null;
+    const ip = getRequestIp(req);
+
+    pruneBudgetPresence(budgetId);
+    let map = budgetPresence.get(budgetId);
+    if (!map) {
+      map = new Map();
+      budgetPresence.set(budgetId, map);
+    }
+
+    const previous = map.get(browserId);
+    const presence = {
+      id: browserId,
+      ip: ip || null,
+      userAgent: req.get('User-Agent') || null,
+      isInternal: !!isInternal || isOfficeTeamIp(ip),
+      label: label || previous?.label || null,
+      editing: previous?.editing || null,
+      lastSeen: new Date().toISOString(),
+      lastSeenMs: Date.now()
+    };
+    map.set(browserId, presence);
+    return presence;
+  }
+
+  function removeBudgetPresence(budgetId, browserId) {
+    const map = budgetPresence.get(budgetId);
+    if (!map) return;
+    map.delete(browserId);
+    if (map.size === 0) budgetPresence.delete(budgetId);
+  }
+
+  function getActiveBudgetBrowsers(budgetId) {
+    pruneBudgetPresence(budgetId);
+    return Array.from(budgetPresence.get(budgetId)?.values() || [])
+      .sort((a, b) => b.lastSeenMs - a.lastSeenMs)
+      .map(({ lastSeenMs, ...presence }) => presence);
+  }
+
+  // Presence as shown to everyone on the budget stream: no IPs or devices.
+  function publicBudgetBrowsers(budgetId) {
+    return getActiveBudgetBrowsers(budgetId).map(browser => ({
+      id: browser.id,
+      label: browser.label || (browser.isInternal ? 'Gamma Tech' : 'Client'),
+      isInternal: browser.isInternal,
+      editing: browser.editing?.categoryId || null
+    }));
+  }
+
+  function publishBudgetPresence(budgetId) {
+    budgetEvents.publish(budgetId, 'presence', { browsers: publicBudgetBrowsers(budgetId) });
+  }
+
+  // Tell open browsers to re-fetch the budget after a change that isn't a plain
+  // state save (admin edits, restores, approvals, re-pricing).
+  function publishBudgetReload(budgetId, reason, revision = null) {
+    budgetEvents.publish(budgetId, 'reload', { reason, revision });
+  }
+
+  return {
+    events: budgetEvents,
+    getActiveBudgetBrowsers,
+    pruneBudgetPresence,
+    publicBudgetBrowsers,
+    publishBudgetPresence,
+    publishBudgetReload,
+    removeBudgetPresence,
+    touchBudgetPresence
+  };
+}
+
+module.exports = {
+  BUDGET_EVENTS_HEARTBEAT_MS,
+  PRESENCE_TTL_MS,
+  budgetActorLabel,
+  createBudgetLiveService,
+  getBudgetBrowserId
+};
@@ -0,0 +1,196 @@
+// Emailing a saved budget to its clients (budget_shares, migration 019). The
+// line items come from the stored state priced on the server, never from the
+// browser; the emailed version is pinned as "Shared/Emailed" and the send is
+// recorded with its recipients. Every To, CC and BCC address gets its own copy
+// whose link carries a recipient token (?r=…), so a view through it is
+// recorded against that person (budget_views, migration 020). The emails go
+// through the notification service, so they are in the email log too.
+const crypto = require('crypto');
+const { approvalStateHash } = require('../utils/budget-approval');
+const { budgetPricingOptions, calculateBudgetPricing } = require('../utils/budget-pricing');
+const { buildProposalData } = require('../utils/budget-proposal');
+const { proposalEmail } = require('../utils/email-templates');
+
+const SHARED_VERSION_NOTE = 'Shared/Emailed';
+const RECIPIENT_TOKEN_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+// Each address once, To before CC before BCC, as { email, kind }.
+function shareRecipients({ recipients, cc = [], bcc = [] }) {
+  const seen = new Set();
+  const list = [];
+  [['to', recipients], ['cc', cc], ['bcc', bcc]].forEach(([kind, addresses]) => {
+    addresses.forEach(email => {
+      const key = email.toLowerCase();
+      if (seen.has(key)) return;
+      seen.add(key);
+      list.push({ email, kind });
+    });
+  });
+  return list;
+}
+
+// `opens` maps recipient tokens to { openedAt, views } (see listBudgetShares).
+function shareFromRow(row, opens = {}) {
+  return {
+    id: row.id,
+    version: row.version_number,
+    recipients: (row.recipients || []).map(({ email, kind, token, error }) => ({
+      email,
+      kind: kind || 'to',
+      openedAt: opens[token]?.openedAt || null,
+      views: opens[token]?.views || 0,
+      error: error || null
+    })),
+    link: row.link_type,
+    subject: row.subject,
+    message: row.message || '',
+    sentBy: row.sent_by_email || null,
+    sentAt: row.created_at
+  };
+}
+
+function createBudgetShareService({ storage, budgets, categories, notifications, emailTemplates, appUrl }) {
+  function budgetLink(budgetId, link) {
+    return link === 'edit'
+      ? `${appUrl}${budgets.budgetEditUrl(budgetId)}`
+      : `${appUrl}/b/${encodeURIComponent(budgetId)}`;
+  }
+
+  const trackedLink = (url, token) => `${url}${url.includes('?') ? '&' : '?'}r=${token}`;
+
+  // The version that holds `state`: the one asked for, else the latest when it
+  // is the same budget, else a new one. Pinned either way; notes on versions
+  // that were already pinned (an approval, say) are kept.
+  async function pinSharedVersion(budget, versionNumber, state, versionMeta) {
+    const version = versionNumber
+      ? budget.versions.find(v => v.version === versionNumber)
+      : budget.versions[budget.versions.length - 1];
+    if (version && (versionNumber || approvalStateHash(version.state) === approvalStateHash(state))) {
+      if (!version.pinned) await storage.versions.update(budget.id, version.version, { is_pinned: true, note: SHARED_VERSION_NOTE });
+      return version.version;
+    }
+    const next = budget.versions.length + 1;
+    await budgets.addVersion(budget.id, next, state, SHARED_VERSION_NOTE, true, versionMeta);
+    return next;
+  }
+
+  /**
+   * Email `budget` (as loadBudget returns it) to `recipients` (To), `cc` and
+   * `bcc`, one copy per address, replying to the budget's owner. `version` is
+   * a version number the caller has checked exists and holds the current state
+   * (the link opens the current budget), or null for the current state. `sender` is the signed-in user. Resolves to { error } when no copy
+   * went out, otherwise { version, url, share, failed } where `failed` lists
+   * the addresses the mailer refused.
+   */
+  async function sendBudget(budget, { recipients, cc = [], bcc = [], recipientName, subject, message, version = null, link = 'edit' }, { sender, versionMeta }) {
+    const state = version ? budget.versions.find(v => v.version === version).state : (budget.currentState || {});
+    const defaults = await categories.loadCategoryDefaultsData();
+    const breakdown = calculateBudgetPricing(state, defaults, budgetPricingOptions(budget, state));
+    const url = budgetLink(budget.id, link);
+    const options = await emailTemplates.emailOptions('proposal', {
+      email: sender.email,
+      name: sender.user_metadata?.name || null
+    });
+    const everyone = shareRecipients({ recipients, cc, bcc });
+    const visible = everyone.filter(recipient => recipient.kind !== 'bcc').map(recipient => recipient.email);
+
+    const sent = [];
+    let shareSubject = null;
+    for (const recipient of everyone) {
+      const token = crypto.randomBytes(12).toString('base64url');
+      const data = {
+        ...buildProposalData(state, breakdown, { clientName: state.clientName || budget.clientName || '', budgetUrl: trackedLink(url, token), message }),
+        alsoSentTo: visible.filter(email => email !== recipient.email)
+      };
+      // Only the To copies are addressed by name; CC and BCC copies say "Hi,".
+      const email = proposalEmail(data, recipient.kind === 'to' ? recipientName : '', options);
+      let result;
+      try {
+        result = await notifications.send(
+          { to: recipient.email, replyTo: budget.createdByEmail || sender.email, subject: subject || email.subject, html: email.html, text: email.text },
+          { type: 'proposal', budgetId: budget.id, sentBy: sender.email }
+        );
+      } catch (err) {
+        result = { data: null, error: err };
+      }
+      if (!result.error && !shareSubject) shareSubject = subject || email.subject;
+      sent.push({
+        ...recipient,
+        token,
+        providerId: result.data?.id || null,
+        ...(result.error ? { error: String(result.error.message || result.error) } : {})
+      });
+    }
+    if (!shareSubject) return { error: { message: sent[0].error } };
+
+    const versionNumber = await pinSharedVersion(budget, version, state, versionMeta);
+    await budgets.markBudgetSent(budget.id).catch(err => console.warn('Could not record proposal send:', err.message));
+    let share = null;
+    try {
+      share = shareFromRow(await storage.budgetShares.insert({
+        budget_id: budget.id,
+        version_number: versionNumber,
+        recipients: sent,
+        link_type: link,
+        subject: shareSubject,
+        message: message || null,
+        sent_by_email: sender.email
+      }));
+    } catch (err) {
+      console.warn('Could not record budget share:', err.message);
+    }
+    return {
+      version: versionNumber,
+      url,
+      share,
+      failed: sent.filter(recipient => recipient.error).map(recipient => recipient.email)
+    };
+  }
+
+  // Newest first, each recipient with when they first opened their link. A
+  // missing budget_shares table (migration 019 not run) reads as none.
+  async function listBudgetShares(budgetId) {
+    try {
+      const [rows, views] = await Promise.all([
+        storage.budgetShares.listForBudget(budgetId),
+        storage.views.listForBudget(budgetId).catch(() => [])
+      ]);
+      const opens = {};
+      views.forEach(view => {
+        if (!view.recipient_token) return;
+        const open = opens[view.recipient_token] || (opens[view.recipient_token] = { openedAt: view.viewed_at, views: 0 });
+        open.views += 1;
+        if (view.viewed_at < open.openedAt) open.openedAt = view.viewed_at;
+      });
+      return rows.map(row => shareFromRow(row, opens));
+    } catch (err) {
+      console.warn('listBudgetShares warning:', err.message);
+      return [];
+    }
+  }
+
+  // The { token, email } a recipient token on `budgetId`'s link stands for, or null.
+  async function findShareRecipient(budgetId, token) {
+    if (!RECIPIENT_TOKEN_PATTERN.test(token)) return null;
+    try {
+      for (const row of await storage.budgetShares.listForBudget(budgetId, 'recipients')) {
+        const recipient = (row.recipients || []).find(entry => entry.token === token);
+        if (recipient) return { token, email: recipient.email };
+      }
+    } catch (err) {
+      console.warn('findShareRecipient warning:', err.message);
+    }
+    return null;
+  }
+
+  return {
+    findShareRecipient,
+    listBudgetShares,
+    sendBudget
+  };
+}
+
+module.exports = {
+  SHARED_VERSION_NOTE,
+  createBudgetShareService
+};
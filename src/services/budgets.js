@@ -0,0 +1,533 @@
+// Budgets as the API sees them: loading a budget with its views, versions and
+// approvals, saving at a revision, the admin list, and recorded views. Rows
+// are read and written through `storage`; mapping to API shapes happens here.
+const {
+  createBudgetEditToken: signBudgetEditToken,
+  verifyBudgetEditToken
+} = require('../utils/security');
+const budgetScenarios = require('../../public/src/utils/scenarios');
+const budgetList = require('../../public/src/utils/budget-list');
+const { normalizeBudgetStatus } = budgetList;
+const { getBudgetAccess } = require('../utils/budget-access');
+const {
+  buildBudgetDefaultSnapshot,
+  hasBudgetDefaultSnapshot,
+  mergeBudgetDefaultSnapshot,
+  normalizeCategoryConfigPayload
+} = require('../utils/category-defaults');
+const { OFFICE_TEAM_VIEW_IPS, generateCode, isOfficeTeamIp, normalizeIp } = require('../utils/request');
+const { getVersionMeta, stripVersionMeta, withVersionMeta } = require('../utils/version-meta');
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+const BUDGET_APPROVAL_SUMMARY_COLUMNS = 'id, version_number, signer_name, signer_initials, approved_at, state_hash, total, scenario_name';
+
+function approvalSummaryFromRow(row) {
+  return {
+    id: row.id,
+    versionNumber: row.version_number,
+    signerName: row.signer_name,
+    signerInitials: row.signer_initials,
+    approvedAt: row.approved_at,
+    stateHash: row.state_hash,
+    total: Number(row.total) || 0,
+    scenarioName: row.scenario_name || null
+  };
+}
+
+// The customization half of a budget in the shape the customize endpoints
+// save, so a stale customize can be compared with what's stored now.
+function budgetCustomization(budget, defaults) {
+  return {
+    categoryConfig: normalizeCategoryConfigPayload({
+      ...buildBudgetDefaultSnapshot(defaults),
+      ...(budget.categoryConfig || {})
+    }),
+    customCategories: budget.customCategories || []
+  };
+}
+
+function createBudgetService({ storage, categories, live, notifications, editSecret }) {
+  const { loadCategoryDefaultsData } = categories;
+  const { getActiveBudgetBrowsers } = live;
+  const { sendViewNotification } = notifications;
+
+  function createBudgetEditToken(budgetId) {
+    return signBudgetEditToken(editSecret, budgetId);
+  }
+
+  function hasValidBudgetEditToken(req, budgetId) {
+    const supplied = String(req.get('X-Budget-Edit-Token') || req.query.edit || '');
+    return verifyBudgetEditToken(editSecret, budgetId, supplied);
+  }
+
+  function budgetEditUrl(budgetId) {
+    return `/b/${encodeURIComponent(budgetId)}?edit=${encodeURIComponent(createBudgetEditToken(budgetId))}`;
+  }
+
+  // A fresh 8-character budget id nobody has used yet.
+  async function generateBudgetId() {
+    let id;
+    let exists;
+    do {
+      id = generateCode(8);
+      exists = await storage.budgets.exists(id);
+    } while (exists);
+    return id;
+  }
+
+  async function ensureBudgetDefaultSnapshotForRow(budget) {
+    if (!budget || hasBudgetDefaultSnapshot(budget.category_config)) {
+      return budget?.category_config || null;
+    }
+
+    const defaults = await loadCategoryDefaultsData();
+    const categoryConfig = mergeBudgetDefaultSnapshot(budget.category_config || {}, defaults);
+    try {
+      await storage.budgets.update(budget.id, { category_config: categoryConfig });
+    } catch (err) {
+      console.error('snapshotBudgetDefaults error:', err);
+      return budget.category_config || null;
+    }
+
+    return categoryConfig;
+  }
+
+  async function loadBudget(id) {
+    let budget;
+    let views;
+    let versions;
+    try {
+      budget = await storage.budgets.find(id);
+      if (!budget) return null;
+      views = await storage.views.listForBudget(id);
+      versions = await storage.versions.listForBudget(id);
+    } catch (err) {
+      console.error('loadBudget error:', err);
+      return null;
+    }
+
+    const categoryConfig = await ensureBudgetDefaultSnapshotForRow(budget);
+
+    const approvals = await loadBudgetApprovalSummaries(id);
+    
+    const access = getBudgetAccess(budget.current_state || {});
+    return {
+      id: budget.id,
+      clientName: budget.client_name,
+      builder: budget.builder,
+      created: budget.created_at,
+      lastModified: budget.modified_at,
+      revision: Number(budget.revision) || 1,
+      lastClientActivity: budget.last_client_activity_at || null,
+      createdByEmail: budget.created_by_email || null,
+      status: normalizeBudgetStatus(budget.status),
+      notes: budget.notes || '',
+      followUpDate: budget.follow_up_date || null,
+      expiresAt: access.expiresAt,
+      expiredAt: access.expiredAt,
+      isExpired: access.isExpired,
+      activeBrowsers: getActiveBudgetBrowsers(id),
+      views: (views || []).map(v => ({ id: v.id, timestamp: v.viewed_at, ip: v.ip_address, userAgent: v.user_agent, isInternal: !!v.is_internal || isOfficeTeamIp(v.ip_address), recipient: v.recipient_email || null })),
+      versions: (versions || []).map(v => ({
+        version: v.version_number,
+        timestamp: v.created_at,
+        state: stripVersionMeta(v.state),
+        meta: getVersionMeta(v.state),
+        note: v.note,
+        pinned: !!v.is_pinned
+      })),
+      currentState: budget.current_state,
+      isCustomized: !!budget.is_customized,
+      sqftLocked: budget.sqft_locked,
+      propertyTypeLocked: budget.property_type_locked,
+      categoryConfig,
+      customCategories: budget.custom_categories,
+      approvals,
+      approval: approvals[0] || null
+    };
+  }
+
+  // Newest first. A missing approvals table (migration 011 not run) reads as no approvals.
+  async function loadBudgetApprovalSummaries(budgetId) {
+    try {
+      const rows = await storage.approvals.listForBudget(budgetId, BUDGET_APPROVAL_SUMMARY_COLUMNS);
+      return rows.map(approvalSummaryFromRow);
+    } catch (err) {
+      console.warn('loadBudgetApprovalSummaries warning:', err.message);
+      return [];
+    }
+  }
+
+  /**
+   * Write columns of a loaded budget and bump its revision, but only if nobody
+   * else has since (the row's revision is still budget.revision). Otherwise throws
+   * an error with budgetConflict set, carrying the reloaded budget and
+   * conflictChanges(reloaded) for budgetConflictBody.
+   */
+  async function updateBudgetRow(budget, columns, context, conflictChanges = () => []) {
+    const revision = budget.revision + 1;
+    const lastModified = columns.modified_at || new Date().toISOString();
+    const written = await storage.budgets.updateAtRevision(budget.id, budget.revision, { ...columns, modified_at: lastModified, revision });
+    if (!written) {
+      const err = new Error(`${context}: budget ${budget.id} changed while saving`);
+      err.budgetConflict = true;
+      err.budget = await loadBudget(budget.id);
+      err.changes = err.budget ? conflictChanges(err.budget) : [];
+      throw err;
+    }
+    return { revision, lastModified };
+  }
+
+  // Returns { lastModified, revision }. A budget that was loaded (has a revision)
+  // goes through updateBudgetRow; new budgets are inserted at revision 1.
+  async function saveBudget(budget, { conflictChanges } = {}) {
+    const modifiedAt = new Date().toISOString();
+    const row = {
+      id: budget.id,
+      client_name: budget.clientName || null,
+      builder: budget.builder || null,
+      modified_at: modifiedAt,
+      current_state: budget.currentState,
+      is_customized: !!budget.isCustomized,
+      sqft_locked: budget.sqftLocked || null,
+      property_type_locked: budget.propertyTypeLocked || null,
+      category_config: budget.categoryConfig || null,
+      custom_categories: budget.customCategories || null
+    };
+    if (budget.createdByEmail !== undefined) {
+      row.created_by_email = budget.createdByEmail;
+    }
+    if (budget.revision) {
+      const { id, ...columns } = row;
+      return updateBudgetRow(budget, columns, 'saveBudget', conflictChanges);
+    }
+    await storage.budgets.upsert({ ...row, revision: 1 });
+    return { lastModified: modifiedAt, revision: 1 };
+  }
+
+  // Every budget as search_budgets rows, from the tables, for a database
+  // without that function (migration 014 not run).
+  async function listBudgetSearchRows() {
+    const budgets = await storage.budgets.list(
+      'id, client_name, builder, created_at, modified_at, last_viewed_at, last_client_activity_at, is_customized, sqft_locked, property_type_locked, current_state, created_by_email, status, closed_at, notes, follow_up_date',
+      { order: [['modified_at', 'desc']] }
+    );
+
+    const ids = budgets.map(b => b.id);
+    const vcMap = await storage.versions.countsFor(ids).catch(() => ({}));
+
+    const approvedAtMap = {};
+    const approvals = await storage.approvals.listForBudgets(ids, 'budget_id, approved_at').catch(() => []);
+    approvals.forEach(approval => {
+      if (!approvedAtMap[approval.budget_id] || approval.approved_at > approvedAtMap[approval.budget_id]) {
+        approvedAtMap[approval.budget_id] = approval.approved_at;
+      }
+    });
+
+    // Count client vs internal views from budget_views table directly
+    const viewMap = {};
+    const allViews = await storage.views.listForBudgets(ids, 'budget_id, is_internal, ip_address').catch(() => []);
+    allViews.forEach(v => {
+      if (!viewMap[v.budget_id]) viewMap[v.budget_id] = { client: 0, team: 0 };
+      if (v.is_internal || isOfficeTeamIp(v.ip_address)) viewMap[v.budget_id].team++;
+      else viewMap[v.budget_id].client++;
+    });
+
+    return budgets.map(({ current_state: state, ...b }) => {
+      const views = viewMap[b.id] || { client: 0, team: 0 };
+      const access = getBudgetAccess(state || {});
+      return {
+        ...b,
+        total: state?.total || 0,
+        home_size: state?.homeSize || null,
+        property_type: state?.propertyType || null,
+        scenario_count: state?.scenarios?.length || 0,
+        chosen_scenario_name: budgetScenarios.chosenScenario(state)?.name || null,
+        expires_at: access.expiresAt,
+        expired_at: access.expiredAt,
+        is_expired: access.isExpired,
+        version_count: vcMap[b.id] || 0,
+        client_views: views.client,
+        team_views: views.team,
+        approved_at: approvedAtMap[b.id] || null
+      };
+    });
+  }
+
+  function budgetListItem(row) {
+    const clientViews = Number(row.client_views) || 0;
+    const teamViews = Number(row.team_views) || 0;
+    return {
+      id: row.id,
+      clientName: row.client_name,
+      builder: row.builder,
+      created: row.created_at,
+      lastModified: row.modified_at,
+      viewCount: clientViews + teamViews,
+      internalViews: teamViews,
+      clientViews,
+      lastViewed: row.last_viewed_at,
+      lastClientActivity: row.last_client_activity_at || null,
+      versionCount: Number(row.version_count) || 0,
+      currentTotal: Number(row.total) || 0,
+      scenarioCount: Number(row.scenario_count) || 0,
+      chosenScenarioName: row.chosen_scenario_name || null,
+      homeSize: row.sqft_locked || (row.home_size == null ? null : Number(row.home_size)),
+      propertyType: row.property_type_locked || row.property_type || null,
+      isCustomized: !!row.is_customized,
+      sqftLocked: row.sqft_locked,
+      propertyTypeLocked: row.property_type_locked,
+      createdByEmail: row.created_by_email || null,
+      status: normalizeBudgetStatus(row.status),
+      closedAt: row.closed_at || null,
+      notes: row.notes || '',
+      followUpDate: row.follow_up_date || null,
+      approvedAt: row.approved_at || null,
+      expiresAt: row.expires_at || null,
+      expiredAt: row.expired_at || null,
+      isExpired: !!row.is_expired,
+      activeBrowserCount: getActiveBudgetBrowsers(row.id).length
+    };
+  }
+
+  /**
+   * The admin budget list, filtered and sorted like public/src/utils/budget-list.js:
+   * { search, status, owner, hideExpired, sort, direction }. With `limit`, one
+   * page starting at `offset`; without, every match. Resolves to
+   * { budgets, total, summary } where total and summary (views, value and
+   * budgets created in the last week) cover every match, not just the page.
+   */
+  async function searchBudgets({ search, status, owner, hideExpired, sort, direction, limit = null, offset = 0, now = new Date() } = {}) {
+    const filters = { search, status, owner, hideExpired: !!hideExpired };
+    const order = {
+      column: budgetList.SORT_COLUMNS.includes(sort) ? sort : 'lastClientActivity',
+      direction: direction === 'asc' ? 'asc' : 'desc'
+    };
+    const args = {
+      p_search: search || null,
+      p_status: budgetList.LIST_FILTERS.includes(status) ? status : 'all',
+      p_owner: owner || null,
+      p_hide_expired: filters.hideExpired,
+      p_sort: order.column,
+      p_direction: order.direction,
+      p_limit: limit,
+      p_offset: offset,
+      p_now: now.toISOString(),
+      p_idle_days: budgetList.FOLLOW_UP_IDLE_DAYS,
+      p_office_ips: [...OFFICE_TEAM_VIEW_IPS]
+    };
+
+    let rows = null;
+    try {
+      rows = await storage.budgets.search(args);
+    } catch (err) {
+      console.warn('search_budgets unavailable, filtering every budget instead:', err.message);
+    }
+
+    if (rows) {
+      let totals = rows[0];
+      // Past the last page: ask for one row to learn how many there are.
+      if (!totals && offset > 0) {
+        [totals] = await storage.budgets.search({ ...args, p_limit: 1, p_offset: 0 });
+      }
+      return {
+        budgets: rows.map(budgetListItem),
+        total: Number(totals?.total_count) || 0,
+        summary: {
+          viewCount: Number(totals?.total_views) || 0,
+          totalValue: Number(totals?.total_value) || 0,
+          createdThisWeek: Number(totals?.created_this_week) || 0
+        }
+      };
+    }
+
+    const matches = budgetList.sortBudgets(
+      budgetList.filterBudgets((await listBudgetSearchRows()).map(budgetListItem), { ...filters, now }),
+      order
+    );
+    const weekAgo = now.getTime() - WEEK_MS;
+    return {
+      budgets: limit == null ? matches.slice(offset) : matches.slice(offset, offset + limit),
+      total: matches.length,
+      summary: {
+        viewCount: matches.reduce((sum, b) => sum + b.viewCount, 0),
+        totalValue: matches.reduce((sum, b) => sum + b.currentTotal, 0),
+        createdThisWeek: matches.filter(b => new Date(b.created).getTime() > weekAgo).length
+      }
+    };
+  }
+
+  async function listBudgetDirectory() {
+    const rows = await storage.budgets.list('id, client_name, builder, created_by_email, is_customized', {
+      order: [['modified_at', 'desc']]
+    });
+    return rows.map(row => ({
+      id: row.id,
+      clientName: row.client_name,
+      builder: row.builder,
+      createdByEmail: row.created_by_email || null,
+      isCustomized: !!row.is_customized
+    }));
+  }
+
+  /**
+   * The rows summarizeSalesAnalytics needs for the period from `since`: the
+   * budgets created in it, every view in it and those budgets' versions, with
+   * team views and client saves already told apart.
+   */
+  async function loadSalesAnalyticsData(since) {
+    const columns = 'id, created_at, status, closed_at, sqft_locked, property_type_locked, current_state';
+    const [budgetRows, viewRows, versionRows] = await Promise.all([
+      // Before migration 015 there is no first_sent_at; creation stands in for it.
+      storage.budgets.listCreated({ since }, `${columns}, first_sent_at`)
+        .catch(() => storage.budgets.listCreated({ since }, columns)),
+      storage.views.listSince(since, 'budget_id, viewed_at, ip_address, is_internal'),
+      storage.versions.listSince(since, 'budget_id, version_number, created_at, state')
+    ]);
+    return {
+      budgets: budgetRows.map(row => ({
+        id: row.id,
+        created: row.created_at,
+        firstSentAt: row.first_sent_at || null,
+        status: normalizeBudgetStatus(row.status),
+        closedAt: row.closed_at || null,
+        currentTotal: Number(row.current_state?.total) || 0,
+        homeSize: row.sqft_locked || Number(row.current_state?.homeSize) || null,
+        propertyType: row.property_type_locked || row.current_state?.propertyType || null,
+        selections: row.current_state?.selections || {}
+      })),
+      views: viewRows.map(row => ({
+        budgetId: row.budget_id,
+        viewedAt: row.viewed_at,
+        isTeam: !!row.is_internal || isOfficeTeamIp(row.ip_address)
+      })),
+      versions: versionRows.map(row => ({
+        budgetId: row.budget_id,
+        versionNumber: row.version_number,
+        createdAt: row.created_at,
+        // Versions saved before version metadata existed are not counted as the client's.
+        isClient: getVersionMeta(row.state)?.isInternal === false,
+        selections: row.state?.selections || {}
+      }))
+    };
+  }
+
+  /**
+   * Budgets created from `since` until `until` (both optional) with their
+   * selections, add-ons and version history, for buildCategoryReport.
+   */
+  async function loadCategoryReportData({ since = null, until = null } = {}) {
+    const budgetRows = await storage.budgets.listCreated({ since, until }, 'id, property_type_locked, current_state');
+    const versionRows = await storage.versions.listForBudgets(budgetRows.map(row => row.id), 'budget_id, version_number, state');
+    return {
+      budgets: budgetRows.map(row => ({
+        id: row.id,
+        propertyType: row.property_type_locked || row.current_state?.propertyType || null,
+        selections: row.current_state?.selections || {},
+        addOns: row.current_state?.addOns || {}
+      })),
+      versions: versionRows.map(row => ({
+        budgetId: row.budget_id,
+        versionNumber: row.version_number,
+        isClient: getVersionMeta(row.state)?.isInternal === false,
+        selections: row.state?.selections || {}
+      }))
+    };
+  }
+
+  // Note the first time a budget's proposal was emailed; later sends keep it.
+  async function markBudgetSent(budgetId, sentAt = new Date().toISOString()) {
+    const row = await storage.budgets.find(budgetId, 'id, first_sent_at');
+    if (!row || row.first_sent_at) return false;
+    await storage.budgets.update(budgetId, { first_sent_at: sentAt });
+    return true;
+  }
+
+  const viewNotifyThrottle = new Map();
+  const VIEW_NOTIFY_COOLDOWN_MS = 4 * 60 * 60 * 1000;
+
+  // `recipient` is the { token, email } of the emailed link the view came
+  // through, when it had one (see services/budget-shares.js).
+  async function recordView(budgetId, ip, userAgent, isInternal = false, recipient = null) {
+    const normalizedIp = normalizeIp(ip);
+    const viewIsInternal = !!isInternal || isOfficeTeamIp(normalizedIp);
+    const view = { budget_id: budgetId, ip_address: normalizedIp || null, user_agent: userAgent || null, is_internal: viewIsInternal };
+    if (recipient) {
+      // Before migration 020 there are no recipient columns; the view still counts.
+      await storage.views.insert({ ...view, recipient_token: recipient.token, recipient_email: recipient.email })
+        .catch(err => {
+          console.warn('Could not record the view\'s recipient:', err.message);
+          return storage.views.insert(view);
+        });
+    } else {
+      await storage.views.insert(view);
+    }
+
+    const nowISO = new Date().toISOString();
+    const update = { last_viewed_at: nowISO };
+    if (!viewIsInternal) update.last_client_activity_at = nowISO;
+    await storage.budgets.update(budgetId, update);
+
+    try {
+      await storage.budgets.incrementViews(budgetId);
+    } catch (err) {
+      console.error('increment_views fallback error:', err);
+    }
+
+    // Send view notification to creator (throttled: once per 4h per budget)
+    if (!viewIsInternal) {
+      const lastNotify = viewNotifyThrottle.get(budgetId) || 0;
+      if (Date.now() - lastNotify > VIEW_NOTIFY_COOLDOWN_MS) {
+        viewNotifyThrottle.set(budgetId, Date.now());
+        const budget = await loadBudget(budgetId);
+        if (budget?.createdByEmail) {
+          sendViewNotification(budget).catch(err => console.error('View notification failed:', err));
+        }
+      }
+    }
+  }
+
+  async function addVersion(budgetId, versionNum, state, note, isPinned, meta = null) {
+    await storage.versions.insert({
+      budget_id: budgetId,
+      version_number: versionNum,
+      state: withVersionMeta(state, meta),
+      note: note || '',
+      is_pinned: !!isPinned
+    });
+  }
+
+  // Last client view, ignoring views since reclassified as the team's.
+  async function recomputeLastClientActivity(budgetId) {
+    const views = await storage.views.listRecentExternal(budgetId, 50);
+    const lastClientView = views.find(v => !isOfficeTeamIp(v.ip_address));
+    const newValue = lastClientView ? lastClientView.viewed_at : null;
+    await storage.budgets.update(budgetId, { last_client_activity_at: newValue });
+    return newValue;
+  }
+
+  return {
+    addVersion,
+    budgetEditUrl,
+    generateBudgetId,
+    hasValidBudgetEditToken,
+    listBudgetDirectory,
+    loadBudget,
+    loadCategoryReportData,
+    loadSalesAnalyticsData,
+    markBudgetSent,
+    recomputeLastClientActivity,
+    recordView,
+    saveBudget,
+    searchBudgets,
+    updateBudgetRow
+  };
+}
+
+module.exports = {
+  BUDGET_APPROVAL_SUMMARY_COLUMNS,
+  approvalSummaryFromRow,
+  budgetCustomization,
+  createBudgetService
+};
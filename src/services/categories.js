@@ -0,0 +1,168 @@
+// The live category catalog (category_defaults), its revision history, and
+// the startup seeding from public/categories-data.js.
+const {
+  buildBudgetDefaultSnapshot,
+  hasBudgetDefaultSnapshot,
+  normalizeCategoryDefaults,
+  readStaticCategoryData
+} = require('../utils/category-defaults');
+
+const CATEGORY_HISTORY_META_COLUMNS = 'id, action, restored_from, saved_by, saved_at';
+
+function revisionMeta(revision) {
+  if (!revision) return null;
+  return {
+    id: revision.id,
+    action: revision.action,
+    restoredFrom: revision.restored_from || null,
+    savedBy: revision.saved_by || null,
+    savedAt: revision.saved_at
+  };
+}
+
+function createCategoryService({ storage, categoriesDataPath }) {
+  function loadStaticCategoryData() {
+    return readStaticCategoryData(categoriesDataPath);
+  }
+
+  async function loadCategoryDefaultsData() {
+    let data = null;
+    let cause = null;
+    try {
+      data = await storage.categoryDefaults.findCurrent();
+    } catch (err) {
+      cause = err;
+    }
+    if (!data) {
+      const err = new Error('Live category pricing unavailable');
+      err.cause = cause;
+      throw err;
+    }
+    return normalizeCategoryDefaults({
+      residential_categories: data.residential_categories || [],
+      residential_sections: data.residential_sections || [],
+      residential_extras: data.residential_extras || [],
+      condo_categories: data.condo_categories || [],
+      condo_sections: data.condo_sections || [],
+      condo_extras: data.condo_extras || [],
+      base_sqft: data.base_sqft || 4000,
+      tax_settings: data.tax_settings || {}
+    });
+  }
+
+  /**
+   * Snapshot the live category_defaults row into category_defaults_history.
+   * Reads back what was actually stored so partial saves (no tax settings,
+   * legacy columns) are captured as published. A missing history table only
+   * warns; it must never block a pricing save.
+   */
+  async function recordCategoryDefaultsRevision({ action, savedBy, restoredFrom = null }) {
+    try {
+      const live = await loadCategoryDefaultsData();
+      return await storage.categoryHistory.insert({
+        ...live,
+        action,
+        restored_from: restoredFrom,
+        saved_by: savedBy || null,
+        saved_at: new Date().toISOString()
+      }, CATEGORY_HISTORY_META_COLUMNS);
+    } catch (err) {
+      console.warn('[Categories] Pricing revision not recorded (run migrations/009_category_defaults_history.sql):', err.message);
+      return null;
+    }
+  }
+
+  async function publishCategoryDefaults(row, { action, savedBy, restoredFrom = null }) {
+    await storage.categoryDefaults.save(row);
+    return recordCategoryDefaultsRevision({ action, savedBy, restoredFrom });
+  }
+
+  function loadCategoryDefaultsRevision(id) {
+    return storage.categoryHistory.find(id);
+  }
+
+  // Metadata of the revision live pricing was last published as, or null
+  // without a history table (migration 009 not run).
+  async function loadLiveCategoryDefaultsRevision() {
+    try {
+      return await storage.categoryHistory.findLatest(CATEGORY_HISTORY_META_COLUMNS);
+    } catch (err) {
+      console.warn('[Categories] Pricing history unavailable:', err.message);
+      return null;
+    }
+  }
+
+  // Check if category_defaults table exists and seed if needed
+  async function seedCategoryDefaults() {
+    try {
+      let current;
+      try {
+        current = await storage.categoryDefaults.findCurrent('id');
+      } catch (_) {
+        // Table probably doesn't exist
+        console.warn('[Categories] Table may not exist. Run migrations/001_category_defaults.sql in Supabase SQL Editor.');
+        return;
+      }
+      if (!current) {
+        // No rows - seed from static data
+        console.log('[Categories] Seeding category_defaults from static data...');
+        const seed = loadStaticCategoryData();
+        delete seed.tax_settings;
+        try {
+          await storage.categoryDefaults.insert({ ...seed, updated_by: 'system-seed' });
+        } catch (err) {
+          console.error('[Categories] Seed error:', err.message);
+          return;
+        }
+        console.log('[Categories] Seeded successfully');
+        await recordCategoryDefaultsRevision({ action: 'baseline', savedBy: 'system-seed' });
+      } else {
+        console.log('[Categories] category_defaults table ready');
+      }
+    } catch (err) {
+      console.warn('[Categories] Init check failed:', err.message);
+    }
+  }
+
+  async function backfillBudgetDefaultSnapshots() {
+    try {
+      const defaults = await loadCategoryDefaultsData();
+      const snapshot = buildBudgetDefaultSnapshot(defaults);
+      let budgets;
+      try {
+        budgets = await storage.budgets.list('id, category_config');
+      } catch (err) {
+        console.warn('[Categories] Budget default snapshot backfill skipped:', err.message);
+        return;
+      }
+
+      const updates = budgets
+        .filter(budget => !hasBudgetDefaultSnapshot(budget.category_config))
+        .map(budget => storage.budgets.update(budget.id, { category_config: { ...snapshot, ...(budget.category_config || {}) } }));
+
+      if (updates.length) {
+        await Promise.all(updates);
+        console.log(`[Categories] Backfilled default snapshots for ${updates.length} budgets`);
+      }
+    } catch (err) {
+      console.warn('[Categories] Budget default snapshot backfill failed:', err.message);
+    }
+  }
+
+  return {
+    backfillBudgetDefaultSnapshots,
+    loadCategoryDefaultsData,
+    loadCategoryDefaultsRevision,
+    loadLiveCategoryDefaultsRevision,
+    loadStaticCategoryData,
+    publishCategoryDefaults,
+    recordCategoryDefaultsRevision,
+    seedCategoryDefaults
+  };
+}
+
+module.exports = {
+  CATEGORY_HISTORY_META_COLUMNS,
+  createCategoryService,
+  revisionMeta
+};
@@ -0,0 +1,99 @@
+// The outbound email log (email_log, migration 017): one row per email the
+// notification service sends, kept up to date by the provider's delivery
+// webhook. Logging is best effort: an email that went out is never reported as
+// failed because its log row could not be written.
+const { deliveryEventUpdate, verifyWebhookSignature } = require('../utils/email-delivery');
+
+const EMAIL_SUMMARY_COLUMNS = 'id, type, budget_id, recipient, subject, provider_id, status, error, sent_by_email, created_at, status_at, opened_at, events';
+
+function emailFromRow(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    budgetId: row.budget_id || null,
+    recipient: row.recipient,
+    subject: row.subject,
+    providerId: row.provider_id || null,
+    status: row.status,
+    error: row.error || null,
+    sentBy: row.sent_by_email || null,
+    sentAt: row.created_at,
+    statusAt: row.status_at,
+    openedAt: row.opened_at || null,
+    events: (row.events || []).map(({ type, at }) => ({ type, at })),
+    ...(row.html !== undefined ? { html: row.html } : {})
+  };
+}
+
+function createEmailLogService({ storage, webhookSecret = null }) {
+  // `result` is the mailer's { data, error } for the send.
+  async function recordEmail({ type, budgetId = null, sentBy = null, to, subject, html }, { data, error } = {}) {
+    const now = new Date().toISOString();
+    try {
+      await storage.emailLog.insert({
+        type,
+        budget_id: budgetId,
+        recipient: [].concat(to).join(', '),
+        subject: subject || '',
+        html: html || '',
+        provider_id: data?.id || null,
+        status: error ? 'failed' : 'sent',
+        error: error ? String(error.message || error).slice(0, 1000) : null,
+        sent_by_email: sentBy,
+        created_at: now,
+        status_at: now
+      });
+    } catch (err) {
+      console.warn('Could not record outbound email:', err.message);
+    }
+  }
+
+  // Newest first, without the HTML. A missing email_log table (migration 017 not run) reads as none.
+  async function listBudgetEmails(budgetId) {
+    try {
+      return (await storage.emailLog.listForBudget(budgetId, EMAIL_SUMMARY_COLUMNS)).map(emailFromRow);
+    } catch (err) {
+      console.warn('listBudgetEmails warning:', err.message);
+      return [];
+    }
+  }
+
+  async function findBudgetEmail(budgetId, id) {
+    const row = await storage.emailLog.find(budgetId, id);
+    return row ? emailFromRow(row) : null;
+  }
+
+  const webhooksConfigured = !!webhookSecret;
+
+  function verifyWebhook(headers, payload) {
+    return verifyWebhookSignature(webhookSecret, headers, payload);
+  }
+
+  /**
+   * Apply a verified delivery webhook to the email it is about. Resolves to
+   * false when no logged email has that provider id (sent before the log
+   * existed, or by another app on the same account); that is not an error.
+   */
+  async function recordDeliveryEvent(event, webhookId = null) {
+    const providerId = event?.data?.email_id;
+    if (!providerId) return false;
+    const row = await storage.emailLog.findByProviderId(String(providerId));
+    if (!row) return false;
+    const update = deliveryEventUpdate(row, event, webhookId);
+    if (update) await storage.emailLog.update(row.id, update);
+    return true;
+  }
+
+  return {
+    findBudgetEmail,
+    listBudgetEmails,
+    recordDeliveryEvent,
+    recordEmail,
+    verifyWebhook,
+    webhooksConfigured
+  };
+}
+
+module.exports = {
+  createEmailLogService
+};
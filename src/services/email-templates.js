@@ -0,0 +1,133 @@
+// Editable email templates (email_templates, migration 018) and each user's
+// email signature (user_settings.email_signature), the {{ownerSignature}}
+// placeholder. A template nobody has edited uses the built-in wording in
+// utils/email-templates.js. Sending never fails because of this service: a
+// template that can't be loaded falls back to the built-in one.
+const {
+  EMAIL_TEMPLATE_DEFINITIONS,
+  defaultEmailTemplate,
+  sampleTemplateEmail
+} = require('../utils/email-templates');
+const { templateProblems } = require('../utils/email-template-render');
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function templateFromRow(key, row) {
+  const { label, description, placeholders, blocks } = EMAIL_TEMPLATE_DEFINITIONS[key];
+  const fallback = defaultEmailTemplate(key);
+  return {
+    key,
+    label,
+    description,
+    placeholders,
+    blocks,
+    subject: row ? row.subject : fallback.subject,
+    body: row ? row.body : fallback.body,
+    defaults: fallback,
+    customized: !!row,
+    updatedAt: row?.updated_at || null,
+    updatedBy: row?.updated_by_email || null
+  };
+}
+
+function createEmailTemplateService({ storage, appUrl }) {
+  const isTemplateKey = key => Object.prototype.hasOwnProperty.call(EMAIL_TEMPLATE_DEFINITIONS, key);
+
+  // Every template, edited or not. A missing email_templates table (migration 018 not run) reads as all defaults.
+  async function listTemplates() {
+    let rows = [];
+    try {
+      rows = await storage.emailTemplates.list();
+    } catch (err) {
+      console.warn('listTemplates warning:', err.message);
+    }
+    const byKey = Object.fromEntries(rows.map(row => [row.key, row]));
+    return Object.keys(EMAIL_TEMPLATE_DEFINITIONS).map(key => templateFromRow(key, byKey[key]));
+  }
+
+  // The { subject, body } to send with.
+  async function getTemplate(key) {
+    try {
+      const row = await storage.emailTemplates.find(key);
+      if (row) return { subject: row.subject, body: row.body };
+    } catch (err) {
+      console.warn(`Email template ${key} unavailable, using the default:`, err.message);
+    }
+    return defaultEmailTemplate(key);
+  }
+
+  // Placeholders the template can't use and unclosed sections; empty when it's fine.
+  function checkTemplate(key, template) {
+    const { placeholders, blocks } = EMAIL_TEMPLATE_DEFINITIONS[key];
+    return templateProblems(template, [...Object.keys(placeholders), ...Object.keys(blocks)]);
+  }
+
+  async function saveTemplate(key, { subject, body }, updatedBy) {
+    await storage.emailTemplates.save({
+      key,
+      subject,
+      body,
+      updated_at: new Date().toISOString(),
+      updated_by_email: updatedBy || null
+    });
+    return templateFromRow(key, await storage.emailTemplates.find(key));
+  }
+
+  // Back to the built-in wording.
+  async function resetTemplate(key) {
+    await storage.emailTemplates.remove(key);
+    return templateFromRow(key, null);
+  }
+
+  async function getSignature(email) {
+    try {
+      return (await storage.userSettings.find(normalizeEmail(email)))?.email_signature || '';
+    } catch (err) {
+      console.warn('getSignature warning:', err.message);
+      return '';
+    }
+  }
+
+  async function saveSignature(email, signature) {
+    await storage.userSettings.save({
+      email: normalizeEmail(email),
+      email_signature: signature.trim() || null,
+      updated_at: new Date().toISOString()
+    });
+    return getSignature(email);
+  }
+
+  /**
+   * The { template, owner } options for a utils/email-templates.js builder.
+   * `owner` is who the {{owner…}} placeholders describe: the budget owner
+   * for notifications, the sender for proposals.
+   */
+  async function emailOptions(key, { email, name = null }) {
+    const [template, signature] = await Promise.all([getTemplate(key), email ? getSignature(email) : '']);
+    return { template, owner: { email, name, signature } };
+  }
+
+  // `template` (saved or not) rendered with sample data, signed by `owner`.
+  async function previewTemplate(key, template, { email, name = null }) {
+    return sampleTemplateEmail(key, template, appUrl, { email, name, signature: await getSignature(email) });
+  }
+
+  return {
+    checkTemplate,
+    emailOptions,
+    getSignature,
+    getTemplate,
+    isTemplateKey,
+    listTemplates,
+    previewTemplate,
+    resetTemplate,
+    saveSignature,
+    saveTemplate
+  };
+}
+
+module.exports = {
+  createEmailTemplateService
+};
@@ -0,0 +1,117 @@
+// The morning follow-up digest: each owner's overdue follow-ups, budgets
+// awaiting a reply and budgets expiring soon, emailed once a day after
+// `digestHour` in `timeZone` (server.js checks every DIGEST_CHECK_MS), and
+// the per-user settings that turn it off or change the expiry window.
+const { followUpDigestEmail } = require('../utils/email-templates');
+const {
+  DEFAULT_EXPIRING_WITHIN_DAYS,
+  DEFAULT_TIME_ZONE,
+  awaitingReplyCandidates,
+  buildFollowUpDigests,
+  localDateKey,
+  localHour
+} = require('../utils/follow-up-digest');
+const { getVersionMeta } = require('../utils/version-meta');
+
+const DIGEST_CHECK_MS = 15 * 60 * 1000;
+const DEFAULT_DIGEST_HOUR = 7;
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function digestSettingsFromRow(row) {
+  return {
+    followUpDigest: row ? row.follow_up_digest !== false : true,
+    expiringWithinDays: row?.expiring_within_days ?? DEFAULT_EXPIRING_WITHIN_DAYS,
+    lastDigestOn: row?.last_digest_on || null
+  };
+}
+
+function createFollowUpDigestService({ storage, budgets, notifications, appUrl, digestHour = DEFAULT_DIGEST_HOUR, timeZone = DEFAULT_TIME_ZONE }) {
+  let digestRunning = false;
+
+  async function getDigestSettings(email) {
+    return digestSettingsFromRow(await storage.userSettings.find(normalizeEmail(email)));
+  }
+
+  async function saveDigestSettings(email, { followUpDigest, expiringWithinDays }) {
+    await storage.userSettings.save({
+      email: normalizeEmail(email),
+      follow_up_digest: followUpDigest,
+      expiring_within_days: expiringWithinDays,
+      updated_at: new Date().toISOString()
+    });
+    return getDigestSettings(email);
+  }
+
+  // When the team last saved each budget: a reply, as far as the digest is concerned.
+  async function loadLastTeamReplies(budgetIds) {
+    const lastReplyAt = {};
+    const versions = await storage.versions.listForBudgets(budgetIds, 'budget_id, created_at, state');
+    versions.forEach(version => {
+      if (!getVersionMeta(version.state)?.isInternal) return;
+      if (!lastReplyAt[version.budget_id] || version.created_at > lastReplyAt[version.budget_id]) {
+        lastReplyAt[version.budget_id] = version.created_at;
+      }
+    });
+    return lastReplyAt;
+  }
+
+  /**
+   * Send today's digests that have not gone out yet. Before `digestHour`, or
+   * without a configured mailer, nothing is sent. Resolves to
+   * { sent, failed } counts; one owner's failed send doesn't stop the rest.
+   */
+  async function sendDueFollowUpDigests(now = new Date()) {
+    if (digestRunning || !notifications.configured) return { sent: 0, failed: 0 };
+    if (localHour(now, timeZone) < digestHour) return { sent: 0, failed: 0 };
+    digestRunning = true;
+    const result = { sent: 0, failed: 0 };
+    try {
+      const today = localDateKey(now, timeZone);
+      const settings = {};
+      (await storage.userSettings.list()).forEach(row => {
+        settings[normalizeEmail(row.email)] = digestSettingsFromRow(row);
+      });
+      const { budgets: rows } = await budgets.searchBudgets({ now });
+      const lastReplyAt = await loadLastTeamReplies(awaitingReplyCandidates(rows, now).map(budget => budget.id));
+
+      for (const digest of buildFollowUpDigests(rows, { now, timeZone, settings, lastReplyAt })) {
+        const previousDay = settings[digest.ownerEmail]?.lastDigestOn || null;
+        if (previousDay === today) continue;
+        // Claimed before sending: another server, or this one after a restart,
+        // finds the day taken and skips the owner.
+        if (!await storage.userSettings.claimDigestDay(digest.ownerEmail, today)) continue;
+        const { error } = await notifications.send({ to: digest.ownerEmail, ...followUpDigestEmail(digest, appUrl) }, { type: 'follow_up_digest' })
+          .catch(err => ({ error: err }));
+        if (error) {
+          result.failed++;
+          console.error(`Follow-up digest to ${digest.ownerEmail} failed:`, error.message || error);
+          await storage.userSettings.releaseDigestDay(digest.ownerEmail, today, previousDay)
+            .catch(err => console.error(`Follow-up digest claim for ${digest.ownerEmail} not released:`, err.message));
+          continue;
+        }
+        result.sent++;
+      }
+      if (result.sent) console.log(`Sent ${result.sent} follow-up digest(s) for ${today}`);
+    } catch (err) {
+      console.error('Follow-up digest error:', err);
+    } finally {
+      digestRunning = false;
+    }
+    return result;
+  }
+
+  return {
+    getDigestSettings,
+    saveDigestSettings,
+    sendDueFollowUpDigests
+  };
+}
+
+module.exports = {
+  DEFAULT_DIGEST_HOUR,
+  DIGEST_CHECK_MS,
+  createFollowUpDigestService
+};
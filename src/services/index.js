@@ -0,0 +1,79 @@
+// Builds every service the routers use from the outside dependencies. server.js
+// passes real Supabase/OpenAI clients and the mailer from src/mail; the route
+// tests pass stubs and an in-memory SQLite storage.
+const { createAuthService } = require('./auth');
+const { createBudgetLiveService } = require('./budget-live');
+const { createEmailLogService } = require('./email-log');
+const { createEmailTemplateService } = require('./email-templates');
+const { createNotificationService } = require('./notifications');
+const { createCategoryService } = require('./categories');
+const { createBudgetService } = require('./budgets');
+const { createBudgetShareService } = require('./budget-shares');
+const { createSectionLibraryService } = require('./section-library');
+const { createPriceChangeService } = require('./price-changes');
+const { createAiService } = require('./ai');
+const { createFollowUpDigestService } = require('./follow-up-digests');
+
+function createServices({ storage, authClients = null, mailer, openai = null, config }) {
+  const auth = createAuthService({ clients: authClients });
+  const live = createBudgetLiveService();
+  const emailLog = createEmailLogService({ storage, webhookSecret: config.emailWebhookSecret });
+  const emailTemplates = createEmailTemplateService({ storage, appUrl: config.appUrl });
+  const notifications = createNotificationService({
+    mailer,
+    emailLog,
+    emailTemplates,
+    configured: config.emailConfigured,
+    appUrl: config.appUrl,
+    fromEmail: config.fromEmail,
+    fromName: config.fromName
+  });
+  const categories = createCategoryService({ storage, categoriesDataPath: config.categoriesDataPath });
+  const budgets = createBudgetService({
+    storage,
+    categories,
+    live,
+    notifications,
+    editSecret: config.budgetEditSecret
+  });
+  const budgetShares = createBudgetShareService({
+    storage,
+    budgets,
+    categories,
+    notifications,
+    emailTemplates,
+    appUrl: config.appUrl
+  });
+  const sectionLibrary = createSectionLibraryService({ storage });
+  const priceChanges = createPriceChangeService({ storage, categories, budgets, live });
+  const ai = createAiService({ storage, openai, model: config.openaiModel });
+  const followUpDigests = createFollowUpDigestService({
+    storage,
+    budgets,
+    notifications,
+    appUrl: config.appUrl,
+    digestHour: config.digestHour,
+    timeZone: config.digestTimeZone
+  });
+
+  return {
+    storage,
+    mailer,
+    auth,
+    live,
+    emailLog,
+    emailTemplates,
+    notifications,
+    categories,
+    budgets,
+    budgetShares,
+    sectionLibrary,
+    priceChanges,
+    ai,
+    followUpDigests
+  };
+}
+
+module.exports = {
+  createServices
+};
@@ -0,0 +1,83 @@
+// Outgoing email. `mailer` is a Resend client, or anything with the same
+// emails.send({ from, to, subject, html, text }) → { data, error } shape. Owner
+// notifications are best effort: a failed send is logged, never thrown.
+// `configured` is false for the stand-in mailer used without RESEND_API_KEY.
+// Every send is recorded in the email log with its type and budget. The
+// notification wording comes from the editable templates (emailTemplates).
+const {
+  approvalNotificationEmail,
+  changeNotificationEmail,
+  viewNotificationEmail
+} = require('../utils/email-templates');
+
+function createNotificationService({ mailer, emailLog, emailTemplates, configured = true, appUrl, fromEmail, fromName }) {
+  const from = `${fromName} <${fromEmail}>`;
+
+  // `log` is { type, budgetId, sentBy } for the email log (see utils/email-delivery.js for the types).
+  async function send({ to, cc = [], bcc = [], replyTo, subject, html, text }, { type, budgetId = null, sentBy = null } = {}) {
+    const entry = { type, budgetId, sentBy, to: [].concat(to, cc, bcc), subject, html };
+    let result;
+    try {
+      result = await mailer.emails.send({
+        from,
+        to,
+        subject,
+        html,
+        ...(cc.length ? { cc } : {}),
+        ...(bcc.length ? { bcc } : {}),
+        ...(replyTo ? { replyTo } : {}),
+        ...(text ? { text } : {})
+      });
+    } catch (err) {
+      await emailLog.recordEmail(entry, { error: err });
+      throw err;
+    }
+    await emailLog.recordEmail(entry, result);
+    return result;
+  }
+
+  const ownerOptions = (key, budget) => emailTemplates.emailOptions(key, { email: budget.createdByEmail });
+
+  async function sendChangeNotification(budget, newState) {
+    if (!budget.createdByEmail) return;
+    try {
+      await send({ to: budget.createdByEmail, ...changeNotificationEmail(budget, newState, appUrl, await ownerOptions('change_notification', budget)) }, { type: 'change_notification', budgetId: budget.id });
+      console.log(`Change notification sent to ${budget.createdByEmail} for budget ${budget.id}`);
+    } catch (err) {
+      console.error('Change notification email error:', err);
+    }
+  }
+
+  async function sendViewNotification(budget) {
+    if (!budget.createdByEmail) return;
+    try {
+      await send({ to: budget.createdByEmail, ...viewNotificationEmail(budget, appUrl, await ownerOptions('view_notification', budget)) }, { type: 'view_notification', budgetId: budget.id });
+      console.log(`View notification sent to ${budget.createdByEmail} for budget ${budget.id}`);
+    } catch (err) {
+      console.error('View notification email error:', err);
+    }
+  }
+
+  async function sendApprovalNotification(budget, approval) {
+    if (!budget.createdByEmail) return;
+    try {
+      await send({ to: budget.createdByEmail, ...approvalNotificationEmail(budget, approval, appUrl, await ownerOptions('approval_notification', budget)) }, { type: 'approval_notification', budgetId: budget.id });
+      console.log(`Approval notification sent to ${budget.createdByEmail} for budget ${budget.id}`);
+    } catch (err) {
+      console.error('Approval notification email error:', err);
+    }
+  }
+
+  return {
+    configured,
+    from,
+    send,
+    sendApprovalNotification,
+    sendChangeNotification,
+    sendViewNotification
+  };
+}
+
+module.exports = {
+  createNotificationService
+};
@@ -0,0 +1,305 @@
+// Moving open budgets onto new catalog prices: previews of what a price
+// change would do, admin-triggered re-pricing, and price changes scheduled
+// for a future date (published by publishDueScheduledPriceChanges, which
+// server.js runs every SCHEDULED_PRICE_CHECK_MS).
+const { normalizeBudgetStatus } = require('../../public/src/utils/budget-list');
+const { diffCategoryDefaults } = require('../utils/catalog-diff');
+const { getBudgetAccess } = require('../utils/budget-access');
+const {
+  DEFAULT_CATEGORY_SNAPSHOT_KEY,
+  DEFAULT_EXTRA_SNAPSHOT_KEY,
+  DEFAULT_SECTION_SNAPSHOT_KEY,
+  buildBudgetDefaultSnapshot,
+  categoryDefaultsFromRow,
+  getBudgetDefaultCategoriesFromConfig,
+  getBudgetDefaultExtrasFromConfig,
+  mergeBudgetDefaultSnapshot,
+  normalizeCategoryDefaults
+} = require('../utils/category-defaults');
+const {
+  budgetPricingOptions,
+  calculateBudgetTotal,
+  priceBudgetState,
+  updateNonCustomCategoryPrices,
+  updateNonCustomExtraPrices
+} = require('../utils/budget-pricing');
+const { formatCurrencyPlain } = require('../utils/email-templates');
+const { buildSystemVersionMeta } = require('../utils/version-meta');
+
+const SCHEDULED_PRICE_CHECK_MS = 60 * 1000;
+
+const REPRICE_BUDGET_COLUMNS = 'id, client_name, created_by_email, status, is_customized, sqft_locked, property_type_locked, current_state, category_config, custom_categories';
+
+function budgetPricingShapeFromRow(row) {
+  return {
+    id: row.id,
+    clientName: row.client_name,
+    createdByEmail: row.created_by_email || null,
+    status: normalizeBudgetStatus(row.status),
+    isExpired: getBudgetAccess(row.current_state || {}).isExpired,
+    currentState: row.current_state || {},
+    isCustomized: !!row.is_customized,
+    sqftLocked: row.sqft_locked,
+    propertyTypeLocked: row.property_type_locked,
+    categoryConfig: row.category_config || {},
+    customCategories: row.custom_categories || []
+  };
+}
+
+function isOpenBudget(budget) {
+  return budget.status === 'active' && !budget.isExpired;
+}
+
+function budgetDefaultSnapshotKey(categoryConfig) {
+  return JSON.stringify([
+    categoryConfig?.[DEFAULT_CATEGORY_SNAPSHOT_KEY] || null,
+    categoryConfig?.[DEFAULT_EXTRA_SNAPSHOT_KEY] || null,
+    categoryConfig?.[DEFAULT_SECTION_SNAPSHOT_KEY] || null
+  ]);
+}
+
+// Customized budgets keep hand-edited prices; tiers and extras still at their old
+// default move to the new one, the same rule as a square-footage change.
+function repricedCategoryConfig(budget, categoryConfig, currentDefaults, nextDefaults) {
+  const snapshot = buildBudgetDefaultSnapshot(nextDefaults);
+  const nextCategoryConfig = { ...categoryConfig, ...snapshot };
+  if (!budget.isCustomized) return nextCategoryConfig;
+
+  const { sqft, propertyType } = budgetPricingOptions(budget);
+  const updated = {
+    ...updateNonCustomCategoryPrices(
+      categoryConfig,
+      getBudgetDefaultCategoriesFromConfig(categoryConfig, currentDefaults, propertyType),
+      getBudgetDefaultCategoriesFromConfig(nextCategoryConfig, nextDefaults, propertyType),
+      sqft,
+      sqft
+    ),
+    ...snapshot
+  };
+  if (categoryConfig.__extras) {
+    updated.__extras = updateNonCustomExtraPrices(
+      categoryConfig.__extras,
+      getBudgetDefaultExtrasFromConfig(categoryConfig, currentDefaults, propertyType),
+      getBudgetDefaultExtrasFromConfig(nextCategoryConfig, nextDefaults, propertyType),
+      sqft,
+      sqft
+    );
+  }
+  return updated;
+}
+
+/**
+ * Price a budget against its current default snapshot and against `nextDefaults`.
+ * Layout, tax override and other category_config entries carry over.
+ */
+function computeBudgetReprice(budget, currentDefaults, nextDefaults) {
+  const state = budget.currentState || {};
+  const categoryConfig = mergeBudgetDefaultSnapshot(budget.categoryConfig || {}, currentDefaults);
+  const nextCategoryConfig = repricedCategoryConfig(budget, categoryConfig, currentDefaults, nextDefaults);
+  const oldTotal = calculateBudgetTotal(state, currentDefaults, budgetPricingOptions({ ...budget, categoryConfig }, state));
+  const newTotal = calculateBudgetTotal(state, nextDefaults, budgetPricingOptions({ ...budget, categoryConfig: nextCategoryConfig }, state));
+  const snapshotChanged = budgetDefaultSnapshotKey(categoryConfig) !== budgetDefaultSnapshotKey(nextCategoryConfig);
+  return {
+    id: budget.id,
+    clientName: budget.clientName || state.clientName || '',
+    createdByEmail: budget.createdByEmail || null,
+    isCustomized: !!budget.isCustomized,
+    oldTotal,
+    newTotal,
+    delta: newTotal - oldTotal,
+    changed: snapshotChanged || newTotal !== oldTotal,
+    nextCategoryConfig
+  };
+}
+
+function summarizeBudgetReprices(budgets, currentDefaults, nextDefaults) {
+  const results = budgets
+    .map(budget => computeBudgetReprice(budget, currentDefaults, nextDefaults))
+    .filter(result => result.changed)
+    .map(({ nextCategoryConfig, changed, ...result }) => result)
+    .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+  return {
+    openBudgetCount: budgets.length,
+    budgets: results,
+    totalDelta: results.reduce((sum, budget) => sum + budget.delta, 0)
+  };
+}
+
+function scheduledPriceChangeMeta(change) {
+  return {
+    id: change.id,
+    effectiveAt: change.effective_at,
+    note: change.note || '',
+    status: change.status,
+    createdBy: change.created_by || null,
+    createdAt: change.created_at,
+    publishedAt: change.published_at || null,
+    publishedRevisionId: change.published_revision_id || null,
+    affectedBudgetCount: change.affected_budget_count ?? null,
+    baseRevisionId: change.base_revision_id || null,
+    error: change.error || null
+  };
+}
+
+// Drafts saved without tax settings publish with whatever tax configuration is live.
+function scheduledChangeDefaults(change, liveDefaults) {
+  const defaults = categoryDefaultsFromRow(change);
+  return change.tax_settings ? defaults : { ...defaults, tax_settings: liveDefaults.tax_settings };
+}
+
+function pricingDraftDefaults(draft, liveDefaults) {
+  const normalized = normalizeCategoryDefaults(draft);
+  return draft.tax_settings === undefined ? { ...normalized, tax_settings: liveDefaults.tax_settings } : normalized;
+}
+
+function createPriceChangeService({ storage, categories, budgets, live }) {
+  const { loadCategoryDefaultsData, loadLiveCategoryDefaultsRevision, publishCategoryDefaults } = categories;
+  const { addVersion, loadBudget, updateBudgetRow } = budgets;
+  const { publishBudgetReload } = live;
+  let scheduledPricePublishRunning = false;
+
+  async function loadOpenBudgets() {
+    const rows = await storage.budgets.list(REPRICE_BUDGET_COLUMNS);
+    return rows.map(budgetPricingShapeFromRow).filter(isOpenBudget);
+  }
+
+  // Scheduled changes only move budgets that still follow the catalog.
+  async function buildPriceChangePreview(nextDefaults) {
+    const currentDefaults = await loadCategoryDefaultsData();
+    const budgets = (await loadOpenBudgets()).filter(budget => !budget.isCustomized);
+    return {
+      diff: diffCategoryDefaults(currentDefaults, nextDefaults),
+      ...summarizeBudgetReprices(budgets, currentDefaults, nextDefaults)
+    };
+  }
+
+  /**
+   * Move one open budget onto `nextDefaults` and record a pinned version. The
+   * budget is reloaded first so a client edit made since the preview is kept.
+   * Returns the result, or null when the budget no longer qualifies or nothing changed.
+   */
+  async function repriceBudgetToDefaults(budgetId, currentDefaults, nextDefaults, { note, meta, includeCustomized = false }) {
+    const budget = await loadBudget(budgetId);
+    if (!budget || !isOpenBudget(budget)) return null;
+    if (budget.isCustomized && !includeCustomized) return null;
+    const result = computeBudgetReprice(budget, currentDefaults, nextDefaults);
+    if (!result.changed) return null;
+
+    const currentState = { ...(budget.currentState || {}) };
+    priceBudgetState(currentState, nextDefaults, budgetPricingOptions({ ...budget, categoryConfig: result.nextCategoryConfig }, currentState));
+    const { revision } = await updateBudgetRow(budget, {
+      category_config: result.nextCategoryConfig,
+      current_state: currentState
+    }, 'Reprice budget');
+
+    const versionNote = `${note}: ${formatCurrencyPlain(result.oldTotal)} → ${formatCurrencyPlain(result.newTotal)}`;
+    await addVersion(budgetId, (budget.versions?.length || 0) + 1, currentState, versionNote, true, meta);
+    publishBudgetReload(budgetId, 'reprice', revision);
+    const { nextCategoryConfig, changed, ...summary } = result;
+    return summary;
+  }
+
+  function loadScheduledPriceChange(id) {
+    return storage.scheduledPriceChanges.find(id);
+  }
+
+  async function publishScheduledPriceChange(change) {
+    const currentDefaults = await loadCategoryDefaultsData();
+    const row = {
+      id: 'current',
+      ...categoryDefaultsFromRow(change),
+      updated_at: new Date().toISOString(),
+      updated_by: `${change.created_by || 'system'} (scheduled #${change.id})`
+    };
+    if (!change.tax_settings) delete row.tax_settings;
+    const revision = await publishCategoryDefaults(row, { action: 'scheduled', savedBy: change.created_by });
+    const nextDefaults = await loadCategoryDefaultsData();
+
+    const note = `Scheduled price update #${change.id}${change.note ? ` (${change.note})` : ''}`;
+    let affected = 0;
+    const budgets = (await loadOpenBudgets()).filter(budget => !budget.isCustomized);
+    for (const budget of budgets) {
+      try {
+        const result = await repriceBudgetToDefaults(budget.id, currentDefaults, nextDefaults, {
+          note,
+          meta: buildSystemVersionMeta(change.created_by)
+        });
+        if (result) affected++;
+      } catch (err) {
+        console.error(`[Pricing] Scheduled change #${change.id} could not reprice budget ${budget.id}:`, err.message);
+      }
+    }
+    return { revision, affected };
+  }
+
+  async function publishDueScheduledPriceChanges() {
+    if (scheduledPricePublishRunning) return;
+    scheduledPricePublishRunning = true;
+    try {
+      let due;
+      try {
+        due = await storage.scheduledPriceChanges.listDue(new Date().toISOString());
+      } catch (err) {
+        if (!/category_defaults_scheduled|schema cache|relation/i.test(err.message || '')) {
+          console.warn('[Pricing] Scheduled change check failed:', err.message);
+        }
+        return;
+      }
+
+      for (const change of due) {
+        // Claim the row so a second server instance does not publish it too.
+        const claimed = await storage.scheduledPriceChanges.transitionFromPending(change.id, 'publishing').catch(() => false);
+        if (!claimed) continue;
+
+        try {
+          // The change holds the whole catalog as drafted: publishing it over a
+          // later save would undo that save, so it waits for an admin instead.
+          const liveRevision = change.base_revision_id ? await loadLiveCategoryDefaultsRevision() : null;
+          if (liveRevision && liveRevision.id !== change.base_revision_id) {
+            await storage.scheduledPriceChanges.update(change.id, {
+              status: 'conflict',
+              error: `Pricing was saved after this change was scheduled (revision #${liveRevision.id}${liveRevision.saved_by ? ` by ${liveRevision.saved_by}` : ''}). Schedule it again from current pricing.`
+            });
+            console.warn(`[Pricing] Scheduled change #${change.id} not published: live pricing moved from revision #${change.base_revision_id} to #${liveRevision.id}`);
+            continue;
+          }
+
+          const { revision, affected } = await publishScheduledPriceChange(change);
+          await storage.scheduledPriceChanges.update(change.id, {
+            status: 'published',
+            published_at: new Date().toISOString(),
+            published_revision_id: revision?.id || null,
+            affected_budget_count: affected,
+            error: null
+          });
+          console.log(`[Pricing] Published scheduled change #${change.id}; repriced ${affected} budgets`);
+        } catch (err) {
+          console.error(`[Pricing] Scheduled change #${change.id} failed:`, err);
+          await storage.scheduledPriceChanges.update(change.id, { status: 'failed', error: String(err.message || err).slice(0, 500) });
+        }
+      }
+    } catch (err) {
+      console.warn('[Pricing] Scheduled change check failed:', err.message);
+    } finally {
+      scheduledPricePublishRunning = false;
+    }
+  }
+
+  return {
+    buildPriceChangePreview,
+    loadOpenBudgets,
+    loadScheduledPriceChange,
+    publishDueScheduledPriceChanges,
+    repriceBudgetToDefaults
+  };
+}
+
+module.exports = {
+  SCHEDULED_PRICE_CHECK_MS,
+  computeBudgetReprice,
+  createPriceChangeService,
+  pricingDraftDefaults,
+  scheduledChangeDefaults,
+  scheduledPriceChangeMeta,
+  summarizeBudgetReprices
+};
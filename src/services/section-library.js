@@ -0,0 +1,60 @@
+// Reusable sections admins save from a budget and add to others (and that AI
+// drafts may draw on).
+const crypto = require('crypto');
+const {
+  normalizeCustomCategoriesPayload,
+  sanitizeIdentifier,
+  uniqueSectionId
+} = require('../utils/category-defaults');
+
+function normalizeSectionLibraryItems(items = []) {
+  const usedIds = new Set();
+  return (Array.isArray(items) ? items : []).map(item => {
+    const id = uniqueSectionId(
+      sanitizeIdentifier(item?.id || item?.name, `library-${crypto.randomUUID().slice(0, 8)}`),
+      usedIds
+    );
+    const payload = normalizeCustomCategoriesPayload([{
+      ...(item?.payload || {}),
+      id: item?.payload?.id || `library-payload-${id}`,
+      name: item?.payload?.name || item?.name
+    }])[0];
+    if (!payload) return null;
+    return {
+      id,
+      name: String(item?.name || payload.name || '').trim().slice(0, 200),
+      description: String(item?.description || '').trim().slice(0, 1000),
+      category: String(item?.category || 'Other').trim().slice(0, 100) || 'Other',
+      tags: [...new Set((Array.isArray(item?.tags) ? item.tags : [])
+        .map(tag => String(tag || '').trim().slice(0, 50))
+        .filter(Boolean))].slice(0, 20),
+      payload,
+      createdAt: item?.createdAt || item?.created_at || new Date().toISOString(),
+      updatedAt: item?.updatedAt || item?.updated_at || new Date().toISOString(),
+      createdBy: String(item?.createdBy || item?.created_by || '').slice(0, 254)
+    };
+  }).filter(item => item?.id && item?.name).slice(0, 100);
+}
+
+function createSectionLibraryService({ storage }) {
+  async function loadSectionLibraryData() {
+    let rows;
+    try {
+      rows = await storage.sectionLibrary.list('id,name,description,category,tags,payload,created_at,updated_at,created_by');
+    } catch (cause) {
+      const err = new Error('Section library is unavailable');
+      err.cause = cause;
+      throw err;
+    }
+    return normalizeSectionLibraryItems(rows);
+  }
+
+  return {
+    loadSectionLibraryData
+  };
+}
+
+module.exports = {
+  createSectionLibraryService,
+  normalizeSectionLibraryItems
+};
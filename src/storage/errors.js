@@ -0,0 +1,15 @@
+// Both drivers fail the same way: a plain Error whose message starts with the
+// repository call that failed, with the backend's own error kept as `cause`.
+function storageError(cause, context) {
+  const err = new Error(`${context}: ${cause?.message || 'storage request failed'}`);
+  err.cause = cause;
+  if (cause?.code) err.code = cause.code;
+  return err;
+}
+
+// A write refused by a unique constraint: Postgres 23505, or SQLite's own code.
+function isUniqueViolation(err) {
+  return err?.code === '23505' || err?.code === 'SQLITE_CONSTRAINT_UNIQUE';
+}
+
+module.exports = { isUniqueViolation, storageError };
@@ -0,0 +1,48 @@
+/**
+ * Storage for server.js, picked by STORAGE_BACKEND:
+ *   supabase (default) — the Supabase project at SUPABASE_URL, via the
+ *     service-role client server.js passes in.
+ *   sqlite — a local database file at SQLITE_PATH (default data/app.db, or
+ *     ":memory:"), created and migrated from migrations/sqlite on start. Needs
+ *     no network, for development and the e2e suite.
+ * Either way the result is the repositories from ./repositories plus
+ * `backend` and `close()`.
+ */
+const path = require('path');
+const { createRepositories } = require('./repositories');
+
+const STORAGE_BACKENDS = ['supabase', 'sqlite'];
+const DEFAULT_SQLITE_PATH = path.join(__dirname, '..', '..', 'data', 'app.db');
+
+function createDriver({ backend, supabaseClient, sqlitePath }) {
+  if (backend === 'sqlite') {
+    const { createSqliteDriver } = require('./sqlite-driver');
+    return createSqliteDriver({ filename: sqlitePath });
+  }
+  if (!supabaseClient) throw new Error('Supabase storage needs SUPABASE_URL and SUPABASE_SERVICE_KEY');
+  const { createSupabaseDriver } = require('./supabase-driver');
+  return createSupabaseDriver(supabaseClient);
+}
+
+function createStorage({
+  backend = process.env.STORAGE_BACKEND || 'supabase',
+  supabaseClient = null,
+  sqlitePath = process.env.SQLITE_PATH || DEFAULT_SQLITE_PATH
+} = {}) {
+  const name = String(backend).trim().toLowerCase();
+  if (!STORAGE_BACKENDS.includes(name)) {
+    throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected ${STORAGE_BACKENDS.join(' or ')})`);
+  }
+  const driver = createDriver({ backend: name, supabaseClient, sqlitePath });
+  return {
+    backend: name,
+    ...createRepositories(driver),
+    close: () => driver.close()
+  };
+}
+
+module.exports = {
+  DEFAULT_SQLITE_PATH,
+  STORAGE_BACKENDS,
+  createStorage
+};
@@ -0,0 +1,442 @@
+/**
+ * The repositories server.js stores everything through, written once over a
+ * storage driver (supabase-driver or sqlite-driver). Methods take and return
+ * database rows (snake_case columns); mapping rows to API shapes stays in
+ * server.js. Failed reads and writes reject with an error from storageError;
+ * "not found" is null, an empty list or false, never an error.
+ */
+const { isUniqueViolation } = require('./errors');
+
+const CATEGORY_DEFAULTS_ID = 'current';
+
+// Columns a category_defaults table from before migrations 002 and 008 lacks.
+const LEGACY_CATEGORY_DEFAULTS_ERROR = /residential_sections|condo_sections|tax_settings|schema cache|column/i;
+
+function first(rows) {
+  return rows[0] || null;
+}
+
+function createRepositories(driver) {
+  const byId = id => [['id', 'eq', id]];
+
+  const views = {
+    listForBudget: budgetId => driver.select('budget_views', {
+      where: [['budget_id', 'eq', budgetId]],
+      order: [['viewed_at', 'desc']],
+      context: 'views.listForBudget'
+    }),
+
+    listForBudgets: (budgetIds, columns = '*') => (budgetIds.length
+      ? driver.select('budget_views', { columns, where: [['budget_id', 'in', budgetIds]], context: 'views.listForBudgets' })
+      : Promise.resolve([])),
+
+    // Newest views not marked internal; office IPs are filtered by the caller.
+    listRecentExternal: (budgetId, limit) => driver.select('budget_views', {
+      columns: 'viewed_at, ip_address',
+      where: [['budget_id', 'eq', budgetId], ['is_internal', 'eq', false]],
+      order: [['viewed_at', 'desc']],
+      limit,
+      context: 'views.listRecentExternal'
+    }),
+
+    listSince: (since, columns = '*') => driver.select('budget_views', {
+      columns,
+      where: [['viewed_at', 'gte', since]],
+      order: [['viewed_at', 'asc']],
+      context: 'views.listSince'
+    }),
+
+    find: (budgetId, viewId, columns = '*') => driver.select('budget_views', {
+      columns,
+      where: [['id', 'eq', viewId], ['budget_id', 'eq', budgetId]],
+      limit: 1,
+      context: 'views.find'
+    }).then(first),
+
+    insert: row => driver.insert('budget_views', row, { context: 'views.insert' }),
+
+    update: (budgetId, viewId, values) => driver.update('budget_views', values, {
+      where: [['id', 'eq', viewId], ['budget_id', 'eq', budgetId]],
+      context: 'views.update'
+    }),
+
+    removeForBudget: budgetId => driver.delete('budget_views', { where: [['budget_id', 'eq', budgetId]], context: 'views.removeForBudget' })
+  };
+
+  const versions = {
+    listForBudget: budgetId => driver.select('budget_versions', {
+      where: [['budget_id', 'eq', budgetId]],
+      order: [['version_number', 'asc']],
+      context: 'versions.listForBudget'
+    }),
+
+    listForBudgets: (budgetIds, columns = '*') => (budgetIds.length
+      ? driver.select('budget_versions', { columns, where: [['budget_id', 'in', budgetIds]], context: 'versions.listForBudgets' })
+      : Promise.resolve([])),
+
+    listSince: (since, columns = '*') => driver.select('budget_versions', {
+      columns,
+      where: [['created_at', 'gte', since]],
+      order: [['budget_id', 'asc'], ['version_number', 'asc']],
+      context: 'versions.listSince'
+    }),
+
+    insert: row => driver.insert('budget_versions', row, { context: 'versions.insert' }),
+
+    update: (budgetId, versionNumber, values) => driver.update('budget_versions', values, {
+      where: [['budget_id', 'eq', budgetId], ['version_number', 'eq', versionNumber]],
+      context: 'versions.update'
+    }),
+
+    // { [budgetId]: count } via get_version_counts, or one count per budget where it doesn't exist.
+    async countsFor(budgetIds) {
+      const counts = {};
+      let rows = null;
+      try {
+        rows = await driver.rpc('get_version_counts', { budget_ids: budgetIds });
+      } catch (_) {
+        // Function not installed; count individually below.
+      }
+      if (rows) {
+        rows.forEach(row => { counts[row.budget_id] = Number(row.count) || 0; });
+        return counts;
+      }
+      for (const budgetId of budgetIds) {
+        counts[budgetId] = await driver.count('budget_versions', {
+          where: [['budget_id', 'eq', budgetId]],
+          context: 'versions.countsFor'
+        });
+      }
+      return counts;
+    },
+
+    removeForBudget: budgetId => driver.delete('budget_versions', { where: [['budget_id', 'eq', budgetId]], context: 'versions.removeForBudget' })
+  };
+
+  const budgets = {
+    find: (id, columns = '*') => driver.select('budgets', { columns, where: byId(id), limit: 1, context: 'budgets.find' }).then(first),
+
+    exists: id => budgets.find(id, 'id').then(Boolean),
+
+    list: (columns = '*', { order = [] } = {}) => driver.select('budgets', { columns, order, context: 'budgets.list' }),
+
+    // Budgets created from `since` up to (not including) `until`; either may be null.
+    listCreated: ({ since = null, until = null } = {}, columns = '*') => driver.select('budgets', {
+      columns,
+      where: [
+        ...(since ? [['created_at', 'gte', since]] : []),
+        ...(until ? [['created_at', 'lt', until]] : [])
+      ],
+      order: [['created_at', 'asc']],
+      context: 'budgets.listCreated'
+    }),
+
+    // One filtered, sorted page of the admin list via search_budgets (migration
+    // 014): list columns with view, version and approval aggregates and the
+    // filtered total_count on each row. Rejects where the function doesn't exist.
+    search: args => driver.rpc('search_budgets', args).then(rows => rows || []),
+
+    upsert: row => driver.upsert('budgets', row, { context: 'budgets.upsert' }),
+
+    update: (id, values) => driver.update('budgets', values, { where: byId(id), context: 'budgets.update' }),
+
+    // Write only if the row is still at `revision`; false when someone else got there first.
+    async updateAtRevision(id, revision, values) {
+      const rows = await driver.update('budgets', values, {
+        where: [...byId(id), ['revision', 'eq', revision]],
+        returning: 'id',
+        context: 'budgets.updateAtRevision'
+      });
+      return rows.length > 0;
+    },
+
+    // views_count + 1 via increment_views, or read-modify-write where it doesn't exist.
+    async incrementViews(id) {
+      try {
+        await driver.rpc('increment_views', { bid: id });
+        return;
+      } catch (_) {
+        // Function not installed; fall through.
+      }
+      const row = await budgets.find(id, 'views_count');
+      if (row) await budgets.update(id, { views_count: (row.views_count || 0) + 1, last_viewed_at: new Date().toISOString() });
+    },
+
+    // Views and versions go first; false when there was no such budget.
+    async remove(id) {
+      await views.removeForBudget(id);
+      await versions.removeForBudget(id);
+      const rows = await driver.delete('budgets', { where: byId(id), returning: 'id', context: 'budgets.remove' });
+      return rows.length > 0;
+    },
+
+    ping: () => driver.select('budgets', { columns: 'id', limit: 1, context: 'budgets.ping' })
+  };
+
+  const approvals = {
+    listForBudget: (budgetId, columns = '*') => driver.select('budget_approvals', {
+      columns,
+      where: [['budget_id', 'eq', budgetId]],
+      order: [['approved_at', 'desc']],
+      context: 'approvals.listForBudget'
+    }),
+
+    listForBudgets: (budgetIds, columns = '*') => (budgetIds.length
+      ? driver.select('budget_approvals', { columns, where: [['budget_id', 'in', budgetIds]], context: 'approvals.listForBudgets' })
+      : Promise.resolve([])),
+
+    find: (budgetId, id) => driver.select('budget_approvals', {
+      where: [['budget_id', 'eq', budgetId], ['id', 'eq', id]],
+      limit: 1,
+      context: 'approvals.find'
+    }).then(first),
+
+    insert: (row, returning = '*') => driver.insert('budget_approvals', row, { returning, context: 'approvals.insert' }).then(first),
+
+    // Inserts the approval unless the budget already has one at row.budget_revision
+    // (migration 022's unique index); null when another request got there first.
+    async claim(row, returning = '*') {
+      try {
+        return await approvals.insert(row, returning);
+      } catch (err) {
+        if (isUniqueViolation(err)) return null;
+        throw err;
+      }
+    },
+
+    remove: (budgetId, id) => driver.delete('budget_approvals', {
+      where: [['budget_id', 'eq', budgetId], ['id', 'eq', id]],
+      context: 'approvals.remove'
+    })
+  };
+
+  const budgetShares = {
+    listForBudget: (budgetId, columns = '*') => driver.select('budget_shares', {
+      columns,
+      where: [['budget_id', 'eq', budgetId]],
+      order: [['created_at', 'desc']],
+      context: 'budgetShares.listForBudget'
+    }),
+
+    insert: (row, returning = '*') => driver.insert('budget_shares', row, { returning, context: 'budgetShares.insert' }).then(first)
+  };
+
+  const shortLinks = {
+    find: code => driver.select('short_links', { where: [['code', 'eq', code]], limit: 1, context: 'shortLinks.find' }).then(first),
+
+    exists: code => shortLinks.find(code).then(Boolean),
+
+    list: () => driver.select('short_links', { order: [['created_at', 'desc']], context: 'shortLinks.list' }),
+
+    insert: row => driver.insert('short_links', row, { context: 'shortLinks.insert' }),
+
+    update: (code, values) => driver.update('short_links', values, { where: [['code', 'eq', code]], context: 'shortLinks.update' })
+  };
+
+  const categoryDefaults = {
+    // The live catalog row, or null before it is seeded.
+    findCurrent: (columns = '*') => driver.select('category_defaults', {
+      columns,
+      where: byId(CATEGORY_DEFAULTS_ID),
+      limit: 1,
+      context: 'categoryDefaults.findCurrent'
+    }).then(first),
+
+    insert: row => driver.insert('category_defaults', { id: CATEGORY_DEFAULTS_ID, ...row }, { context: 'categoryDefaults.insert' }),
+
+    // Replace the live row. A table without the section or tax columns gets the rest.
+    async save(row) {
+      try {
+        await driver.upsert('category_defaults', { id: CATEGORY_DEFAULTS_ID, ...row }, { context: 'categoryDefaults.save' });
+      } catch (err) {
+        if (!LEGACY_CATEGORY_DEFAULTS_ERROR.test(err.message || '')) throw err;
+        const { residential_sections, condo_sections, tax_settings, ...legacyRow } = row;
+        await driver.upsert('category_defaults', { id: CATEGORY_DEFAULTS_ID, ...legacyRow }, { context: 'categoryDefaults.save' });
+      }
+    }
+  };
+
+  const categoryHistory = {
+    find: id => driver.select('category_defaults_history', { where: byId(id), limit: 1, context: 'categoryHistory.find' }).then(first),
+
+    // The revision recorded just before `id`, or null for the first one.
+    findPrevious: id => driver.select('category_defaults_history', {
+      where: [['id', 'lt', id]],
+      order: [['id', 'desc']],
+      limit: 1,
+      context: 'categoryHistory.findPrevious'
+    }).then(first),
+
+    // The revision the live catalog was last published as.
+    findLatest: columns => driver.select('category_defaults_history', {
+      columns,
+      order: [['id', 'desc']],
+      limit: 1,
+      context: 'categoryHistory.findLatest'
+    }).then(first),
+
+    list: (columns, limit) => driver.select('category_defaults_history', {
+      columns,
+      order: [['saved_at', 'desc'], ['id', 'desc']],
+      limit,
+      context: 'categoryHistory.list'
+    }),
+
+    insert: (row, returning = '*') => driver.insert('category_defaults_history', row, { returning, context: 'categoryHistory.insert' }).then(first)
+  };
+
+  const scheduledPriceChanges = {
+    find: id => driver.select('category_defaults_scheduled', { where: byId(id), limit: 1, context: 'scheduledPriceChanges.find' }).then(first),
+
+    list: (columns, limit) => driver.select('category_defaults_scheduled', {
+      columns,
+      order: [['effective_at', 'desc']],
+      limit,
+      context: 'scheduledPriceChanges.list'
+    }),
+
+    // Pending changes whose effective_at has passed, oldest first.
+    listDue: now => driver.select('category_defaults_scheduled', {
+      where: [['status', 'eq', 'pending'], ['effective_at', 'lte', now]],
+      order: [['effective_at', 'asc']],
+      context: 'scheduledPriceChanges.listDue'
+    }),
+
+    insert: row => driver.insert('category_defaults_scheduled', row, { returning: '*', context: 'scheduledPriceChanges.insert' }).then(first),
+
+    update: (id, values) => driver.update('category_defaults_scheduled', values, { where: byId(id), context: 'scheduledPriceChanges.update' }),
+
+    // Move a pending change to `status`; false when it had already left pending.
+    async transitionFromPending(id, status) {
+      const rows = await driver.update('category_defaults_scheduled', { status }, {
+        where: [...byId(id), ['status', 'eq', 'pending']],
+        returning: 'id',
+        context: 'scheduledPriceChanges.transitionFromPending'
+      });
+      return rows.length > 0;
+    }
+  };
+
+  const sectionLibrary = {
+    list: columns => driver.select('section_library', { columns, order: [['name', 'asc']], context: 'sectionLibrary.list' }),
+
+    // Case-insensitive exact name match.
+    findByName: (name, columns = '*') => driver.select('section_library', {
+      columns,
+      where: [['name', 'ilike', name]],
+      limit: 1,
+      context: 'sectionLibrary.findByName'
+    }).then(first),
+
+    insert: row => driver.insert('section_library', row, { context: 'sectionLibrary.insert' }),
+
+    update: (id, values) => driver.update('section_library', values, { where: byId(id), context: 'sectionLibrary.update' }),
+
+    async remove(id) {
+      const rows = await driver.delete('section_library', { where: byId(id), returning: 'id', context: 'sectionLibrary.remove' });
+      return rows.length > 0;
+    }
+  };
+
+  const aiUndo = {
+    find: (budgetId, columns = '*') => driver.select('ai_budget_undo', {
+      columns,
+      where: [['budget_id', 'eq', budgetId]],
+      limit: 1,
+      context: 'aiUndo.find'
+    }).then(first),
+
+    save: row => driver.upsert('ai_budget_undo', row, { context: 'aiUndo.save' }),
+
+    remove: budgetId => driver.delete('ai_budget_undo', { where: [['budget_id', 'eq', budgetId]], context: 'aiUndo.remove' })
+  };
+
+  const userSettings = {
+    // Keyed by lowercased email; null when the user never changed anything.
+    find: email => driver.select('user_settings', { where: [['email', 'eq', email]], limit: 1, context: 'userSettings.find' }).then(first),
+
+    list: () => driver.select('user_settings', { context: 'userSettings.list' }),
+
+    save: row => driver.upsert('user_settings', row, { context: 'userSettings.save' }),
+
+    // Moves last_digest_on to `day` unless it is there already: true for the one
+    // caller that claimed the day's digest, so two servers never both send it.
+    async claimDigestDay(email, day) {
+      await userSettings.save({ email });
+      for (const unsent of [['last_digest_on', 'is', null], ['last_digest_on', 'lt', day]]) {
+        const rows = await driver.update('user_settings', { last_digest_on: day, updated_at: new Date().toISOString() }, {
+          where: [['email', 'eq', email], unsent],
+          returning: 'email',
+          context: 'userSettings.claimDigestDay'
+        });
+        if (rows.length) return true;
+      }
+      return false;
+    },
+
+    // Gives back a claimed day whose digest could not be sent, so the next check retries.
+    releaseDigestDay: (email, day, previousDay) => driver.update('user_settings', { last_digest_on: previousDay }, {
+      where: [['email', 'eq', email], ['last_digest_on', 'eq', day]],
+      context: 'userSettings.releaseDigestDay'
+    })
+  };
+
+  const emailLog = {
+    listForBudget: (budgetId, columns = '*') => driver.select('email_log', {
+      columns,
+      where: [['budget_id', 'eq', budgetId]],
+      order: [['created_at', 'desc']],
+      context: 'emailLog.listForBudget'
+    }),
+
+    find: (budgetId, id, columns = '*') => driver.select('email_log', {
+      columns,
+      where: [['id', 'eq', id], ['budget_id', 'eq', budgetId]],
+      limit: 1,
+      context: 'emailLog.find'
+    }).then(first),
+
+    findByProviderId: providerId => driver.select('email_log', {
+      where: [['provider_id', 'eq', providerId]],
+      limit: 1,
+      context: 'emailLog.findByProviderId'
+    }).then(first),
+
+    insert: row => driver.insert('email_log', row, { context: 'emailLog.insert' }),
+
+    update: (id, values) => driver.update('email_log', values, { where: [['id', 'eq', id]], context: 'emailLog.update' })
+  };
+
+  const emailTemplates = {
+    // Only the templates a superadmin has edited have a row.
+    list: () => driver.select('email_templates', { context: 'emailTemplates.list' }),
+
+    find: key => driver.select('email_templates', { where: [['key', 'eq', key]], limit: 1, context: 'emailTemplates.find' }).then(first),
+
+    save: row => driver.upsert('email_templates', row, { context: 'emailTemplates.save' }),
+
+    remove: key => driver.delete('email_templates', { where: [['key', 'eq', key]], context: 'emailTemplates.remove' })
+  };
+
+  return {
+    aiUndo,
+    approvals,
+    budgetShares,
+    budgets,
+    categoryDefaults,
+    categoryHistory,
+    emailLog,
+    emailTemplates,
+    scheduledPriceChanges,
+    sectionLibrary,
+    shortLinks,
+    userSettings,
+    versions,
+    views
+  };
+}
+
+module.exports = {
+  CATEGORY_DEFAULTS_ID,
+  createRepositories
+};
@@ -0,0 +1,372 @@
+// Storage driver over a local SQLite database (better-sqlite3), for offline
+// development and the e2e suite. The schema comes from migrations/sqlite; a
+// column declared JSON is stored as text and a column declared BOOLEAN as 0/1,
+// so rows read back in the same shape Supabase returns them. The Postgres
+// functions the repositories call are reimplemented in SQL below.
+const fs = require('fs');
+const path = require('path');
+const { storageError } = require('./errors');
+
+const SQLITE_MIGRATIONS_DIR = path.join(__dirname, '..', '..', 'migrations', 'sqlite');
+const IDENTIFIER = /^[a-z_][a-z0-9_]*$/;
+
+const COMPARISONS = { eq: '=', lt: '<', lte: '<=', gte: '>=' };
+
+const SEARCH_BUDGETS_SQL = `
+  WITH view_counts AS (
+    SELECT budget_id,
+      SUM(CASE WHEN is_internal OR ip_address IN (SELECT value FROM json_each(@office_ips)) THEN 0 ELSE 1 END) AS client_views,
+      SUM(CASE WHEN is_internal OR ip_address IN (SELECT value FROM json_each(@office_ips)) THEN 1 ELSE 0 END) AS team_views
+    FROM budget_views
+    GROUP BY budget_id
+  ),
+  version_counts AS (
+    SELECT budget_id, COUNT(*) AS version_count FROM budget_versions GROUP BY budget_id
+  ),
+  latest_approvals AS (
+    SELECT budget_id, MAX(approved_at) AS approved_at FROM budget_approvals GROUP BY budget_id
+  ),
+  listed AS (
+    SELECT
+      b.id, b.client_name, b.builder, b.created_at, b.modified_at, b.last_viewed_at,
+      b.last_client_activity_at, b.is_customized, b.sqft_locked, b.property_type_locked,
+      b.created_by_email,
+      CASE WHEN b.status IN ('active', 'won', 'lost') THEN b.status ELSE 'active' END AS status,
+      b.closed_at, b.notes, b.follow_up_date,
+      CASE WHEN json_type(b.current_state, '$.total') IN ('integer', 'real') THEN json_extract(b.current_state, '$.total') ELSE 0 END AS total,
+      CASE WHEN json_type(b.current_state, '$.homeSize') IN ('integer', 'real') THEN json_extract(b.current_state, '$.homeSize') END AS home_size,
+      json_extract(b.current_state, '$.propertyType') AS property_type,
+      CASE WHEN json_type(b.current_state, '$.scenarios') = 'array' THEN json_array_length(b.current_state, '$.scenarios') ELSE 0 END AS scenario_count,
+      CASE WHEN json_type(b.current_state, '$.scenarios') = 'array' THEN COALESCE(
+        (SELECT json_extract(s.value, '$.name') FROM json_each(b.current_state, '$.scenarios') s
+          WHERE json_extract(s.value, '$.id') = json_extract(b.current_state, '$.chosenScenarioId') LIMIT 1),
+        json_extract(b.current_state, '$.scenarios[0].name')
+      ) END AS chosen_scenario_name,
+      NULLIF(json_extract(b.current_state, '$.expiresAt'), '') AS expires_at,
+      NULLIF(json_extract(b.current_state, '$.expiredAt'), '') AS expired_at,
+      COALESCE(
+        NULLIF(json_extract(b.current_state, '$.expiredAt'), '') IS NOT NULL
+        OR (
+          json_extract(b.current_state, '$.expiresAt') GLOB '[0-9][0-9][0-9][0-9]-[0-9][0-9]-[0-9][0-9]'
+          AND json_extract(b.current_state, '$.expiresAt') < @today
+        ),
+        0
+      ) AS is_expired,
+      COALESCE(vc.version_count, 0) AS version_count,
+      COALESCE(views.client_views, 0) AS client_views,
+      COALESCE(views.team_views, 0) AS team_views,
+      la.approved_at
+    FROM budgets b
+    LEFT JOIN view_counts views ON views.budget_id = b.id
+    LEFT JOIN version_counts vc ON vc.budget_id = b.id
+    LEFT JOIN latest_approvals la ON la.budget_id = b.id
+  ),
+  filtered AS (
+    SELECT l.*,
+      CASE @sort
+        WHEN 'clientName' THEN lower(COALESCE(l.client_name, ''))
+        WHEN 'status' THEN CASE WHEN l.is_expired THEN 'expired' ELSE l.status END
+        WHEN 'currentTotal' THEN l.total
+        WHEN 'created' THEN l.created_at
+        WHEN 'viewCount' THEN l.client_views
+        WHEN 'versionCount' THEN l.version_count
+        ELSE COALESCE(l.last_client_activity_at, '')
+      END AS sort_key
+    FROM listed l
+    WHERE (
+        @owner = ''
+        OR (@owner = 'unassigned' AND COALESCE(l.created_by_email, '') = '')
+        OR lower(l.created_by_email) = @owner
+      )
+      AND (
+        @search = ''
+        OR instr(lower(concat_ws(' ', NULLIF(l.client_name, ''), NULLIF(l.builder, ''), l.id, NULLIF(l.created_by_email, ''), NULLIF(l.notes, ''))), @search) > 0
+      )
+      AND (
+        CASE @status
+          WHEN 'all' THEN 1
+          WHEN 'expired' THEN l.is_expired
+          WHEN 'needs-followup' THEN NOT l.is_expired AND l.status = 'active' AND (
+            CASE WHEN l.follow_up_date IS NOT NULL
+              THEN l.follow_up_date <= @today
+              ELSE l.last_client_activity_at <= @idle_cutoff
+            END
+          )
+          ELSE NOT l.is_expired AND l.status = @status
+        END
+      )
+      AND (NOT @hide_expired OR @status = 'expired' OR NOT l.is_expired)
+  )
+  SELECT
+    id, client_name, builder, created_at, modified_at, last_viewed_at,
+    last_client_activity_at, is_customized, sqft_locked, property_type_locked,
+    created_by_email, status, closed_at, notes, follow_up_date, total,
+    home_size, property_type, scenario_count, chosen_scenario_name,
+    expires_at, expired_at, is_expired, version_count, client_views,
+    team_views, approved_at,
+    COUNT(*) OVER () AS total_count,
+    SUM(client_views + team_views) OVER () AS total_views,
+    SUM(total) OVER () AS total_value,
+    SUM(CASE WHEN created_at > @week_ago THEN 1 ELSE 0 END) OVER () AS created_this_week
+  FROM filtered
+  ORDER BY
+    CASE WHEN @direction = 'asc' THEN sort_key END ASC,
+    CASE WHEN @direction = 'desc' THEN sort_key END DESC,
+    modified_at DESC,
+    id
+  LIMIT @limit OFFSET @offset`;
+
+// Apply every migrations/sqlite/*.sql file not yet recorded in schema_migrations, in name order.
+function migrate(db, dir = SQLITE_MIGRATIONS_DIR) {
+  db.exec('CREATE TABLE IF NOT EXISTS schema_migrations (name TEXT PRIMARY KEY, applied_at TEXT NOT NULL)');
+  const applied = new Set(db.prepare('SELECT name FROM schema_migrations').pluck().all());
+  const pending = fs.readdirSync(dir).filter(name => name.endsWith('.sql') && !applied.has(name)).sort();
+  const record = db.prepare('INSERT INTO schema_migrations (name, applied_at) VALUES (?, ?)');
+  pending.forEach(name => {
+    db.transaction(() => {
+      db.exec(fs.readFileSync(path.join(dir, name), 'utf8'));
+      record.run(name, new Date().toISOString());
+    })();
+  });
+  return pending;
+}
+
+function quote(identifier) {
+  if (!IDENTIFIER.test(identifier)) throw new Error(`Invalid column name: ${identifier}`);
+  return `"${identifier}"`;
+}
+
+function createSqliteDriver({ filename = ':memory:', migrationsDir = SQLITE_MIGRATIONS_DIR } = {}) {
+  const Database = require('better-sqlite3');
+  if (filename !== ':memory:') fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  migrate(db, migrationsDir);
+
+  const tables = new Map();
+
+  function tableInfo(table) {
+    if (!tables.has(table)) {
+      const columns = db.prepare(`PRAGMA table_info(${quote(table)})`).all();
+      if (!columns.length) throw new Error(`no such table: ${table}`);
+      tables.set(table, {
+        columns: new Map(columns.map(column => [column.name, String(column.type).toUpperCase()])),
+        primaryKey: columns.filter(column => column.pk).sort((a, b) => a.pk - b.pk).map(column => column.name)
+      });
+    }
+    return tables.get(table);
+  }
+
+  function toDatabase(info, column, value) {
+    if (value === undefined || value === null) return null;
+    const type = info.columns.get(column);
+    if (type === 'JSON') return JSON.stringify(value);
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    return value;
+  }
+
+  function fromDatabase(info, row) {
+    Object.keys(row).forEach(column => {
+      const type = info.columns.get(column);
+      if (row[column] === null) return;
+      if (type === 'JSON') row[column] = JSON.parse(row[column]);
+      else if (type === 'BOOLEAN') row[column] = !!row[column];
+    });
+    return row;
+  }
+
+  function columnList(info, columns = '*') {
+    if (columns === '*') return '*';
+    return columns.split(',').map(column => column.trim()).filter(Boolean).map(column => {
+      if (!info.columns.has(column)) throw new Error(`column ${column} does not exist`);
+      return quote(column);
+    }).join(', ');
+  }
+
+  function whereClause(info, where = []) {
+    const params = [];
+    const clauses = where.map(([column, op, value]) => {
+      const name = quote(column);
+      if (op === 'in') {
+        if (!value.length) return '0';
+        params.push(...value.map(item => toDatabase(info, column, item)));
+        return `${name} IN (${value.map(() => '?').join(', ')})`;
+      }
+      if (op === 'ilike') {
+        params.push(value);
+        return `${name} LIKE ?`;
+      }
+      if (op === 'is') {
+        if (value !== null) throw new Error(`Unsupported filter: is ${value}`);
+        return `${name} IS NULL`;
+      }
+      if (!COMPARISONS[op]) throw new Error(`Unsupported filter: ${op}`);
+      if (op === 'eq' && value === null) return `${name} IS NULL`;
+      params.push(toDatabase(info, column, value));
+      return `${name} ${COMPARISONS[op]} ?`;
+    });
+    return { sql: clauses.length ? ` WHERE ${clauses.join(' AND ')}` : '', params };
+  }
+
+  function assignments(info, values) {
+    const columns = Object.keys(values).filter(column => values[column] !== undefined);
+    columns.forEach(column => {
+      if (!info.columns.has(column)) throw new Error(`column ${column} of relation does not exist`);
+    });
+    return { columns, params: columns.map(column => toDatabase(info, column, values[column])) };
+  }
+
+  function returningClause(info, returning) {
+    return returning ? ` RETURNING ${columnList(info, returning)}` : '';
+  }
+
+  // Run synchronously but answer like the Supabase driver: a promise of rows.
+  function run(context, statement) {
+    try {
+      return Promise.resolve(statement());
+    } catch (err) {
+      return Promise.reject(storageError(err, context));
+    }
+  }
+
+  function writeRows(info, sql, params, returning) {
+    const statement = db.prepare(sql);
+    if (!returning) {
+      statement.run(...params);
+      return [];
+    }
+    return statement.all(...params).map(row => fromDatabase(info, row));
+  }
+
+  const functions = {
+    get_version_counts({ budget_ids: budgetIds = [] }) {
+      if (!budgetIds.length) return [];
+      return db.prepare(`SELECT budget_id, COUNT(*) AS count FROM budget_versions
+        WHERE budget_id IN (${budgetIds.map(() => '?').join(', ')}) GROUP BY budget_id`).all(...budgetIds);
+    },
+    increment_views({ bid }) {
+      db.prepare('UPDATE budgets SET views_count = COALESCE(views_count, 0) + 1, last_viewed_at = ? WHERE id = ?')
+        .run(new Date().toISOString(), bid);
+      return null;
+    },
+    // migrations/014_search_budgets.sql. Timestamps are ISO text, so the sort
+    // key can be the column itself and "7 days ago" is worked out here.
+    search_budgets({
+      p_search = null,
+      p_status = 'all',
+      p_owner = null,
+      p_hide_expired = false,
+      p_sort = 'lastClientActivity',
+      p_direction = 'desc',
+      p_limit = null,
+      p_offset = 0,
+      p_now = new Date().toISOString(),
+      p_idle_days = 7,
+      p_office_ips = []
+    } = {}) {
+      const now = new Date(p_now);
+      return db.prepare(SEARCH_BUDGETS_SQL).all({
+        search: String(p_search || '').trim().toLowerCase(),
+        status: p_status || 'all',
+        owner: String(p_owner || '').trim().toLowerCase(),
+        hide_expired: p_hide_expired ? 1 : 0,
+        sort: p_sort,
+        direction: p_direction === 'asc' ? 'asc' : 'desc',
+        limit: p_limit == null ? -1 : Number(p_limit),
+        offset: Number(p_offset) || 0,
+        today: now.toISOString().slice(0, 10),
+        idle_cutoff: new Date(now.getTime() - p_idle_days * 86400000).toISOString(),
+        week_ago: new Date(now.getTime() - 7 * 86400000).toISOString(),
+        office_ips: JSON.stringify(p_office_ips || [])
+      });
+    }
+  };
+
+  return {
+    backend: 'sqlite',
+    db,
+
+    select(table, { columns = '*', where, order = [], limit, context = `${table}.select` } = {}) {
+      return run(context, () => {
+        const info = tableInfo(table);
+        const filter = whereClause(info, where);
+        let sql = `SELECT ${columnList(info, columns)} FROM ${quote(table)}${filter.sql}`;
+        if (order.length) sql += ` ORDER BY ${order.map(([column, direction]) => `${quote(column)} ${direction === 'desc' ? 'DESC' : 'ASC'}`).join(', ')}`;
+        if (limit) sql += ` LIMIT ${Number(limit)}`;
+        return db.prepare(sql).all(...filter.params).map(row => fromDatabase(info, row));
+      });
+    },
+
+    count(table, { where, context = `${table}.count` } = {}) {
+      return run(context, () => {
+        const info = tableInfo(table);
+        const filter = whereClause(info, where);
+        return db.prepare(`SELECT COUNT(*) FROM ${quote(table)}${filter.sql}`).pluck().get(...filter.params);
+      });
+    },
+
+    insert(table, row, { returning, context = `${table}.insert` } = {}) {
+      return run(context, () => {
+        const info = tableInfo(table);
+        const { columns, params } = assignments(info, row);
+        const sql = columns.length
+          ? `INSERT INTO ${quote(table)} (${columns.map(quote).join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`
+          : `INSERT INTO ${quote(table)} DEFAULT VALUES`;
+        return writeRows(info, sql + returningClause(info, returning), params, returning);
+      });
+    },
+
+    // Insert, or update the columns given when the primary key already exists.
+    upsert(table, row, { returning, context = `${table}.upsert` } = {}) {
+      return run(context, () => {
+        const info = tableInfo(table);
+        const { columns, params } = assignments(info, row);
+        const updates = columns.filter(column => !info.primaryKey.includes(column));
+        const conflict = updates.length
+          ? `DO UPDATE SET ${updates.map(column => `${quote(column)} = excluded.${quote(column)}`).join(', ')}`
+          : 'DO NOTHING';
+        const sql = `INSERT INTO ${quote(table)} (${columns.map(quote).join(', ')}) VALUES (${columns.map(() => '?').join(', ')})
+          ON CONFLICT (${info.primaryKey.map(quote).join(', ')}) ${conflict}`;
+        return writeRows(info, sql + returningClause(info, returning), params, returning);
+      });
+    },
+
+    update(table, values, { where, returning, context = `${table}.update` } = {}) {
+      return run(context, () => {
+        const info = tableInfo(table);
+        const { columns, params } = assignments(info, values);
+        if (!columns.length) return [];
+        const filter = whereClause(info, where);
+        const sql = `UPDATE ${quote(table)} SET ${columns.map(column => `${quote(column)} = ?`).join(', ')}${filter.sql}`;
+        return writeRows(info, sql + returningClause(info, returning), [...params, ...filter.params], returning);
+      });
+    },
+
+    delete(table, { where, returning, context = `${table}.delete` } = {}) {
+      return run(context, () => {
+        const info = tableInfo(table);
+        const filter = whereClause(info, where);
+        const sql = `DELETE FROM ${quote(table)}${filter.sql}`;
+        return writeRows(info, sql + returningClause(info, returning), filter.params, returning);
+      });
+    },
+
+    rpc(name, args = {}) {
+      return run(`rpc ${name}`, () => {
+        if (!Object.prototype.hasOwnProperty.call(functions, name)) throw new Error(`function ${name} does not exist`);
+        return functions[name](args);
+      });
+    },
+
+    close() {
+      db.close();
+    }
+  };
+}
+
+module.exports = {
+  SQLITE_MIGRATIONS_DIR,
+  createSqliteDriver,
+  migrate
+};
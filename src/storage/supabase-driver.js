@@ -0,0 +1,65 @@
+// Storage driver over a Supabase (PostgREST) client using the service role.
+// Filters are [column, op, value] with op one of eq, in, lt, lte, gte, ilike; each
+// maps onto the query builder method of the same name.
+const { storageError } = require('./errors');
+
+function applyFilters(query, where = []) {
+  return where.reduce((filtered, [column, op, value]) => filtered[op](column, value), query);
+}
+
+function createSupabaseDriver(client) {
+  async function run(query, context) {
+    const { data, error } = await query;
+    if (error) throw storageError(error, context);
+    return data || [];
+  }
+
+  function returningRows(query, returning, context) {
+    return returning ? run(query.select(returning), context) : run(query, context).then(() => []);
+  }
+
+  return {
+    backend: 'supabase',
+
+    select(table, { columns = '*', where, order = [], limit, context = `${table}.select` } = {}) {
+      let query = applyFilters(client.from(table).select(columns), where);
+      order.forEach(([column, direction]) => {
+        query = query.order(column, { ascending: direction !== 'desc' });
+      });
+      if (limit) query = query.limit(limit);
+      return run(query, context);
+    },
+
+    async count(table, { where, context = `${table}.count` } = {}) {
+      const { count, error } = await applyFilters(client.from(table).select('*', { count: 'exact', head: true }), where);
+      if (error) throw storageError(error, context);
+      return count || 0;
+    },
+
+    insert(table, row, { returning, context = `${table}.insert` } = {}) {
+      return returningRows(client.from(table).insert(row), returning, context);
+    },
+
+    upsert(table, row, { returning, context = `${table}.upsert` } = {}) {
+      return returningRows(client.from(table).upsert(row), returning, context);
+    },
+
+    update(table, values, { where, returning, context = `${table}.update` } = {}) {
+      return returningRows(applyFilters(client.from(table).update(values), where), returning, context);
+    },
+
+    delete(table, { where, returning, context = `${table}.delete` } = {}) {
+      return returningRows(applyFilters(client.from(table).delete(), where), returning, context);
+    },
+
+    async rpc(name, args) {
+      const { data, error } = await client.rpc(name, args);
+      if (error) throw storageError(error, `rpc ${name}`);
+      return data;
+    },
+
+    close() {}
+  };
+}
+
+module.exports = { createSupabaseDriver };
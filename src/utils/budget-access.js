@@ -0,0 +1,86 @@
+// Who may still open and change a budget: link expiry, the approval lock and
+// the If-Match revision check that turns stale writes into 409 conflicts.
+const { normalizeBudgetStatus } = require('../../public/src/utils/budget-list');
+
+function formatDateOnly(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function defaultExpirationDate() {
+  const date = new Date();
+  date.setDate(date.getDate() + 30);
+  return formatDateOnly(date);
+}
+
+function isExpirationDatePast(dateOnly) {
+  if (!dateOnly) return false;
+  const expiresEnd = new Date(`${dateOnly}T23:59:59.999Z`);
+  return !Number.isNaN(expiresEnd.getTime()) && expiresEnd.getTime() < Date.now();
+}
+
+function getBudgetAccess(state = {}) {
+  const expiresAt = state.expiresAt || null;
+  const expiredAt = state.expiredAt || null;
+  return {
+    expiresAt,
+    expiredAt,
+    isExpired: !!expiredAt || isExpirationDatePast(expiresAt)
+  };
+}
+
+function preserveBudgetAccess(nextState = {}, existingState = {}) {
+  const preserved = { ...nextState };
+  if (existingState.expiresAt !== undefined) preserved.expiresAt = existingState.expiresAt;
+  if (existingState.expiredAt !== undefined) preserved.expiredAt = existingState.expiredAt;
+  return preserved;
+}
+
+// Once the client has approved and the budget is won, the edit link turns read-only
+// for everyone but signed-in staff. Reopening the budget (status back to active) unlocks it.
+function isBudgetApprovalLocked(budget) {
+  return !!budget?.approval && normalizeBudgetStatus(budget.status) === 'won';
+}
+
+// Budget writes send If-Match with the revision the editor last loaded ("7").
+// Tabs opened before revisions existed send lastModified instead. Writes without
+// If-Match skip this check but are still conditional on the revision they loaded.
+function isStaleBudgetWrite(req, budget) {
+  const expected = String(req.get('If-Match') || '').replace(/^W\//, '').replace(/"/g, '').trim();
+  if (!expected) return false;
+  if (/^\d+$/.test(expected)) return Number(expected) !== budget.revision;
+  return Date.parse(expected) !== Date.parse(budget.lastModified);
+}
+
+// 409 body for a stale write. `changes` lists where the writer's version differs
+// from the saved one, as budgetSync.compareStates paths.
+function budgetConflictBody(budget, changes = []) {
+  return {
+    error: 'Someone else changed this budget. Review their changes and save again.',
+    conflict: true,
+    revision: budget.revision,
+    lastModified: budget.lastModified,
+    versionCount: budget.versions.length,
+    currentState: budget.currentState,
+    categoryConfig: budget.categoryConfig,
+    customCategories: budget.customCategories,
+    changes
+  };
+}
+
+// Response for an error thrown by updateBudgetRow (err.budgetConflict).
+function sendBudgetWriteConflict(res, err) {
+  if (!err.budget) return res.status(404).json({ error: 'Budget not found' });
+  return res.status(409).json(budgetConflictBody(err.budget, err.changes));
+}
+
+module.exports = {
+  budgetConflictBody,
+  defaultExpirationDate,
+  formatDateOnly,
+  getBudgetAccess,
+  isBudgetApprovalLocked,
+  isExpirationDatePast,
+  isStaleBudgetWrite,
+  preserveBudgetAccess,
+  sendBudgetWriteConflict
+};
@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+const { canonicalize } = require('./security');
+
+// Access and bookkeeping fields that can change without changing what was approved.
+const APPROVAL_IGNORED_KEYS = ['timestamp', 'expiresAt', 'expiredAt', '__versionMeta'];
+
+/**
+ * The approved budget state, canonicalized so key order can never change the
+ * hash: the same selections always produce the same document.
+ */
+function approvalDocument(state) {
+  const document = { ...(state || {}) };
+  APPROVAL_IGNORED_KEYS.forEach(key => delete document[key]);
+  return canonicalize(document);
+}
+
+function approvalStateHash(state) {
+  return crypto.createHash('sha256').update(JSON.stringify(approvalDocument(state))).digest('hex');
+}
+
+// Typed initials: letters only, upper-cased, as shown on the certificate.
+function normalizeInitials(value) {
+  return String(value || '').replace(/[^\p{L}]/gu, '').toUpperCase().slice(0, 6);
+}
+
+// What the client saw, kept with the approval so the certificate doesn't depend on today's pricing.
+function approvalLineItems(breakdown) {
+  return [
+    ...breakdown.categories.map(line => ({ type: 'category', section: line.section, name: line.name, tier: line.tierLabel, amount: line.total })),
+    ...breakdown.extras.map(extra => ({ type: 'extra', section: 'Add-Ons', name: extra.name, tier: '', amount: extra.price })),
+    ...breakdown.modifiers.map(modifier => ({ type: 'modifier', section: '', name: modifier.name || 'Custom Adjustment', tier: '', amount: modifier.amount })),
+    { type: 'tax', section: '', name: breakdown.taxLabel, tier: '', amount: breakdown.tax }
+  ];
+}
+
+/**
+ * `intact`: the stored state still hashes to the stored hash.
+ * `matchesCurrent`: the live budget is still exactly what was approved.
+ */
+function verifyApproval(approval, currentState) {
+  const intact = approvalStateHash(approval.state) === approval.stateHash;
+  return {
+    intact,
+    matchesCurrent: intact && approvalStateHash(currentState) === approval.stateHash
+  };
+}
+
+module.exports = {
+  APPROVAL_IGNORED_KEYS,
+  approvalDocument,
+  approvalLineItems,
+  approvalStateHash,
+  normalizeInitials,
+  verifyApproval
+};
@@ -0,0 +1,179 @@
+const PROJECT_FIELDS = [
+  ['clientName', 'Budget name'],
+  ['builder', 'Builder'],
+  ['homeSize', 'Sqft'],
+  ['propertyType', 'Home type']
+];
+
+function money(value) {
+  return Math.round(Number(value) || 0);
+}
+
+function lineSummary(line) {
+  return {
+    tierKey: line.tierKey,
+    tierLabel: line.tierLabel,
+    basePrice: money(line.basePrice),
+    addOns: line.addOns.map(addOn => ({ label: addOn.label, price: money(addOn.price) })),
+    adjustment: line.adjustment ? { name: line.adjustment.name, amount: money(line.adjustment.amount) } : null,
+    total: money(line.total)
+  };
+}
+
+function compareCategories(leftLines, rightLines) {
+  const leftById = new Map(leftLines.map(line => [line.categoryId, line]));
+  const rightById = new Map(rightLines.map(line => [line.categoryId, line]));
+  const ordered = [
+    ...rightLines,
+    ...leftLines.filter(line => !rightById.has(line.categoryId))
+  ];
+  return ordered.map(line => {
+    const left = leftById.get(line.categoryId);
+    const right = rightById.get(line.categoryId);
+    const leftSummary = left ? lineSummary(left) : null;
+    const rightSummary = right ? lineSummary(right) : null;
+    let status = 'unchanged';
+    if (!left) status = 'added';
+    else if (!right) status = 'removed';
+    else if (JSON.stringify(leftSummary) !== JSON.stringify(rightSummary)) status = 'changed';
+    return {
+      categoryId: line.categoryId,
+      name: line.name,
+      section: line.section,
+      status,
+      tierChanged: !!left && !!right && left.tierKey !== right.tierKey,
+      left: leftSummary,
+      right: rightSummary,
+      delta: (rightSummary?.total || 0) - (leftSummary?.total || 0)
+    };
+  });
+}
+
+function compareExtras(leftExtras, rightExtras) {
+  const leftById = new Map(leftExtras.map(extra => [extra.extraId, extra]));
+  const rightById = new Map(rightExtras.map(extra => [extra.extraId, extra]));
+  const ordered = [...rightExtras, ...leftExtras.filter(extra => !rightById.has(extra.extraId))];
+  return ordered.map(extra => {
+    const left = leftById.get(extra.extraId);
+    const right = rightById.get(extra.extraId);
+    const leftPrice = left ? money(left.price) : null;
+    const rightPrice = right ? money(right.price) : null;
+    return {
+      id: extra.extraId,
+      name: extra.name,
+      status: !left ? 'added' : (!right ? 'removed' : (leftPrice !== rightPrice ? 'changed' : 'unchanged')),
+      leftPrice,
+      rightPrice,
+      delta: (rightPrice || 0) - (leftPrice || 0)
+    };
+  });
+}
+
+function modifierKey(modifier) {
+  return `${(modifier.name || 'Custom Adjustment').trim()}|${money(modifier.amount)}`;
+}
+
+function compareModifiers(leftModifiers, rightModifiers) {
+  const summarize = modifier => ({ name: modifier.name || 'Custom Adjustment', amount: money(modifier.amount) });
+  const remaining = new Map();
+  leftModifiers.forEach(modifier => {
+    const key = modifierKey(modifier);
+    remaining.set(key, (remaining.get(key) || 0) + 1);
+  });
+  const added = [];
+  rightModifiers.forEach(modifier => {
+    const key = modifierKey(modifier);
+    if (remaining.get(key)) remaining.set(key, remaining.get(key) - 1);
+    else added.push(summarize(modifier));
+  });
+  const removed = [];
+  leftModifiers.forEach(modifier => {
+    const key = modifierKey(modifier);
+    if (remaining.get(key)) {
+      remaining.set(key, remaining.get(key) - 1);
+      removed.push(summarize(modifier));
+    }
+  });
+  return { added, removed };
+}
+
+function diffNamedList(leftItems, rightItems, keyOf) {
+  const leftKeys = new Set(leftItems.map(keyOf));
+  const rightKeys = new Set(rightItems.map(keyOf));
+  return {
+    added: rightItems.filter(item => !leftKeys.has(keyOf(item))),
+    removed: leftItems.filter(item => !rightKeys.has(keyOf(item)))
+  };
+}
+
+function customSectionNames(customCategories) {
+  return [...new Set(customCategories.map(category => category.section || 'Custom'))];
+}
+
+function totals(breakdown) {
+  return {
+    subtotal: money(breakdown.subtotal),
+    tax: money(breakdown.tax),
+    total: money(breakdown.total)
+  };
+}
+
+/**
+ * Side-by-side comparison of two priced budgets (or two versions of one).
+ * Each side is `{ state, breakdown, customCategories }`, where `breakdown` is a
+ * calculateBudgetPricing result. Right is treated as "after".
+ */
+function compareBudgets(left, right) {
+  const leftState = left.state || {};
+  const rightState = right.state || {};
+  // Custom categories live on the budget, not the version, so a side only
+  // "has" one when its state selects it.
+  const leftCustom = (left.customCategories || []).filter(category => leftState.selections?.[category.id]);
+  const rightCustom = (right.customCategories || []).filter(category => rightState.selections?.[category.id]);
+  const leftTotals = totals(left.breakdown);
+  const rightTotals = totals(right.breakdown);
+
+  const categories = compareCategories(left.breakdown.categories, right.breakdown.categories);
+  const extras = compareExtras(left.breakdown.extras, right.breakdown.extras);
+  const modifiers = compareModifiers(left.breakdown.modifiers, right.breakdown.modifiers);
+  const customCategories = diffNamedList(
+    leftCustom.map(category => ({ id: category.id, name: category.name, section: category.section || 'Custom' })),
+    rightCustom.map(category => ({ id: category.id, name: category.name, section: category.section || 'Custom' })),
+    category => category.id
+  );
+  const customSections = diffNamedList(customSectionNames(leftCustom), customSectionNames(rightCustom), name => name);
+
+  const project = PROJECT_FIELDS
+    .filter(([key]) => String(leftState[key] ?? '') !== String(rightState[key] ?? ''))
+    .map(([key, label]) => ({ field: key, label, left: leftState[key] ?? null, right: rightState[key] ?? null }));
+
+  const changeCount = project.length
+    + categories.filter(row => row.status !== 'unchanged').length
+    + extras.filter(row => row.status !== 'unchanged').length
+    + modifiers.added.length + modifiers.removed.length
+    + customSections.added.length + customSections.removed.length;
+
+  return {
+    project,
+    categories,
+    customCategories,
+    customSections,
+    extras,
+    modifiers,
+    totals: {
+      left: leftTotals,
+      right: rightTotals,
+      delta: {
+        subtotal: rightTotals.subtotal - leftTotals.subtotal,
+        tax: rightTotals.tax - leftTotals.tax,
+        total: rightTotals.total - leftTotals.total
+      }
+    },
+    changeCount,
+    identical: changeCount === 0 && rightTotals.total === leftTotals.total
+  };
+}
+
+module.exports = {
+  compareBudgets
+};
@@ -0,0 +1,57 @@
+// Server-Sent Events fan-out for live budgets. Connections live in this
+// process's memory, like browser presence; each one is { browserId, write }.
+
+function formatServerSentEvent(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+function createBudgetEventHub() {
+  const channels = new Map();
+
+  // Returns the unsubscribe function; call it when the stream closes.
+  function subscribe(budgetId, connection) {
+    let channel = channels.get(budgetId);
+    if (!channel) {
+      channel = new Set();
+      channels.set(budgetId, channel);
+    }
+    channel.add(connection);
+    return () => {
+      channel.delete(connection);
+      if (channel.size === 0 && channels.get(budgetId) === channel) channels.delete(budgetId);
+    };
+  }
+
+  // Send to every stream on the budget except the browser that caused the event.
+  function publish(budgetId, event, data, { exceptBrowserId = null } = {}) {
+    const channel = channels.get(budgetId);
+    if (!channel) return 0;
+    const message = formatServerSentEvent(event, data);
+    let delivered = 0;
+    channel.forEach(connection => {
+      if (exceptBrowserId && connection.browserId === exceptBrowserId) return;
+      try {
+        connection.write(message);
+        delivered++;
+      } catch (err) {
+        console.error('Budget event write failed:', err.message);
+      }
+    });
+    return delivered;
+  }
+
+  function hasBrowser(budgetId, browserId) {
+    return Array.from(channels.get(budgetId) || []).some(connection => connection.browserId === browserId);
+  }
+
+  function connectionCount(budgetId) {
+    return channels.get(budgetId)?.size || 0;
+  }
+
+  return { connectionCount, hasBrowser, publish, subscribe };
+}
+
+module.exports = {
+  createBudgetEventHub,
+  formatServerSentEvent
+};
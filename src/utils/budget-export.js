@@ -0,0 +1,146 @@
+const ExcelJS = require('exceljs');
+const { displayStatus, isOverdueFollowUp } = require('../../public/src/utils/budget-list');
+const { formatTaxRate } = require('../../public/src/utils/pricing');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+const CURRENCY_FORMAT = '"$"#,##0;-"$"#,##0';
+const PERCENT_FORMAT = '0%';
+
+function dateOnly(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+const BUDGET_LIST_COLUMNS = [
+  { header: 'Budget ID', width: 14, value: b => b.id },
+  { header: 'Client', width: 28, value: b => b.clientName || '' },
+  { header: 'Builder', width: 22, value: b => b.builder || '' },
+  { header: 'Status', width: 10, value: b => displayStatus(b) },
+  { header: 'Owner', width: 28, value: b => b.createdByEmail || '' },
+  { header: 'Total', width: 14, type: 'currency', value: b => b.currentTotal || 0 },
+  { header: 'Property Type', width: 14, value: b => b.propertyType || '' },
+  { header: 'Sq Ft', width: 10, type: 'number', value: b => b.homeSize || null },
+  { header: 'Customized', width: 11, value: b => (b.isCustomized ? 'Yes' : 'No') },
+  { header: 'Created', width: 18, type: 'date', value: b => dateOnly(b.created) },
+  { header: 'Last Modified', width: 18, type: 'date', value: b => dateOnly(b.lastModified) },
+  { header: 'Client Views', width: 12, type: 'number', value: b => b.clientViews || 0 },
+  { header: 'Team Views', width: 12, type: 'number', value: b => b.internalViews || 0 },
+  { header: 'Versions', width: 10, type: 'number', value: b => b.versionCount || 0 },
+  { header: 'Last Client Activity', width: 18, type: 'date', value: b => dateOnly(b.lastClientActivity) },
+  { header: 'Follow-up Date', width: 14, value: b => b.followUpDate || '' },
+  { header: 'Needs Follow-up', width: 15, value: b => (isOverdueFollowUp(b) ? 'Yes' : 'No') },
+  { header: 'Expires', width: 12, value: b => b.expiresAt || '' },
+  { header: 'Expired', width: 9, value: b => (b.isExpired ? 'Yes' : 'No') },
+  { header: 'Notes', width: 40, value: b => b.notes || '' }
+];
+
+const LINE_ITEM_COLUMNS = [
+  { header: 'Type', width: 12, value: row => row.type },
+  { header: 'Section', width: 20, value: row => row.section || '' },
+  { header: 'Item', width: 36, value: row => row.item },
+  { header: 'Tier', width: 22, value: row => row.tier || '' },
+  { header: 'Taxable', width: 9, value: row => (row.taxable === null ? '' : (row.taxable ? 'Yes' : 'No')) },
+  { header: 'Amount', width: 14, type: 'currency', value: row => row.amount }
+];
+
+/**
+ * Flatten a calculateBudgetPricing breakdown into spreadsheet rows, ending with
+ * the subtotal, tax and total so the sheet reconciles with the budget.
+ */
+function budgetLineItemRows(breakdown) {
+  const rows = [];
+  breakdown.categories.forEach(line => {
+    rows.push({ type: 'Category', section: line.section, item: line.name, tier: line.tierLabel, taxable: line.taxable, amount: line.basePrice });
+    line.addOns.forEach(addOn => {
+      rows.push({ type: 'Add-on', section: line.section, item: `${line.name}: ${addOn.label}`, tier: line.tierLabel, taxable: line.taxable, amount: addOn.price });
+    });
+    if (line.adjustment) {
+      rows.push({ type: 'Adjustment', section: line.section, item: `${line.name}: ${line.adjustment.name}`, tier: '', taxable: line.taxable, amount: line.adjustment.amount });
+    }
+  });
+  breakdown.extras.forEach(extra => {
+    rows.push({ type: 'Extra', section: 'Add-Ons', item: extra.name, tier: '', taxable: extra.taxable, amount: extra.price });
+  });
+  breakdown.modifiers.forEach(modifier => {
+    rows.push({ type: 'Modifier', section: '', item: modifier.name || 'Custom Adjustment', tier: '', taxable: true, amount: modifier.amount });
+  });
+  rows.push({ type: 'Subtotal', section: '', item: 'Equipment & Installation Subtotal', tier: '', taxable: null, amount: breakdown.subtotal });
+  rows.push({ type: 'Tax', section: '', item: `${breakdown.taxLabel} (${formatTaxRate(breakdown.taxRate)})`, tier: '', taxable: null, amount: breakdown.tax });
+  rows.push({ type: 'Total', section: '', item: 'Estimated Total Investment', tier: '', taxable: null, amount: breakdown.total });
+  return rows;
+}
+
+// Quote for CSV and neutralize leading formula characters so spreadsheets treat text as text.
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'number') return String(value);
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function writeCsv(stream, columns, rows) {
+  stream.write('\uFEFF');
+  stream.write(columns.map(column => csvCell(column.header)).join(',') + '\r\n');
+  rows.forEach(row => {
+    stream.write(columns.map(column => csvCell(column.value(row))).join(',') + '\r\n');
+  });
+  stream.end();
+}
+
+async function writeXlsx(stream, sheetName, columns, rows) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+  const sheet = workbook.addWorksheet(sheetName, { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = columns.map(column => ({
+    header: column.header,
+    width: column.width,
+    style: column.type === 'currency'
+      ? { numFmt: CURRENCY_FORMAT }
+      : column.type === 'percent'
+        ? { numFmt: PERCENT_FORMAT }
+        : column.type === 'date' ? { numFmt: 'yyyy-mm-dd hh:mm' } : {}
+  }));
+  sheet.getRow(1).font = { bold: true };
+  rows.forEach(row => {
+    sheet.addRow(columns.map(column => column.value(row))).commit();
+  });
+  sheet.commit();
+  await workbook.commit();
+}
+
+function exportFileName(base, format) {
+  const stamp = new Date().toISOString().slice(0, 10);
+  return `${base}-${stamp}.${format}`;
+}
+
+// Stream `rows` to an Express response as a CSV or XLSX download.
+async function sendExport(res, format, fileBase, sheetName, columns, rows) {
+  res.set({
+    'Content-Type': CONTENT_TYPES[format],
+    'Content-Disposition': `attachment; filename="${exportFileName(fileBase, format)}"`,
+    'Cache-Control': 'no-store'
+  });
+  if (format === 'xlsx') await writeXlsx(res, sheetName, columns, rows);
+  else writeCsv(res, columns, rows);
+}
+
+module.exports = {
+  BUDGET_LIST_COLUMNS,
+  CONTENT_TYPES,
+  EXPORT_FORMATS,
+  LINE_ITEM_COLUMNS,
+  budgetLineItemRows,
+  csvCell,
+  exportFileName,
+  sendExport,
+  writeCsv,
+  writeXlsx
+};
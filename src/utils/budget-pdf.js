@@ -0,0 +1,320 @@
+const PDFDocument = require('pdfkit');
+
+const COLORS = {
+  navy: '#0F2F44',
+  accent: '#017ED7',
+  text: '#393939',
+  muted: '#5A5A5A',
+  light: '#999999',
+  rule: '#E0E0E0',
+  band: '#EEF8FE',
+  credit: '#C62828',
+  addition: '#2E7D32'
+};
+
+const PAGE_MARGIN = 50;
+const FOOTER_HEIGHT = 30;
+const PRICE_WIDTH = 110;
+const TIER_WIDTH = 120;
+
+const MATRIX_CELL_LABELS = {
+  included: 'Included',
+  not_included: '-'
+};
+
+function formatCurrency(value) {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0
+  }).format(Number(value) || 0);
+}
+
+function formatSignedCurrency(value) {
+  return `${value >= 0 ? '+' : ''}${formatCurrency(value)}`;
+}
+
+// The built-in PDF fonts only cover WinAnsi; drop emoji and other glyphs they cannot draw.
+function pdfText(value) {
+  return String(value ?? '')
+    .replace(/[^\x20-\x7E\u00A0-\u00FF\u2013\u2014\u2018\u2019\u201C\u201D\u2022\u2026\u20AC]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function matrixCellLabel(cell) {
+  if (cell.status === 'addon') return cell.price ? `Add-on ${formatCurrency(cell.price)}` : 'Add-on';
+  return MATRIX_CELL_LABELS[cell.status] || '-';
+}
+
+function createLayout(doc) {
+  const left = PAGE_MARGIN;
+  const right = doc.page.width - PAGE_MARGIN;
+  const bottom = () => doc.page.height - PAGE_MARGIN - FOOTER_HEIGHT;
+
+  function ensureSpace(height) {
+    if (doc.y + height > bottom()) {
+      doc.addPage();
+      doc.y = PAGE_MARGIN;
+    }
+  }
+
+  // One table row: wrapped label on the left, optional middle column, right-aligned amount.
+  function row(label, amount, options = {}) {
+    const labelX = left + (options.indent || 0);
+    const middleWidth = options.middle !== undefined ? TIER_WIDTH : 0;
+    const labelWidth = right - labelX - PRICE_WIDTH - middleWidth - 10;
+    const font = options.bold ? 'Helvetica-Bold' : 'Helvetica';
+    const size = options.size || 10;
+    doc.font(font).fontSize(size);
+    const height = Math.max(
+      doc.heightOfString(label, { width: labelWidth }),
+      options.middle ? doc.heightOfString(options.middle, { width: TIER_WIDTH }) : 0
+    );
+    ensureSpace(height + 6);
+    const y = doc.y;
+    doc.fillColor(options.color || COLORS.text).text(label, labelX, y, { width: labelWidth });
+    if (options.middle) {
+      doc.font('Helvetica').fillColor(COLORS.muted)
+        .text(options.middle, right - PRICE_WIDTH - TIER_WIDTH, y, { width: TIER_WIDTH });
+    }
+    if (amount !== undefined && amount !== null) {
+      doc.font(font).fillColor(options.amountColor || options.color || COLORS.text)
+        .text(amount, right - PRICE_WIDTH, y, { width: PRICE_WIDTH, align: 'right' });
+    }
+    doc.y = y + height + (options.gap ?? 4);
+    doc.x = left;
+  }
+
+  function rule(color = COLORS.rule) {
+    doc.moveTo(left, doc.y).lineTo(right, doc.y).lineWidth(0.5).strokeColor(color).stroke();
+    doc.y += 6;
+  }
+
+  return { left, right, width: right - left, ensureSpace, row, rule };
+}
+
+function drawHeader(doc, layout, data) {
+  doc.rect(0, 0, doc.page.width, 90).fill(COLORS.navy);
+  doc.font('Helvetica-Bold').fontSize(22).fillColor('#FFFFFF')
+    .text('Gamma Tech Services', layout.left, 28, { width: layout.width });
+  doc.font('Helvetica').fontSize(11).fillColor('#FFFFFF', 0.8)
+    .text('Residential Technology Budget', layout.left, 56, { width: layout.width });
+  doc.fillOpacity(1);
+  doc.y = 110;
+
+  const details = [
+    ['Project', data.clientName || 'Unnamed Project'],
+    ['Builder', data.builder || '-'],
+    ['Property Type', data.propertyType === 'condo' ? 'Condo' : 'Single Family'],
+    ['Home Size', `${Number(data.homeSize || 0).toLocaleString('en-US')} sq ft`],
+    ['Date', data.date],
+    ['Budget ID', data.budgetId]
+  ];
+  if (data.expiresAt) details.push(['Valid Until', data.expiresAt]);
+  const columnWidth = layout.width / 2;
+  details.forEach(([label, value], index) => {
+    const x = layout.left + (index % 2) * columnWidth;
+    const y = doc.y;
+    doc.font('Helvetica-Bold').fontSize(9).fillColor(COLORS.muted).text(`${label}:`, x, y, { width: 80 });
+    doc.font('Helvetica').fontSize(9).fillColor(COLORS.text).text(pdfText(value), x + 80, y, { width: columnWidth - 90 });
+    if (index % 2 === 0 && index < details.length - 1) doc.y = y;
+    else doc.y = y + 16;
+  });
+
+  doc.y += 10;
+  const boxY = doc.y;
+  doc.roundedRect(layout.left, boxY, layout.width, 64, 8).fill(COLORS.band);
+  doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted)
+    .text('ESTIMATED INVESTMENT', layout.left, boxY + 12, { width: layout.width, align: 'center', characterSpacing: 1 });
+  doc.font('Helvetica-Bold').fontSize(24).fillColor(COLORS.navy)
+    .text(formatCurrency(data.total), layout.left, boxY + 26, { width: layout.width, align: 'center' });
+  doc.y = boxY + 80;
+  doc.x = layout.left;
+}
+
+function drawFeatureMatrix(doc, layout, line) {
+  const tiers = line.matrix.tiers;
+  const labelWidth = Math.min(200, layout.width * 0.4);
+  const indent = 14;
+  const cellWidth = (layout.width - indent - labelWidth) / tiers.length;
+  const x0 = layout.left + indent;
+
+  doc.font('Helvetica-Bold').fontSize(8);
+  layout.ensureSpace(16);
+  let y = doc.y;
+  doc.fillColor(COLORS.muted).text('Feature', x0, y, { width: labelWidth });
+  tiers.forEach((tier, index) => {
+    doc.fillColor(tier.key === line.tierKey ? COLORS.accent : COLORS.muted)
+      .text(pdfText(tier.label), x0 + labelWidth + index * cellWidth, y, { width: cellWidth, align: 'center' });
+  });
+  doc.y = y + 12;
+
+  line.matrix.rows.forEach(matrixRow => {
+    doc.font('Helvetica').fontSize(8);
+    const height = doc.heightOfString(pdfText(matrixRow.label), { width: labelWidth }) + 4;
+    layout.ensureSpace(height);
+    y = doc.y;
+    doc.fillColor(COLORS.text).text(pdfText(matrixRow.label), x0, y, { width: labelWidth });
+    matrixRow.cells.forEach((cell, index) => {
+      const selected = tiers[index].key === line.tierKey;
+      doc.font(selected ? 'Helvetica-Bold' : 'Helvetica')
+        .fillColor(selected ? COLORS.text : COLORS.light)
+        .text(`${matrixCellLabel(cell)}${cell.selected ? ' (added)' : ''}`, x0 + labelWidth + index * cellWidth, y, { width: cellWidth, align: 'center' });
+    });
+    doc.y = y + height;
+  });
+  doc.y += 4;
+  doc.x = layout.left;
+}
+
+function drawCategoryLine(doc, layout, line) {
+  const name = `${pdfText(line.name)}${line.taxable === false ? ' (non-taxable)' : ''}`;
+  layout.row(name, formatCurrency(line.basePrice), {
+    bold: true,
+    middle: pdfText(line.tierLabel ? `${line.tierTag}: ${line.tierLabel}` : line.tierTag),
+    gap: 2
+  });
+
+  if (line.matrix) {
+    drawFeatureMatrix(doc, layout, line);
+  } else if (line.features.length) {
+    doc.font('Helvetica').fontSize(8.5).fillColor(COLORS.muted);
+    line.features.forEach(feature => {
+      const text = `• ${pdfText(feature)}`;
+      const height = doc.heightOfString(text, { width: layout.width - 14 - PRICE_WIDTH });
+      layout.ensureSpace(height);
+      doc.text(text, layout.left + 14, doc.y, { width: layout.width - 14 - PRICE_WIDTH });
+    });
+  }
+  if (line.brands) {
+    layout.row(`Typical brands: ${pdfText(line.brands)}`, null, { indent: 14, size: 8, color: COLORS.light, gap: 2 });
+  }
+  line.addOns.forEach(addOn => {
+    layout.row(pdfText(addOn.label), formatCurrency(addOn.price), { indent: 14, size: 9, middle: 'Add-on' });
+  });
+  if (line.adjustment) {
+    layout.row(pdfText(line.adjustment.name), formatSignedCurrency(line.adjustment.amount), {
+      indent: 14,
+      size: 9,
+      middle: line.adjustment.amount > 0 ? 'Addition' : 'Credit',
+      amountColor: line.adjustment.amount >= 0 ? COLORS.addition : COLORS.credit
+    });
+  }
+  doc.y += 4;
+  layout.rule();
+}
+
+function drawSectionHeading(doc, layout, title) {
+  layout.ensureSpace(40);
+  doc.y += 6;
+  doc.font('Helvetica-Bold').fontSize(12).fillColor(COLORS.navy).text(pdfText(title), layout.left, doc.y, { width: layout.width });
+  doc.y += 2;
+  layout.rule(COLORS.navy);
+}
+
+function drawTotals(doc, layout, data) {
+  layout.ensureSpace(90);
+  doc.y += 6;
+  layout.row('Equipment & Installation Subtotal', formatCurrency(data.subtotal), { bold: true });
+  layout.row(`Estimated ${pdfText(data.taxLabel)} (${data.taxRateLabel})`, formatCurrency(data.tax));
+  layout.rule(COLORS.navy);
+  layout.row('Estimated Total Investment', formatCurrency(data.total), { bold: true, size: 13, color: COLORS.navy });
+}
+
+function drawDisclaimer(doc, layout, data) {
+  const taxNote = `${pdfText(data.taxLabel)} estimate based on a ${data.taxRateLabel} rate${data.taxableSubtotal !== data.subtotal ? ' applied to taxable items only' : ''}; actual tax depends on installation location.`;
+  const lines = [
+    'This is a budgetary estimate for planning purposes. Final pricing requires detailed design and engineering.',
+    'TV/display costs are generally not included unless noted (video wall categories).',
+    'Prices reflect new construction; retrofit projects may require additional assessment.',
+    'Equipment availability and pricing subject to change. Lead times vary by manufacturer.',
+    taxNote,
+    'Permits may be required for security, low-voltage, and electrical work per FL code.'
+  ];
+  doc.font('Helvetica').fontSize(8);
+  const text = lines.map(line => `• ${line}`).join('\n');
+  layout.ensureSpace(doc.heightOfString(text, { width: layout.width }) + 20);
+  doc.y += 16;
+  doc.fillColor(COLORS.light).text(text, layout.left, doc.y, { width: layout.width, lineGap: 2 });
+}
+
+function drawFooters(doc) {
+  const range = doc.bufferedPageRange();
+  for (let index = range.start; index < range.start + range.count; index += 1) {
+    doc.switchToPage(index);
+    const y = doc.page.height - PAGE_MARGIN - 10;
+    const width = doc.page.width - PAGE_MARGIN * 2;
+    // Writing inside the bottom margin would otherwise trigger an automatic page break.
+    const { bottom } = doc.page.margins;
+    doc.page.margins.bottom = 0;
+    doc.font('Helvetica').fontSize(8).fillColor(COLORS.light)
+      .text('Gamma Tech Services • 3106 Horseshoe Dr S, Naples, FL 34104 • (239) 330-4939 • gamma.tech', PAGE_MARGIN, y, { width, align: 'left', lineBreak: false })
+      .text(`Page ${index - range.start + 1} of ${range.count}`, PAGE_MARGIN, y, { width, align: 'right', lineBreak: false });
+    doc.page.margins.bottom = bottom;
+  }
+}
+
+/**
+ * Render a budget breakdown (see buildBudgetPdfData in server.js) to a PDF buffer.
+ * Sections are drawn in the order given; pages are numbered once the body is laid out.
+ */
+function renderBudgetPdf(data) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'LETTER',
+      margin: PAGE_MARGIN,
+      bufferPages: true,
+      info: {
+        Title: `Technology Budget - ${pdfText(data.clientName) || 'Unnamed Project'}`,
+        Author: 'Gamma Tech Services'
+      }
+    });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+      const layout = createLayout(doc);
+      drawHeader(doc, layout, data);
+
+      if (!data.sections.length && !data.extras.length) {
+        doc.font('Helvetica').fontSize(10).fillColor(COLORS.muted)
+          .text('No categories have been selected yet.', layout.left, doc.y, { width: layout.width });
+      }
+      data.sections.forEach(section => {
+        drawSectionHeading(doc, layout, section.name);
+        section.lines.forEach(line => drawCategoryLine(doc, layout, line));
+      });
+
+      if (data.extras.length) {
+        drawSectionHeading(doc, layout, 'Add-Ons');
+        data.extras.forEach(extra => {
+          const name = `${pdfText(extra.name)}${extra.taxable === false ? ' (non-taxable)' : ''}`;
+          layout.row(name, formatCurrency(extra.price), { middle: pdfText(extra.note) });
+        });
+      }
+
+      if (data.modifiers.length) {
+        drawSectionHeading(doc, layout, 'Adjustments');
+        data.modifiers.forEach(modifier => {
+          layout.row(pdfText(modifier.name) || 'Custom Adjustment', formatSignedCurrency(modifier.amount), {
+            middle: modifier.amount > 0 ? 'Addition' : 'Credit',
+            amountColor: modifier.amount >= 0 ? COLORS.addition : COLORS.credit
+          });
+        });
+      }
+
+      drawTotals(doc, layout, data);
+      drawDisclaimer(doc, layout, data);
+      drawFooters(doc);
+      doc.end();
+    } catch (err) {
+      reject(err);
+    }
+  });
+}
+
+module.exports = { pdfText, renderBudgetPdf };
@@ -0,0 +1,266 @@
+// Pricing a budget against its catalog snapshot: carrying prices across size
+// and catalog changes, totals per scenario, and the data behind the PDF.
+const pricing = require('../../public/src/utils/pricing');
+const budgetScenarios = require('../../public/src/utils/scenarios');
+const {
+  BUDGET_TAX_CONFIG_KEY,
+  TIER_KEYS,
+  getBudgetDefaultCategoriesFromConfig,
+  getBudgetDefaultExtrasFromConfig,
+  getBudgetDefaultSectionsFromConfig,
+  normalizeCategoryList,
+  slugifySectionId
+} = require('./category-defaults');
+
+const { matrixCellStatus } = pricing;
+const getDefaultTierPrice = pricing.getTierPrice;
+const getDefaultExtraPrice = pricing.getExtraPrice;
+
+function updateNonCustomCategoryPrices(existingConfig = {}, oldCategories, newCategories, oldSqft, newSqft) {
+  const oldById = new Map(oldCategories.map(cat => [cat.id, cat]));
+  const config = {};
+  newCategories.forEach(cat => {
+    const existing = existingConfig[cat.id] || {};
+    const oldCat = oldById.get(cat.id);
+    const tiers = {};
+    TIER_KEYS.forEach(tierKey => {
+      const defaultTier = cat.tiers?.[tierKey];
+      const existingTier = existing.tiers?.[tierKey] || {};
+      if (!defaultTier && !existingTier.price && existingTier.enabled !== true) return;
+      const oldDefaultPrice = getDefaultTierPrice(oldCat, tierKey, oldSqft);
+      const newDefaultPrice = getDefaultTierPrice(cat, tierKey, newSqft);
+      const hasCustomPrice = existingTier.price !== undefined &&
+        oldDefaultPrice !== null &&
+        Number(existingTier.price) !== oldDefaultPrice;
+      tiers[tierKey] = {
+        enabled: existingTier.enabled !== undefined ? existingTier.enabled : true,
+        label: existingTier.label ?? defaultTier?.label ?? tierKey,
+        price: hasCustomPrice ? existingTier.price : (newDefaultPrice ?? existingTier.price ?? 0),
+        features: existingTier.features ?? defaultTier?.features ?? [],
+        brands: existingTier.brands ?? defaultTier?.brands ?? ''
+      };
+    });
+    config[cat.id] = { ...existing, hidden: existing.hidden === true, tiers };
+  });
+  Object.keys(existingConfig).forEach(catId => {
+    if (!config[catId]) config[catId] = existingConfig[catId];
+  });
+  return config;
+}
+
+function updateNonCustomExtraPrices(existingConfig = {}, oldExtras, newExtras, oldSqft, newSqft) {
+  const oldById = new Map(oldExtras.map(extra => [extra.id, extra]));
+  const config = {};
+  newExtras.forEach(extra => {
+    const existing = existingConfig[extra.id] || {};
+    const oldDefaultPrice = getDefaultExtraPrice(oldById.get(extra.id), oldSqft);
+    const newDefaultPrice = getDefaultExtraPrice(extra, newSqft);
+    const hasCustomPrice = existing.price !== undefined &&
+      oldDefaultPrice !== null &&
+      Number(existing.price) !== oldDefaultPrice;
+    config[extra.id] = {
+      hidden: existing.hidden === true,
+      price: hasCustomPrice ? existing.price : (newDefaultPrice ?? existing.price ?? 0)
+    };
+  });
+  Object.keys(existingConfig).forEach(extraId => {
+    if (!config[extraId]) config[extraId] = existingConfig[extraId];
+  });
+  return config;
+}
+
+function preserveCategoryPricesAcrossChange(existingConfig = {}, oldCategories, newCategories, oldSqft, newSqft) {
+  const oldById = new Map(oldCategories.map(cat => [cat.id, cat]));
+  const config = {};
+  newCategories.forEach(cat => {
+    const existing = existingConfig[cat.id] || {};
+    const oldCat = oldById.get(cat.id);
+    const tiers = {};
+    TIER_KEYS.forEach(tierKey => {
+      const defaultTier = cat.tiers?.[tierKey];
+      const existingTier = existing.tiers?.[tierKey] || {};
+      if (!defaultTier && !existingTier.price && existingTier.enabled !== true) return;
+      tiers[tierKey] = {
+        enabled: existingTier.enabled !== undefined ? existingTier.enabled : true,
+        label: existingTier.label ?? defaultTier?.label ?? tierKey,
+        price: existingTier.price ?? getDefaultTierPrice(oldCat, tierKey, oldSqft) ?? getDefaultTierPrice(cat, tierKey, newSqft) ?? 0,
+        features: existingTier.features ?? defaultTier?.features ?? [],
+        brands: existingTier.brands ?? defaultTier?.brands ?? ''
+      };
+    });
+    config[cat.id] = { ...existing, hidden: existing.hidden === true, tiers };
+  });
+  Object.keys(existingConfig).forEach(catId => {
+    if (!config[catId]) config[catId] = existingConfig[catId];
+  });
+  return config;
+}
+
+function preserveExtraPricesAcrossChange(existingConfig = {}, oldExtras, newExtras, oldSqft, newSqft) {
+  const oldById = new Map(oldExtras.map(extra => [extra.id, extra]));
+  const config = {};
+  newExtras.forEach(extra => {
+    const existing = existingConfig[extra.id] || {};
+    config[extra.id] = {
+      hidden: existing.hidden === true,
+      price: existing.price ?? getDefaultExtraPrice(oldById.get(extra.id), oldSqft) ?? getDefaultExtraPrice(extra, newSqft) ?? 0
+    };
+  });
+  Object.keys(existingConfig).forEach(extraId => {
+    if (!config[extraId]) config[extraId] = existingConfig[extraId];
+  });
+  return config;
+}
+
+function resolveBudgetPricingCatalog(defaults, options = {}) {
+  const propertyType = options.propertyType || 'residential';
+  const isCustomized = !!options.isCustomized;
+  const categoryConfig = options.categoryConfig || {};
+  return {
+    categories: pricing.resolveBudgetCategories(
+      getBudgetDefaultCategoriesFromConfig(categoryConfig, defaults, propertyType),
+      { categoryConfig, customCategories: options.customCategories || [], isCustomized }
+    ),
+    extras: pricing.resolveBudgetExtras(
+      getBudgetDefaultExtrasFromConfig(categoryConfig, defaults, propertyType),
+      { extraConfig: categoryConfig.__extras, isCustomized }
+    )
+  };
+}
+
+function resolveBudgetTaxFromConfig(categoryConfig, defaults) {
+  return pricing.resolveBudgetTax(defaults?.tax_settings, categoryConfig?.[BUDGET_TAX_CONFIG_KEY]);
+}
+
+function calculateBudgetPricing(state, defaults, options = {}) {
+  const sqft = options.sqft || state.homeSize || 4000;
+  const propertyType = options.propertyType || state.propertyType || 'residential';
+  const { categories, extras } = resolveBudgetPricingCatalog(defaults, { ...options, propertyType });
+  const tax = resolveBudgetTaxFromConfig(options.categoryConfig, defaults);
+  return pricing.calculateBudgetPricing(state, { categories, extras, sqft, taxRate: tax.rate, taxLabel: tax.label });
+}
+
+function calculateBudgetTotal(state, defaults, options = {}) {
+  return calculateBudgetPricing(state, defaults, options).total;
+}
+
+// Price `state` in place: every scenario gets its own total and state.total is
+// the chosen scenario's. Budgets without scenarios just get their total.
+function priceBudgetState(state, defaults, options = {}) {
+  const priced = budgetScenarios.priceScenarios(state, scenarioState => calculateBudgetTotal(scenarioState, defaults, options));
+  if (priced.scenarios) {
+    state.scenarios = priced.scenarios;
+    state.chosenScenarioId = priced.chosenScenarioId;
+  }
+  state.total = priced.total;
+  return state.total;
+}
+
+// Mirrors applyCategoryLayout in index.html: sections follow the budget's __layout order,
+// then each category's sortOrder.
+function applyBudgetCategoryLayout(categories, sections, layoutConfig = {}) {
+  const normalized = normalizeCategoryList(categories, sections);
+  const sectionOrder = new Map(normalized.sections.map((section, index) => [section.id, index]));
+  (layoutConfig?.sections || []).forEach((section, index) => {
+    const id = slugifySectionId(section?.section_id || section?.sectionId || section?.id || section?.name || 'other');
+    sectionOrder.set(id, Number.isFinite(Number(section.order)) ? Number(section.order) : index);
+  });
+  const orderOf = (value) => Number.isFinite(Number(value)) ? Number(value) : Number.MAX_SAFE_INTEGER;
+  return categories.slice().sort((a, b) => {
+    const sectionA = sectionOrder.get(a.section_id || a.sectionId || slugifySectionId(a.section));
+    const sectionB = sectionOrder.get(b.section_id || b.sectionId || slugifySectionId(b.section));
+    if (orderOf(sectionA) !== orderOf(sectionB)) return orderOf(sectionA) - orderOf(sectionB);
+    return orderOf(a.sortOrder) - orderOf(b.sortOrder);
+  });
+}
+
+function buildBudgetPdfData(budget, defaults) {
+  const state = budget.currentState || {};
+  const options = budgetPricingOptions(budget, state);
+  const categoryConfig = options.categoryConfig;
+  const { categories, extras } = resolveBudgetPricingCatalog(defaults, options);
+  const orderedCategories = applyBudgetCategoryLayout(
+    categories,
+    getBudgetDefaultSectionsFromConfig(categoryConfig, defaults, options.propertyType),
+    categoryConfig.__layout
+  );
+  const tax = resolveBudgetTaxFromConfig(categoryConfig, defaults);
+  const breakdown = pricing.calculateBudgetPricing(state, {
+    categories: orderedCategories,
+    extras,
+    sqft: options.sqft,
+    taxRate: tax.rate,
+    taxLabel: tax.label
+  });
+  const categoriesById = new Map(orderedCategories.map(category => [category.id, category]));
+
+  const sectionsByName = new Map();
+  breakdown.categories.forEach(line => {
+    const category = categoriesById.get(line.categoryId);
+    const matrixFeatures = category.presentationMode === 'matrix' ? (category.featureMatrix || []) : [];
+    const matrixTiers = pricing.orderedTierKeys(category.tiers);
+    const selectedAddOns = state.addOns?.[category.id]?.[line.tierKey] || {};
+    const pdfLine = {
+      ...line,
+      matrix: matrixFeatures.length ? {
+        tiers: matrixTiers.map(key => ({ key, label: category.tiers[key]?.label || key })),
+        rows: matrixFeatures.map(feature => ({
+          label: feature.label,
+          cells: matrixTiers.map(key => ({
+            status: matrixCellStatus(feature.tierStatus?.[key]),
+            price: pricing.matrixCellCalculatedPrice(feature.tierStatus?.[key], options.sqft),
+            selected: key === line.tierKey && selectedAddOns[feature.id] === true
+          }))
+        }))
+      } : null
+    };
+    if (!sectionsByName.has(line.section)) {
+      sectionsByName.set(line.section, { id: line.sectionId, name: line.section, lines: [] });
+    }
+    sectionsByName.get(line.section).lines.push(pdfLine);
+  });
+
+  return {
+    budgetId: budget.id,
+    clientName: state.clientName || budget.clientName || '',
+    builder: state.builder || budget.builder || '',
+    propertyType: options.propertyType,
+    homeSize: options.sqft,
+    date: new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }),
+    expiresAt: budget.expiresAt || state.expiresAt || null,
+    sections: [...sectionsByName.values()],
+    extras: breakdown.extras,
+    modifiers: breakdown.modifiers,
+    subtotal: breakdown.subtotal,
+    taxableSubtotal: breakdown.taxableSubtotal,
+    taxLabel: breakdown.taxLabel,
+    taxRateLabel: pricing.formatTaxRate(breakdown.taxRate),
+    tax: breakdown.tax,
+    total: breakdown.total
+  };
+}
+
+function budgetPricingOptions(budget, state = budget?.currentState || {}) {
+  return {
+    sqft: budget?.sqftLocked || state.homeSize || 4000,
+    propertyType: budget?.propertyTypeLocked || state.propertyType || 'residential',
+    isCustomized: !!budget?.isCustomized,
+    categoryConfig: budget?.categoryConfig || {},
+    customCategories: budget?.customCategories || []
+  };
+}
+
+module.exports = {
+  applyBudgetCategoryLayout,
+  budgetPricingOptions,
+  buildBudgetPdfData,
+  calculateBudgetPricing,
+  calculateBudgetTotal,
+  preserveCategoryPricesAcrossChange,
+  preserveExtraPricesAcrossChange,
+  priceBudgetState,
+  resolveBudgetPricingCatalog,
+  resolveBudgetTaxFromConfig,
+  updateNonCustomCategoryPrices,
+  updateNonCustomExtraPrices
+};
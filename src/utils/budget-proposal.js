@@ -0,0 +1,54 @@
+// The proposal email's data (the shape proposalEmail in email-templates.js
+// takes) built from a server-side pricing breakdown, so an email sent from a
+// saved budget shows exactly what the server prices it at. Mirrors what the
+// planner assembles for /api/send-proposal.
+
+const TIER_LABELS = { good: 'Good Tier', standard: 'Standard Tier', better: 'Better Tier', best: 'Best Tier' };
+
+// The tier picked for the most categories, as a label, or '' with nothing picked.
+function dominantTierLabel(selections = {}) {
+  const counts = {};
+  Object.values(selections || {}).forEach(tier => {
+    if (TIER_LABELS[tier]) counts[tier] = (counts[tier] || 0) + 1;
+  });
+  const max = Math.max(0, ...Object.values(counts));
+  const dominant = Object.keys(TIER_LABELS).find(tier => counts[tier] === max && max > 0);
+  return dominant ? TIER_LABELS[dominant] : '';
+}
+
+/**
+ * `breakdown` is calculateBudgetPricing's for `state`. Matrix add-ons are
+ * listed with the add-ons, category adjustments on their own lines, and
+ * unnamed custom items are kept so the lines add up to the subtotal.
+ */
+function buildProposalData(state, breakdown, { clientName = '', budgetUrl = null, message = '' } = {}) {
+  const extras = breakdown.extras.map(extra => ({ name: extra.name, price: extra.price, taxable: extra.taxable }));
+  breakdown.categories.forEach(line => {
+    line.addOns.forEach(addOn => {
+      extras.push({ name: `${line.name}: ${addOn.label}`, price: addOn.price, taxable: line.taxable });
+    });
+  });
+
+  return {
+    categories: breakdown.categories.map(line => ({ name: line.name, tier: line.tierKey, price: line.basePrice, taxable: line.taxable })),
+    extras,
+    catMods: breakdown.categories
+      .filter(line => line.adjustment)
+      .map(line => ({ categoryName: line.name, name: line.adjustment.name, amount: line.adjustment.amount })),
+    modifiers: breakdown.modifiers.map(modifier => ({ name: modifier.name || 'Custom Adjustment', amount: modifier.amount })),
+    subtotal: Math.round(breakdown.subtotal),
+    tax: breakdown.tax,
+    taxRate: breakdown.taxRate,
+    taxLabel: breakdown.taxLabel,
+    total: breakdown.total,
+    tierLabel: dominantTierLabel(state.selections),
+    clientName,
+    budgetUrl,
+    message
+  };
+}
+
+module.exports = {
+  buildProposalData,
+  dominantTierLabel
+};
@@ -0,0 +1,105 @@
+const TIER_KEYS = ['good', 'standard', 'better', 'best'];
+const PROPERTY_TYPES = ['residential', 'condo'];
+
+function featureList(tier) {
+  return (Array.isArray(tier?.features) ? tier.features : [])
+    .map(feature => String(feature).trim())
+    .filter(Boolean);
+}
+
+function fieldChanges(before, after, fields) {
+  return fields
+    .filter(field => JSON.stringify(before?.[field] ?? null) !== JSON.stringify(after?.[field] ?? null))
+    .map(field => ({ field, before: before?.[field] ?? null, after: after?.[field] ?? null }));
+}
+
+function diffTier(tierKey, before, after) {
+  if (!before && !after) return null;
+  const beforeFeatures = featureList(before);
+  const afterFeatures = featureList(after);
+  const change = {
+    tier: tierKey,
+    label: after?.label || before?.label || tierKey,
+    status: !before ? 'added' : (!after ? 'removed' : 'changed'),
+    priceBefore: before ? Number(before.price) || 0 : null,
+    priceAfter: after ? Number(after.price) || 0 : null,
+    featuresAdded: afterFeatures.filter(feature => !beforeFeatures.includes(feature)),
+    featuresRemoved: beforeFeatures.filter(feature => !afterFeatures.includes(feature)),
+    fields: before && after ? fieldChanges(before, after, ['label', 'tag', 'brands', 'sizeScale']) : []
+  };
+  const changed = change.status !== 'changed'
+    || change.priceBefore !== change.priceAfter
+    || change.featuresAdded.length
+    || change.featuresRemoved.length
+    || change.fields.length;
+  return changed ? change : null;
+}
+
+function diffCategory(before, after) {
+  const tiers = TIER_KEYS
+    .map(tierKey => diffTier(tierKey, before.tiers?.[tierKey], after.tiers?.[tierKey]))
+    .filter(Boolean);
+  const fields = fieldChanges(before, after, ['name', 'section', 'desc', 'sizeScale', 'taxable', 'hidden']);
+  const matrixChanged = JSON.stringify(before.featureMatrix ?? null) !== JSON.stringify(after.featureMatrix ?? null);
+  if (!tiers.length && !fields.length && !matrixChanged) return null;
+  return { id: after.id, name: after.name || before.name || after.id, fields, tiers, matrixChanged };
+}
+
+function diffById(beforeList = [], afterList = [], diffItem) {
+  const beforeById = new Map(beforeList.filter(item => item?.id).map(item => [item.id, item]));
+  const afterById = new Map(afterList.filter(item => item?.id).map(item => [item.id, item]));
+  const summary = item => ({ id: item.id, name: item.name || item.id });
+  return {
+    added: afterList.filter(item => item?.id && !beforeById.has(item.id)).map(summary),
+    removed: beforeList.filter(item => item?.id && !afterById.has(item.id)).map(summary),
+    changed: afterList
+      .filter(item => item?.id && beforeById.has(item.id))
+      .map(item => diffItem(beforeById.get(item.id), item))
+      .filter(Boolean)
+  };
+}
+
+function diffExtra(before, after) {
+  const fields = fieldChanges(before, after, ['name', 'note', 'price', 'sizeScale', 'default', 'taxable']);
+  return fields.length ? { id: after.id, name: after.name || before.name || after.id, fields } : null;
+}
+
+function diffSection(before, after) {
+  const fields = fieldChanges(before, after, ['name']);
+  return fields.length ? { id: after.id, name: after.name || before.name || after.id, fields } : null;
+}
+
+/**
+ * Compare two category_defaults payloads (or history revisions) category by
+ * category and tier by tier. `before` may be null for the first revision, in
+ * which case everything in `after` is reported as added.
+ */
+function diffCategoryDefaults(before, after) {
+  const base = before || {};
+  const next = after || {};
+  const result = { propertyTypes: {}, settings: [], changeCount: 0 };
+
+  PROPERTY_TYPES.forEach(type => {
+    const categories = diffById(base[`${type}_categories`] || [], next[`${type}_categories`] || [], diffCategory);
+    const extras = diffById(base[`${type}_extras`] || [], next[`${type}_extras`] || [], diffExtra);
+    const sections = diffById(base[`${type}_sections`] || [], next[`${type}_sections`] || [], diffSection);
+    result.propertyTypes[type] = { categories, extras, sections };
+    [categories, extras, sections].forEach(diff => {
+      result.changeCount += diff.added.length + diff.removed.length + diff.changed.length;
+    });
+  });
+
+  if ((Number(base.base_sqft) || null) !== (Number(next.base_sqft) || null)) {
+    result.settings.push({ field: 'base_sqft', before: base.base_sqft ?? null, after: next.base_sqft ?? null });
+  }
+  if (JSON.stringify(base.tax_settings ?? null) !== JSON.stringify(next.tax_settings ?? null)) {
+    result.settings.push({ field: 'tax_settings', before: base.tax_settings ?? null, after: next.tax_settings ?? null });
+  }
+  result.changeCount += result.settings.length;
+  result.unchanged = result.changeCount === 0;
+  return result;
+}
+
+module.exports = {
+  diffCategoryDefaults
+};
@@ -0,0 +1,474 @@
+// Category catalog normalization shared by the pricing editor, budgets and the
+// section library: tier and feature-matrix payloads, section lists, and the
+// per-budget snapshot of the catalog a budget was priced from.
+const fs = require('fs');
+const vm = require('vm');
+const pricing = require('../../public/src/utils/pricing');
+const { ensureCustomCategoryTier } = require('./custom-categories');
+
+const TIER_KEYS = ['good', 'standard', 'better', 'best'];
+const FEATURE_MATRIX_STATUSES = ['included', 'addon', 'not_included'];
+const MATRIX_INCLUDED_LABEL_MAX_LENGTH = 18;
+const MATRIX_INCLUDED_LABEL_SIZES = ['small', 'medium', 'large'];
+const DEFAULT_CATEGORY_SNAPSHOT_KEY = '__defaultCategories';
+const DEFAULT_EXTRA_SNAPSHOT_KEY = '__defaultExtras';
+const DEFAULT_SECTION_SNAPSHOT_KEY = '__defaultSections';
+const BUDGET_TAX_CONFIG_KEY = '__tax';
+
+function deepClone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function splitFeatureLines(features) {
+  const list = Array.isArray(features) ? features : (features ? [features] : []);
+  return list
+    .flatMap(feature => String(feature).split(/\r?\n/))
+    .map(feature => feature.trim())
+    .filter(Boolean);
+}
+
+function slugifyFeatureId(value) {
+  const slug = String(value || 'feature')
+    .toLowerCase()
+    .replace(/&/g, 'and')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+  return slug || 'feature';
+}
+
+function sanitizeIdentifier(value, fallback = 'item') {
+  const id = String(value || fallback)
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return id || fallback;
+}
+
+function cleanMatrixIncludedLabel(value) {
+  return String(value || '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MATRIX_INCLUDED_LABEL_MAX_LENGTH);
+}
+
+function normalizeMatrixIncludedLabelSize(label, value) {
+  const requested = value && typeof value === 'object' ? String(value.labelSize || value.size || '').toLowerCase() : '';
+  let size = MATRIX_INCLUDED_LABEL_SIZES.includes(requested) ? requested : 'small';
+  const length = cleanMatrixIncludedLabel(label).length;
+  if (length > 8) return 'small';
+  if (length > 3 && size === 'large') return 'medium';
+  return size;
+}
+
+function normalizeMatrixTierCell(value) {
+  const rawStatus = value && typeof value === 'object' ? value.status : value;
+  const status = rawStatus === 'included_note' ? 'included' : (FEATURE_MATRIX_STATUSES.includes(rawStatus) ? rawStatus : 'not_included');
+  if (status === 'included') {
+    const label = cleanMatrixIncludedLabel(value && typeof value === 'object' ? (value.label ?? value.note) : '');
+    if (!label) return status;
+    const labelSize = normalizeMatrixIncludedLabelSize(label, value);
+    return labelSize === 'small' ? { status, label } : { status, label, labelSize };
+  }
+  if (status !== 'addon') return status;
+  const price = Number(value && typeof value === 'object' ? value.price : 0) || 0;
+  if (price <= 0) return status;
+  const scale = Number(value && typeof value === 'object' ? value.scale : 0) || 0;
+  return scale > 0 ? { status, price, scale } : { status, price };
+}
+
+const { matrixCellStatus } = pricing;
+
+function normalizeFeatureMatrixPayload(matrix = []) {
+  const usedIds = new Set();
+  return (Array.isArray(matrix) ? matrix : [])
+    .map((feature, index) => {
+      const label = String(feature?.label || feature?.name || '').trim();
+      if (!label) return null;
+      const id = uniqueSectionId(slugifyFeatureId(feature?.id || label), usedIds);
+      const tierStatus = {};
+      TIER_KEYS.forEach(tierKey => {
+        const value = feature?.tierStatus?.[tierKey] || feature?.tiers?.[tierKey] || feature?.[tierKey] || 'not_included';
+        tierStatus[tierKey] = normalizeMatrixTierCell(value);
+      });
+      return {
+        id,
+        label,
+        description: String(feature?.description || feature?.details || '').trim(),
+        group: String(feature?.group || '').trim(),
+        order: Number.isFinite(Number(feature?.order)) ? Number(feature.order) : index,
+        tierStatus
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => (a.order || 0) - (b.order || 0));
+}
+
+function legacyFeaturesFromMatrixPayload(matrix = [], tierKey) {
+  return normalizeFeatureMatrixPayload(matrix)
+    .filter(feature => matrixCellStatus(feature.tierStatus?.[tierKey]) === 'included')
+    .map(feature => feature.label);
+}
+
+const normalizeCategoryDependencyPayload = pricing.normalizeCategoryDependency;
+
+function normalizeTierPayload(tier = {}) {
+  const payload = {};
+  if (tier.enabled !== undefined) payload.enabled = tier.enabled !== false;
+  if (tier.label !== undefined) payload.label = String(tier.label || '');
+  if (tier.price !== undefined) payload.price = Number(tier.price) || 0;
+  if (tier.features !== undefined) payload.features = splitFeatureLines(tier.features);
+  if (tier.brands !== undefined) payload.brands = String(tier.brands || '');
+  if (tier.sizeScale !== undefined && tier.sizeScale !== '') payload.sizeScale = Number(tier.sizeScale) || 0;
+  return payload;
+}
+
+function normalizePresentationPayload(payload = {}) {
+  const normalized = deepClone(payload || {}) || {};
+  normalized.required = normalized.required === true;
+  if (normalized.taxable !== undefined) normalized.taxable = normalized.taxable !== false;
+  const dependencyWasProvided = Object.prototype.hasOwnProperty.call(normalized, 'dependsOn') ||
+    Object.prototype.hasOwnProperty.call(normalized, 'visibilityDependency');
+  const dependency = normalizeCategoryDependencyPayload(
+    Object.prototype.hasOwnProperty.call(normalized, 'dependsOn')
+      ? normalized.dependsOn
+      : normalized.visibilityDependency
+  );
+  const presentationMode = normalized.presentationMode === 'matrix' ? 'matrix' : 'list';
+  let featureMatrix = presentationMode === 'matrix'
+    ? normalizeFeatureMatrixPayload(normalized.featureMatrix || [])
+    : [];
+  const tiers = {};
+  TIER_KEYS.forEach(tierKey => {
+    if (!normalized.tiers?.[tierKey]) return;
+    tiers[tierKey] = normalizeTierPayload(normalized.tiers[tierKey]);
+  });
+  normalized.tiers = tiers;
+  normalized.presentationMode = presentationMode;
+  delete normalized.visibilityDependency;
+  if (dependency) normalized.dependsOn = dependency;
+  else if (dependencyWasProvided) normalized.dependsOn = null;
+  else delete normalized.dependsOn;
+  delete normalized.tierOrder;
+  delete normalized.tier_order;
+  if (presentationMode === 'matrix') {
+    TIER_KEYS.forEach(tierKey => {
+      if (!normalized.tiers?.[tierKey]) return;
+      normalized.tiers[tierKey].features = legacyFeaturesFromMatrixPayload(featureMatrix, tierKey);
+    });
+  }
+  if (presentationMode === 'matrix' && featureMatrix.length) {
+    normalized.featureMatrix = featureMatrix;
+  } else {
+    delete normalized.featureMatrix;
+  }
+  return normalized;
+}
+
+function normalizeCategoryConfigPayload(categoryConfig = {}) {
+  if (!categoryConfig || typeof categoryConfig !== 'object') return {};
+  const normalized = {};
+  Object.entries(categoryConfig).forEach(([key, value]) => {
+    if (key.startsWith('__') || !value || typeof value !== 'object' || !value.tiers) {
+      normalized[key] = deepClone(value);
+      return;
+    }
+    normalized[key] = normalizePresentationPayload(value);
+  });
+  return normalized;
+}
+
+function mergeCategoryConfigPayload(baseConfig = {}, incomingConfig = {}) {
+  const merged = deepClone(baseConfig || {}) || {};
+  Object.entries(incomingConfig || {}).forEach(([key, value]) => {
+    if (key.startsWith('__') || !value || typeof value !== 'object') {
+      merged[key] = deepClone(value);
+      return;
+    }
+    const current = merged[key] && typeof merged[key] === 'object' ? merged[key] : {};
+    merged[key] = {
+      ...deepClone(current),
+      ...deepClone(value)
+    };
+    if (current.tiers || value.tiers) {
+      merged[key].tiers = {
+        ...(current.tiers || {}),
+        ...(value.tiers || {})
+      };
+    }
+  });
+  return normalizeCategoryConfigPayload(merged);
+}
+
+function normalizeCustomCategoriesPayload(customCategories = []) {
+  const usedIds = new Set();
+  return (Array.isArray(customCategories) ? customCategories : [])
+    .map(category => {
+      const normalized = ensureCustomCategoryTier(normalizePresentationPayload(category));
+      normalized.id = uniqueSectionId(sanitizeIdentifier(normalized.id || normalized.name, 'custom-category'), usedIds);
+      return normalized;
+    })
+    .filter(category => category.id && category.name);
+}
+
+function mergeCustomCategoriesPayload(existingCategories = [], incomingCategories = []) {
+  const existingById = new Map((existingCategories || []).map(category => [category.id, category]));
+  return normalizeCustomCategoriesPayload((incomingCategories || []).map(category => {
+    const existing = existingById.get(category?.id) || {};
+    const merged = {
+      ...deepClone(existing),
+      ...deepClone(category || {})
+    };
+    if (existing.tiers || category?.tiers) {
+      merged.tiers = {
+        ...(existing.tiers || {}),
+        ...(category?.tiers || {})
+      };
+    }
+    return merged;
+  }));
+}
+
+function slugifySectionId(value) {
+  const slug = String(value || 'other')
+    .toLowerCase()
+    .replace(/&/g, 'and')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+  return slug || 'other';
+}
+
+function uniqueSectionId(baseId, usedIds) {
+  const base = baseId || 'section';
+  let id = base;
+  let suffix = 2;
+  while (usedIds.has(id)) {
+    id = `${base}-${suffix}`;
+    suffix += 1;
+  }
+  usedIds.add(id);
+  return id;
+}
+
+function normalizeSectionList(categories = [], sections = []) {
+  const usedIds = new Set();
+  const normalized = [];
+  const byName = new Map();
+  const byId = new Map();
+
+  (sections || []).forEach((section, index) => {
+    const name = String(section?.name || section?.label || section?.id || 'Other').trim() || 'Other';
+    const id = uniqueSectionId(slugifySectionId(section?.id || name), usedIds);
+    const item = {
+      id,
+      name,
+      order: Number.isFinite(Number(section?.order)) ? Number(section.order) : index
+    };
+    normalized.push(item);
+    byName.set(name.toLowerCase(), item);
+    byId.set(id, item);
+  });
+
+  (categories || []).forEach(cat => {
+    const explicitId = cat?.section_id || cat?.sectionId;
+    if (explicitId && byId.has(explicitId)) return;
+    const name = String(cat?.section || cat?.sectionName || explicitId || 'Other').trim() || 'Other';
+    if (byName.has(name.toLowerCase())) return;
+    const id = uniqueSectionId(slugifySectionId(explicitId || name), usedIds);
+    const item = { id, name, order: normalized.length };
+    normalized.push(item);
+    byName.set(name.toLowerCase(), item);
+    byId.set(id, item);
+  });
+
+  return normalized.sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+}
+
+function normalizeCategoryList(categories = [], sections = []) {
+  const normalizedSections = normalizeSectionList(categories, sections);
+  const byName = new Map(normalizedSections.map(section => [section.name.toLowerCase(), section]));
+  const byId = new Map(normalizedSections.map(section => [section.id, section]));
+  const nextOrderBySection = new Map();
+  const usedCategoryIds = new Set();
+
+  const normalizedCategories = (categories || []).map((cat, index) => {
+    const copy = normalizePresentationPayload(deepClone(cat) || {});
+    copy.id = uniqueSectionId(sanitizeIdentifier(copy.id || copy.name, `category-${index + 1}`), usedCategoryIds);
+    let section = byId.get(copy.section_id || copy.sectionId);
+    if (!section) {
+      const name = String(copy.section || copy.sectionName || 'Other').trim() || 'Other';
+      section = byName.get(name.toLowerCase()) || normalizedSections[0] || { id: 'other', name: 'Other', order: 0 };
+    }
+    const nextOrder = nextOrderBySection.get(section.id) || 0;
+    nextOrderBySection.set(section.id, nextOrder + 1);
+    copy.section_id = section.id;
+    copy.sectionId = section.id;
+    copy.section = section.name;
+    if (!Number.isFinite(Number(copy.sortOrder))) copy.sortOrder = nextOrder;
+    if (!Number.isFinite(Number(copy.order))) copy.order = index;
+    return copy;
+  });
+
+  return { categories: normalizedCategories, sections: normalizedSections };
+}
+
+function normalizeCategoryDefaults(defaults = {}) {
+  const residential = normalizeCategoryList(defaults.residential_categories || [], defaults.residential_sections || []);
+  const condo = normalizeCategoryList(defaults.condo_categories || [], defaults.condo_sections || []);
+  return {
+    residential_categories: residential.categories,
+    residential_sections: residential.sections,
+    residential_extras: defaults.residential_extras || [],
+    condo_categories: condo.categories,
+    condo_sections: condo.sections,
+    condo_extras: defaults.condo_extras || [],
+    base_sqft: defaults.base_sqft || 4000,
+    tax_settings: pricing.normalizeTaxSettings(defaults.tax_settings || {})
+  };
+}
+
+function getDefaultCategoriesFromData(defaults, propertyType) {
+  return propertyType === 'condo'
+    ? (defaults.condo_categories || [])
+    : (defaults.residential_categories || []);
+}
+
+function getDefaultExtrasFromData(defaults, propertyType) {
+  return propertyType === 'condo'
+    ? (defaults.condo_extras || [])
+    : (defaults.residential_extras || []);
+}
+
+function getDefaultSectionsFromData(defaults, propertyType) {
+  return propertyType === 'condo'
+    ? (defaults.condo_sections || [])
+    : (defaults.residential_sections || []);
+}
+
+function buildBudgetDefaultSnapshot(defaults) {
+  const normalized = normalizeCategoryDefaults(defaults);
+  return {
+    [DEFAULT_CATEGORY_SNAPSHOT_KEY]: {
+      residential: deepClone(normalized.residential_categories || []),
+      condo: deepClone(normalized.condo_categories || [])
+    },
+    [DEFAULT_EXTRA_SNAPSHOT_KEY]: {
+      residential: deepClone(normalized.residential_extras || []),
+      condo: deepClone(normalized.condo_extras || [])
+    },
+    [DEFAULT_SECTION_SNAPSHOT_KEY]: {
+      residential: deepClone(normalized.residential_sections || []),
+      condo: deepClone(normalized.condo_sections || [])
+    }
+  };
+}
+
+function buildBlankBudgetSnapshot() {
+  return {
+    [DEFAULT_CATEGORY_SNAPSHOT_KEY]: { residential: [], condo: [] },
+    [DEFAULT_EXTRA_SNAPSHOT_KEY]: { residential: [], condo: [] },
+    [DEFAULT_SECTION_SNAPSHOT_KEY]: { residential: [], condo: [] },
+    __layout: { sections: [{ id: 'custom', name: 'Custom', order: 0 }] }
+  };
+}
+
+function getSnapshotForPropertyType(snapshot, propertyType) {
+  if (Array.isArray(snapshot)) return snapshot;
+  return snapshot?.[propertyType] || null;
+}
+
+function getBudgetDefaultCategoriesFromConfig(categoryConfig, defaults, propertyType) {
+  const categories = getSnapshotForPropertyType(categoryConfig?.[DEFAULT_CATEGORY_SNAPSHOT_KEY], propertyType)
+    || getDefaultCategoriesFromData(defaults, propertyType);
+  const sections = getBudgetDefaultSectionsFromConfig(categoryConfig, defaults, propertyType);
+  return normalizeCategoryList(categories, sections).categories.map(category => {
+    const customName = categoryConfig?.[category.id]?.name;
+    return customName ? { ...category, name: customName } : category;
+  });
+}
+
+function getBudgetDefaultExtrasFromConfig(categoryConfig, defaults, propertyType) {
+  return getSnapshotForPropertyType(categoryConfig?.[DEFAULT_EXTRA_SNAPSHOT_KEY], propertyType)
+    || getDefaultExtrasFromData(defaults, propertyType);
+}
+
+function getBudgetDefaultSectionsFromConfig(categoryConfig, defaults, propertyType) {
+  const categories = getSnapshotForPropertyType(categoryConfig?.[DEFAULT_CATEGORY_SNAPSHOT_KEY], propertyType)
+    || getDefaultCategoriesFromData(defaults, propertyType);
+  return getSnapshotForPropertyType(categoryConfig?.[DEFAULT_SECTION_SNAPSHOT_KEY], propertyType)
+    || getDefaultSectionsFromData(defaults, propertyType)
+    || normalizeSectionList(categories);
+}
+
+function hasBudgetDefaultSnapshot(categoryConfig) {
+  return !!(
+    categoryConfig
+    && categoryConfig[DEFAULT_CATEGORY_SNAPSHOT_KEY]
+    && categoryConfig[DEFAULT_EXTRA_SNAPSHOT_KEY]
+  );
+}
+
+function mergeBudgetDefaultSnapshot(categoryConfig, defaults) {
+  return {
+    ...buildBudgetDefaultSnapshot(defaults),
+    ...(categoryConfig || {})
+  };
+}
+
+// Works for history revisions and scheduled drafts, which share the category_defaults columns.
+function categoryDefaultsFromRow(row) {
+  return normalizeCategoryDefaults({
+    residential_categories: row.residential_categories || [],
+    residential_sections: row.residential_sections || [],
+    residential_extras: row.residential_extras || [],
+    condo_categories: row.condo_categories || [],
+    condo_sections: row.condo_sections || [],
+    condo_extras: row.condo_extras || [],
+    base_sqft: row.base_sqft || 4000,
+    tax_settings: row.tax_settings || {}
+  });
+}
+
+// The factory catalog in public/categories-data.js, evaluated in a sandbox rather than required.
+function readStaticCategoryData(categoriesDataPath) {
+  const code = fs.readFileSync(categoriesDataPath, 'utf8');
+  // Replace const/let with var so they become context properties
+  const modCode = code.replace(/^const /gm, 'var ').replace(/^let /gm, 'var ');
+  const sandbox = { JSON, Object, Math, Array, console };
+  vm.createContext(sandbox);
+  vm.runInContext(modCode, sandbox);
+  return normalizeCategoryDefaults({
+    residential_categories: sandbox.RESIDENTIAL_CATEGORIES,
+    residential_extras: sandbox.RESIDENTIAL_EXTRAS,
+    condo_categories: sandbox.CONDO_CATEGORIES,
+    condo_extras: sandbox.CONDO_EXTRAS,
+    base_sqft: 4000
+  });
+}
+
+module.exports = {
+  BUDGET_TAX_CONFIG_KEY,
+  DEFAULT_CATEGORY_SNAPSHOT_KEY,
+  DEFAULT_EXTRA_SNAPSHOT_KEY,
+  DEFAULT_SECTION_SNAPSHOT_KEY,
+  TIER_KEYS,
+  buildBlankBudgetSnapshot,
+  buildBudgetDefaultSnapshot,
+  categoryDefaultsFromRow,
+  deepClone,
+  getBudgetDefaultCategoriesFromConfig,
+  getBudgetDefaultExtrasFromConfig,
+  getBudgetDefaultSectionsFromConfig,
+  hasBudgetDefaultSnapshot,
+  mergeBudgetDefaultSnapshot,
+  mergeCategoryConfigPayload,
+  mergeCustomCategoriesPayload,
+  normalizeCategoryConfigPayload,
+  normalizeCategoryDefaults,
+  normalizeCategoryList,
+  normalizeCustomCategoriesPayload,
+  normalizeSectionList,
+  readStaticCategoryData,
+  sanitizeIdentifier,
+  slugifySectionId,
+  uniqueSectionId
+};
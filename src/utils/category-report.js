@@ -0,0 +1,130 @@
+// Per-category popularity and price sensitivity for the pricing admins, from
+// budgets' current selections and their version history. Only the template
+// categories in the live catalog are reported; custom one-off categories are
+// not. The budget service loads and maps the rows; everything here is pure.
+const { TIER_KEYS } = require('../../public/src/utils/pricing');
+
+const PROPERTY_TYPES = ['residential', 'condo'];
+
+function tierIndex(selections, categoryId) {
+  return TIER_KEYS.indexOf(selections?.[categoryId]);
+}
+
+function emptyRow(propertyType, category) {
+  return {
+    propertyType,
+    categoryId: category.id,
+    name: category.name || category.id,
+    section: category.section || '',
+    budgetCount: 0,
+    selectedCount: 0,
+    tiers: Object.fromEntries(TIER_KEYS.map(key => [key, 0])),
+    initialPickCount: 0,
+    clientDowngradeCount: 0,
+    everSelectedCount: 0,
+    removedCount: 0,
+    addOns: (category.featureMatrix || [])
+      .map((feature, index) => ({ id: String(feature?.id || `feature-${index + 1}`), label: String(feature?.label || feature?.name || '').trim(), count: 0 }))
+      .filter(addOn => addOn.label)
+  };
+}
+
+function addBudget(row, budget, history) {
+  const { categoryId } = row;
+  row.budgetCount++;
+
+  const current = budget.selections?.[categoryId];
+  if (TIER_KEYS.includes(current)) {
+    row.selectedCount++;
+    row.tiers[current]++;
+    const chosen = budget.addOns?.[categoryId]?.[current] || {};
+    row.addOns.forEach(addOn => {
+      if (chosen[addOn.id]) addOn.count++;
+    });
+  }
+
+  // The salesperson's pick is the first version, when the team saved it.
+  const initial = history[0] && !history[0].isClient ? tierIndex(history[0].selections, categoryId) : -1;
+  if (initial >= 0) {
+    row.initialPickCount++;
+    const downgraded = history.some(version => {
+      const tier = tierIndex(version.selections, categoryId);
+      return version.isClient && tier >= 0 && tier < initial;
+    });
+    if (downgraded) row.clientDowngradeCount++;
+  }
+
+  const states = [...history.map(version => version.selections), budget.selections];
+  if (states.some(selections => tierIndex(selections, categoryId) >= 0)) {
+    row.everSelectedCount++;
+    const removed = states.some((selections, index) =>
+      index > 0 && tierIndex(states[index - 1], categoryId) >= 0 && tierIndex(selections, categoryId) < 0
+    );
+    if (removed) row.removedCount++;
+  }
+}
+
+/**
+ * `budgets` are { id, propertyType, selections, addOns } and `versions` their
+ * versions ({ budgetId, versionNumber, isClient, selections }). `catalogs` maps
+ * residential and condo to the live catalog's categories. One row per
+ * property type and category, in catalog order; a budget only counts towards
+ * its own property type's categories. Add-ons are the feature matrix add-ons
+ * chosen on the tier currently selected.
+ */
+function buildCategoryReport({ budgets = [], versions = [], catalogs = {} } = {}, { propertyType = 'all' } = {}) {
+  const types = propertyType === 'all' ? PROPERTY_TYPES : [propertyType];
+  const history = new Map();
+  versions.forEach(version => {
+    if (!history.has(version.budgetId)) history.set(version.budgetId, []);
+    history.get(version.budgetId).push(version);
+  });
+  history.forEach(list => list.sort((a, b) => a.versionNumber - b.versionNumber));
+
+  const rows = [];
+  types.forEach(type => {
+    const typeRows = (catalogs[type] || []).map(category => emptyRow(type, category));
+    budgets
+      .filter(budget => (budget.propertyType === 'condo' ? 'condo' : 'residential') === type)
+      .forEach(budget => typeRows.forEach(row => addBudget(row, budget, history.get(budget.id) || [])));
+    rows.push(...typeRows);
+  });
+
+  return {
+    budgetCount: budgets.filter(budget => types.includes(budget.propertyType === 'condo' ? 'condo' : 'residential')).length,
+    categories: rows.map(row => ({
+      ...row,
+      clientDowngradeRate: row.initialPickCount ? row.clientDowngradeCount / row.initialPickCount : null,
+      removedRate: row.everSelectedCount ? row.removedCount / row.everSelectedCount : null,
+      addOns: row.addOns.filter(addOn => addOn.count).sort((a, b) => b.count - a.count)
+    }))
+  };
+}
+
+function share(count, total) {
+  return total ? count / total : null;
+}
+
+// Spreadsheet columns for the report (see budget-export.js); shares are fractions.
+const CATEGORY_REPORT_COLUMNS = [
+  { header: 'Property Type', width: 13, value: row => row.propertyType },
+  { header: 'Section', width: 18, value: row => row.section },
+  { header: 'Category', width: 32, value: row => row.name },
+  { header: 'Budgets', width: 10, type: 'number', value: row => row.budgetCount },
+  { header: 'Selected', width: 10, type: 'percent', value: row => share(row.selectedCount, row.budgetCount) },
+  ...TIER_KEYS.map(tierKey => ({
+    header: tierKey[0].toUpperCase() + tierKey.slice(1),
+    width: 10,
+    type: 'percent',
+    value: row => share(row.tiers[tierKey], row.budgetCount)
+  })),
+  { header: 'Client Downgrades', width: 18, type: 'percent', value: row => row.clientDowngradeRate },
+  { header: 'Removed', width: 10, type: 'percent', value: row => row.removedRate },
+  { header: 'Add-ons Chosen', width: 40, value: row => row.addOns.map(addOn => `${addOn.label} (${addOn.count})`).join('; ') }
+];
+
+module.exports = {
+  CATEGORY_REPORT_COLUMNS,
+  PROPERTY_TYPES,
+  buildCategoryReport
+};
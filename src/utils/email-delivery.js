@@ -0,0 +1,89 @@
+// Outbound email bookkeeping: the kinds of email the server sends, how a
+// provider delivery event moves an email_log row on, and the webhook signature
+// check. Resend signs webhooks the Svix way: base64 HMAC-SHA256 of
+// "<svix-id>.<svix-timestamp>.<raw body>" keyed with the base64 part of a
+// "whsec_…" secret, sent as space-separated "v1,<signature>" entries.
+const crypto = require('crypto');
+
+const EMAIL_TYPES = ['proposal', 'change_notification', 'view_notification', 'approval_notification', 'follow_up_digest'];
+
+// Webhooks signed further than this from now are replays (or a wrong clock).
+const WEBHOOK_TOLERANCE_SECONDS = 5 * 60;
+
+// Webhook event types (without the "email." prefix) and the status they set.
+// Events that set no status are still kept in the row's history.
+const EVENT_STATUSES = {
+  sent: null,
+  delivered: 'delivered',
+  delivery_delayed: 'delayed',
+  bounced: 'bounced',
+  complained: 'complained',
+  opened: null,
+  clicked: null
+};
+
+// Events arrive out of order; a status never moves back to a lower rank.
+const STATUS_RANK = { failed: 0, sent: 0, delayed: 1, delivered: 2, bounced: 3, complained: 3 };
+
+function webhookSignature(secret, id, timestamp, payload) {
+  const key = Buffer.from(String(secret).replace(/^whsec_/, ''), 'base64');
+  return crypto.createHmac('sha256', key).update(`${id}.${timestamp}.${payload}`).digest('base64');
+}
+
+// The headers a provider would send with `payload`; for the local webhook stub and tests.
+function signWebhookPayload(secret, payload, { id = `msg_${crypto.randomBytes(12).toString('hex')}`, now = new Date() } = {}) {
+  const timestamp = String(Math.floor(now.getTime() / 1000));
+  return {
+    'svix-id': id,
+    'svix-timestamp': timestamp,
+    'svix-signature': `v1,${webhookSignature(secret, id, timestamp, payload)}`
+  };
+}
+
+// `headers` are lowercased request headers and `payload` the raw body, as received.
+function verifyWebhookSignature(secret, headers, payload, now = new Date()) {
+  const id = headers['svix-id'];
+  const timestamp = headers['svix-timestamp'];
+  const signatures = headers['svix-signature'];
+  if (!secret || !id || !timestamp || !signatures) return false;
+  if (!(Math.abs(now.getTime() / 1000 - Number(timestamp)) <= WEBHOOK_TOLERANCE_SECONDS)) return false;
+
+  const expected = Buffer.from(webhookSignature(secret, id, timestamp, payload));
+  return String(signatures).split(' ').some(entry => {
+    const [version, signature] = entry.split(',');
+    if (version !== 'v1' || !signature) return false;
+    const supplied = Buffer.from(signature);
+    return supplied.length === expected.length && crypto.timingSafeEqual(supplied, expected);
+  });
+}
+
+/**
+ * The email_log columns to update for a webhook `event` ({ type, created_at,
+ * data }) on `row`, or null when there is nothing to record: an unknown event
+ * type, or a webhook (`webhookId`) the row has already seen.
+ */
+function deliveryEventUpdate(row, event, webhookId = null) {
+  const type = String(event?.type || '').replace(/^email\./, '');
+  if (!Object.prototype.hasOwnProperty.call(EVENT_STATUSES, type)) return null;
+  const events = row.events || [];
+  if (webhookId && events.some(recorded => recorded.id === webhookId)) return null;
+
+  const at = event.created_at || new Date().toISOString();
+  const update = { events: [...events, { id: webhookId, type, at }] };
+  const status = EVENT_STATUSES[type];
+  if (status && STATUS_RANK[status] >= (STATUS_RANK[row.status] ?? 0)) {
+    update.status = status;
+    update.status_at = at;
+  }
+  if (type === 'bounced') update.error = String(event.data?.bounce?.message || 'Bounced').slice(0, 1000);
+  if (type === 'opened' && !row.opened_at) update.opened_at = at;
+  return update;
+}
+
+module.exports = {
+  EMAIL_TYPES,
+  WEBHOOK_TOLERANCE_SECONDS,
+  deliveryEventUpdate,
+  signWebhookPayload,
+  verifyWebhookSignature
+};
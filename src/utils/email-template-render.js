@@ -0,0 +1,112 @@
+// Renders an editable email template ({ subject, body }, stored in
+// email_templates) into a subject, an HTML fragment and a plain-text
+// alternative. Templates are plain text, never HTML:
+//
+//   {{name}}                      a value, HTML-escaped in the HTML part
+//   {{#name}}…{{/name}}           shown only when name has a value
+//   {{^name}}…{{/name}}           shown only when it doesn't
+//   **text**                      bold in the HTML part
+//
+// Paragraphs are separated by a blank line. A block ({{button}},
+// {{lineItems}}, …) is prebuilt HTML from the server and renders only when it
+// stands alone as a paragraph; anywhere else it renders its text form.
+const { escapeHtml } = require('./security');
+
+const PLACEHOLDER = /\{\{\s*([A-Za-z]\w*)\s*\}\}/g;
+const SECTION = /\{\{\s*([#^])\s*([A-Za-z]\w*)\s*\}\}([\s\S]*?)\{\{\s*\/\s*\2\s*\}\}/g;
+const TAG = /\{\{\s*([#^/]?)\s*([A-Za-z]\w*)\s*\}\}/g;
+const BLOCK_PARAGRAPH = /^\{\{\s*([A-Za-z]\w*)\s*\}\}$/;
+
+// `blocks` are { name: { html, text } }; a block with no text counts as empty.
+function resolveSections(source, values, blocks) {
+  const present = name => !!(values[name] || blocks[name]?.text);
+  let output = String(source || '');
+  for (let previous = null; previous !== output;) {
+    previous = output;
+    output = output.replace(SECTION, (match, kind, name, inner) => ((kind === '#') === present(name) ? inner : ''));
+  }
+  return output;
+}
+
+function interpolate(text, { values, blocks, escape }) {
+  let output = '';
+  let last = 0;
+  for (const match of text.matchAll(PLACEHOLDER)) {
+    const name = match[1];
+    const value = Object.prototype.hasOwnProperty.call(values, name) ? values[name] : blocks[name]?.text;
+    // Asterisks in a value must not pair up with the template's own **bold** markers.
+    output += escape.literal(text.slice(last, match.index)) + escape.value(String(value ?? ''));
+    last = match.index + match[0].length;
+  }
+  return output + escape.literal(text.slice(last));
+}
+
+const HTML_ESCAPE = {
+  literal: escapeHtml,
+  value: value => escapeHtml(value).replace(/\*/g, '&#42;')
+};
+
+const TEXT_ESCAPE = {
+  literal: text => text.replace(/\*\*/g, ''),
+  value: value => value
+};
+
+function paragraphsOf(source) {
+  return source.split(/\n[ \t]*\n/).map(paragraph => paragraph.trim()).filter(Boolean);
+}
+
+/**
+ * Render `template` with `values` (strings; an empty string is "no value")
+ * and `blocks`. Each HTML paragraph gets `paragraphStyle`. Resolves to
+ * { subject, html, text }; html is a fragment for the email's layout.
+ */
+function renderEmailTemplate(template, { values = {}, blocks = {}, paragraphStyle = '' } = {}) {
+  const context = { values, blocks };
+  const subject = interpolate(resolveSections(template.subject, values, blocks), { ...context, escape: TEXT_ESCAPE })
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  const html = [];
+  const text = [];
+  paragraphsOf(resolveSections(template.body, values, blocks)).forEach(paragraph => {
+    const block = paragraph.match(BLOCK_PARAGRAPH)?.[1];
+    if (block && Object.prototype.hasOwnProperty.call(blocks, block)) {
+      if (blocks[block].html) html.push(blocks[block].html);
+      if (blocks[block].text) text.push(blocks[block].text);
+      return;
+    }
+    const rendered = interpolate(paragraph, { ...context, escape: HTML_ESCAPE })
+      .replace(/\*\*(.+?)\*\*/gs, '<strong>$1</strong>')
+      .replace(/\n/g, '<br>');
+    html.push(`<p style="${paragraphStyle}">${rendered}</p>`);
+    text.push(interpolate(paragraph, { ...context, escape: TEXT_ESCAPE }));
+  });
+
+  return { subject, html: html.join(''), text: text.join('\n\n') };
+}
+
+/**
+ * What's wrong with a template before it is saved: placeholders that aren't
+ * in `names`, and sections that are never closed. An empty array means it's
+ * fine.
+ */
+function templateProblems(template, names) {
+  const known = new Set(names);
+  const problems = [];
+  ['subject', 'body'].forEach(field => {
+    const source = String(template[field] || '');
+    const open = [];
+    for (const [, kind, name] of source.matchAll(TAG)) {
+      if (!known.has(name)) problems.push(`Unknown placeholder {{${name}}} in the ${field}`);
+      if (kind === '#' || kind === '^') open.push(name);
+      else if (kind === '/' && open.pop() !== name) problems.push(`{{/${name}}} in the ${field} doesn't close an open section`);
+    }
+    open.forEach(name => problems.push(`Section {{#${name}}} in the ${field} is never closed`));
+  });
+  return [...new Set(problems)];
+}
+
+module.exports = {
+  renderEmailTemplate,
+  templateProblems
+};
@@ -0,0 +1,383 @@
+// The emails the server sends: owner notifications (client changes, views,
+// approvals), the morning follow-up digest and the proposal a salesperson
+// sends to a client. The wording of the notifications and the proposal is an
+// editable template (EMAIL_TEMPLATE_DEFINITIONS; superadmins change it in the
+// admin dashboard, see services/email-templates.js) rendered into the fixed
+// layouts below, each with a plain-text alternative. The digest is built here.
+const pricing = require('../../public/src/utils/pricing');
+const { escapeHtml } = require('./security');
+const { renderEmailTemplate } = require('./email-template-render');
+
+const formatCurrencyPlain = (num) => new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', minimumFractionDigits: 0, maximumFractionDigits: 0 }).format(num || 0);
+
+const OWNER_PLACEHOLDERS = {
+  ownerName: 'Name of the salesperson who owns the budget',
+  ownerEmail: 'Their email address',
+  ownerSignature: 'Their email signature from Email settings (their name if they have none)'
+};
+
+/**
+ * Each editable email: what the admin dashboard shows about it, the values
+ * and blocks its template can use, and the built-in wording used until a
+ * superadmin saves their own.
+ */
+const EMAIL_TEMPLATE_DEFINITIONS = {
+  proposal: {
+    label: 'Proposal to a client',
+    description: 'Sent from the planner\'s Email button and the admin\'s Send to Client. A subject typed when sending replaces this one.',
+    placeholders: {
+      recipientName: 'Name typed in the planner for the recipient (may be empty)',
+      message: 'Personal message written when sending (may be empty)',
+      clientName: 'Client name on the budget',
+      total: 'Estimated total',
+      tierLabel: 'Package label, e.g. "Better package" (may be empty)',
+      budgetLink: 'Link to the client\'s budget (may be empty)',
+      alsoSentTo: 'The other To and CC addresses when each person gets their own copy (may be empty; BCC addresses are never listed)',
+      ...OWNER_PLACEHOLDERS
+    },
+    blocks: {
+      summary: 'The estimated investment box',
+      lineItems: 'The line items table with subtotal and tax',
+      button: 'The "View & Customize Your Budget" button, when there is a link'
+    },
+    subject: 'Your Technology Budget from Gamma Tech',
+    body: [
+      'Hi{{#recipientName}} {{recipientName}}{{/recipientName}},',
+      '{{#message}}{{message}}{{/message}}',
+      'Thank you for your interest in Gamma Tech Services. Below is your personalized technology budget.',
+      '{{summary}}',
+      '{{lineItems}}',
+      '{{button}}',
+      'This is a preliminary budget estimate. Final pricing may vary based on site conditions and requirements.',
+      'Ready to move forward? Reply to this email or call us at **(239) 330-4939**.',
+      '{{ownerSignature}}',
+      '{{#alsoSentTo}}Also sent to {{alsoSentTo}}{{/alsoSentTo}}'
+    ].join('\n\n')
+  },
+  change_notification: {
+    label: 'Client changed their budget',
+    description: 'Sent to the budget owner when the client saves changes.',
+    placeholders: {
+      clientName: 'Client name on the budget',
+      oldTotal: 'Total before the change',
+      newTotal: 'Total after the change',
+      totalChanged: 'Set only when the total changed; use it as a {{#totalChanged}}…{{/totalChanged}} section',
+      budgetLink: 'Link to the budget',
+      ...OWNER_PLACEHOLDERS
+    },
+    blocks: { button: 'The "View Budget" button' },
+    subject: 'Budget update: {{clientName}}{{#totalChanged}} ({{newTotal}}){{/totalChanged}}',
+    body: [
+      '**{{clientName}}** made changes to their budget.',
+      '{{#totalChanged}}Total changed: {{oldTotal}} → **{{newTotal}}**{{/totalChanged}}',
+      '{{button}}'
+    ].join('\n\n')
+  },
+  view_notification: {
+    label: 'Client opened their budget',
+    description: 'Sent to the budget owner when the client opens the budget link.',
+    placeholders: {
+      clientName: 'Client name on the budget',
+      total: 'Current total (empty before anything is priced)',
+      budgetLink: 'Link to the budget',
+      ...OWNER_PLACEHOLDERS
+    },
+    blocks: { button: 'The "View Budget" button' },
+    subject: '{{clientName}} is viewing their budget',
+    body: [
+      '**{{clientName}}** just opened their budget.',
+      '{{#total}}Current total: **{{total}}**{{/total}}',
+      '{{button}}'
+    ].join('\n\n')
+  },
+  approval_notification: {
+    label: 'Client approved their budget',
+    description: 'Sent to the budget owner when the client signs the approval.',
+    placeholders: {
+      clientName: 'Client name on the budget',
+      signerName: 'Name the client signed with',
+      scenarioName: 'Scenario they approved (may be empty)',
+      total: 'Approved total',
+      approvedAt: 'When they signed, Eastern time',
+      versionNumber: 'Version number that was approved',
+      budgetLink: 'Link to the budget',
+      ...OWNER_PLACEHOLDERS
+    },
+    blocks: { button: 'The "Open Admin" button' },
+    subject: 'Approved: {{clientName}} ({{total}})',
+    body: [
+      '**{{signerName}}** approved the budget for **{{clientName}}**{{#scenarioName}} ({{scenarioName}} scenario){{/scenarioName}}.',
+      'Approved total: **{{total}}**\nSigned {{approvedAt}} ET · version {{versionNumber}}',
+      'The budget is now marked **won** and the client link is read-only. The approval certificate is in the admin dashboard under Details.',
+      '{{button}}'
+    ].join('\n\n')
+  }
+};
+
+const EMAIL_TEMPLATE_KEYS = Object.keys(EMAIL_TEMPLATE_DEFINITIONS);
+
+function defaultEmailTemplate(key) {
+  const { subject, body } = EMAIL_TEMPLATE_DEFINITIONS[key];
+  return { subject, body };
+}
+
+// `owner` is { name, email, signature }; anything missing falls back to what is known.
+function ownerValues(owner = {}) {
+  const ownerName = owner.name || String(owner.email || '').split('@')[0] || 'Gamma Tech Services';
+  return { ownerName, ownerEmail: owner.email || '', ownerSignature: owner.signature || ownerName };
+}
+
+const budgetLink = (budget, appUrl) => `${appUrl}/b/${encodeURIComponent(budget.id)}`;
+
+const NOTIFICATION_PARAGRAPH_STYLE = 'margin:0 0 16px;color:#393939;font-size:15px;line-height:1.6';
+const NOTIFICATION_FOOTER = 'You\'re receiving this because you created this budget on Gamma Tech Budget Planner.';
+
+function notificationButton(url, label) {
+  return {
+    html: `<table width="100%" cellpadding="0" cellspacing="0" style="margin:24px 0"><tr><td align="center"><a href="${escapeHtml(url)}" style="display:inline-block;background:#017ED7;color:#FFFFFF;padding:12px 28px;border-radius:8px;text-decoration:none;font-weight:600;font-size:14px">${label}</a></td></tr></table>`,
+    text: `${label}: ${url}`
+  };
+}
+
+// A rendered template in the owner-notification layout.
+function notificationEmail({ subject, html, text }, { heading, headerColor = '#0F2F44' }) {
+  return {
+    subject,
+    html: `<!DOCTYPE html><html><body style="margin:0;padding:0;background:#FAFAFA;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif"><table width="100%" cellpadding="0" cellspacing="0" style="background:#FAFAFA;padding:40px 20px"><tr><td align="center"><table width="520" cellpadding="0" cellspacing="0" style="background:#FFFFFF;border-radius:12px;box-shadow:0 2px 8px rgba(0,0,0,0.06);overflow:hidden"><tr><td style="background:${headerColor};padding:20px 32px"><h2 style="margin:0;color:#FFFFFF;font-size:18px">${heading}</h2></td></tr><tr><td style="padding:32px">${html}<p style="margin:0;color:#999;font-size:12px">${NOTIFICATION_FOOTER}</p></td></tr></table></td></tr></table></body></html>`,
+    text: `${text}\n\n--\n${NOTIFICATION_FOOTER}`
+  };
+}
+
+// `options` for every template email: { template, owner }. Without a template the built-in wording is used.
+function changeNotificationEmail(budget, newState, appUrl, { template = defaultEmailTemplate('change_notification'), owner } = {}) {
+  const oldTotal = budget.currentState?.total || 0;
+  const newTotal = newState?.total || 0;
+  const budgetUrl = budgetLink(budget, appUrl);
+
+  return notificationEmail(renderEmailTemplate(template, {
+    values: {
+      clientName: budget.clientName || 'A client',
+      oldTotal: formatCurrencyPlain(oldTotal),
+      newTotal: formatCurrencyPlain(newTotal),
+      totalChanged: oldTotal !== newTotal ? 'yes' : '',
+      budgetLink: budgetUrl,
+      ...ownerValues(owner || { email: budget.createdByEmail })
+    },
+    blocks: { button: notificationButton(budgetUrl, 'View Budget') },
+    paragraphStyle: NOTIFICATION_PARAGRAPH_STYLE
+  }), { heading: 'Budget Updated' });
+}
+
+function viewNotificationEmail(budget, appUrl, { template = defaultEmailTemplate('view_notification'), owner } = {}) {
+  const budgetUrl = budgetLink(budget, appUrl);
+
+  return notificationEmail(renderEmailTemplate(template, {
+    values: {
+      clientName: budget.clientName || 'Someone',
+      total: budget.currentState?.total ? formatCurrencyPlain(budget.currentState.total) : '',
+      budgetLink: budgetUrl,
+      ...ownerValues(owner || { email: budget.createdByEmail })
+    },
+    blocks: { button: notificationButton(budgetUrl, 'View Budget') },
+    paragraphStyle: NOTIFICATION_PARAGRAPH_STYLE
+  }), { heading: 'Budget Viewed' });
+}
+
+function approvalNotificationEmail(budget, approval, appUrl, { template = defaultEmailTemplate('approval_notification'), owner } = {}) {
+  const approvedAt = new Date(approval.approvedAt).toLocaleString('en-US', { timeZone: 'America/New_York', dateStyle: 'medium', timeStyle: 'short' });
+
+  return notificationEmail(renderEmailTemplate(template, {
+    values: {
+      clientName: budget.clientName || 'A client',
+      signerName: approval.signerName,
+      scenarioName: approval.scenarioName || '',
+      total: formatCurrencyPlain(approval.total),
+      approvedAt,
+      versionNumber: String(approval.versionNumber ?? ''),
+      budgetLink: budgetLink(budget, appUrl),
+      ...ownerValues(owner || { email: budget.createdByEmail })
+    },
+    blocks: { button: notificationButton(`${appUrl}/admin`, 'Open Admin') },
+    paragraphStyle: NOTIFICATION_PARAGRAPH_STYLE
+  }), { heading: 'Budget Approved ✓', headerColor: '#2E7D32' });
+}
+
+function followUpDigestEmail(digest, appUrl) {
+  const adminUrl = `${appUrl}/admin`;
+  const shortDate = (value) => new Date(value).toLocaleDateString('en-US', { timeZone: 'America/New_York', month: 'short', day: 'numeric' });
+  const dayDate = (dateKey) => new Date(`${dateKey}T12:00:00Z`).toLocaleDateString('en-US', { timeZone: 'UTC', month: 'short', day: 'numeric' });
+  const row = (budget, detail) => `<tr><td style="padding:10px 0;border-bottom:1px solid #EEEEEE"><a href="${appUrl}/b/${encodeURIComponent(budget.id)}" style="color:#0F2F44;font-weight:600;text-decoration:none">${escapeHtml(budget.clientName || 'Unnamed budget')}</a><div style="color:#777;font-size:13px;margin-top:2px">${detail}</div></td><td style="padding:10px 0;border-bottom:1px solid #EEEEEE;text-align:right;color:#393939;font-size:14px;white-space:nowrap">${formatCurrencyPlain(budget.currentTotal)}</td></tr>`;
+  const section = (title, budgets, detail) => (budgets.length
+    ? `<h3 style="margin:24px 0 4px;color:#0F2F44;font-size:15px">${title} (${budgets.length})</h3><table width="100%" cellpadding="0" cellspacing="0">${budgets.map(budget => row(budget, detail(budget))).join('')}</table>`
+    : '');
+
+  const sections = [
+    section('Overdue follow-ups', digest.overdue, budget => (budget.followUpDate
+      ? `Follow-up was due ${escapeHtml(dayDate(budget.followUpDate))}`
+      : `No client activity since ${escapeHtml(shortDate(budget.lastClientActivity))}`)),
+    section('Awaiting your reply', digest.awaitingReply, budget => `Client active ${escapeHtml(shortDate(budget.lastClientActivity))}, nothing from us since`),
+    section('Expiring soon', digest.expiring, budget => `Expires ${escapeHtml(dayDate(budget.expiresAt))}`)
+  ].join('');
+
+  const counts = [
+    digest.overdue.length && `${digest.overdue.length} overdue`,
+    digest.awaitingReply.length && `${digest.awaitingReply.length} awaiting reply`,
+    digest.expiring.length && `${digest.expiring.length} expiring`
+  ].filter(Boolean).join(', ');
+
+  const html = `<!DOCTYPE html><html><body style="margin:0;padding:0;background:#FAFAFA;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif"><table width="100%" cellpadding="0" cellspacing="0" style="background:#FAFAFA;padding:40px 20px"><tr><td align="center"><table width="560" cellpadding="0" cellspacing="0" style="background:#FFFFFF;border-radius:12px;box-shadow:0 2px 8px rgba(0,0,0,0.06);overflow:hidden"><tr><td style="background:#0F2F44;padding:20px 32px"><h2 style="margin:0;color:#FFFFFF;font-size:18px">Today's Follow-ups</h2></td></tr><tr><td style="padding:8px 32px 32px">${sections}<table width="100%" cellpadding="0" cellspacing="0" style="margin:24px 0"><tr><td align="center"><a href="${adminUrl}" style="display:inline-block;background:#017ED7;color:#FFFFFF;padding:12px 28px;border-radius:8px;text-decoration:none;font-weight:600;font-size:14px">Open Admin</a></td></tr></table><p style="margin:0;color:#999;font-size:12px">You're receiving this because you own these budgets on Gamma Tech Budget Planner. Turn the digest off under 🔔 Email settings in the admin.</p></td></tr></table></td></tr></table></body></html>`;
+  return { subject: `Follow-ups for today: ${counts}`, html };
+}
+
+const PROPOSAL_PARAGRAPH_STYLE = 'margin:0 0 24px;color:#393939;font-size:16px;line-height:1.6';
+const PROPOSAL_FOOTER_TEXT = 'Gamma Tech Services\n3106 Horseshoe Dr S, Naples, FL 34104\n(239) 330-4939 • gamma.tech';
+
+// The proposal for `data` (schemas.sendEmail's proposalData, plus the sender's
+// `message` and the `alsoSentTo` addresses) as { subject, html, text }.
+function proposalEmail(data, recipientName, { template = defaultEmailTemplate('proposal'), owner } = {}) {
+  const rowStyle = 'padding:12px 16px;border-bottom:1px solid #E0E0E0';
+  const exemptNote = (item) => item.taxable === false ? ' <span style="color:#999;font-size:12px;font-weight:400">(non-taxable)</span>' : '';
+
+  let tableRows = '';
+  const itemLines = [];
+  if (data.categories?.length) {
+    data.categories.forEach(cat => {
+      if (cat.tier && cat.tier !== 'none') {
+        tableRows += `<tr><td style="${rowStyle};font-weight:500">${escapeHtml(cat.name)}${exemptNote(cat)}</td><td style="${rowStyle};text-transform:capitalize">${escapeHtml(cat.tier)}</td><td style="${rowStyle};text-align:right">${formatCurrencyPlain(cat.price)}</td></tr>`;
+        itemLines.push(`${cat.name} (${cat.tier}): ${formatCurrencyPlain(cat.price)}`);
+      }
+    });
+  }
+
+  // Per-category adjustments
+  if (data.catMods?.length) {
+    data.catMods.forEach(m => {
+      tableRows += `<tr><td style="${rowStyle};font-weight:500;color:#5A5A5A">&nbsp;&nbsp;↳ ${escapeHtml(m.categoryName)}: ${escapeHtml(m.name)}</td><td style="${rowStyle}"></td><td style="${rowStyle};text-align:right;color:${m.amount >= 0 ? '#2E7D32' : '#C62828'}">${m.amount >= 0 ? '+' : ''}${formatCurrencyPlain(m.amount)}</td></tr>`;
+      itemLines.push(`  ${m.categoryName}: ${m.name}: ${m.amount >= 0 ? '+' : ''}${formatCurrencyPlain(m.amount)}`);
+    });
+  }
+
+  // Extras / add-ons
+  if (data.extras?.length) {
+    tableRows += `<tr><td colspan="3" style="${rowStyle};font-weight:600;background:#F9F9F9;color:#393939">Add-Ons</td></tr>`;
+    itemLines.push('Add-ons:');
+    data.extras.forEach(e => {
+      tableRows += `<tr><td style="${rowStyle};font-weight:500">${escapeHtml(e.name)}${exemptNote(e)}</td><td style="${rowStyle}"></td><td style="${rowStyle};text-align:right">${formatCurrencyPlain(e.price)}</td></tr>`;
+      itemLines.push(`  ${e.name}: ${formatCurrencyPlain(e.price)}`);
+    });
+  }
+
+  // Custom line items
+  if (data.modifiers?.length) {
+    tableRows += `<tr><td colspan="3" style="${rowStyle};font-weight:600;background:#F9F9F9;color:#393939">Custom Items</td></tr>`;
+    itemLines.push('Custom items:');
+    data.modifiers.forEach(m => {
+      tableRows += `<tr><td style="${rowStyle};font-weight:500">${escapeHtml(m.name)}</td><td style="${rowStyle}"></td><td style="${rowStyle};text-align:right;color:${m.amount >= 0 ? '#2E7D32' : '#C62828'}">${m.amount >= 0 ? '+' : ''}${formatCurrencyPlain(m.amount)}</td></tr>`;
+      itemLines.push(`  ${m.name}: ${m.amount >= 0 ? '+' : ''}${formatCurrencyPlain(m.amount)}`);
+    });
+  }
+
+  // Subtotal + tax breakdown
+  let totalsHtml = '';
+  let totalsText = '';
+  if (data.subtotal && data.tax !== undefined) {
+    const taxRate = data.taxRate ?? pricing.DEFAULT_TAX_RATE;
+    const taxLabel = `${data.taxLabel || 'Tax'} (${pricing.formatTaxRate(taxRate)})`;
+    totalsHtml = `<table width="100%" cellpadding="0" cellspacing="0" style="margin-bottom:24px"><tr><td style="padding:8px 16px;text-align:right;color:#5A5A5A">Subtotal:</td><td style="padding:8px 16px;text-align:right;width:120px;font-weight:500">${formatCurrencyPlain(data.subtotal)}</td></tr><tr><td style="padding:8px 16px;text-align:right;color:#5A5A5A">${escapeHtml(taxLabel)}:</td><td style="padding:8px 16px;text-align:right;width:120px;font-weight:500">${formatCurrencyPlain(data.tax)}</td></tr></table>`;
+    totalsText = `\nSubtotal: ${formatCurrencyPlain(data.subtotal)}\n${taxLabel}: ${formatCurrencyPlain(data.tax)}`;
+  }
+
+  const tableHtml = tableRows ? `<table width="100%" cellpadding="0" cellspacing="0" style="border:1px solid #E0E0E0;border-radius:12px;overflow:hidden;margin-bottom:16px"><tr style="background:#F5F5F5"><th style="padding:14px 16px;text-align:left;font-weight:600;color:#393939;border-bottom:1px solid #E0E0E0">Category</th><th style="padding:14px 16px;text-align:left;font-weight:600;color:#393939;border-bottom:1px solid #E0E0E0">Tier</th><th style="padding:14px 16px;text-align:right;font-weight:600;color:#393939;border-bottom:1px solid #E0E0E0">Estimate</th></tr>${tableRows}</table>${totalsHtml}` : '';
+
+  const rendered = renderEmailTemplate(template, {
+    values: {
+      recipientName: recipientName || '',
+      message: data.message || '',
+      clientName: data.clientName || '',
+      total: formatCurrencyPlain(data.total),
+      tierLabel: data.tierLabel || '',
+      budgetLink: data.budgetUrl || '',
+      alsoSentTo: (data.alsoSentTo || []).join(', '),
+      ...ownerValues(owner)
+    },
+    blocks: {
+      summary: {
+        html: `<table width="100%" cellpadding="0" cellspacing="0" style="background:linear-gradient(135deg,#EEF8FE 0%,#E8F1F8 100%);border-radius:12px;margin-bottom:32px"><tr><td style="padding:24px;text-align:center"><p style="margin:0;color:#5A5A5A;font-size:14px;text-transform:uppercase;letter-spacing:1px">Estimated Investment</p><p style="margin:8px 0 0;color:#0F2F44;font-size:36px;font-weight:700">${formatCurrencyPlain(data.total)}</p>${data.tierLabel ? `<p style="margin:8px 0 0;color:#017ED7;font-size:14px;font-weight:500">${escapeHtml(data.tierLabel)}</p>` : ''}</td></tr></table>`,
+        text: `Estimated investment: ${formatCurrencyPlain(data.total)}${data.tierLabel ? ` (${data.tierLabel})` : ''}`
+      },
+      lineItems: { html: tableHtml, text: tableHtml ? itemLines.join('\n') + totalsText : '' },
+      button: data.budgetUrl
+        ? { html: `<table width="100%" cellpadding="0" cellspacing="0" style="margin-bottom:24px"><tr><td align="center"><a href="${escapeHtml(data.budgetUrl)}" style="display:inline-block;background:#017ED7;color:#FFFFFF;padding:14px 32px;border-radius:8px;text-decoration:none;font-weight:600;font-size:14px">View & Customize Your Budget</a></td></tr></table>`, text: `View & customize your budget: ${data.budgetUrl}` }
+        : { html: '', text: '' }
+    },
+    paragraphStyle: PROPOSAL_PARAGRAPH_STYLE
+  });
+
+  return {
+    subject: rendered.subject,
+    html: `<!DOCTYPE html><html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"></head><body style="margin:0;padding:0;background:#FAFAFA;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif"><table width="100%" cellpadding="0" cellspacing="0" style="background:#FAFAFA;padding:40px 20px"><tr><td align="center"><table width="600" cellpadding="0" cellspacing="0" style="background:#FFFFFF;border-radius:16px;box-shadow:0 2px 16px rgba(15,47,68,0.06);overflow:hidden"><tr><td style="background:linear-gradient(135deg,#0F2F44 0%,#133F5C 100%);padding:32px 40px;text-align:center"><h1 style="margin:0;color:#FFFFFF;font-size:24px;font-weight:600">Gamma Tech Services</h1><p style="margin:8px 0 0;color:rgba(255,255,255,0.8);font-size:14px">Residential Technology Budget</p></td></tr><tr><td style="padding:40px">${rendered.html}</td></tr><tr><td style="background:#F5F5F5;padding:24px 40px;text-align:center;border-top:1px solid #E0E0E0"><p style="margin:0;color:#5A5A5A;font-size:14px"><strong>Gamma Tech Services</strong><br>3106 Horseshoe Dr S, Naples, FL 34104<br>(239) 330-4939 • gamma.tech</p></td></tr></table></td></tr></table></body></html>`,
+    text: `${rendered.text}\n\n--\n${PROPOSAL_FOOTER_TEXT}`
+  };
+}
+
+/**
+ * `template` rendered with made-up budget data, for the admin preview.
+ * `owner` is the previewing user, so their own signature shows.
+ */
+function sampleTemplateEmail(key, template, appUrl, owner) {
+  const budget = {
+    id: 'sample-budget',
+    clientName: 'Jordan & Casey Rivera',
+    createdByEmail: owner?.email,
+    currentState: { total: 48250 }
+  };
+  const options = { template, owner };
+  switch (key) {
+    case 'proposal':
+      return proposalEmail({
+        categories: [
+          { name: 'Networking & Wi-Fi', tier: 'better', price: 9800 },
+          { name: 'Whole-Home Audio', tier: 'best', price: 21450 },
+          { name: 'Surveillance', tier: 'good', price: 6200, taxable: false }
+        ],
+        extras: [{ name: 'Outdoor Speakers', price: 3400 }],
+        catMods: [],
+        modifiers: [{ name: 'Design allowance', amount: 1500 }],
+        subtotal: 42350,
+        tax: 2456,
+        total: 44806,
+        tierLabel: 'Better package',
+        message: 'Great meeting you both on site today. Here is the budget we talked through; the audio numbers include the patio zone.',
+        clientName: budget.clientName,
+        budgetUrl: budgetLink(budget, appUrl),
+        alsoSentTo: ['casey.rivera@example.com', 'pm@example-builders.com']
+      }, 'Jordan', options);
+    case 'change_notification':
+      return changeNotificationEmail(budget, { total: 51900 }, appUrl, options);
+    case 'view_notification':
+      return viewNotificationEmail(budget, appUrl, options);
+    case 'approval_notification':
+      return approvalNotificationEmail(budget, {
+        signerName: 'Jordan Rivera',
+        scenarioName: 'Phase 1',
+        total: 48250,
+        approvedAt: '2026-03-14T15:30:00.000Z',
+        versionNumber: 4
+      }, appUrl, options);
+    default:
+      throw new Error(`Unknown email template: ${key}`);
+  }
+}
+
+module.exports = {
+  EMAIL_TEMPLATE_DEFINITIONS,
+  EMAIL_TEMPLATE_KEYS,
+  approvalNotificationEmail,
+  changeNotificationEmail,
+  defaultEmailTemplate,
+  followUpDigestEmail,
+  formatCurrencyPlain,
+  proposalEmail,
+  sampleTemplateEmail,
+  viewNotificationEmail
+};
@@ -0,0 +1,106 @@
+// What each salesperson's morning follow-up digest lists, from the admin
+// budget list (searchBudgets rows). Dates are calendar days in the business
+// time zone, the same days the follow-up and expiry dates are written in.
+const { isOverdueFollowUp, normalizeBudgetStatus } = require('../../public/src/utils/budget-list');
+
+const DEFAULT_TIME_ZONE = 'America/New_York';
+const DEFAULT_EXPIRING_WITHIN_DAYS = 7;
+const MAX_EXPIRING_WITHIN_DAYS = 60;
+
+// Client activity this recent, with nothing from the team since, is awaiting a reply.
+const AWAITING_REPLY_DAYS = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function localParts(now, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(now);
+  return Object.fromEntries(parts.map(part => [part.type, part.value]));
+}
+
+// YYYY-MM-DD for `now` in `timeZone`.
+function localDateKey(now, timeZone = DEFAULT_TIME_ZONE) {
+  const { year, month, day } = localParts(now, timeZone);
+  return `${year}-${month}-${day}`;
+}
+
+function localHour(now, timeZone = DEFAULT_TIME_ZONE) {
+  return Number(localParts(now, timeZone).hour);
+}
+
+function addDays(dateKey, days) {
+  return new Date(Date.parse(`${dateKey}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function isOpen(budget) {
+  return !budget.isExpired && normalizeBudgetStatus(budget.status) === 'active';
+}
+
+function isExpiringSoon(budget, today, withinDays) {
+  return isOpen(budget) && !!budget.expiresAt && budget.expiresAt >= today && budget.expiresAt <= addDays(today, withinDays);
+}
+
+function isAwaitingReply(budget, lastReplyAt, now) {
+  if (!isOpen(budget) || !budget.lastClientActivity) return false;
+  const activityAt = new Date(budget.lastClientActivity).getTime();
+  if (!(now.getTime() - activityAt <= AWAITING_REPLY_DAYS * DAY_MS)) return false;
+  const repliedAt = lastReplyAt ? new Date(lastReplyAt).getTime() : null;
+  return !(repliedAt >= activityAt);
+}
+
+// Open budgets with client activity recent enough to be awaiting a reply.
+function awaitingReplyCandidates(budgets, now = new Date()) {
+  return budgets.filter(budget => isAwaitingReply(budget, null, now));
+}
+
+/**
+ * One digest per owner with something to report:
+ * { ownerEmail, overdue, expiring, awaitingReply }, each a list of budgets.
+ * `settings` maps lowercased emails to { followUpDigest, expiringWithinDays };
+ * owners who turned the digest off are left out. `lastReplyAt` maps budget ids
+ * to the team's last save. Budgets without an owner have nobody to remind.
+ */
+function buildFollowUpDigests(budgets = [], { now = new Date(), timeZone = DEFAULT_TIME_ZONE, settings = {}, lastReplyAt = {} } = {}) {
+  const today = localDateKey(now, timeZone);
+  const digests = new Map();
+
+  budgets.forEach(budget => {
+    const ownerEmail = String(budget.createdByEmail || '').trim().toLowerCase();
+    if (!ownerEmail) return;
+    const ownerSettings = settings[ownerEmail] || {};
+    if (ownerSettings.followUpDigest === false) return;
+
+    if (!digests.has(ownerEmail)) digests.set(ownerEmail, { ownerEmail, overdue: [], expiring: [], awaitingReply: [] });
+    const digest = digests.get(ownerEmail);
+    const withinDays = ownerSettings.expiringWithinDays ?? DEFAULT_EXPIRING_WITHIN_DAYS;
+    if (isOverdueFollowUp(budget, now)) digest.overdue.push(budget);
+    if (isExpiringSoon(budget, today, withinDays)) digest.expiring.push(budget);
+    if (isAwaitingReply(budget, lastReplyAt[budget.id], now)) digest.awaitingReply.push(budget);
+  });
+
+  return [...digests.values()]
+    .filter(digest => digest.overdue.length || digest.expiring.length || digest.awaitingReply.length)
+    .map(digest => ({
+      ...digest,
+      expiring: digest.expiring.sort((a, b) => a.expiresAt.localeCompare(b.expiresAt)),
+      awaitingReply: digest.awaitingReply.sort((a, b) => String(b.lastClientActivity).localeCompare(String(a.lastClientActivity)))
+    }));
+}
+
+module.exports = {
+  AWAITING_REPLY_DAYS,
+  DEFAULT_EXPIRING_WITHIN_DAYS,
+  DEFAULT_TIME_ZONE,
+  MAX_EXPIRING_WITHIN_DAYS,
+  addDays,
+  awaitingReplyCandidates,
+  buildFollowUpDigests,
+  localDateKey,
+  localHour
+};
@@ -0,0 +1,39 @@
+// Who is asking: client IPs (behind the proxy) and the office addresses whose
+// views count as the team's, plus the random codes used for budget and link ids.
+const crypto = require('crypto');
+
+const OFFICE_TEAM_VIEW_IPS = new Set(['69.254.59.65', '8.53.54.185']);
+
+function normalizeIp(ip) {
+  if (!ip) return '';
+  return String(ip)
+    .split(',')[0]
+    .trim()
+    .replace(/^::ffff:/, '');
+}
+
+function getRequestIp(req) {
+  return normalizeIp(req.ip || req.get('x-forwarded-for') || req.socket?.remoteAddress || '');
+}
+
+function isOfficeTeamIp(ip) {
+  return OFFICE_TEAM_VIEW_IPS.has(normalizeIp(ip));
+}
+
+function generateCode(length = 6) {
+  const chars = 'abcdefghijkmnpqrstuvwxyz23456789';
+  let code = '';
+  const bytes = crypto.randomBytes(length);
+  for (let i = 0; i < length; i++) {
+    code += chars[bytes[i] % chars.length];
+  }
+  return code;
+}
+
+module.exports = {
+  OFFICE_TEAM_VIEW_IPS,
+  generateCode,
+  getRequestIp,
+  isOfficeTeamIp,
+  normalizeIp
+};
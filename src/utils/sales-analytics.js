@@ -0,0 +1,234 @@
+// Engagement and conversion numbers for the analytics tab, computed from the
+// budgets created in a period with their views and versions. The budget
+// service loads and maps the rows; everything here is pure.
+const { TIER_KEYS } = require('../../public/src/utils/pricing');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Client saves less than this far apart count as one editing session.
+const EDIT_SESSION_GAP_MS = 30 * 60 * 1000;
+
+const DEFAULT_PERIOD_DAYS = 90;
+const MAX_PERIOD_DAYS = 365;
+
+// Periods of more than this many days are bucketed by week instead of by day.
+const MAX_DAILY_BUCKETS = 90;
+
+const SIZE_BANDS = [
+  { label: 'Under 3,000 sq ft', min: 0, max: 3000 },
+  { label: '3,000–4,999 sq ft', min: 3000, max: 5000 },
+  { label: '5,000–7,499 sq ft', min: 5000, max: 7500 },
+  { label: '7,500–9,999 sq ft', min: 7500, max: 10000 },
+  { label: '10,000+ sq ft', min: 10000, max: null }
+];
+
+// The start of the `days`-day period ending at `now`.
+function periodStart(now, days) {
+  return new Date(now.getTime() - days * DAY_MS);
+}
+
+function time(value) {
+  const ms = value ? new Date(value).getTime() : NaN;
+  return Number.isFinite(ms) ? ms : null;
+}
+
+function average(values) {
+  return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function round(value, places = 1) {
+  if (value == null) return null;
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+function groupBy(items, key) {
+  const groups = new Map();
+  items.forEach(item => {
+    if (!groups.has(item[key])) groups.set(item[key], []);
+    groups.get(item[key]).push(item);
+  });
+  return groups;
+}
+
+function viewsOverTime(views, since, now, bucketDays) {
+  const buckets = [];
+  for (let start = since; start < now; start += bucketDays * DAY_MS) {
+    buckets.push({ date: new Date(start).toISOString().slice(0, 10), clientViews: 0, teamViews: 0 });
+  }
+  views.forEach(view => {
+    const viewedAt = time(view.viewedAt);
+    if (viewedAt == null || viewedAt < since || viewedAt >= now) return;
+    const bucket = buckets[Math.floor((viewedAt - since) / (bucketDays * DAY_MS))];
+    if (!bucket) return;
+    if (view.isTeam) bucket.teamViews++;
+    else bucket.clientViews++;
+  });
+  return buckets;
+}
+
+// Hours from the first email (or, failing that, creation) to the first client view after it.
+function timeToFirstView(budgets, viewsByBudget) {
+  const hours = [];
+  let notViewedCount = 0;
+  budgets.forEach(budget => {
+    const sentAt = time(budget.firstSentAt) ?? time(budget.created);
+    if (sentAt == null) return;
+    const firstView = (viewsByBudget.get(budget.id) || [])
+      .filter(view => !view.isTeam)
+      .map(view => time(view.viewedAt))
+      .filter(viewedAt => viewedAt != null && viewedAt >= sentAt)
+      .sort((a, b) => a - b)[0];
+    if (firstView == null) notViewedCount++;
+    else hours.push((firstView - sentAt) / HOUR_MS);
+  });
+  return {
+    viewedCount: hours.length,
+    notViewedCount,
+    medianHours: round(median(hours)),
+    averageHours: round(average(hours))
+  };
+}
+
+// Client edit sessions that started before the budget was closed.
+function countEditSessions(versions, closedAt) {
+  const saves = versions
+    .filter(version => version.isClient)
+    .map(version => time(version.createdAt))
+    .filter(savedAt => savedAt != null && (closedAt == null || savedAt <= closedAt))
+    .sort((a, b) => a - b);
+  return saves.filter((savedAt, index) => index === 0 || savedAt - saves[index - 1] > EDIT_SESSION_GAP_MS).length;
+}
+
+function editSessionsByOutcome(budgets, versionsByBudget) {
+  const outcomes = { won: [], lost: [] };
+  budgets.forEach(budget => {
+    if (!outcomes[budget.status]) return;
+    outcomes[budget.status].push(countEditSessions(versionsByBudget.get(budget.id) || [], time(budget.closedAt)));
+  });
+  const summarize = sessions => ({
+    budgetCount: sessions.length,
+    averageSessions: round(average(sessions)),
+    withoutSessionsCount: sessions.filter(count => count === 0).length
+  });
+  return { won: summarize(outcomes.won), lost: summarize(outcomes.lost) };
+}
+
+function categoryRow(categoryNames, categoryId) {
+  return { categoryId, name: categoryNames[categoryId] || categoryId };
+}
+
+// Tier moves the client made, each save compared with the version before it.
+function tierChanges(versionsByBudget, categoryNames) {
+  const counts = new Map();
+  const count = (categoryId, direction) => {
+    if (!counts.has(categoryId)) counts.set(categoryId, { ...categoryRow(categoryNames, categoryId), upgrades: 0, downgrades: 0 });
+    counts.get(categoryId)[direction]++;
+  };
+  versionsByBudget.forEach(versions => {
+    const ordered = [...versions].sort((a, b) => a.versionNumber - b.versionNumber);
+    ordered.forEach((version, index) => {
+      if (!version.isClient || index === 0) return;
+      const before = ordered[index - 1].selections || {};
+      const after = version.selections || {};
+      Object.keys(after).forEach(categoryId => {
+        const from = TIER_KEYS.indexOf(before[categoryId]);
+        const to = TIER_KEYS.indexOf(after[categoryId]);
+        if (from < 0 || to < 0 || from === to) return;
+        count(categoryId, to > from ? 'upgrades' : 'downgrades');
+      });
+    });
+  });
+  return [...counts.values()].sort((a, b) =>
+    (b.upgrades + b.downgrades) - (a.upgrades + a.downgrades) || a.name.localeCompare(b.name)
+  );
+}
+
+// How often each tier is selected per category in the budgets as they stand.
+function tierPopularity(budgets, categoryNames) {
+  const counts = new Map();
+  budgets.forEach(budget => {
+    Object.entries(budget.selections || {}).forEach(([categoryId, tierKey]) => {
+      if (!TIER_KEYS.includes(tierKey)) return;
+      if (!counts.has(categoryId)) {
+        counts.set(categoryId, {
+          ...categoryRow(categoryNames, categoryId),
+          budgetCount: 0,
+          tiers: Object.fromEntries(TIER_KEYS.map(key => [key, 0]))
+        });
+      }
+      const row = counts.get(categoryId);
+      row.budgetCount++;
+      row.tiers[tierKey]++;
+    });
+  });
+  return [...counts.values()].sort((a, b) => b.budgetCount - a.budgetCount || a.name.localeCompare(b.name));
+}
+
+function totalsSummary(budgets) {
+  const totals = budgets.map(budget => Number(budget.currentTotal) || 0);
+  return { budgetCount: totals.length, averageTotal: totals.length ? Math.round(average(totals)) : null };
+}
+
+function totalsByPropertyType(budgets) {
+  return [...groupBy(budgets.filter(budget => budget.propertyType), 'propertyType')]
+    .map(([propertyType, rows]) => ({ propertyType, ...totalsSummary(rows) }))
+    .sort((a, b) => b.budgetCount - a.budgetCount || a.propertyType.localeCompare(b.propertyType));
+}
+
+function totalsBySizeBand(budgets) {
+  return SIZE_BANDS.map(band => ({
+    ...band,
+    ...totalsSummary(budgets.filter(budget => {
+      const size = Number(budget.homeSize);
+      return size > 0 && size >= band.min && (band.max == null || size < band.max);
+    }))
+  }));
+}
+
+/**
+ * `budgets` are the budgets created in the period ({ id, created, firstSentAt,
+ * status, closedAt, currentTotal, homeSize, propertyType, selections }),
+ * `views` every view in the period ({ budgetId, viewedAt, isTeam }) and
+ * `versions` those budgets' versions ({ budgetId, versionNumber, createdAt,
+ * isClient, selections }).
+ * `categoryNames` maps category ids to display names; unknown ids show as-is.
+ */
+function summarizeSalesAnalytics({ budgets = [], views = [], versions = [], categoryNames = {} } = {}, { now = new Date(), days = DEFAULT_PERIOD_DAYS } = {}) {
+  const end = now.getTime();
+  const since = periodStart(now, days).getTime();
+  const bucketDays = days > MAX_DAILY_BUCKETS ? 7 : 1;
+  const budgetIds = new Set(budgets.map(budget => budget.id));
+  const periodVersions = versions.filter(version => budgetIds.has(version.budgetId));
+
+  return {
+    days,
+    since: new Date(since).toISOString(),
+    budgetCount: budgets.length,
+    bucketDays,
+    viewsOverTime: viewsOverTime(views, since, end, bucketDays),
+    timeToFirstView: timeToFirstView(budgets, groupBy(views.filter(view => budgetIds.has(view.budgetId)), 'budgetId')),
+    editSessions: editSessionsByOutcome(budgets, groupBy(periodVersions, 'budgetId')),
+    tierChanges: tierChanges(groupBy(periodVersions, 'budgetId'), categoryNames),
+    tierPopularity: tierPopularity(budgets, categoryNames),
+    totalsByPropertyType: totalsByPropertyType(budgets),
+    totalsBySizeBand: totalsBySizeBand(budgets)
+  };
+}
+
+module.exports = {
+  DEFAULT_PERIOD_DAYS,
+  EDIT_SESSION_GAP_MS,
+  MAX_PERIOD_DAYS,
+  SIZE_BANDS,
+  periodStart,
+  summarizeSalesAnalytics
+};
@@ -0,0 +1,95 @@
+// Per-salesperson pipeline numbers for the team dashboard, computed from the
+// admin budget list (searchBudgets rows). Budgets without an owner are grouped
+// under a null ownerEmail.
+const { displayStatus, isOverdueFollowUp } = require('../../public/src/utils/budget-list');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function emptyOwnerSummary(ownerEmail) {
+  return {
+    ownerEmail,
+    budgetCount: 0,
+    activeCount: 0,
+    wonCount: 0,
+    lostCount: 0,
+    expiredCount: 0,
+    staleCount: 0,
+    pipelineValue: 0,
+    wonValue: 0,
+    winRate: null,
+    avgDaysToClose: null
+  };
+}
+
+function ownerKey(budget) {
+  const email = String(budget.createdByEmail || '').trim().toLowerCase();
+  return email || null;
+}
+
+// Adds each closed budget's created → closed time into `closeDays`.
+function addBudget(summary, budget, closeDays, now) {
+  const status = displayStatus(budget);
+  const total = Number(budget.currentTotal) || 0;
+  summary.budgetCount++;
+  if (status === 'active') {
+    summary.activeCount++;
+    summary.pipelineValue += total;
+  } else if (status === 'won') {
+    summary.wonCount++;
+    summary.wonValue += total;
+  } else if (status === 'lost') {
+    summary.lostCount++;
+  } else {
+    summary.expiredCount++;
+  }
+  if (isOverdueFollowUp(budget, now)) summary.staleCount++;
+
+  if ((status === 'won' || status === 'lost') && budget.closedAt && budget.created) {
+    const days = (new Date(budget.closedAt).getTime() - new Date(budget.created).getTime()) / DAY_MS;
+    if (Number.isFinite(days) && days >= 0) closeDays.push(days);
+  }
+}
+
+function finishSummary(summary, closeDays) {
+  const decided = summary.wonCount + summary.lostCount;
+  summary.pipelineValue = Math.round(summary.pipelineValue);
+  summary.wonValue = Math.round(summary.wonValue);
+  summary.winRate = decided ? summary.wonCount / decided : null;
+  summary.avgDaysToClose = closeDays.length
+    ? Math.round((closeDays.reduce((sum, days) => sum + days, 0) / closeDays.length) * 10) / 10
+    : null;
+  return summary;
+}
+
+/**
+ * Win rate is won / (won + lost); expired budgets are not counted as decided.
+ * Stale budgets are the "needs follow-up" ones from the budget list.
+ * Owners are sorted by pipeline value, largest first, with unassigned last.
+ */
+function summarizeTeamPipeline(budgets = [], { now = new Date() } = {}) {
+  const owners = new Map();
+  const totals = emptyOwnerSummary(null);
+  const totalCloseDays = [];
+
+  budgets.forEach(budget => {
+    const key = ownerKey(budget);
+    if (!owners.has(key)) owners.set(key, { summary: emptyOwnerSummary(key), closeDays: [] });
+    const owner = owners.get(key);
+    addBudget(owner.summary, budget, owner.closeDays, now);
+    addBudget(totals, budget, totalCloseDays, now);
+  });
+
+  const rows = [...owners.values()]
+    .map(owner => finishSummary(owner.summary, owner.closeDays))
+    .sort((a, b) => {
+      if (!a.ownerEmail !== !b.ownerEmail) return a.ownerEmail ? -1 : 1;
+      return b.pipelineValue - a.pipelineValue || String(a.ownerEmail).localeCompare(String(b.ownerEmail));
+    });
+
+  const { ownerEmail, ...teamTotals } = finishSummary(totals, totalCloseDays);
+  return { owners: rows, totals: teamTotals };
+}
+
+module.exports = {
+  summarizeTeamPipeline
+};
@@ -0,0 +1,53 @@
+// Who made a budget version: stored inside the version's state under
+// VERSION_META_KEY and split back out when versions are read.
+const { getRequestIp, isOfficeTeamIp } = require('./request');
+
+const VERSION_META_KEY = '__versionMeta';
+
+function stripVersionMeta(state = {}) {
+  if (!state || typeof state !== 'object') return state;
+  const { [VERSION_META_KEY]: _meta, ...cleanState } = state;
+  return cleanState;
+}
+
+function getVersionMeta(state = {}) {
+  return state && typeof state === 'object' ? state[VERSION_META_KEY] || null : null;
+}
+
+function withVersionMeta(state = {}, meta = null) {
+  if (!meta) return state;
+  return { ...(state || {}), [VERSION_META_KEY]: meta };
+}
+
+function buildVersionMeta(req, user = null) {
+  const ip = getRequestIp(req);
+  return {
+    ip: ip || null,
+    userAgent: req.get('User-Agent') || null,
+    isInternal: !!user || isOfficeTeamIp(ip),
+    email: user?.email || null,
+    timestamp: new Date().toISOString()
+  };
+}
+
+// Version metadata for changes made by the server itself (scheduled jobs),
+// attributed to the admin who set them up.
+function buildSystemVersionMeta(email = null) {
+  return {
+    ip: null,
+    userAgent: null,
+    isInternal: true,
+    email,
+    source: 'system',
+    timestamp: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  VERSION_META_KEY,
+  buildSystemVersionMeta,
+  buildVersionMeta,
+  getVersionMeta,
+  stripVersionMeta,
+  withVersionMeta
+};
@@ -0,0 +1,58 @@
+import { describe, expect, it } from 'vitest';
+import budgetApproval from '../src/utils/budget-approval.js';
+import pricing from '../public/src/utils/pricing.js';
+
+const { approvalLineItems, approvalStateHash, normalizeInitials, verifyApproval } = budgetApproval;
+
+const state = {
+  clientName: 'Smith Residence',
+  homeSize: 4000,
+  selections: { network: 'better', audio: 'good' },
+  extras: { leak: true },
+  modifiers: [{ name: 'Rush', amount: 500 }],
+  total: 14000
+};
+
+describe('budget approval', () => {
+  it('hashes the same state the same way regardless of key order', () => {
+    const reordered = {
+      total: 14000,
+      modifiers: [{ amount: 500, name: 'Rush' }],
+      extras: { leak: true },
+      selections: { audio: 'good', network: 'better' },
+      homeSize: 4000,
+      clientName: 'Smith Residence'
+    };
+    expect(approvalStateHash(reordered)).toBe(approvalStateHash(state));
+    expect(approvalStateHash(state)).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  it('ignores bookkeeping fields but not selections', () => {
+    const touched = { ...state, timestamp: '2026-10-01T00:00:00Z', expiresAt: '2026-12-01', __versionMeta: { source: 'client' } };
+    expect(approvalStateHash(touched)).toBe(approvalStateHash(state));
+    expect(approvalStateHash({ ...state, selections: { network: 'good' } })).not.toBe(approvalStateHash(state));
+  });
+
+  it('verifies the stored record and whether the budget has changed since', () => {
+    const approval = { state, stateHash: approvalStateHash(state) };
+    expect(verifyApproval(approval, { ...state })).toEqual({ intact: true, matchesCurrent: true });
+    expect(verifyApproval(approval, { ...state, extras: {} })).toEqual({ intact: true, matchesCurrent: false });
+    expect(verifyApproval({ ...approval, state: { ...state, total: 1 } }, state)).toEqual({ intact: false, matchesCurrent: false });
+  });
+
+  it('normalizes typed initials', () => {
+    expect(normalizeInitials(' j.s. ')).toBe('JS');
+    expect(normalizeInitials('é-m')).toBe('ÉM');
+    expect(normalizeInitials('abcdefgh')).toBe('ABCDEF');
+  });
+
+  it('keeps the priced line items with the approval', () => {
+    const categories = [{ id: 'network', name: 'Networking', section: 'Infrastructure', sizeScale: 0, tiers: { better: { price: 9000, label: 'Comprehensive' } } }];
+    const extras = [{ id: 'leak', name: 'Leak Detection', price: 1500, sizeScale: 0 }];
+    const breakdown = pricing.calculateBudgetPricing(state, { categories, extras, sqft: 4000, taxRate: 0.06 });
+    const items = approvalLineItems(breakdown);
+    expect(items.map(item => item.type)).toEqual(['category', 'extra', 'modifier', 'tax']);
+    expect(items[0]).toMatchObject({ name: 'Networking', tier: 'Comprehensive', amount: 9000 });
+    expect(items.reduce((sum, item) => sum + item.amount, 0)).toBeCloseTo(breakdown.total, 2);
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, expect, it } from 'vitest';
+import budgetCompare from '../src/utils/budget-compare.js';
+import pricing from '../public/src/utils/pricing.js';
+
+const { compareBudgets } = budgetCompare;
+
+const categories = [
+  {
+    id: 'network',
+    name: 'Networking',
+    section: 'Infrastructure',
+    sizeScale: 0,
+    tiers: {
+      good: { price: 5000, label: 'Essential', features: [] },
+      better: { price: 9000, label: 'Comprehensive', features: [] }
+    }
+  },
+  { id: 'audio', name: 'Audio', section: 'Entertainment', sizeScale: 0, tiers: { good: { price: 3000, label: 'Basic', features: [] } } },
+  { id: 'wine', name: 'Wine Room Display', section: 'Wine Room', sizeScale: 0, tiers: { good: { price: 2500, label: 'Custom', features: [] } } }
+];
+const extras = [
+  { id: 'poolAlarm', name: 'Pool Alarm', price: 2200, sizeScale: 0 },
+  { id: 'leak', name: 'Leak Detection', price: 1500, sizeScale: 0 }
+];
+const customCategories = [{ id: 'wine', name: 'Wine Room Display', section: 'Wine Room' }];
+
+function side(state) {
+  return {
+    state,
+    customCategories,
+    breakdown: pricing.calculateBudgetPricing(state, { categories, extras, sqft: 4000, taxRate: 0.06 })
+  };
+}
+
+describe('compareBudgets', () => {
+  const before = side({
+    clientName: 'Smith Residence',
+    selections: { network: 'good', audio: 'good' },
+    extras: { poolAlarm: true },
+    modifiers: [{ name: 'Builder discount', amount: -500 }]
+  });
+  const after = side({
+    clientName: 'Smith Residence (alt)',
+    selections: { network: 'better', wine: 'good' },
+    extras: { poolAlarm: true, leak: true },
+    modifiers: []
+  });
+
+  it('reports per-category tier changes and price deltas', () => {
+    const result = compareBudgets(before, after);
+    const byId = Object.fromEntries(result.categories.map(row => [row.categoryId, row]));
+    expect(byId.network).toMatchObject({ status: 'changed', tierChanged: true, delta: 4000 });
+    expect(byId.network.left.tierLabel).toBe('Essential');
+    expect(byId.network.right.tierLabel).toBe('Comprehensive');
+    expect(byId.audio).toMatchObject({ status: 'removed', delta: -3000, right: null });
+    expect(byId.wine).toMatchObject({ status: 'added', delta: 2500 });
+  });
+
+  it('reports custom sections, extras, modifiers and project fields', () => {
+    const result = compareBudgets(before, after);
+    expect(result.customSections).toEqual({ added: ['Wine Room'], removed: [] });
+    expect(result.customCategories.added.map(category => category.id)).toEqual(['wine']);
+    expect(result.extras.find(extra => extra.id === 'leak')).toMatchObject({ status: 'added', delta: 1500 });
+    expect(result.extras.find(extra => extra.id === 'poolAlarm').status).toBe('unchanged');
+    expect(result.modifiers).toEqual({ added: [], removed: [{ name: 'Builder discount', amount: -500 }] });
+    expect(result.project).toEqual([expect.objectContaining({ field: 'clientName', right: 'Smith Residence (alt)' })]);
+  });
+
+  it('reconciles the total difference with both breakdowns', () => {
+    const result = compareBudgets(before, after);
+    expect(result.totals.delta.total).toBe(after.breakdown.total - before.breakdown.total);
+    expect(result.totals.delta.subtotal).toBe(4000 - 3000 + 2500 + 1500 + 500);
+    expect(result.identical).toBe(false);
+  });
+
+  it('treats identical states as identical', () => {
+    const result = compareBudgets(before, side(before.state));
+    expect(result.identical).toBe(true);
+    expect(result.categories.every(row => row.status === 'unchanged')).toBe(true);
+  });
+});
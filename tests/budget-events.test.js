@@ -0,0 +1,44 @@
+import { describe, expect, it } from 'vitest';
+import budgetEvents from '../src/utils/budget-events.js';
+
+const { createBudgetEventHub, formatServerSentEvent } = budgetEvents;
+
+function connection(browserId) {
+  const messages = [];
+  return { browserId, messages, write: message => messages.push(message) };
+}
+
+describe('budget event hub', () => {
+  it('formats Server-Sent Events', () => {
+    expect(formatServerSentEvent('presence', { browsers: [] })).toBe('event: presence\ndata: {"browsers":[]}\n\n');
+  });
+
+  it('publishes to every stream on the budget except the sender', () => {
+    const hub = createBudgetEventHub();
+    const sales = connection('sales');
+    const client = connection('client');
+    const other = connection('other');
+    hub.subscribe('abc', sales);
+    hub.subscribe('abc', client);
+    hub.subscribe('xyz', other);
+
+    expect(hub.publish('abc', 'state', { lastModified: 't1' }, { exceptBrowserId: 'sales' })).toBe(1);
+    expect(sales.messages).toEqual([]);
+    expect(client.messages).toEqual([formatServerSentEvent('state', { lastModified: 't1' })]);
+    expect(other.messages).toEqual([]);
+  });
+
+  it('forgets streams once they unsubscribe', () => {
+    const hub = createBudgetEventHub();
+    const first = connection('tab');
+    const second = connection('tab');
+    const leaveFirst = hub.subscribe('abc', first);
+    const leaveSecond = hub.subscribe('abc', second);
+    leaveFirst();
+    expect(hub.hasBrowser('abc', 'tab')).toBe(true);
+    leaveSecond();
+    expect(hub.hasBrowser('abc', 'tab')).toBe(false);
+    expect(hub.connectionCount('abc')).toBe(0);
+    expect(hub.publish('abc', 'reload', {})).toBe(0);
+  });
+});
@@ -0,0 +1,106 @@
+import { PassThrough } from 'stream';
+import { describe, expect, it } from 'vitest';
+import budgetExport from '../src/utils/budget-export.js';
+import budgetList from '../public/src/utils/budget-list.js';
+
+const { BUDGET_LIST_COLUMNS, LINE_ITEM_COLUMNS, budgetLineItemRows, csvCell, writeCsv, writeXlsx } = budgetExport;
+const { filterBudgets, sortBudgets } = budgetList;
+
+function collect(stream) {
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(Buffer.from(chunk)));
+  return new Promise((resolve, reject) => {
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+}
+
+const budgets = [
+  { id: 'a1', clientName: 'Smith', builder: 'Acme', status: 'active', currentTotal: 50000, created: '2026-01-01T00:00:00Z', lastClientActivity: '2026-03-01T00:00:00Z' },
+  { id: 'b2', clientName: 'Jones', builder: 'Acme', status: 'won', currentTotal: 80000, created: '2026-02-01T00:00:00Z', lastClientActivity: null },
+  { id: 'c3', clientName: 'Adams', builder: 'Other', status: 'active', isExpired: true, currentTotal: 20000, created: '2026-01-15T00:00:00Z' },
+  { id: 'd4', clientName: 'Baker', builder: 'Acme', status: 'active', followUpDate: '2026-03-01', currentTotal: 10000, created: '2026-03-01T00:00:00Z' }
+];
+
+describe('budget list filters', () => {
+  const now = new Date('2026-03-05T12:00:00Z');
+
+  it('filters by search, status and expiry the same way as the admin table', () => {
+    expect(filterBudgets(budgets, { search: 'acme', now }).map(b => b.id)).toEqual(['a1', 'b2', 'd4']);
+    expect(filterBudgets(budgets, { status: 'active', now }).map(b => b.id)).toEqual(['a1', 'd4']);
+    expect(filterBudgets(budgets, { status: 'expired', hideExpired: true, now }).map(b => b.id)).toEqual(['c3']);
+    expect(filterBudgets(budgets, { hideExpired: true, now }).map(b => b.id)).toEqual(['a1', 'b2', 'd4']);
+    expect(filterBudgets(budgets, { status: 'needs-followup', now }).map(b => b.id)).toEqual(['d4']);
+  });
+
+  it('filters by owner, including budgets nobody owns', () => {
+    const owned = budgets.map((budget, index) => ({ ...budget, createdByEmail: index < 2 ? 'Sam@gamma.tech' : null }));
+    expect(filterBudgets(owned, { owner: 'sam@gamma.tech', now }).map(b => b.id)).toEqual(['a1', 'b2']);
+    expect(filterBudgets(owned, { owner: budgetList.UNASSIGNED_OWNER, now }).map(b => b.id)).toEqual(['c3', 'd4']);
+    expect(filterBudgets(owned, { owner: '', now })).toHaveLength(4);
+  });
+
+  it('sorts by the requested column and falls back to last client activity', () => {
+    expect(sortBudgets(budgets, { column: 'currentTotal', direction: 'asc' }).map(b => b.id)).toEqual(['d4', 'c3', 'a1', 'b2']);
+    expect(sortBudgets(budgets, { column: 'clientName', direction: 'asc' }).map(b => b.id)).toEqual(['c3', 'd4', 'b2', 'a1']);
+    expect(sortBudgets(budgets, { column: 'bogus' })[0].id).toBe('a1');
+  });
+});
+
+describe('budget export', () => {
+  it('escapes CSV cells and neutralizes formulas', () => {
+    expect(csvCell('plain')).toBe('plain');
+    expect(csvCell('Smith, John')).toBe('"Smith, John"');
+    expect(csvCell('say "hi"')).toBe('"say ""hi"""');
+    expect(csvCell('=SUM(A1)')).toBe("'=SUM(A1)");
+    expect(csvCell(-250)).toBe('-250');
+    expect(csvCell(null)).toBe('');
+  });
+
+  it('writes a CSV with a header row and one line per budget', async () => {
+    const stream = new PassThrough();
+    const done = collect(stream);
+    writeCsv(stream, BUDGET_LIST_COLUMNS, budgets.slice(0, 2));
+    const text = (await done).toString('utf8').replace(/^\uFEFF/, '');
+    const lines = text.trim().split('\r\n');
+    expect(lines).toHaveLength(3);
+    expect(lines[0].startsWith('Budget ID,Client,Builder,Status')).toBe(true);
+    expect(lines[2]).toContain('b2,Jones,Acme,won');
+  });
+
+  it('flattens a pricing breakdown into rows that reconcile with the total', () => {
+    const rows = budgetLineItemRows({
+      categories: [{
+        name: 'Networking',
+        section: 'Infrastructure',
+        tierLabel: 'Better',
+        basePrice: 10000,
+        taxable: true,
+        addOns: [{ label: 'Outdoor AP', price: 900 }],
+        adjustment: { name: 'Discount', amount: -500 }
+      }],
+      extras: [{ name: 'Permit', price: 300, taxable: false }],
+      modifiers: [{ name: 'Rush', amount: 1000 }],
+      subtotal: 11700,
+      taxLabel: 'Sales Tax',
+      taxRate: 0.06,
+      tax: 684,
+      total: 12384
+    });
+    expect(rows.map(row => row.type)).toEqual(['Category', 'Add-on', 'Adjustment', 'Extra', 'Modifier', 'Subtotal', 'Tax', 'Total']);
+    const lineSum = rows.slice(0, 5).reduce((sum, row) => sum + row.amount, 0);
+    expect(lineSum).toBe(rows.find(row => row.type === 'Subtotal').amount);
+    expect(rows.find(row => row.type === 'Tax').item).toBe('Sales Tax (6%)');
+    expect(rows.find(row => row.type === 'Extra').taxable).toBe(false);
+  });
+
+  it('streams a valid XLSX workbook', async () => {
+    const stream = new PassThrough();
+    const done = collect(stream);
+    await writeXlsx(stream, 'Line Items', LINE_ITEM_COLUMNS, [
+      { type: 'Category', section: 'Audio', item: 'Speakers', tier: 'Good', taxable: true, amount: 4000 }
+    ]);
+    const buffer = await done;
+    expect(buffer.subarray(0, 2).toString()).toBe('PK');
+  });
+});
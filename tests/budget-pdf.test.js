@@ -0,0 +1,68 @@
+import { describe, expect, it } from 'vitest';
+import budgetPdf from '../src/utils/budget-pdf.js';
+
+const { pdfText, renderBudgetPdf } = budgetPdf;
+
+function line(index) {
+  return {
+    categoryId: `category-${index}`,
+    name: `Networking ${index}`,
+    tierKey: 'good',
+    tierLabel: 'Whole-home coverage',
+    tierTag: 'Good',
+    features: ['WiFi 7 access points', 'Managed switch'],
+    brands: 'Ubiquiti',
+    basePrice: 12000,
+    addOns: [{ id: 'outdoor', label: 'Outdoor AP', price: 900 }],
+    addOnTotal: 900,
+    adjustment: null,
+    taxable: true,
+    total: 12900,
+    matrix: null
+  };
+}
+
+function budgetData(lineCount) {
+  return {
+    budgetId: 'abc123',
+    clientName: 'Smith Residence',
+    builder: 'Acme Homes',
+    propertyType: 'residential',
+    homeSize: 6000,
+    date: 'October 19, 2026',
+    expiresAt: null,
+    sections: [{ id: 'infrastructure', name: 'Infrastructure', lines: Array.from({ length: lineCount }, (_, i) => line(i)) }],
+    extras: [],
+    modifiers: [],
+    subtotal: 12900 * lineCount,
+    taxableSubtotal: 12900 * lineCount,
+    taxLabel: 'Sales Tax',
+    taxRateLabel: '6%',
+    tax: Math.round(12900 * lineCount * 0.06),
+    total: Math.round(12900 * lineCount * 1.06)
+  };
+}
+
+function pageCount(buffer) {
+  return (buffer.toString('latin1').match(/\/Type \/Page\b/g) || []).length;
+}
+
+describe('renderBudgetPdf', () => {
+  it('renders a single-page PDF for a short budget', async () => {
+    const buffer = await renderBudgetPdf(budgetData(1));
+    expect(buffer.subarray(0, 5).toString()).toBe('%PDF-');
+    expect(pageCount(buffer)).toBe(1);
+  });
+
+  it('paginates long budgets', async () => {
+    const buffer = await renderBudgetPdf(budgetData(30));
+    expect(pageCount(buffer)).toBeGreaterThan(1);
+  });
+});
+
+describe('pdfText', () => {
+  it('drops glyphs the built-in fonts cannot draw', () => {
+    expect(pdfText('📶 Networking — Café')).toBe('Networking — Café');
+    expect(pdfText(null)).toBe('');
+  });
+});
@@ -0,0 +1,46 @@
+import { describe, expect, it } from 'vitest';
+import budgetProposal from '../src/utils/budget-proposal.js';
+
+const { buildProposalData, dominantTierLabel } = budgetProposal;
+
+describe('proposal data from a pricing breakdown', () => {
+  it('labels the tier picked most often', () => {
+    expect(dominantTierLabel({ networking: 'better', audio: 'better', video: 'best' })).toBe('Better Tier');
+    expect(dominantTierLabel({ networking: 'best', audio: 'good' })).toBe('Good Tier');
+    expect(dominantTierLabel({})).toBe('');
+  });
+
+  it('lists add-ons, adjustments and unnamed custom items so the lines add up', () => {
+    const breakdown = {
+      categories: [{
+        name: 'Networking',
+        tierKey: 'better',
+        basePrice: 4000,
+        addOns: [{ label: 'Outdoor AP', price: 600 }],
+        adjustment: { name: 'Builder credit', amount: -200 },
+        taxable: true,
+        total: 4400
+      }],
+      extras: [{ name: 'Rack', price: 900, taxable: false }],
+      modifiers: [{ name: '', amount: 100 }],
+      subtotal: 5400.4,
+      tax: 0,
+      taxRate: 0,
+      taxLabel: 'Sales Tax',
+      total: 5400.4
+    };
+
+    const data = buildProposalData({ selections: { networking: 'better' } }, breakdown, { clientName: 'Lee', budgetUrl: 'https://app.test/b/b1', message: 'Hi' });
+    expect(data).toMatchObject({
+      categories: [{ name: 'Networking', tier: 'better', price: 4000, taxable: true }],
+      extras: [{ name: 'Rack', price: 900, taxable: false }, { name: 'Networking: Outdoor AP', price: 600, taxable: true }],
+      catMods: [{ categoryName: 'Networking', name: 'Builder credit', amount: -200 }],
+      modifiers: [{ name: 'Custom Adjustment', amount: 100 }],
+      subtotal: 5400,
+      tierLabel: 'Better Tier',
+      clientName: 'Lee',
+      budgetUrl: 'https://app.test/b/b1',
+      message: 'Hi'
+    });
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, expect, it } from 'vitest';
+import budgetSync from '../public/src/utils/budget-sync.js';
+
+const { applyPatch, compareStates, diffState, mergeStates, resolveConflicts } = budgetSync;
+
+const base = {
+  clientName: 'Smith Residence',
+  homeSize: 4000,
+  selections: { network: 'good', audio: 'good' },
+  extras: { leak: false },
+  modifiers: [],
+  total: 8000,
+  expiresAt: '2026-12-31'
+};
+
+describe('budget sync', () => {
+  it('patches only what changed and ignores server-owned fields', () => {
+    const next = { ...base, selections: { network: 'better', audio: 'good' }, total: 12000, expiresAt: '2027-01-31' };
+    const patch = diffState(base, next);
+    expect(patch).toEqual([{ path: ['selections', 'network'], value: 'better' }]);
+    const patched = applyPatch(base, patch);
+    expect(patched.selections).toEqual({ network: 'better', audio: 'good' });
+    expect(patched.expiresAt).toBe('2026-12-31');
+  });
+
+  it('removes keys and ignores unsafe paths', () => {
+    const patched = applyPatch(base, [
+      { path: ['extras', 'leak'], remove: true },
+      { path: ['__proto__', 'polluted'], value: true },
+      { path: ['selections', 'constructor'], value: 'x' }
+    ]);
+    expect(patched.extras).toEqual({});
+    expect({}.polluted).toBeUndefined();
+    expect(patched.selections).toEqual(base.selections);
+  });
+
+  it('merges edits to different categories without asking', () => {
+    const mine = { ...base, selections: { ...base.selections, network: 'better' } };
+    const theirs = { ...base, selections: { ...base.selections, audio: 'best' }, extras: { leak: true } };
+    const { state, conflicts } = mergeStates(base, mine, theirs);
+    expect(conflicts).toEqual([]);
+    expect(state.selections).toEqual({ network: 'better', audio: 'best' });
+    expect(state.extras).toEqual({ leak: true });
+  });
+
+  it('reports clashes, keeps theirs by default and resolves to mine on request', () => {
+    const mine = { ...base, selections: { ...base.selections, audio: 'better' }, modifiers: [{ id: 1, name: 'Rush', amount: 500 }] };
+    const theirs = { ...base, selections: { ...base.selections, audio: 'best' }, modifiers: [{ id: 2, name: 'Discount', amount: -200 }] };
+    const { state, conflicts } = mergeStates(base, mine, theirs);
+    expect(conflicts.map(conflict => conflict.path)).toEqual([['selections', 'audio'], ['modifiers']]);
+    expect(state.selections.audio).toBe('best');
+
+    const resolved = resolveConflicts(state, [{ ...conflicts[0], keep: 'mine' }, { ...conflicts[1], keep: 'theirs' }]);
+    expect(resolved.selections.audio).toBe('better');
+    expect(resolved.modifiers).toEqual([{ id: 2, name: 'Discount', amount: -200 }]);
+  });
+
+  it('does not count the same change on both sides as a conflict', () => {
+    const same = { ...base, clientName: 'Smith Estate' };
+    expect(mergeStates(base, same, same).conflicts).toEqual([]);
+  });
+
+  it('merges scenario edits by id and keeps the chosen scenario mirrored', () => {
+    const scenarioBase = {
+      ...base,
+      chosenScenarioId: 'base',
+      scenarios: [
+        { id: 'base', name: 'Base', selections: base.selections, extras: {}, modifiers: [], total: 8000 },
+        { id: 'dream', name: 'Dream', selections: { network: 'best' }, extras: {}, modifiers: [], total: 20000 }
+      ]
+    };
+    const mine = {
+      ...scenarioBase,
+      selections: { ...base.selections, network: 'better' },
+      scenarios: [{ ...scenarioBase.scenarios[0], selections: { ...base.selections, network: 'better' } }, scenarioBase.scenarios[1]]
+    };
+    const theirs = {
+      ...scenarioBase,
+      scenarios: [scenarioBase.scenarios[0], { ...scenarioBase.scenarios[1], name: 'Dream Home', selections: { network: 'best', audio: 'best' } }]
+    };
+    const { state, conflicts } = mergeStates(scenarioBase, mine, theirs);
+    expect(conflicts).toEqual([]);
+    expect(state.selections.network).toBe('better');
+    expect(state.scenarios.map(scenario => scenario.name)).toEqual(['Base', 'Dream Home']);
+    expect(state.scenarios[0].selections.network).toBe('better');
+    expect(state.scenarios[1].selections).toEqual({ network: 'best', audio: 'best' });
+  });
+
+  it('lists where a stale save differs from the saved budget', () => {
+    const mine = { ...base, selections: { ...base.selections, audio: 'better' }, total: 9000 };
+    const theirs = { ...base, extras: { leak: true } };
+    expect(compareStates(mine, theirs)).toEqual([
+      { path: ['selections', 'audio'], mine: 'better', theirs: 'good' },
+      { path: ['extras', 'leak'], mine: false, theirs: true }
+    ]);
+    expect(compareStates(base, { ...base, total: 1 })).toEqual([]);
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, expect, it } from 'vitest';
+import catalogDiff from '../src/utils/catalog-diff.js';
+
+const { diffCategoryDefaults } = catalogDiff;
+
+function catalog(overrides = {}) {
+  return {
+    residential_categories: [
+      {
+        id: 'network',
+        name: 'Networking',
+        section: 'Infrastructure',
+        tiers: {
+          good: { price: 5000, label: 'Essential', features: ['Router', 'Two APs'] },
+          better: { price: 9000, label: 'Comprehensive', features: ['Router', 'Four APs'] }
+        }
+      },
+      { id: 'audio', name: 'Audio', section: 'Entertainment', tiers: { good: { price: 3000, label: 'Basic', features: [] } } }
+    ],
+    residential_sections: [{ id: 'infrastructure', name: 'Infrastructure' }],
+    residential_extras: [{ id: 'poolAlarm', name: 'Pool Alarm', price: 2200 }],
+    condo_categories: [],
+    condo_sections: [],
+    condo_extras: [],
+    base_sqft: 4000,
+    tax_settings: { rate: 0.06, label: 'Sales Tax', presets: [] },
+    ...overrides
+  };
+}
+
+describe('diffCategoryDefaults', () => {
+  it('reports no changes for identical catalogs', () => {
+    const diff = diffCategoryDefaults(catalog(), catalog());
+    expect(diff.unchanged).toBe(true);
+    expect(diff.changeCount).toBe(0);
+  });
+
+  it('reports tier price and feature changes per category', () => {
+    const after = catalog();
+    after.residential_categories[0].tiers.good = { price: 5500, label: 'Essential', features: ['Router', 'Three APs'] };
+    const diff = diffCategoryDefaults(catalog(), after);
+    const [network] = diff.propertyTypes.residential.categories.changed;
+    expect(network.id).toBe('network');
+    expect(network.tiers).toEqual([expect.objectContaining({
+      tier: 'good',
+      status: 'changed',
+      priceBefore: 5000,
+      priceAfter: 5500,
+      featuresAdded: ['Three APs'],
+      featuresRemoved: ['Two APs']
+    })]);
+    expect(diff.changeCount).toBe(1);
+  });
+
+  it('reports added and removed categories, extras and settings', () => {
+    const after = catalog({
+      residential_extras: [{ id: 'poolAlarm', name: 'Pool Alarm', price: 2500 }],
+      base_sqft: 5000,
+      tax_settings: { rate: 0.07, label: 'Sales Tax', presets: [] }
+    });
+    after.residential_categories = [
+      after.residential_categories[0],
+      { id: 'shades', name: 'Shades', section: 'Comfort', tiers: {} }
+    ];
+    const diff = diffCategoryDefaults(catalog(), after);
+    const residential = diff.propertyTypes.residential;
+    expect(residential.categories.added).toEqual([{ id: 'shades', name: 'Shades' }]);
+    expect(residential.categories.removed).toEqual([{ id: 'audio', name: 'Audio' }]);
+    expect(residential.extras.changed[0].fields).toEqual([{ field: 'price', before: 2200, after: 2500 }]);
+    expect(diff.settings.map(setting => setting.field)).toEqual(['base_sqft', 'tax_settings']);
+  });
+
+  it('treats a missing previous revision as everything added', () => {
+    const diff = diffCategoryDefaults(null, catalog());
+    expect(diff.propertyTypes.residential.categories.added).toHaveLength(2);
+    expect(diff.unchanged).toBe(false);
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, expect, it } from 'vitest';
+import categoryReport from '../src/utils/category-report.js';
+
+const { CATEGORY_REPORT_COLUMNS, buildCategoryReport } = categoryReport;
+
+const catalogs = {
+  residential: [
+    {
+      id: 'networking',
+      name: 'Networking',
+      section: 'Infrastructure',
+      featureMatrix: [{ id: 'outdoor-ap', label: 'Outdoor access point' }, { id: 'backup', label: 'Battery backup' }]
+    },
+    { id: 'audio', name: 'Audio', section: 'Entertainment' }
+  ],
+  condo: [{ id: 'networking', name: 'Condo Networking', section: 'Infrastructure' }]
+};
+
+const budgets = [
+  {
+    id: 'b1', propertyType: 'residential',
+    selections: { networking: 'better', custom_1: 'good' },
+    addOns: { networking: { better: { 'outdoor-ap': true, backup: false }, best: { backup: true } } }
+  },
+  { id: 'b2', propertyType: null, selections: { networking: 'good', audio: 'best' }, addOns: {} },
+  { id: 'b3', propertyType: 'condo', selections: { networking: 'best' }, addOns: {} }
+];
+
+const versions = [
+  { budgetId: 'b1', versionNumber: 1, isClient: false, selections: { networking: 'best', audio: 'good' } },
+  { budgetId: 'b1', versionNumber: 2, isClient: true, selections: { networking: 'better' } },
+  { budgetId: 'b2', versionNumber: 2, isClient: true, selections: { networking: 'good', audio: 'best' } },
+  { budgetId: 'b2', versionNumber: 1, isClient: false, selections: { networking: 'good', audio: 'good' } }
+];
+
+const report = (propertyType = 'all') => buildCategoryReport({ budgets, versions, catalogs }, { propertyType });
+
+describe('category report', () => {
+  it('reports every template category per property type, in catalog order', () => {
+    const { budgetCount, categories } = report();
+    expect(budgetCount).toBe(3);
+    expect(categories.map(row => [row.propertyType, row.categoryId])).toEqual([
+      ['residential', 'networking'],
+      ['residential', 'audio'],
+      ['condo', 'networking']
+    ]);
+    expect(report('condo')).toMatchObject({ budgetCount: 1, categories: [{ name: 'Condo Networking', budgetCount: 1, tiers: { best: 1 } }] });
+  });
+
+  it('counts tier shares, client downgrades and removals', () => {
+    const [networking, audio] = report('residential').categories;
+    expect(networking).toMatchObject({
+      budgetCount: 2,
+      selectedCount: 2,
+      tiers: { good: 1, standard: 0, better: 1, best: 0 },
+      initialPickCount: 2,
+      clientDowngradeCount: 1,
+      clientDowngradeRate: 0.5,
+      removedCount: 0
+    });
+    expect(audio).toMatchObject({
+      selectedCount: 1,
+      tiers: { best: 1 },
+      clientDowngradeCount: 0,
+      everSelectedCount: 2,
+      removedCount: 1,
+      removedRate: 0.5
+    });
+  });
+
+  it('counts the add-ons chosen on the selected tier', () => {
+    const [networking, audio] = report('residential').categories;
+    expect(networking.addOns).toEqual([{ id: 'outdoor-ap', label: 'Outdoor access point', count: 1 }]);
+    expect(audio.addOns).toEqual([]);
+  });
+
+  it('exports shares as fractions', () => {
+    const [networking] = report('residential').categories;
+    const row = Object.fromEntries(CATEGORY_REPORT_COLUMNS.map(column => [column.header, column.value(networking)]));
+    expect(row).toMatchObject({ Category: 'Networking', Budgets: 2, Selected: 1, Good: 0.5, Best: 0, 'Client Downgrades': 0.5, 'Add-ons Chosen': 'Outdoor access point (1)' });
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, expect, it } from 'vitest';
+import emailDelivery from '../src/utils/email-delivery.js';
+
+const { deliveryEventUpdate, signWebhookPayload, verifyWebhookSignature } = emailDelivery;
+
+const secret = `whsec_${Buffer.from('delivery-test-secret').toString('base64')}`;
+const now = new Date('2026-10-19T12:00:00Z');
+
+describe('email delivery', () => {
+  it('verifies webhook signatures over the raw body', () => {
+    const payload = '{"type":"email.delivered"}';
+    const headers = signWebhookPayload(secret, payload, { id: 'msg_1', now });
+    expect(verifyWebhookSignature(secret, headers, payload, now)).toBe(true);
+    expect(verifyWebhookSignature(secret, headers, '{"type":"email.bounced"}', now)).toBe(false);
+    expect(verifyWebhookSignature(secret, { ...headers, 'svix-id': 'msg_2' }, payload, now)).toBe(false);
+    expect(verifyWebhookSignature(null, headers, payload, now)).toBe(false);
+  });
+
+  it('accepts any one of several signatures and rejects stale timestamps', () => {
+    const payload = '{}';
+    const headers = signWebhookPayload(secret, payload, { id: 'msg_1', now });
+    const rotated = { ...headers, 'svix-signature': `v1,bm90LXRoaXMtb25l ${headers['svix-signature']}` };
+    expect(verifyWebhookSignature(secret, rotated, payload, now)).toBe(true);
+    expect(verifyWebhookSignature(secret, headers, payload, new Date(now.getTime() + 10 * 60 * 1000))).toBe(false);
+  });
+
+  it('moves the status forward and records opens once', () => {
+    const row = { status: 'sent', opened_at: null, events: [] };
+    const delivered = deliveryEventUpdate(row, { type: 'email.delivered', created_at: '2026-10-19T10:00:00Z' }, 'msg_1');
+    expect(delivered).toEqual({
+      status: 'delivered',
+      status_at: '2026-10-19T10:00:00Z',
+      events: [{ id: 'msg_1', type: 'delivered', at: '2026-10-19T10:00:00Z' }]
+    });
+
+    const afterDelivery = { ...row, ...delivered };
+    const delayed = deliveryEventUpdate(afterDelivery, { type: 'email.delivery_delayed', created_at: '2026-10-19T09:00:00Z' });
+    expect(delayed.status).toBeUndefined();
+    expect(delayed.events).toHaveLength(2);
+
+    const opened = deliveryEventUpdate(afterDelivery, { type: 'email.opened', created_at: '2026-10-19T11:00:00Z' });
+    expect(opened.opened_at).toBe('2026-10-19T11:00:00Z');
+    expect(deliveryEventUpdate({ ...afterDelivery, ...opened }, { type: 'email.opened', created_at: '2026-10-19T12:00:00Z' }).opened_at).toBeUndefined();
+  });
+
+  it('keeps the bounce reason and ignores repeats and unknown events', () => {
+    const row = { status: 'delivered', events: [{ id: 'msg_1', type: 'delivered', at: '2026-10-19T10:00:00Z' }] };
+    expect(deliveryEventUpdate(row, { type: 'email.bounced', data: { bounce: { message: 'No such user' } } })).toMatchObject({ status: 'bounced', error: 'No such user' });
+    expect(deliveryEventUpdate(row, { type: 'email.delivered' }, 'msg_1')).toBeNull();
+    expect(deliveryEventUpdate(row, { type: 'contact.created' })).toBeNull();
+  });
+});
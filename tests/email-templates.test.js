@@ -0,0 +1,80 @@
+import { describe, expect, it } from 'vitest';
+import render from '../src/utils/email-template-render.js';
+import emailTemplates from '../src/utils/email-templates.js';
+
+const { renderEmailTemplate, templateProblems } = render;
+const { EMAIL_TEMPLATE_DEFINITIONS, EMAIL_TEMPLATE_KEYS, changeNotificationEmail, defaultEmailTemplate, proposalEmail } = emailTemplates;
+
+const button = { html: '<a href="https://example.com">Go</a>', text: 'Go: https://example.com' };
+
+describe('email template rendering', () => {
+  it('escapes both the template and the values in the HTML part', () => {
+    const { subject, html, text } = renderEmailTemplate(
+      { subject: 'Hello {{clientName}}', body: '<b>Hi</b> **{{clientName}}**,\nthanks' },
+      { values: { clientName: '<script>**x**</script>' }, paragraphStyle: 'margin:0' }
+    );
+    expect(subject).toBe('Hello <script>**x**</script>');
+    expect(html).toBe('<p style="margin:0">&lt;b&gt;Hi&lt;/b&gt; <strong>&lt;script&gt;&#42;&#42;x&#42;&#42;&lt;/script&gt;</strong>,<br>thanks</p>');
+    expect(text).toBe('<b>Hi</b> <script>**x**</script>,\nthanks');
+  });
+
+  it('shows sections by whether a value is set', () => {
+    const template = { subject: 'x', body: 'Hi{{#name}} {{name}}{{/name}}{{^name}} there{{/name}},' };
+    expect(renderEmailTemplate(template, { values: { name: 'Pat' } }).text).toBe('Hi Pat,');
+    expect(renderEmailTemplate(template, { values: { name: '' } }).text).toBe('Hi there,');
+  });
+
+  it('renders blocks standing alone as their HTML and drops empty paragraphs', () => {
+    const template = { subject: 'x', body: 'Intro\n\n{{button}}\n\n{{#missing}}gone{{/missing}}\n\nInline {{button}}' };
+    const { html, text } = renderEmailTemplate(template, { blocks: { button } });
+    expect(html).toBe('<p style="">Intro</p><a href="https://example.com">Go</a><p style="">Inline Go: https://example.com</p>');
+    expect(text).toBe('Intro\n\nGo: https://example.com\n\nInline Go: https://example.com');
+  });
+
+  it('reports unknown placeholders and unbalanced sections', () => {
+    expect(templateProblems({ subject: '{{clientName}}', body: '{{#total}}{{total}}{{/total}}' }, ['clientName', 'total'])).toEqual([]);
+    expect(templateProblems({ subject: '{{client}}', body: '{{#total}}open' }, ['clientName', 'total'])).toEqual([
+      'Unknown placeholder {{client}} in the subject',
+      'Section {{#total}} in the body is never closed'
+    ]);
+  });
+});
+
+describe('built-in email templates', () => {
+  it('only use their own placeholders', () => {
+    EMAIL_TEMPLATE_KEYS.forEach(key => {
+      const { placeholders, blocks } = EMAIL_TEMPLATE_DEFINITIONS[key];
+      expect(templateProblems(defaultEmailTemplate(key), [...Object.keys(placeholders), ...Object.keys(blocks)])).toEqual([]);
+    });
+  });
+
+  it('mention the new total in a change notification only when it changed', () => {
+    const budget = { id: 'b1', clientName: 'Lee & Co', createdByEmail: 'sam@gamma.tech', currentState: { total: 1000 } };
+    const changed = changeNotificationEmail(budget, { total: 1500 }, 'https://app.test');
+    expect(changed.subject).toBe('Budget update: Lee & Co ($1,500)');
+    expect(changed.html).toContain('<strong>Lee &amp; Co</strong> made changes');
+    expect(changed.html).toContain('href="https://app.test/b/b1"');
+    expect(changed.text).toContain('Total changed: $1,000 → $1,500');
+
+    const unchanged = changeNotificationEmail(budget, { total: 1000 }, 'https://app.test');
+    expect(unchanged.subject).toBe('Budget update: Lee & Co');
+    expect(unchanged.text).not.toContain('Total changed');
+  });
+
+  it('sign a proposal with the sender and give it a plain-text line item list', () => {
+    const email = proposalEmail({
+      categories: [{ name: 'Networking', tier: 'good', price: 5700 }],
+      extras: [],
+      catMods: [],
+      modifiers: [],
+      subtotal: 5700,
+      tax: 0,
+      total: 5700
+    }, '', { owner: { email: 'sam@gamma.tech', name: 'Sam Sales', signature: 'Sam Sales\nProject Designer' } });
+    expect(email.subject).toBe('Your Technology Budget from Gamma Tech');
+    expect(email.html).toContain('Hi,');
+    expect(email.html).toContain('Sam Sales<br>Project Designer');
+    expect(email.text).toContain('Networking (good): $5,700');
+    expect(email.text).not.toContain('View & customize');
+  });
+});
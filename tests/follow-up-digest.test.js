@@ -0,0 +1,70 @@
+import { describe, expect, it } from 'vitest';
+import followUpDigest from '../src/utils/follow-up-digest.js';
+
+const { addDays, awaitingReplyCandidates, buildFollowUpDigests, localDateKey, localHour } = followUpDigest;
+
+// 8:30 in the morning on Oct 19 in New York.
+const now = new Date('2026-10-19T12:30:00Z');
+
+const budget = (overrides) => ({
+  status: 'active',
+  isExpired: false,
+  followUpDate: null,
+  lastClientActivity: null,
+  expiresAt: null,
+  createdByEmail: 'sam@gamma.tech',
+  ...overrides
+});
+
+const budgets = [
+  budget({ id: 'overdue', followUpDate: '2026-10-18' }),
+  budget({ id: 'idle', lastClientActivity: '2026-10-01T15:00:00Z' }),
+  budget({ id: 'expiring', expiresAt: '2026-10-24' }),
+  budget({ id: 'later', expiresAt: '2026-11-30' }),
+  budget({ id: 'awaiting', lastClientActivity: '2026-10-18T20:00:00Z' }),
+  budget({ id: 'replied', lastClientActivity: '2026-10-18T20:00:00Z' }),
+  budget({ id: 'won', status: 'won', followUpDate: '2026-10-01', expiresAt: '2026-10-20' }),
+  budget({ id: 'other-owner', createdByEmail: 'Morgan@Gamma.tech', followUpDate: '2026-10-10' }),
+  budget({ id: 'unowned', createdByEmail: null, followUpDate: '2026-10-10' })
+];
+
+const ids = list => list.map(item => item.id);
+
+describe('follow-up digest', () => {
+  it('works in calendar days of the business time zone', () => {
+    expect(localDateKey(new Date('2026-10-20T02:00:00Z'))).toBe('2026-10-19');
+    expect(localHour(now)).toBe(8);
+    expect(localHour(now, 'UTC')).toBe(12);
+    expect(addDays('2026-10-30', 3)).toBe('2026-11-02');
+  });
+
+  it('groups overdue, awaiting and expiring budgets by owner', () => {
+    const digests = buildFollowUpDigests(budgets, { now, lastReplyAt: { replied: '2026-10-19T09:00:00Z' } });
+    expect(digests.map(digest => digest.ownerEmail)).toEqual(['sam@gamma.tech', 'morgan@gamma.tech']);
+    const [sam, morgan] = digests;
+    expect(ids(sam.overdue)).toEqual(['overdue', 'idle']);
+    expect(ids(sam.awaitingReply)).toEqual(['awaiting']);
+    expect(ids(sam.expiring)).toEqual(['expiring']);
+    expect(ids(morgan.overdue)).toEqual(['other-owner']);
+  });
+
+  it('leaves out owners who turned the digest off and widens the expiry window on request', () => {
+    const digests = buildFollowUpDigests(budgets, {
+      now,
+      settings: {
+        'sam@gamma.tech': { followUpDigest: true, expiringWithinDays: 60 },
+        'morgan@gamma.tech': { followUpDigest: false }
+      }
+    });
+    expect(digests.map(digest => digest.ownerEmail)).toEqual(['sam@gamma.tech']);
+    expect(ids(digests[0].expiring)).toEqual(['expiring', 'later']);
+  });
+
+  it('skips owners with nothing to report', () => {
+    expect(buildFollowUpDigests([budget({ id: 'quiet', expiresAt: '2026-12-31' })], { now })).toEqual([]);
+  });
+
+  it('lists the budgets that might be awaiting a reply', () => {
+    expect(ids(awaitingReplyCandidates(budgets, now))).toEqual(['awaiting', 'replied']);
+  });
+});
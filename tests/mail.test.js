@@ -0,0 +1,81 @@
+// @vitest-environment node
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import mail from '../src/mail/index.js';
+import outboxTransport from '../src/mail/outbox-transport.js';
+import smtpTransport from '../src/mail/smtp-transport.js';
+
+const { createMailer } = mail;
+const { createOutboxTransport } = outboxTransport;
+const { createSmtpTransport } = smtpTransport;
+
+const message = {
+  from: 'Gamma Tech Budget Planner <BudgetPlanner@gamma.tech>',
+  to: ['client@example.com'],
+  cc: 'designer@example.com',
+  replyTo: 'sam@gamma.tech',
+  subject: 'Your budget',
+  html: '<p>Hello</p>',
+  text: 'Hello'
+};
+
+describe('email transports', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('picks the transport from EMAIL_TRANSPORT', () => {
+    expect(createMailer({ transport: 'resend', resendApiKey: '' })).toMatchObject({ name: 'resend', configured: false });
+    expect(createMailer({ transport: ' Outbox ', outboxDir: dir })).toMatchObject({ name: 'outbox', configured: true });
+    expect(createMailer({ transport: 'smtp', smtp: 'smtp://localhost:2525' }).name).toBe('smtp');
+    expect(() => createMailer({ transport: 'smtp', smtp: '' })).toThrow('SMTP_URL');
+    expect(() => createMailer({ transport: 'pigeon' })).toThrow('Unknown EMAIL_TRANSPORT');
+  });
+
+  it('fails sends without a Resend key the way Resend reports errors', async () => {
+    const { data, error } = await createMailer({ transport: 'resend', resendApiKey: '' }).emails.send(message);
+    expect(data).toBeNull();
+    expect(error.message).toContain('RESEND_API_KEY');
+  });
+
+  it('writes outbox messages to disk and reads them back newest first', async () => {
+    const outbox = createOutboxTransport({ dir });
+    const first = await outbox.emails.send(message);
+    const second = await outbox.emails.send({ ...message, subject: 'Second' });
+    expect(first.error).toBeNull();
+    expect(fs.readdirSync(dir)).toHaveLength(2);
+
+    const listed = await outbox.outbox.list();
+    expect(listed.map(item => item.subject)).toEqual(['Second', 'Your budget']);
+    expect(listed[0]).toMatchObject({ id: second.data.id, to: ['client@example.com'], cc: 'designer@example.com', createdAt: expect.any(String) });
+    expect(listed[0].html).toBeUndefined();
+
+    expect(await outbox.outbox.find(first.data.id)).toMatchObject({ subject: 'Your budget', html: '<p>Hello</p>', replyTo: 'sam@gamma.tech' });
+    expect(await outbox.outbox.find('../../etc/passwd')).toBeNull();
+    expect(await outbox.outbox.find('outbox-1-abc')).toBeNull();
+  });
+
+  it('reads an outbox that was never written to as empty', async () => {
+    expect(await createOutboxTransport({ dir: path.join(dir, 'missing') }).outbox.list()).toEqual([]);
+  });
+
+  it('hands SMTP messages to nodemailer and reports its message id', async () => {
+    const smtp = createSmtpTransport({ jsonTransport: true });
+    const { data, error } = await smtp.emails.send(message);
+    expect(error).toBeNull();
+    expect(data.id).toEqual(expect.any(String));
+
+    const unreachable = createSmtpTransport({ host: '127.0.0.1', port: 1, connectionTimeout: 500, greetingTimeout: 500 });
+    const failed = await unreachable.emails.send(message);
+    expect(failed.data).toBeNull();
+    expect(failed.error.message).toEqual(expect.any(String));
+  });
+});
@@ -0,0 +1,43 @@
+import { describe, expect, it } from 'vitest';
+import permissions from '../public/src/utils/permissions.js';
+
+const { ROLES, can, canDeleteBudget, getUserRole, permissionsFor } = permissions;
+
+const userWithRole = (role, email = 'sam@gamma.tech') => ({ email, app_metadata: role ? { role } : {} });
+
+describe('staff permissions', () => {
+  it('treats users without a known role as salespeople', () => {
+    expect(getUserRole(userWithRole())).toBe('salesperson');
+    expect(getUserRole(userWithRole('owner'))).toBe('salesperson');
+    expect(getUserRole(null)).toBe('salesperson');
+    expect(getUserRole(userWithRole('pricing_admin'))).toBe('pricing_admin');
+  });
+
+  it('lets everyone view but only editors change budgets', () => {
+    for (const role of ROLES) {
+      expect(can(userWithRole(role), 'budgets.view')).toBe(true);
+      expect(can(userWithRole(role), 'budgets.edit')).toBe(role !== 'read_only');
+    }
+    expect(can(null, 'budgets.view')).toBe(false);
+  });
+
+  it('limits pricing, library and user management to their roles', () => {
+    expect(permissionsFor('salesperson')).toEqual(['budgets.view', 'budgets.edit', 'budgets.delete.own', 'pricing.view']);
+    expect(permissionsFor('pricing_admin')).toEqual(expect.arrayContaining(['pricing.edit', 'library.edit', 'budgets.reprice']));
+    expect(permissionsFor('pricing_admin')).not.toContain('budgets.delete.any');
+    expect(permissionsFor('sales_manager')).not.toContain('pricing.edit');
+    expect(permissionsFor('read_only')).toEqual(['budgets.view', 'pricing.view']);
+    expect(can(userWithRole('superadmin'), 'users.manage')).toBe(true);
+    expect(can(userWithRole('sales_manager'), 'users.manage')).toBe(false);
+    expect(can(userWithRole('superadmin'), 'unknown.permission')).toBe(false);
+  });
+
+  it('lets salespeople delete only the budgets they created', () => {
+    const salesperson = userWithRole('salesperson', 'Sam@gamma.tech');
+    expect(canDeleteBudget(salesperson, { createdByEmail: 'sam@gamma.tech' })).toBe(true);
+    expect(canDeleteBudget(salesperson, { createdByEmail: 'kim@gamma.tech' })).toBe(false);
+    expect(canDeleteBudget(salesperson, { createdByEmail: null })).toBe(false);
+    expect(canDeleteBudget(userWithRole('sales_manager'), { createdByEmail: 'kim@gamma.tech' })).toBe(true);
+    expect(canDeleteBudget(userWithRole('read_only'), { createdByEmail: 'sam@gamma.tech' })).toBe(false);
+  });
+});
@@ -1,5 +1,12 @@
 import { describe, it, expect } from 'vitest';
-import { getSizeMultiplier } from '../public/src/utils/pricing.js';
+import {
+  calculateBudgetPricing,
+  getSizeMultiplier,
+  getTierPrice,
+  resolveBudgetCategories,
+  resolveBudgetExtras,
+  resolveBudgetTax
+} from '../public/src/utils/pricing.js';
 
 describe('getSizeMultiplier', () => {
   it('returns 1 for baseline 4000 sqft', () => {
@@ -27,3 +34,156 @@ describe('getSizeMultiplier', () => {
     expect(mult2000).toBe(mult2500);
   });
 });
+
+const categories = [{
+  id: 'networking',
+  name: 'Networking',
+  section: 'Infrastructure',
+  sizeScale: 1,
+  tiers: {
+    good: { label: 'Good', price: 10000, features: ['WiFi'] },
+    best: { label: 'Best', price: 20000 }
+  }
+}, {
+  id: 'audio',
+  name: 'Audio',
+  section: 'Entertainment',
+  sizeScale: 0,
+  featureMatrix: [
+    { id: 'outdoor', label: 'Outdoor zone', tierStatus: { good: { status: 'addon', price: 2500 } } }
+  ],
+  tiers: { good: { label: 'Good', price: 8000 } }
+}, {
+  id: 'invisible-speakers',
+  name: 'Invisible Speakers',
+  sizeScale: 0,
+  dependsOn: { categoryId: 'audio', tierKeys: ['best'] },
+  tiers: { good: { label: 'Good', price: 4000 } }
+}];
+
+const extras = [
+  { id: 'surge', name: 'Surge Protection', price: 1000 },
+  { id: 'rack', name: 'Equipment Rack', price: 2000, sizeScale: 1 }
+];
+
+describe('calculateBudgetPricing', () => {
+  it('builds a line-item breakdown with add-ons, adjustments, extras and tax', () => {
+    const result = calculateBudgetPricing({
+      selections: { networking: 'good', audio: 'good', 'invisible-speakers': 'good' },
+      addOns: { audio: { good: { outdoor: true } } },
+      catMods: { networking: { name: 'Extra AP', amount: 500 }, audio: { name: 'Unused', amount: 0 } },
+      extras: { surge: true, rack: true },
+      modifiers: [{ id: 1, name: 'Credit', amount: -1000 }, { id: 2, name: 'Empty', amount: 0 }],
+      homeSize: 6000
+    }, { categories, extras });
+
+    expect(result.categories.map(line => line.categoryId)).toEqual(['networking', 'audio']);
+    expect(result.categories[0]).toMatchObject({ basePrice: 15000, adjustment: { name: 'Extra AP', amount: 500 }, total: 15500 });
+    expect(result.categories[1]).toMatchObject({ basePrice: 8000, addOnTotal: 2500, total: 10500 });
+    expect(result.extras.map(line => line.price)).toEqual([1000, 3000]);
+    expect(result.modifiers).toEqual([{ id: 1, name: 'Credit', amount: -1000 }]);
+    expect(result.subtotal).toBe(29000);
+    expect(result.tax).toBe(1740);
+    expect(result.total).toBe(30740);
+  });
+
+  it('ignores selections for disabled or missing tiers', () => {
+    const result = calculateBudgetPricing({
+      selections: { networking: 'better', audio: null },
+      catMods: { networking: { name: 'Orphan', amount: 900 } }
+    }, { categories, extras });
+    expect(result.categories).toEqual([]);
+    expect(result.total).toBe(0);
+  });
+
+  it('leaves out adjustments on categories that are not priced, which lowers some stored totals', () => {
+    // A budget saved before the shared engine: audio was deselected after its
+    // adjustment was entered. The old server total added every catMods entry.
+    const stored = {
+      selections: { networking: 'good', audio: null },
+      catMods: { networking: { name: 'Extra AP', amount: 500 }, audio: { name: 'Outdoor zone', amount: 900 } },
+      homeSize: 4000
+    };
+    const result = calculateBudgetPricing(stored, { categories, extras });
+    const baselineSubtotal = result.categories.reduce((sum, line) => sum + line.basePrice, 0)
+      + Object.values(stored.catMods).reduce((sum, mod) => sum + mod.amount, 0);
+
+    expect(result.categories.map(line => [line.categoryId, line.adjustment])).toEqual([['networking', { name: 'Extra AP', amount: 500 }]]);
+    expect(result.subtotal).toBe(baselineSubtotal - 900);
+    expect(result.total).toBe(Math.round(baselineSubtotal * 1.06) - 954);
+  });
+});
+
+describe('budget customization', () => {
+  it('applies price overrides as fixed prices and keeps unpriced tiers scaled', () => {
+    const resolved = resolveBudgetCategories(categories, {
+      isCustomized: true,
+      categoryConfig: {
+        networking: { tiers: { good: { price: 12345 }, best: { enabled: false } } },
+        audio: { hidden: true }
+      },
+      customCategories: [{ id: 'custom-golf', name: 'Golf', tiers: { good: { price: 50000 } } }]
+    });
+
+    const networking = resolved.find(category => category.id === 'networking');
+    expect(getTierPrice(networking, 'good', 6000)).toBe(12345);
+    expect(getTierPrice(networking, 'best', 6000)).toBeNull();
+    expect(resolved.some(category => category.id === 'audio')).toBe(false);
+    expect(getTierPrice(resolved.find(category => category.id === 'custom-golf'), 'good', 6000)).toBe(50000);
+  });
+
+  it('leaves uncustomized budgets on their snapshot pricing', () => {
+    const resolved = resolveBudgetCategories(categories, {
+      isCustomized: false,
+      categoryConfig: { networking: { tiers: { good: { price: 1 } } } }
+    });
+    expect(getTierPrice(resolved[0], 'good', 4000)).toBe(10000);
+  });
+
+  it('hides and reprices extras on customized budgets', () => {
+    const resolved = resolveBudgetExtras(extras, {
+      isCustomized: true,
+      extraConfig: { surge: { hidden: true }, rack: { price: 2500 } }
+    });
+    expect(resolved).toEqual([{ id: 'rack', name: 'Equipment Rack', price: 2500, sizeScale: 0 }]);
+  });
+});
+
+describe('sales tax', () => {
+  const taxSettings = {
+    rate: 0.06,
+    label: 'FL Sales Tax',
+    presets: [{ id: 'miami-dade', label: 'Miami-Dade', rate: 0.07 }]
+  };
+
+  it('falls back to the default rate and honors presets or custom overrides', () => {
+    expect(resolveBudgetTax(taxSettings, null)).toEqual({ rate: 0.06, label: 'FL Sales Tax', presetId: null });
+    expect(resolveBudgetTax(taxSettings, { presetId: 'miami-dade' })).toEqual({ rate: 0.07, label: 'Miami-Dade', presetId: 'miami-dade' });
+    expect(resolveBudgetTax(taxSettings, { presetId: 'removed' }).rate).toBe(0.06);
+    expect(resolveBudgetTax(taxSettings, { rate: 0.075 })).toEqual({ rate: 0.075, label: 'FL Sales Tax', presetId: null });
+    expect(resolveBudgetTax({}, null)).toEqual({ rate: 0.06, label: 'Sales Tax', presetId: null });
+  });
+
+  it('only taxes taxable categories and extras', () => {
+    const result = calculateBudgetPricing({
+      selections: { networking: 'good', design: 'good' },
+      extras: { surge: true, labor: true }
+    }, {
+      categories: [
+        categories[0],
+        { id: 'design', name: 'Design Fee', taxable: false, sizeScale: 0, tiers: { good: { price: 5000 } } }
+      ],
+      extras: [extras[0], { id: 'labor', name: 'Labor Only', price: 3000, taxable: false }],
+      taxRate: 0.07,
+      taxLabel: 'Miami-Dade'
+    });
+
+    expect(result.categories.map(line => line.taxable)).toEqual([true, false]);
+    expect(result.extras.map(line => line.taxable)).toEqual([true, false]);
+    expect(result.subtotal).toBe(19000);
+    expect(result.taxableSubtotal).toBe(11000);
+    expect(result.tax).toBe(770);
+    expect(result.taxLabel).toBe('Miami-Dade');
+    expect(result.total).toBe(19770);
+  });
+});
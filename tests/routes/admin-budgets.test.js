@@ -0,0 +1,240 @@
+// @vitest-environment node
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import request from 'supertest';
+import { MANAGER, PRICING_ADMIN, STAFF, createBudget, createTestApp, quietConsole } from './harness.js';
+
+describe('admin budget routes', () => {
+  let ctx;
+  let api;
+
+  beforeEach(async () => {
+    quietConsole();
+    ctx = await createTestApp();
+    api = request(ctx.app);
+  });
+
+  afterEach(() => {
+    ctx.close();
+    vi.restoreAllMocks();
+  });
+
+  it('requires sign-in', async () => {
+    expect((await api.get('/api/admin/budgets')).status).toBe(401);
+    expect((await api.post('/api/admin/budgets').send({ homeSize: 4000, propertyType: 'residential' })).status).toBe(401);
+  });
+
+  it('creates a budget from the admin and lists it', async () => {
+    const created = await api.post('/api/admin/budgets').set(STAFF).send({ clientName: 'Jones', homeSize: 5200, propertyType: 'residential' });
+    expect(created.status).toBe(200);
+
+    const list = await api.get('/api/admin/budgets').set(STAFF);
+    expect(list.status).toBe(200);
+    expect(list.body).toMatchObject({ total: 1, page: 1, pageSize: 50 });
+    expect(list.body.budgets).toEqual([expect.objectContaining({ id: created.body.id, clientName: 'Jones', homeSize: 5200, status: 'active' })]);
+
+    const budget = await api.get(`/api/admin/budgets/${created.body.id}`).set(STAFF);
+    expect(budget.body.currentState.homeSize).toBe(5200);
+  });
+
+  it('pages, searches and filters the budget list', async () => {
+    for (const clientName of ['Baker', 'Adams', 'Clark']) {
+      await api.post('/api/admin/budgets').set(STAFF).send({ clientName, homeSize: 4000, propertyType: 'residential' });
+    }
+    const list = async query => (await api.get(`/api/admin/budgets?${query}`).set(STAFF)).body;
+    const names = body => body.budgets.map(budget => budget.clientName);
+
+    const first = await list('pageSize=2&sort=clientName&direction=asc');
+    expect(names(first)).toEqual(['Adams', 'Baker']);
+    expect(first).toMatchObject({ total: 3, page: 1, pageSize: 2, summary: { createdThisWeek: 3 } });
+    expect(names(await list('pageSize=2&page=2&sort=clientName&direction=asc'))).toEqual(['Clark']);
+    expect(await list('pageSize=2&page=9')).toMatchObject({ budgets: [], total: 3 });
+
+    const search = await list('search=BAK');
+    expect(names(search)).toEqual(['Baker']);
+    expect(search.total).toBe(1);
+    expect((await list('owner=unassigned')).total).toBe(3);
+    expect((await list('owner=sam%40gamma.tech')).total).toBe(0);
+    expect((await list('status=won')).total).toBe(0);
+
+    expect((await api.get('/api/admin/budgets?pageSize=500').set(STAFF)).status).toBe(400);
+    expect((await api.get('/api/admin/budgets?status=maybe').set(STAFF)).status).toBe(400);
+
+    const directory = await api.get('/api/admin/budgets/directory').set(STAFF);
+    expect(directory.body.map(budget => budget.clientName).sort()).toEqual(['Adams', 'Baker', 'Clark']);
+  });
+
+  it('filters every budget itself where search_budgets is not installed', async () => {
+    await createBudget(api);
+    await api.post('/api/admin/budgets').set(STAFF).send({ clientName: 'Jones', homeSize: 5200, propertyType: 'residential' });
+    const query = '/api/admin/budgets?sort=clientName&direction=asc&pageSize=1';
+    const fromDatabase = (await api.get(query).set(STAFF)).body;
+
+    vi.spyOn(ctx.storage.budgets, 'search').mockRejectedValue(new Error('rpc search_budgets: function search_budgets does not exist'));
+    const fallback = (await api.get(query).set(STAFF)).body;
+    expect(fallback).toEqual(fromDatabase);
+    expect(fallback.budgets[0].clientName).toBe('Jones');
+  });
+
+  it('validates new admin budgets', async () => {
+    const res = await api.post('/api/admin/budgets').set(STAFF).send({ homeSize: 4000, propertyType: 'castle' });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid budget details');
+    expect(res.body.details[0].path).toEqual(['propertyType']);
+  });
+
+  it('updates CRM fields and rejects unknown statuses', async () => {
+    const { id } = await createBudget(api);
+    const saved = await api.patch(`/api/admin/budgets/${id}/meta`).set(STAFF).send({ status: 'won', notes: 'Signed at showroom' });
+    expect(saved.status).toBe(200);
+    expect((await ctx.services.budgets.loadBudget(id)).status).toBe('won');
+
+    const invalid = await api.patch(`/api/admin/budgets/${id}/meta`).set(STAFF).send({ status: 'maybe' });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error).toBe('Invalid status');
+  });
+
+  it('clones a budget and restores an earlier version', async () => {
+    const { id } = await createBudget(api);
+    const clone = await api.post(`/api/admin/budgets/${id}/clone`).set(STAFF).send({});
+    expect(clone.status).toBe(200);
+    expect((await ctx.services.budgets.loadBudget(clone.body.id)).clientName).toBe('Smith Copy');
+
+    const restored = await api.post(`/api/admin/budgets/${id}/restore/1`).set(STAFF);
+    expect(restored.status).toBe(200);
+    expect(restored.body).toMatchObject({ success: true, newVersion: 2, revision: 2 });
+    expect((await api.post(`/api/admin/budgets/${id}/restore/9`).set(STAFF)).status).toBe(404);
+  });
+
+  it('compares two budgets and exports the list', async () => {
+    const left = await createBudget(api);
+    const right = await createBudget(api, { selections: { networking: 'better' } });
+    const compare = await api.get(`/api/admin/budgets/compare?left=${left.id}&right=${right.id}`).set(STAFF);
+    expect(compare.status).toBe(200);
+    expect(compare.body.left.budgetId).toBe(left.id);
+
+    expect((await api.get('/api/admin/budgets/compare?left=x').set(STAFF)).status).toBe(400);
+
+    const csv = await api.get('/api/admin/budgets/export?format=csv').set(STAFF);
+    expect(csv.status).toBe(200);
+    expect(csv.headers['content-disposition']).toContain('.csv');
+    expect(csv.text.split('\n').length).toBeGreaterThanOrEqual(3);
+  });
+
+  it('reprices budgets only when asked with valid ids', async () => {
+    const invalid = await api.post('/api/admin/budgets/reprice').set(MANAGER).send({ budgetIds: [] });
+    expect(invalid.status).toBe(400);
+
+    const { id } = await createBudget(api);
+    const res = await api.post('/api/admin/budgets/reprice').set(MANAGER).send({ budgetIds: [id] });
+    expect(res.status).toBe(200);
+    expect(res.body.skipped).toEqual([{ id, reason: 'Not open or already on current pricing' }]);
+  });
+
+  it('lists budgets behind current pricing and reprices only the selected ones', async () => {
+    const selections = { networking: 'good', audio: 'good' };
+    const following = await createBudget(api, { selections });
+    const customized = await createBudget(api, { clientName: 'Jones', selections });
+    const unselected = await createBudget(api, { clientName: 'Lee', selections });
+    const customize = await api.put(`/api/admin/budgets/${customized.id}/customize`).set(STAFF)
+      .send({ categoryConfig: { networking: { tiers: { good: { price: 5000 } } } }, customCategories: [] });
+    expect(customize.status).toBe(200);
+
+    const catalog = (await api.get('/api/admin/categories').set(STAFF)).body;
+    const category = id => catalog.residential_categories.find(entry => entry.id === id);
+    const audioPrice = category('audio').tiers.good.price;
+    category('networking').tiers.good.price += 1000;
+    category('audio').tiers.good.price += 1000;
+    expect((await api.put('/api/admin/categories').set(PRICING_ADMIN).send(catalog)).status).toBe(200);
+
+    // Both tiers moved for the budgets that follow the catalog, only audio for the customized one (plus 6% tax).
+    const listing = await api.get('/api/admin/budgets/reprice').set(STAFF);
+    expect(listing.status).toBe(200);
+    expect(listing.body.openBudgetCount).toBe(3);
+    const deltas = Object.fromEntries(listing.body.budgets.map(budget => [budget.id, budget.delta]));
+    expect(deltas).toEqual({ [following.id]: 2120, [customized.id]: 1060, [unselected.id]: 2120 });
+    expect(listing.body.totalDelta).toBe(5300);
+
+    // The service on its own leaves customized budgets alone unless asked to include them.
+    const defaults = await ctx.services.categories.loadCategoryDefaultsData();
+    expect(await ctx.services.priceChanges.repriceBudgetToDefaults(customized.id, defaults, defaults, { note: 'Test', meta: {} })).toBeNull();
+
+    const res = await api.post('/api/admin/budgets/reprice').set(MANAGER)
+      .send({ budgetIds: [following.id, customized.id, following.id], note: 'Spring' });
+    expect(res.status).toBe(200);
+    expect(res.body.skipped).toEqual([]);
+    expect(res.body.repriced.map(budget => [budget.id, budget.delta])).toEqual([[following.id, 2120], [customized.id, 1060]]);
+    expect(res.body.totalDelta).toBe(3180);
+
+    const remaining = await api.get('/api/admin/budgets/reprice').set(STAFF);
+    expect(remaining.body.budgets.map(budget => budget.id)).toEqual([unselected.id]);
+
+    for (const { id, oldTotal, newTotal } of res.body.repriced) {
+      const budget = await ctx.services.budgets.loadBudget(id);
+      expect(budget.versions.at(-1)).toMatchObject({
+        pinned: true,
+        note: `Repriced to current pricing (Spring): $${oldTotal.toLocaleString('en-US')} → $${newTotal.toLocaleString('en-US')}`
+      });
+    }
+    const { categoryConfig } = await ctx.services.budgets.loadBudget(customized.id);
+    expect(categoryConfig.networking.tiers.good.price).toBe(5000);
+    expect(categoryConfig.audio.tiers.good.price).toBe(audioPrice + 1000);
+    expect((await ctx.services.budgets.loadBudget(unselected.id)).versions.map(version => version.note)).toEqual(['Initial budget']);
+  });
+
+  it('returns 404 for unknown budgets', async () => {
+    expect((await api.get('/api/admin/budgets/missing').set(STAFF)).status).toBe(404);
+    expect((await api.delete('/api/admin/budgets/missing').set(STAFF)).status).toBe(404);
+    expect((await api.post('/api/admin/budgets/missing/clone').set(STAFF).send({})).status).toBe(404);
+    expect((await api.put('/api/admin/budgets/missing/customize').set(STAFF).send({ categoryConfig: {}, customCategories: [] })).status).toBe(404);
+    expect((await api.get('/api/admin/budgets/compare?left=missing&right=missing').set(STAFF)).status).toBe(404);
+    expect((await api.get('/api/admin/budgets/missing/approvals/1').set(STAFF)).status).toBe(404);
+  });
+
+  it('records when a budget closes and summarizes the team pipeline', async () => {
+    const own = (await api.post('/api/budgets').set(STAFF).send({ state: { homeSize: 4000 } })).body;
+    await createBudget(api);
+
+    const closedAt = async () => (await api.get('/api/admin/budgets').set(STAFF)).body.budgets.find(b => b.id === own.id).closedAt;
+
+    await api.patch(`/api/admin/budgets/${own.id}/meta`).set(STAFF).send({ status: 'won' });
+    const firstClosedAt = await closedAt();
+    expect(firstClosedAt).toEqual(expect.any(String));
+    await api.patch(`/api/admin/budgets/${own.id}/meta`).set(STAFF).send({ status: 'won', notes: 'Signed' });
+    expect(await closedAt()).toBe(firstClosedAt);
+
+    expect((await api.get('/api/admin/budgets/team').set(STAFF)).status).toBe(403);
+    const team = await api.get('/api/admin/budgets/team').set(MANAGER);
+    expect(team.status).toBe(200);
+    expect(team.body.owners.map(owner => owner.ownerEmail)).toEqual(['sam@gamma.tech', null]);
+    expect(team.body.owners[0]).toMatchObject({ budgetCount: 1, wonCount: 1, winRate: 1 });
+    expect(team.body.totals.budgetCount).toBe(2);
+
+    await api.patch(`/api/admin/budgets/${own.id}/meta`).set(STAFF).send({ status: 'active' });
+    expect(await closedAt()).toBeNull();
+  });
+
+  it('summarizes sales analytics for managers', async () => {
+    const created = await createBudget(api);
+    const res = await api.put(`/api/budgets/${created.id}`)
+      .set('X-Budget-Edit-Token', new URL(created.url, 'http://localhost').searchParams.get('edit'))
+      .set('If-Match', '"1"')
+      .send({ state: { clientName: 'Smith', homeSize: 4000, propertyType: 'residential', selections: { networking: 'better' } } });
+    expect(res.status).toBe(200);
+
+    expect((await api.get('/api/admin/budgets/analytics').set(STAFF)).status).toBe(403);
+    expect((await api.get('/api/admin/budgets/analytics?days=1000').set(MANAGER)).status).toBe(400);
+    const analytics = await api.get('/api/admin/budgets/analytics?days=30').set(MANAGER);
+    expect(analytics.status).toBe(200);
+    expect(analytics.body).toMatchObject({ days: 30, budgetCount: 1, bucketDays: 1 });
+    expect(analytics.body.viewsOverTime).toHaveLength(30);
+    expect(analytics.body.tierChanges).toEqual([{ categoryId: 'networking', name: expect.any(String), upgrades: 1, downgrades: 0 }]);
+    expect(analytics.body.tierPopularity[0]).toMatchObject({ categoryId: 'networking', budgetCount: 1, tiers: { better: 1 } });
+    expect(analytics.body.totalsByPropertyType).toEqual([{ propertyType: 'residential', budgetCount: 1, averageTotal: expect.any(Number) }]);
+  });
+
+  it('deletes a budget', async () => {
+    const { id } = await createBudget(api);
+    expect((await api.delete(`/api/admin/budgets/${id}`).set(MANAGER)).status).toBe(200);
+    expect((await api.get(`/api/budgets/${id}`)).status).toBe(404);
+  });
+});
@@ -0,0 +1,111 @@
+// @vitest-environment node
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import request from 'supertest';
+import { STAFF, createBudget, createTestApp, quietConsole } from './harness.js';
+
+const draft = {
+  summary: 'Reliable networking plus a theater allowance',
+  assumptions: ['Single-family home'],
+  questions: [],
+  templateSelections: [
+    { categoryId: 'networking', categoryName: 'Whole-Home WiFi & Networking', tierKey: 'good', price: 6000, required: true, rationale: 'Requested WiFi' }
+  ],
+  sections: [{
+    source: 'custom',
+    sourceId: '',
+    name: 'Theater Allowance',
+    icon: '🎬',
+    header: 'Entertainment',
+    required: false,
+    recommendedTier: 'good',
+    rationale: 'Client mentioned a media room',
+    tiers: [{ key: 'good', label: 'Allowance', price: 15040, features: ['Projector'], brands: '' }]
+  }]
+};
+
+function stubOpenAi(outputParsed = draft) {
+  return { responses: { parse: vi.fn(async () => ({ output_parsed: outputParsed })) } };
+}
+
+describe('AI draft routes', () => {
+  let ctx;
+  let api;
+
+  async function setup(options) {
+    quietConsole();
+    ctx = await createTestApp(options);
+    api = request(ctx.app);
+  }
+
+  afterEach(() => {
+    ctx.close();
+    vi.restoreAllMocks();
+  });
+
+  it('reports whether AI drafting is configured', async () => {
+    await setup();
+    expect((await api.get('/api/admin/ai/status').set(STAFF)).body).toEqual({ configured: false, model: 'test-model' });
+    const res = await api.post('/api/admin/ai/budget-draft').set(STAFF).send({ budgetId: 'x', prompt: 'Add networking please' });
+    expect(res.status).toBe(503);
+  });
+
+  it('asks the model for a draft and returns it for review', async () => {
+    const openai = stubOpenAi();
+    await setup({ openai });
+    const { id } = await createBudget(api);
+
+    const res = await api.post('/api/admin/ai/budget-draft').set(STAFF).send({ budgetId: id, prompt: 'Add networking and a theater' });
+    expect(res.status).toBe(200);
+    expect(res.body.model).toBe('test-model');
+    expect(res.body.draft.templateSelections).toHaveLength(1);
+    expect(openai.responses.parse).toHaveBeenCalledWith(expect.objectContaining({ model: 'test-model', store: false }), { timeout: 90000 });
+  });
+
+  it('validates draft requests and reports unknown budgets', async () => {
+    await setup({ openai: stubOpenAi() });
+    const invalid = await api.post('/api/admin/ai/budget-draft').set(STAFF).send({ budgetId: 'x', prompt: 'short' });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error).toBe('Invalid AI budget request');
+
+    const missing = await api.post('/api/admin/ai/budget-draft').set(STAFF).send({ budgetId: 'missing', prompt: 'Add networking please' });
+    expect(missing.status).toBe(404);
+  });
+
+  it('returns 502 when the model gives no usable draft', async () => {
+    await setup({ openai: stubOpenAi(null) });
+    const { id } = await createBudget(api);
+    const res = await api.post('/api/admin/ai/budget-draft').set(STAFF).send({ budgetId: id, prompt: 'Add networking please' });
+    expect(res.status).toBe(502);
+  });
+
+  it('applies a reviewed draft and undoes it', async () => {
+    await setup();
+    const { id } = await createBudget(api);
+
+    const applied = await api.post(`/api/admin/budgets/${id}/apply-ai-draft`).set(STAFF).send({ draft });
+    expect(applied.status).toBe(200);
+    expect(applied.body.undoAvailable).toBe(true);
+    const budget = applied.body.budget;
+    expect(budget.customCategories).toEqual([expect.objectContaining({ name: 'Theater Allowance', aiGenerated: true, section: 'Entertainment' })]);
+    expect(budget.categoryConfig.networking).toMatchObject({ required: true, provenance: 'approved' });
+    expect(budget.categoryConfig.__aiDraft.generatedCustomCategoryIds).toEqual([budget.customCategories[0].id]);
+    expect(budget.customCategories[0].tiers.good.price).toBe(15000);
+
+    expect((await api.get(`/api/admin/budgets/${id}/ai-draft-undo`).set(STAFF)).body.available).toBe(true);
+    const undone = await api.post(`/api/admin/budgets/${id}/undo-ai-draft`).set(STAFF);
+    expect(undone.status).toBe(200);
+    expect(undone.body.budget.customCategories).toBeNull();
+    expect((await api.post(`/api/admin/budgets/${id}/undo-ai-draft`).set(STAFF)).status).toBe(409);
+  });
+
+  it('validates applied drafts and reports unknown budgets', async () => {
+    await setup();
+    const invalid = await api.post('/api/admin/budgets/missing/apply-ai-draft').set(STAFF).send({ draft: { summary: 'x' } });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error).toBe('Invalid AI budget draft');
+
+    expect((await api.post('/api/admin/budgets/missing/apply-ai-draft').set(STAFF).send({ draft })).status).toBe(404);
+    expect((await api.get('/api/admin/budgets/missing/ai-draft-undo').set(STAFF)).status).toBe(404);
+    expect((await api.post('/api/admin/budgets/missing/undo-ai-draft').set(STAFF)).status).toBe(404);
+  });
+});
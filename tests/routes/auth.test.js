@@ -0,0 +1,108 @@
+// @vitest-environment node
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import request from 'supertest';
+import { STAFF, SUPERADMIN, createTestApp, quietConsole } from './harness.js';
+
+describe('auth and user routes', () => {
+  let ctx;
+  let api;
+
+  beforeEach(async () => {
+    quietConsole();
+    ctx = await createTestApp();
+    api = request(ctx.app);
+  });
+
+  afterEach(() => {
+    ctx.close();
+    vi.restoreAllMocks();
+  });
+
+  it('signs in with a bare username and sets the session cookies', async () => {
+    const res = await api.post('/api/auth/login').send({ email: 'sam', password: 'correct-horse' });
+    expect(res.status).toBe(200);
+    expect(res.body.user).toEqual({
+      id: 'user-staff',
+      email: 'sam@gamma.tech',
+      name: 'Sam',
+      username: 'sam@gamma.tech',
+      role: 'salesperson',
+      permissions: ['budgets.view', 'budgets.edit', 'budgets.delete.own', 'pricing.view'],
+      canManageUsers: false
+    });
+    const cookies = res.headers['set-cookie'].join(';');
+    expect(cookies).toContain('sb_token=staff-token');
+    expect(cookies).toContain('sb_refresh_token=refresh');
+    expect(cookies).toContain('HttpOnly');
+  });
+
+  it('rejects wrong passwords and malformed logins', async () => {
+    const wrong = await api.post('/api/auth/login').send({ email: 'sam@gamma.tech', password: 'nope' });
+    expect(wrong.status).toBe(401);
+    expect(wrong.body.error).toBe('Invalid credentials');
+
+    const invalid = await api.post('/api/auth/login').send({ email: '' });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error).toBe('Invalid input');
+  });
+
+  it('reports the current session from a cookie or bearer token', async () => {
+    expect((await api.get('/api/auth/me')).body).toEqual({ authenticated: false });
+    const byCookie = await api.get('/api/auth/me').set('Cookie', 'sb_token=admin-token');
+    expect(byCookie.body.user).toMatchObject({ email: 'alex@gamma.tech', canManageUsers: true });
+    const byHeader = await api.get('/api/auth/me').set(STAFF);
+    expect(byHeader.body.user.email).toBe('sam@gamma.tech');
+  });
+
+  it('sends reset links to the admin page and validates the address', async () => {
+    const res = await api.post('/api/auth/forgot-password').send({ email: 'sam@gamma.tech' });
+    expect(res.status).toBe(200);
+    expect(ctx.auth.resetPasswordForEmail).toHaveBeenCalledWith('sam@gamma.tech', {
+      redirectTo: 'http://localhost:3000/admin.html#reset-password'
+    });
+
+    const invalid = await api.post('/api/auth/forgot-password').send({ email: 'sam' });
+    expect(invalid.status).toBe(400);
+  });
+
+  it('requires a reset code or token', async () => {
+    const res = await api.post('/api/auth/reset-password').send({ password: 'a-new-password' });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid reset link. Please request a new one.');
+  });
+
+  it('limits user management to superadmins', async () => {
+    expect((await api.get('/api/admin/users')).status).toBe(401);
+    const staff = await api.get('/api/admin/users').set(STAFF);
+    expect(staff.status).toBe(403);
+
+    const list = await api.get('/api/admin/users').set(SUPERADMIN);
+    expect(list.status).toBe(200);
+    expect(list.body.map(user => user.email)).toEqual(['sam@gamma.tech', 'alex@gamma.tech', 'morgan@gamma.tech', 'pat@gamma.tech', 'riley@gamma.tech']);
+  });
+
+  it('creates, updates and deletes users', async () => {
+    const created = await api.post('/api/auth/users').set(SUPERADMIN).send({ email: 'kim@gamma.tech', password: 'pw-123456', name: 'Kim' });
+    expect(created.status).toBe(200);
+    expect(created.body.user).toMatchObject({ email: 'kim@gamma.tech', name: 'Kim' });
+
+    const updated = await api.put(`/api/admin/users/${created.body.user.id}`).set(SUPERADMIN).send({ name: 'Kimberly' });
+    expect(updated.body.user.name).toBe('Kimberly');
+
+    expect((await api.delete(`/api/admin/users/${created.body.user.id}`).set(SUPERADMIN)).status).toBe(200);
+  });
+
+  it('validates user changes and reports unknown users', async () => {
+    const missingFields = await api.post('/api/auth/users').set(SUPERADMIN).send({ email: 'kim@gamma.tech' });
+    expect(missingFields.status).toBe(400);
+    expect(missingFields.body.error).toBe('Email and password required');
+
+    const self = await api.delete('/api/admin/users/user-admin').set(SUPERADMIN);
+    expect(self.status).toBe(400);
+    expect(self.body.error).toBe('Cannot delete your own account');
+
+    const unknown = await api.put('/api/admin/users/user-404').set(SUPERADMIN).send({ name: 'Nobody' });
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.error).toBe('User not found');
+  });
+});
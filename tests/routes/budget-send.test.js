@@ -0,0 +1,211 @@
+// @vitest-environment node
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import request from 'supertest';
+import { MANAGER, READ_ONLY, STAFF, createBudget, createTestApp, quietConsole } from './harness.js';
+
+function editToken(created) {
+  return new URL(created.url, 'http://localhost').searchParams.get('edit');
+}
+
+describe('sending a saved budget', () => {
+  let ctx;
+  let api;
+
+  async function saveNetworking(created, tier) {
+    const res = await api.put(`/api/budgets/${created.id}`)
+      .set('X-Budget-Edit-Token', editToken(created))
+      .set('If-Match', '"1"')
+      .send({ state: { clientName: 'Smith', homeSize: 4000, propertyType: 'residential', selections: { networking: tier } } });
+    expect(res.status).toBe(200);
+  }
+
+  beforeEach(async () => {
+    quietConsole();
+    ctx = await createTestApp();
+    api = request(ctx.app);
+  });
+
+  afterEach(() => {
+    ctx.close();
+    vi.restoreAllMocks();
+  });
+
+  it('prices the stored budget, pins the version and records the recipients', async () => {
+    const created = await createBudget(api);
+    await saveNetworking(created, 'better');
+
+    const res = await api.post(`/api/admin/budgets/${created.id}/send`).set(STAFF).send({
+      recipients: ['client@example.com'],
+      recipientName: 'Pat',
+      message: 'Here is the updated plan we discussed.'
+    });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ success: true, version: 2, failed: [] });
+    expect(Object.keys(res.body).sort()).toEqual(['failed', 'share', 'success', 'url', 'version']);
+    expect(res.body.url).toMatch(new RegExp(`^http://localhost:3000/b/${created.id}\\?edit=`));
+
+    const [sent] = ctx.mailer.sent;
+    expect(sent.to).toBe('client@example.com');
+    expect(sent.subject).toBe('Your Technology Budget from Gamma Tech');
+    expect(sent.text).toContain('Hi Pat,');
+    expect(sent.text).toContain('Here is the updated plan we discussed.');
+    expect(sent.text).toContain('Networking (better)');
+    expect(sent.text).toContain(`${res.body.url}&r=`);
+
+    const budget = await ctx.services.budgets.loadBudget(created.id);
+    expect(budget.versions).toHaveLength(2);
+    expect(budget.versions[1]).toMatchObject({ pinned: true, note: 'Shared/Emailed' });
+    expect((await ctx.storage.budgets.find(created.id, 'first_sent_at')).first_sent_at).toBeTruthy();
+
+    const shares = await api.get(`/api/admin/budgets/${created.id}/shares`).set(STAFF);
+    expect(shares.body.shares).toEqual([expect.objectContaining({
+      version: 2,
+      recipients: [{ email: 'client@example.com', kind: 'to', openedAt: null, views: 0, error: null }],
+      link: 'edit',
+      message: 'Here is the updated plan we discussed.',
+      sentBy: 'sam@gamma.tech'
+    })]);
+  });
+
+  it('sends To, CC and BCC their own copy, replying to the owner, and tracks who opened it', async () => {
+    const owned = await api.post('/api/budgets').set(STAFF)
+      .send({ clientName: 'Smith', state: { clientName: 'Smith', homeSize: 4000, selections: { networking: 'good' } } });
+    const res = await api.post(`/api/admin/budgets/${owned.body.id}/send`).set(MANAGER).send({
+      recipients: ['owner@example.com', 'spouse@example.com'],
+      cc: ['builder@example.com', 'OWNER@example.com'],
+      bcc: ['crm@gamma.tech'],
+      recipientName: 'Pat',
+      link: 'view'
+    });
+    expect(res.status).toBe(200);
+
+    const sent = ctx.mailer.sent;
+    expect(sent.map(email => email.to)).toEqual(['owner@example.com', 'spouse@example.com', 'builder@example.com', 'crm@gamma.tech']);
+    expect(sent.every(email => email.replyTo === 'sam@gamma.tech')).toBe(true);
+    expect(sent[0].text).toContain('Hi Pat,');
+    expect(sent[2].text).toContain('Hi,');
+    expect(sent[0].text).toContain('Also sent to spouse@example.com, builder@example.com');
+    expect(sent[3].text).toContain('Also sent to owner@example.com, spouse@example.com, builder@example.com');
+    sent.forEach(email => expect(email.text).not.toContain('crm@gamma.tech'));
+
+    const links = sent.map(email => new URL(email.text.match(/http:\/\/localhost:3000\/b\/\S+/)[0]));
+    const tokens = links.map(link => link.searchParams.get('r'));
+    expect(new Set(tokens).size).toBe(4);
+    expect(links.every(link => !link.searchParams.has('edit'))).toBe(true);
+
+    const open = await api.get(`/api/budgets/${owned.body.id}?recordView=1&recipient=${tokens[2]}`);
+    expect(open.status).toBe(200);
+    await vi.waitFor(async () => {
+      const budget = await ctx.services.budgets.loadBudget(owned.body.id);
+      expect(budget.views).toEqual([expect.objectContaining({ recipient: 'builder@example.com' })]);
+    });
+    await api.get(`/api/budgets/${owned.body.id}?recordView=1&recipient=not-a-real-token`);
+
+    const { shares: [share] } = (await api.get(`/api/admin/budgets/${owned.body.id}/shares`).set(STAFF)).body;
+    expect(share.recipients.map(({ email, kind, views }) => [email, kind, views])).toEqual([
+      ['owner@example.com', 'to', 0],
+      ['spouse@example.com', 'to', 0],
+      ['builder@example.com', 'cc', 1],
+      ['crm@gamma.tech', 'bcc', 0]
+    ]);
+    expect(share.recipients[2].openedAt).toEqual(expect.any(String));
+  });
+
+  it('sends an earlier version that is still the current budget with a read-only link', async () => {
+    const created = await createBudget(api);
+    await saveNetworking(created, 'better');
+    await ctx.services.budgets.addVersion(created.id, 3, { clientName: 'Smith', homeSize: 4000, selections: { networking: 'best' } }, 'Auto-save', false);
+
+    const res = await api.post(`/api/admin/budgets/${created.id}/send`).set(STAFF).send({
+      recipients: ['client@example.com'],
+      subject: 'The first draft',
+      version: 2,
+      link: 'view'
+    });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ version: 2, url: `http://localhost:3000/b/${created.id}` });
+
+    const [sent] = ctx.mailer.sent;
+    expect(sent.subject).toBe('The first draft');
+    expect(sent.text).toContain('Networking (better)');
+    expect(sent.text).not.toContain('edit=');
+
+    const budget = await ctx.services.budgets.loadBudget(created.id);
+    expect(budget.versions.map(v => [v.pinned, v.note])).toEqual([[true, 'Initial budget'], [true, 'Shared/Emailed'], [false, 'Auto-save']]);
+  });
+
+  it('refuses a version that is no longer the budget the link opens', async () => {
+    const created = await createBudget(api);
+    await saveNetworking(created, 'better');
+
+    const res = await api.post(`/api/admin/budgets/${created.id}/send`).set(STAFF).send({ recipients: ['client@example.com'], version: 1 });
+    expect(res.status).toBe(409);
+    expect(res.body.error).toMatch(/^Version 1 is not the current budget/);
+    expect(ctx.mailer.sent).toEqual([]);
+    expect(await api.get(`/api/admin/budgets/${created.id}/shares`).set(STAFF).then(list => list.body.shares)).toEqual([]);
+    expect((await ctx.storage.budgets.find(created.id, 'first_sent_at')).first_sent_at).toBeNull();
+  });
+
+  it('adds a pinned version when the current state was never saved as one', async () => {
+    const created = await createBudget(api);
+    await ctx.storage.budgets.update(created.id, {
+      current_state: { clientName: 'Smith', homeSize: 4000, propertyType: 'residential', selections: { networking: 'best' } }
+    });
+
+    const res = await api.post(`/api/admin/budgets/${created.id}/send`).set(STAFF).send({ recipients: ['client@example.com'] });
+    expect(res.body.version).toBe(2);
+    const budget = await ctx.services.budgets.loadBudget(created.id);
+    expect(budget.versions[1]).toMatchObject({ pinned: true, note: 'Shared/Emailed', state: expect.objectContaining({ selections: { networking: 'best' } }) });
+  });
+
+  it('rejects bad requests without sending anything', async () => {
+    const created = await createBudget(api);
+    const send = (body, user = STAFF, id = created.id) => api.post(`/api/admin/budgets/${id}/send`).set(user).send(body);
+
+    expect((await send({ recipients: [] })).status).toBe(400);
+    expect((await send({ recipients: ['not-an-email'] })).status).toBe(400);
+    expect((await send({ recipients: ['client@example.com'], link: 'public' })).status).toBe(400);
+    expect((await send({ recipients: ['client@example.com'] }, READ_ONLY)).status).toBe(403);
+    expect((await send({ recipients: ['client@example.com'] }, STAFF, 'missing')).status).toBe(404);
+    const version = await send({ recipients: ['client@example.com'], version: 9 });
+    expect(version.status).toBe(404);
+    expect(version.body.error).toBe('Version not found');
+    expect(ctx.mailer.sent).toEqual([]);
+  });
+
+  it('pins nothing when the mailer refuses', async () => {
+    ctx.close();
+    ctx = await createTestApp({
+      mailer: { emails: { send: async () => ({ data: null, error: { message: 'Domain not verified' } }) } }
+    });
+    api = request(ctx.app);
+    const created = await createBudget(api);
+
+    const res = await api.post(`/api/admin/budgets/${created.id}/send`).set(STAFF).send({ recipients: ['client@example.com'] });
+    expect(res.status).toBe(500);
+    expect(res.body.details).toBe('Domain not verified');
+    const budget = await ctx.services.budgets.loadBudget(created.id);
+    expect(budget.versions.map(v => v.note)).toEqual(['Initial budget']);
+    expect((await api.get(`/api/admin/budgets/${created.id}/shares`).set(STAFF)).body.shares).toEqual([]);
+  });
+
+  it('reports the addresses the mailer refused when others went out', async () => {
+    ctx.close();
+    ctx = await createTestApp({
+      mailer: {
+        emails: {
+          send: async ({ to }) => (to === 'bad@example.com'
+            ? { data: null, error: { message: 'Invalid recipient' } }
+            : { data: { id: 'email-ok' }, error: null })
+        }
+      }
+    });
+    api = request(ctx.app);
+    const created = await createBudget(api);
+
+    const res = await api.post(`/api/admin/budgets/${created.id}/send`).set(STAFF).send({ recipients: ['client@example.com'], cc: ['bad@example.com'] });
+    expect(res.status).toBe(200);
+    expect(res.body.failed).toEqual(['bad@example.com']);
+    expect(res.body.share.recipients.map(recipient => recipient.error)).toEqual([null, 'Invalid recipient']);
+  });
+});
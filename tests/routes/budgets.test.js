@@ -0,0 +1,191 @@
+// @vitest-environment node
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import request from 'supertest';
+import { STAFF, createBudget, createTestApp, quietConsole } from './harness.js';
+
+function editToken(created) {
+  return new URL(created.url, 'http://localhost').searchParams.get('edit');
+}
+
+describe('public budget routes', () => {
+  let ctx;
+  let api;
+
+  beforeEach(async () => {
+    quietConsole();
+    ctx = await createTestApp();
+    api = request(ctx.app);
+  });
+
+  afterEach(() => {
+    ctx.close();
+    vi.restoreAllMocks();
+  });
+
+  it('creates a budget priced on the server with an edit link', async () => {
+    const created = await createBudget(api, { total: 1 });
+    expect(created).toMatchObject({ success: true, revision: 1 });
+    expect(created.url).toMatch(new RegExp(`^/b/${created.id}\\?edit=`));
+
+    const res = await api.get(`/api/budgets/${created.id}`);
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ id: created.id, clientName: 'Smith', versionCount: 1, canEdit: false, canApprove: false });
+    expect(res.body.currentState.total).toBeGreaterThan(1);
+    expect(res.body.currentState.expiresAt).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+
+    const withToken = await api.get(`/api/budgets/${created.id}`).set('X-Budget-Edit-Token', editToken(created));
+    expect(withToken.body).toMatchObject({ canEdit: true, canApprove: true });
+  });
+
+  it('records the signed-in creator', async () => {
+    const created = (await api.post('/api/budgets').set(STAFF).send({ state: { homeSize: 4000 } })).body;
+    const budget = await ctx.services.budgets.loadBudget(created.id);
+    expect(budget.createdByEmail).toBe('sam@gamma.tech');
+  });
+
+  it('validates new budgets', async () => {
+    const res = await api.post('/api/budgets').send({ state: { homeSize: 10 } });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid input');
+    expect(res.body.details[0].path).toEqual(['state', 'homeSize']);
+  });
+
+  it('saves changes from the edit link as a new revision', async () => {
+    const created = await createBudget(api);
+    const before = await ctx.services.budgets.loadBudget(created.id);
+    const res = await api.put(`/api/budgets/${created.id}`)
+      .set('X-Budget-Edit-Token', editToken(created))
+      .set('If-Match', '"1"')
+      .send({ state: { clientName: 'Smith', homeSize: 4000, selections: { networking: 'better' } } });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ success: true, revision: 2, versionCount: 2, consolidated: false });
+
+    const budget = await ctx.services.budgets.loadBudget(created.id);
+    expect(budget.currentState.selections).toEqual({ networking: 'better' });
+    expect(budget.currentState.expiresAt).toBe(before.currentState.expiresAt);
+  });
+
+  it('refuses saves without the edit link and stale saves', async () => {
+    const created = await createBudget(api);
+    const state = { homeSize: 4000, selections: { networking: 'best' } };
+
+    const readOnly = await api.put(`/api/budgets/${created.id}`).send({ state });
+    expect(readOnly.status).toBe(403);
+
+    const stale = await api.put(`/api/budgets/${created.id}`)
+      .set('X-Budget-Edit-Token', editToken(created))
+      .set('If-Match', '"7"')
+      .send({ state });
+    expect(stale.status).toBe(409);
+    expect(stale.body).toMatchObject({ conflict: true, revision: 1 });
+
+    const invalid = await api.put(`/api/budgets/${created.id}`).set(STAFF).send({ state: { selections: { networking: 'platinum' } } });
+    expect(invalid.status).toBe(400);
+  });
+
+  it('records a client approval and locks the edit link', async () => {
+    const created = await createBudget(api);
+    const approval = await api.post(`/api/budgets/${created.id}/approve`)
+      .set('X-Budget-Edit-Token', editToken(created))
+      .send({ signerName: 'Pat Smith', initials: 'ps', consent: true });
+    expect(approval.status).toBe(200);
+    expect(approval.body.approval).toMatchObject({ signerName: 'Pat Smith' });
+
+    const again = await api.post(`/api/budgets/${created.id}/approve`)
+      .set('X-Budget-Edit-Token', editToken(created))
+      .send({ signerName: 'Pat Smith', initials: 'PS', consent: true });
+    expect(again.status).toBe(409);
+
+    const invalid = await api.post(`/api/budgets/${created.id}/approve`).send({ signerName: 'P', consent: false });
+    expect(invalid.status).toBe(400);
+  });
+
+  it('records one approval when two pass the check together', async () => {
+    const created = await createBudget(api);
+    const approve = signerName => api.post(`/api/budgets/${created.id}/approve`)
+      .set('X-Budget-Edit-Token', editToken(created))
+      .send({ signerName, initials: 'PS', consent: true });
+    // The second approval is sent and finished while the first is about to claim.
+    const claim = ctx.storage.approvals.claim;
+    let second;
+    vi.spyOn(ctx.storage.approvals, 'claim').mockImplementationOnce(async (...args) => {
+      second = await approve('Pat Smith Jr');
+      return claim(...args);
+    });
+
+    const first = await approve('Pat Smith');
+    expect(second.status).toBe(200);
+    expect(second.body.revision).toBe(2);
+    expect(first.status).toBe(409);
+    expect(first.body).toMatchObject({ approved: true });
+
+    expect((await ctx.storage.approvals.listForBudget(created.id)).map(row => row.signer_name)).toEqual(['Pat Smith Jr']);
+    const budget = await ctx.services.budgets.loadBudget(created.id);
+    expect(budget).toMatchObject({ status: 'won', revision: 2 });
+    expect(budget.versions.filter(version => /^Approved by/.test(version.note))).toHaveLength(1);
+  });
+
+  it('gives an approval back when the budget is saved while it is recorded', async () => {
+    const created = await createBudget(api);
+    const claim = ctx.storage.approvals.claim;
+    vi.spyOn(ctx.storage.approvals, 'claim').mockImplementation(async (...args) => {
+      const row = await claim(...args);
+      const budget = await ctx.services.budgets.loadBudget(created.id);
+      await ctx.services.budgets.saveBudget({ ...budget, currentState: { ...budget.currentState, selections: { networking: 'best' } } });
+      return row;
+    });
+
+    const res = await api.post(`/api/budgets/${created.id}/approve`)
+      .set('X-Budget-Edit-Token', editToken(created))
+      .send({ signerName: 'Pat Smith', initials: 'PS', consent: true });
+    expect(res.status).toBe(409);
+    expect(res.body).toMatchObject({ error: expect.stringMatching(/changed while you were reviewing/), revision: 2 });
+
+    expect(await ctx.storage.approvals.listForBudget(created.id)).toEqual([]);
+    const budget = await ctx.services.budgets.loadBudget(created.id);
+    expect(budget.status).not.toBe('won');
+    expect(budget.versions.map(version => version.note)).not.toContain('Approved by Pat Smith');
+  });
+
+  it('emails the owner an approval with the client name escaped only in the HTML', async () => {
+    const owned = await api.post('/api/budgets').set(STAFF)
+      .send({ clientName: 'Smith & Co', state: { clientName: 'Smith & Co', homeSize: 4000, selections: { networking: 'good' } } });
+    const approval = await api.post(`/api/budgets/${owned.body.id}/approve`)
+      .set('X-Budget-Edit-Token', editToken(owned.body))
+      .send({ signerName: 'Pat Smith', initials: 'PS', consent: true });
+    expect(approval.status).toBe(200);
+
+    await vi.waitFor(() => expect(ctx.mailer.sent.map(email => email.to)).toContain('sam@gamma.tech'));
+    const email = ctx.mailer.sent.find(sent => sent.to === 'sam@gamma.tech');
+    expect(email.subject).toMatch(/^Approved: Smith & Co \(\$[\d,]+\)$/);
+    expect(email.html).toContain('Smith &amp; Co');
+    expect(email.text).toContain('approved the budget for Smith & Co.');
+  });
+
+  it('renders the budget PDF', async () => {
+    const created = await createBudget(api);
+    const res = await api.get(`/api/budgets/${created.id}/pdf`);
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/pdf');
+  });
+
+  it('returns 404 for unknown budgets on every route', async () => {
+    const state = { homeSize: 4000 };
+    expect((await api.get('/api/budgets/missing')).status).toBe(404);
+    expect((await api.put('/api/budgets/missing').set(STAFF).send({ state })).status).toBe(404);
+    expect((await api.get('/api/budgets/missing/pdf')).status).toBe(404);
+    expect((await api.get('/api/budgets/missing/events')).status).toBe(404);
+    expect((await api.post('/api/budgets/missing/approve').send({ signerName: 'Pat', initials: 'P', consent: true })).status).toBe(404);
+    expect((await api.post('/api/budgets/missing/activity?browserId=b1').send({ categoryId: null })).status).toBe(404);
+    const page = await api.get('/b/missing');
+    expect(page.status).toBe(404);
+    expect(page.text).toBe('Budget not found');
+  });
+
+  it('serves the planner page for existing budgets', async () => {
+    const created = await createBudget(api);
+    const res = await api.get(`/b/${created.id}`);
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toContain('text/html');
+  });
+});
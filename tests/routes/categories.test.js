@@ -0,0 +1,151 @@
+// @vitest-environment node
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import request from 'supertest';
+import { PRICING_ADMIN, STAFF, createBudget, createTestApp, quietConsole } from './harness.js';
+
+describe('category routes', () => {
+  let ctx;
+  let api;
+
+  beforeEach(async () => {
+    quietConsole();
+    ctx = await createTestApp();
+    api = request(ctx.app);
+  });
+
+  afterEach(() => {
+    ctx.close();
+    vi.restoreAllMocks();
+  });
+
+  async function liveCatalog() {
+    return (await api.get('/api/admin/categories').set(STAFF)).body;
+  }
+
+  it('serves the seeded catalog publicly without caching', async () => {
+    const res = await api.get('/api/categories');
+    expect(res.status).toBe(200);
+    expect(res.headers['cache-control']).toContain('no-store');
+    expect(res.body.residential_categories.length).toBeGreaterThan(0);
+    expect(res.body.condo_categories.length).toBeGreaterThan(0);
+  });
+
+  it('keeps admin reads and writes behind sign-in', async () => {
+    expect((await api.get('/api/admin/categories')).status).toBe(401);
+    expect((await api.put('/api/admin/categories').send({})).status).toBe(401);
+  });
+
+  it('saves the catalog as a new revision and lists it in history', async () => {
+    const catalog = await liveCatalog();
+    catalog.residential_categories[0].name = 'Renamed Category';
+
+    const saved = await api.put('/api/admin/categories').set(PRICING_ADMIN).send(catalog);
+    expect(saved.status).toBe(200);
+    expect(saved.body.revisionId).toEqual(expect.any(Number));
+
+    const live = await api.get('/api/categories');
+    expect(live.body.residential_categories[0].name).toBe('Renamed Category');
+
+    const history = await api.get('/api/admin/categories/history').set(STAFF);
+    expect(history.status).toBe(200);
+    expect(history.body.revisions.map(revision => revision.action)).toEqual(['save', 'baseline']);
+  });
+
+  it('rejects a catalog save without both property types', async () => {
+    const res = await api.put('/api/admin/categories').set(PRICING_ADMIN).send({ residential_categories: [] });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Missing required category data');
+  });
+
+  it('validates history parameters and reports unknown revisions', async () => {
+    const badLimit = await api.get('/api/admin/categories/history?limit=0').set(STAFF);
+    expect(badLimit.status).toBe(400);
+    expect(badLimit.body.error).toBe('Invalid input');
+
+    expect((await api.get('/api/admin/categories/history/abc').set(STAFF)).status).toBe(400);
+    const missing = await api.get('/api/admin/categories/history/9999').set(STAFF);
+    expect(missing.status).toBe(404);
+    expect(missing.body.error).toBe('Pricing revision not found');
+    expect((await api.post('/api/admin/categories/history/9999/restore').set(PRICING_ADMIN)).status).toBe(404);
+  });
+
+  it('previews a price change against open budgets', async () => {
+    await createBudget(api);
+    const catalog = await liveCatalog();
+    const networking = catalog.residential_categories.find(category => category.id === 'networking');
+    networking.tiers.good.price += 1000;
+
+    const res = await api.post('/api/admin/categories/scheduled/preview').set(STAFF).send(catalog);
+    expect(res.status).toBe(200);
+    expect(res.body.openBudgetCount).toBe(1);
+    expect(res.body.budgets).toHaveLength(1);
+    expect(res.body.budgets[0].delta).toBeGreaterThan(0);
+
+    const invalid = await api.post('/api/admin/categories/scheduled/preview').set(STAFF).send({ residential_categories: 'all' });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.details.length).toBeGreaterThan(0);
+  });
+
+  it('schedules, lists and cancels a future price change', async () => {
+    const catalog = await liveCatalog();
+    const effectiveAt = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+
+    const created = await api.post('/api/admin/categories/scheduled').set(PRICING_ADMIN).send({ ...catalog, effective_at: effectiveAt, note: 'Spring pricing' });
+    expect(created.status).toBe(201);
+    expect(created.body.change).toMatchObject({ status: 'pending', note: 'Spring pricing', createdBy: 'pat@gamma.tech' });
+
+    const list = await api.get('/api/admin/categories/scheduled').set(STAFF);
+    expect(list.body.changes.map(change => change.id)).toEqual([created.body.change.id]);
+
+    const preview = await api.get(`/api/admin/categories/scheduled/${created.body.change.id}/preview`).set(STAFF);
+    expect(preview.status).toBe(200);
+    expect(preview.body.change.id).toBe(created.body.change.id);
+
+    expect((await api.delete(`/api/admin/categories/scheduled/${created.body.change.id}`).set(PRICING_ADMIN)).status).toBe(200);
+    const again = await api.delete(`/api/admin/categories/scheduled/${created.body.change.id}`).set(PRICING_ADMIN);
+    expect(again.status).toBe(409);
+    expect(again.body.error).toBe('This change is already cancelled');
+  });
+
+  it('rejects past effective dates and unknown scheduled changes', async () => {
+    const catalog = await liveCatalog();
+    const past = await api.post('/api/admin/categories/scheduled').set(PRICING_ADMIN).send({ ...catalog, effective_at: '2020-01-01T00:00:00Z' });
+    expect(past.status).toBe(400);
+    expect(past.body.error).toBe('Effective date must be in the future');
+
+    const noDate = await api.post('/api/admin/categories/scheduled').set(PRICING_ADMIN).send(catalog);
+    expect(noDate.status).toBe(400);
+    expect(noDate.body.error).toBe('Invalid input');
+
+    expect((await api.get('/api/admin/categories/scheduled/42/preview').set(STAFF)).status).toBe(404);
+    expect((await api.delete('/api/admin/categories/scheduled/42').set(PRICING_ADMIN)).status).toBe(404);
+  });
+
+  it('reports category popularity to pricing admins and exports it', async () => {
+    const budget = await createBudget(api, { selections: { networking: 'best' } });
+    await api.put(`/api/budgets/${budget.id}`)
+      .set('X-Budget-Edit-Token', new URL(budget.url, 'http://localhost').searchParams.get('edit'))
+      .set('If-Match', '"1"')
+      .send({ state: { clientName: 'Smith', homeSize: 4000, selections: { networking: 'good' } } });
+
+    expect((await api.get('/api/admin/categories/report').set(STAFF)).status).toBe(403);
+    expect((await api.get('/api/admin/categories/report?from=2026-02-01&to=2026-01-01').set(PRICING_ADMIN)).status).toBe(400);
+
+    const report = await api.get('/api/admin/categories/report?propertyType=residential').set(PRICING_ADMIN);
+    expect(report.status).toBe(200);
+    expect(report.body.budgetCount).toBe(1);
+    expect(report.body.categories.find(row => row.categoryId === 'networking')).toMatchObject({
+      propertyType: 'residential',
+      selectedCount: 1,
+      tiers: { good: 1 }
+    });
+
+    const empty = await api.get('/api/admin/categories/report?to=2020-01-01').set(PRICING_ADMIN);
+    expect(empty.body.budgetCount).toBe(0);
+
+    const csv = await api.get('/api/admin/categories/report/export?format=csv&propertyType=condo').set(PRICING_ADMIN);
+    expect(csv.status).toBe(200);
+    expect(csv.headers['content-disposition']).toContain('category-report-');
+    expect(csv.text).toContain('Client Downgrades');
+  });
+});
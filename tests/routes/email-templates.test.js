@@ -0,0 +1,99 @@
+// @vitest-environment node
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import request from 'supertest';
+import { MANAGER, STAFF, SUPERADMIN, createTestApp, quietConsole } from './harness.js';
+
+const proposal = {
+  recipientEmail: 'client@example.com',
+  recipientName: 'Pat',
+  proposalData: {
+    subtotal: 5700,
+    tax: 0,
+    total: 5700,
+    categories: [{ name: 'Networking', tier: 'good', price: 5700 }]
+  }
+};
+
+describe('email template routes', () => {
+  let ctx;
+  let api;
+
+  beforeEach(async () => {
+    quietConsole();
+    ctx = await createTestApp();
+    api = request(ctx.app);
+  });
+
+  afterEach(() => {
+    ctx.close();
+    vi.restoreAllMocks();
+  });
+
+  it('lists the templates for superadmins only', async () => {
+    expect((await api.get('/api/admin/email-templates').set(MANAGER)).status).toBe(403);
+
+    const res = await api.get('/api/admin/email-templates').set(SUPERADMIN);
+    expect(res.status).toBe(200);
+    expect(res.body.templates.map(template => template.key)).toEqual(['proposal', 'change_notification', 'view_notification', 'approval_notification']);
+    expect(res.body.templates[0]).toMatchObject({
+      subject: 'Your Technology Budget from Gamma Tech',
+      customized: false,
+      placeholders: expect.objectContaining({ clientName: expect.any(String), ownerSignature: expect.any(String) })
+    });
+  });
+
+  it('sends proposals with the saved template and the sender\'s signature', async () => {
+    await api.put('/api/auth/me/settings').set(STAFF).send({ followUpDigest: true, expiringWithinDays: 7, emailSignature: 'Sam Sales\nProject Designer' });
+    const saved = await api.put('/api/admin/email-templates/proposal').set(SUPERADMIN).send({
+      subject: 'Your budget, {{recipientName}}',
+      body: 'Dear {{recipientName}},\n\nHere it is: **{{total}}**.\n\n{{lineItems}}\n\n{{ownerSignature}}'
+    });
+    expect(saved.status).toBe(200);
+    expect(saved.body).toMatchObject({ customized: true, updatedBy: 'alex@gamma.tech' });
+
+    expect((await api.post('/api/send-proposal').set(STAFF).send(proposal)).status).toBe(200);
+    const [sent] = ctx.mailer.sent;
+    expect(sent.subject).toBe('Your budget, Pat');
+    expect(sent.html).toContain('Dear Pat,');
+    expect(sent.html).toContain('Sam Sales<br>Project Designer');
+    expect(sent.text).toContain('Here it is: $5,700.');
+    expect(sent.text).toContain('Networking (good): $5,700');
+
+    const reset = await api.delete('/api/admin/email-templates/proposal').set(SUPERADMIN);
+    expect(reset.body).toMatchObject({ customized: false, subject: 'Your Technology Budget from Gamma Tech' });
+  });
+
+  it('uses the saved wording for owner notifications', async () => {
+    await api.put('/api/admin/email-templates/view_notification').set(SUPERADMIN).send({
+      subject: '{{clientName}} opened the link',
+      body: 'Heads up, {{ownerName}}: {{clientName}} is looking.\n\n{{button}}'
+    });
+    await ctx.services.notifications.sendViewNotification({ id: 'b1', clientName: 'Jones', createdByEmail: 'sam@gamma.tech', currentState: {} });
+
+    const [sent] = ctx.mailer.sent;
+    expect(sent.subject).toBe('Jones opened the link');
+    expect(sent.html).toContain('Heads up, sam: Jones is looking.');
+    expect(sent.text).toContain('View Budget: http://localhost:3000/b/b1');
+  });
+
+  it('refuses templates with placeholders they cannot use', async () => {
+    const res = await api.put('/api/admin/email-templates/view_notification').set(SUPERADMIN).send({ subject: 'Hi', body: '{{signerName}}' });
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error: 'Invalid template', details: ['Unknown placeholder {{signerName}} in the body'] });
+    expect((await api.put('/api/admin/email-templates/nope').set(SUPERADMIN).send({ subject: 'Hi', body: 'Hi' })).status).toBe(404);
+    expect((await api.put('/api/admin/email-templates/proposal').set(SUPERADMIN).send({ subject: '', body: 'Hi' })).status).toBe(400);
+    expect((await api.put('/api/admin/email-templates/proposal').set(STAFF).send({ subject: 'Hi', body: 'Hi' })).status).toBe(403);
+  });
+
+  it('previews drafts with sample data, escaping what was typed', async () => {
+    const res = await api.post('/api/admin/email-templates/change_notification/preview').set(SUPERADMIN).send({
+      subject: 'Update: {{clientName}}',
+      body: '<img src=x onerror=alert(1)> {{clientName}} {{oops}}'
+    });
+    expect(res.status).toBe(200);
+    expect(res.body.subject).toBe('Update: Jordan & Casey Rivera');
+    expect(res.body.html).toContain('&lt;img src=x onerror=alert(1)&gt; Jordan &amp; Casey Rivera');
+    expect(res.body.html).not.toContain('<img');
+    expect(res.body.problems).toEqual(['Unknown placeholder {{oops}} in the body']);
+  });
+});
@@ -0,0 +1,216 @@
+// @vitest-environment node
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import request from 'supertest';
+import emailDelivery from '../../src/utils/email-delivery.js';
+import outboxTransport from '../../src/mail/outbox-transport.js';
+import { EMAIL_WEBHOOK_SECRET, MANAGER, STAFF, SUPERADMIN, createBudget, createTestApp, quietConsole } from './harness.js';
+
+const { signWebhookPayload } = emailDelivery;
+const { createOutboxTransport } = outboxTransport;
+
+const proposal = {
+  recipientEmail: 'client@example.com',
+  recipientName: 'Pat',
+  proposalData: {
+    subtotal: 5700,
+    tax: 0,
+    total: 5700,
+    categories: [{ name: 'Networking', tier: 'good', price: 5700 }]
+  }
+};
+
+describe('email routes', () => {
+  let ctx;
+  let api;
+
+  beforeEach(async () => {
+    quietConsole();
+    ctx = await createTestApp();
+    api = request(ctx.app);
+  });
+
+  afterEach(() => {
+    ctx.close();
+    vi.restoreAllMocks();
+  });
+
+  it('sends a proposal from the configured sender', async () => {
+    const res = await api.post('/api/send-proposal').set(STAFF).send(proposal);
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ success: true, messageId: 'email-1' });
+    expect(ctx.mailer.sent).toHaveLength(1);
+    expect(ctx.mailer.sent[0]).toMatchObject({
+      from: 'Gamma Tech Budget Planner <BudgetPlanner@gamma.tech>',
+      to: ['client@example.com'],
+      replyTo: 'sam@gamma.tech',
+      subject: 'Your Technology Budget from Gamma Tech'
+    });
+    expect(ctx.mailer.sent[0].html).toContain('Hi Pat,');
+  });
+
+  it('sends one email to every To, CC and BCC address', async () => {
+    const res = await api.post('/api/send-proposal').set(MANAGER).send({
+      recipients: ['owner@example.com', 'spouse@example.com'],
+      cc: ['builder@example.com'],
+      bcc: ['crm@gamma.tech'],
+      recipientName: 'Pat & Lee',
+      message: 'As promised, the numbers from Tuesday.',
+      proposalData: proposal.proposalData
+    });
+    expect(res.status).toBe(200);
+    expect(ctx.mailer.sent).toHaveLength(1);
+    expect(ctx.mailer.sent[0]).toMatchObject({
+      to: ['owner@example.com', 'spouse@example.com'],
+      cc: ['builder@example.com'],
+      bcc: ['crm@gamma.tech'],
+      replyTo: 'morgan@gamma.tech'
+    });
+    expect(ctx.mailer.sent[0].text).toContain('Hi Pat & Lee,\n\nAs promised, the numbers from Tuesday.');
+
+    const logged = await ctx.storage.emailLog.findByProviderId(res.body.messageId);
+    expect(logged).toMatchObject({ budget_id: null, recipient: 'owner@example.com, spouse@example.com, builder@example.com, crm@gamma.tech' });
+
+    const missing = await api.post('/api/send-proposal').set(STAFF).send({ ...proposal, recipientEmail: undefined, cc: ['builder@example.com'] });
+    expect(missing.status).toBe(400);
+    expect(missing.body.details[0].message).toBe('Add at least one recipient');
+  });
+
+  it('refuses proposals linked to a saved budget, which are priced and sent from the budget', async () => {
+    const budget = await createBudget(api);
+    const linked = { ...proposal, proposalData: { ...proposal.proposalData, total: 1, budgetUrl: `http://localhost:3000/b/${budget.id}?edit=token` } };
+
+    const res = await api.post('/api/send-proposal').set(STAFF).send(linked);
+    expect(res.status).toBe(409);
+    expect(res.body).toMatchObject({ budgetId: budget.id });
+    expect(ctx.mailer.sent).toEqual([]);
+    expect((await ctx.storage.budgets.find(budget.id, 'first_sent_at')).first_sent_at).toBeNull();
+    expect(await ctx.services.emailLog.listBudgetEmails(budget.id)).toEqual([]);
+  });
+
+  it('validates the proposal and requires sign-in', async () => {
+    const invalid = await api.post('/api/send-proposal').set(STAFF).send({ ...proposal, recipientEmail: 'not-an-email' });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error).toBe('Invalid input');
+    expect((await api.post('/api/send-proposal').send(proposal)).status).toBe(401);
+    expect(ctx.mailer.sent).toHaveLength(0);
+  });
+
+  // Sent from the saved budget; resolves to the status and the stub mailer's id for the email.
+  async function sendLinkedProposal(budgetId) {
+    const res = await api.post(`/api/admin/budgets/${budgetId}/send`).set(STAFF)
+      .send({ recipients: ['client@example.com'], recipientName: 'Pat' });
+    return { status: res.status, messageId: `email-${ctx.mailer.sent.length}` };
+  }
+
+  function postWebhook(event, secret = EMAIL_WEBHOOK_SECRET, id = undefined) {
+    const payload = JSON.stringify(event);
+    return api.post('/api/webhooks/email')
+      .set('Content-Type', 'application/json')
+      .set(signWebhookPayload(secret, payload, id ? { id } : {}))
+      .send(payload);
+  }
+
+  it('logs each proposal on the budget\'s email timeline', async () => {
+    const budget = await createBudget(api);
+    const { messageId } = await sendLinkedProposal(budget.id);
+
+    const list = await api.get(`/api/admin/budgets/${budget.id}/emails`).set(STAFF);
+    expect(list.status).toBe(200);
+    expect(list.body.emails).toEqual([expect.objectContaining({
+      type: 'proposal',
+      budgetId: budget.id,
+      recipient: 'client@example.com',
+      subject: 'Your Technology Budget from Gamma Tech',
+      providerId: messageId,
+      status: 'sent',
+      sentBy: 'sam@gamma.tech'
+    })]);
+    expect(list.body.emails[0].html).toBeUndefined();
+
+    const email = await api.get(`/api/admin/budgets/${budget.id}/emails/${list.body.emails[0].id}`).set(STAFF);
+    expect(email.body.html).toBe(ctx.mailer.sent[0].html);
+    expect((await api.get(`/api/admin/budgets/other/emails/${list.body.emails[0].id}`).set(STAFF)).status).toBe(404);
+    expect((await api.get(`/api/admin/budgets/${budget.id}/emails`)).status).toBe(401);
+  });
+
+  it('logs failed sends', async () => {
+    const budget = await createBudget(api);
+    ctx.mailer.emails.send = async () => ({ data: null, error: { message: 'Domain not verified' } });
+    expect((await sendLinkedProposal(budget.id)).status).toBe(500);
+    const [email] = (await api.get(`/api/admin/budgets/${budget.id}/emails`).set(STAFF)).body.emails;
+    expect(email).toMatchObject({ status: 'failed', error: 'Domain not verified', providerId: null });
+  });
+
+  it('tracks delivery, bounces and opens from signed webhooks', async () => {
+    const budget = await createBudget(api);
+    const { messageId } = await sendLinkedProposal(budget.id);
+    const event = (type, createdAt) => ({ type, created_at: createdAt, data: { email_id: messageId, bounce: { message: 'Mailbox full' } } });
+
+    expect((await postWebhook(event('email.delivered', '2026-10-19T10:00:00.000Z'))).body).toEqual({ received: true, matched: true });
+    await postWebhook(event('email.opened', '2026-10-19T11:00:00.000Z'), EMAIL_WEBHOOK_SECRET, 'msg_open');
+    await postWebhook(event('email.opened', '2026-10-19T11:00:00.000Z'), EMAIL_WEBHOOK_SECRET, 'msg_open');
+    await postWebhook(event('email.delivery_delayed', '2026-10-19T09:00:00.000Z'));
+
+    let [email] = (await api.get(`/api/admin/budgets/${budget.id}/emails`).set(STAFF)).body.emails;
+    expect(email).toMatchObject({ status: 'delivered', statusAt: '2026-10-19T10:00:00.000Z', openedAt: '2026-10-19T11:00:00.000Z' });
+    expect(email.events.map(recorded => recorded.type)).toEqual(['delivered', 'opened', 'delivery_delayed']);
+
+    await postWebhook(event('email.bounced', '2026-10-19T12:00:00.000Z'));
+    [email] = (await api.get(`/api/admin/budgets/${budget.id}/emails`).set(STAFF)).body.emails;
+    expect(email).toMatchObject({ status: 'bounced', error: 'Mailbox full' });
+
+    expect((await postWebhook({ type: 'email.delivered', data: { email_id: 'unknown' } })).body.matched).toBe(false);
+  });
+
+  it('rejects unsigned and wrongly signed webhooks', async () => {
+    const unsigned = await api.post('/api/webhooks/email').send({ type: 'email.delivered', data: { email_id: 'email-1' } });
+    expect(unsigned.status).toBe(401);
+    const wrongSecret = await postWebhook({ type: 'email.delivered', data: { email_id: 'email-1' } }, `whsec_${Buffer.from('other').toString('base64')}`);
+    expect(wrongSecret.status).toBe(401);
+  });
+
+  it('keeps the outbox to servers that use it', async () => {
+    expect((await api.get('/api/admin/outbox').set(SUPERADMIN)).status).toBe(404);
+  });
+});
+
+describe('outbox transport', () => {
+  let ctx;
+  let api;
+  let dir;
+
+  beforeEach(async () => {
+    quietConsole();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+    ctx = await createTestApp({ mailer: createOutboxTransport({ dir }) });
+    api = request(ctx.app);
+  });
+
+  afterEach(() => {
+    ctx.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+    vi.restoreAllMocks();
+  });
+
+  it('writes proposals to the outbox for superadmins to preview', async () => {
+    const sent = await api.post('/api/send-proposal').set(STAFF).send(proposal);
+    expect(sent.status).toBe(200);
+
+    const list = await api.get('/api/admin/outbox').set(SUPERADMIN);
+    expect(list.status).toBe(200);
+    expect(list.body.messages).toEqual([expect.objectContaining({
+      id: sent.body.messageId,
+      from: 'Gamma Tech Budget Planner <BudgetPlanner@gamma.tech>',
+      to: ['client@example.com'],
+      subject: 'Your Technology Budget from Gamma Tech'
+    })]);
+
+    const message = await api.get(`/api/admin/outbox/${sent.body.messageId}`).set(SUPERADMIN);
+    expect(message.body.html).toContain('Hi Pat,');
+    expect((await api.get('/api/admin/outbox/outbox-1-ab').set(SUPERADMIN)).status).toBe(404);
+    expect((await api.get('/api/admin/outbox').set(STAFF)).status).toBe(403);
+  });
+});
@@ -0,0 +1,116 @@
+// @vitest-environment node
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import request from 'supertest';
+import followUpDigestsModule from '../../src/services/follow-up-digests.js';
+import { MANAGER, STAFF, createTestApp, quietConsole } from './harness.js';
+
+const { createFollowUpDigestService } = followUpDigestsModule;
+
+describe('follow-up digests', () => {
+  let ctx;
+  let api;
+
+  beforeEach(async () => {
+    quietConsole();
+    ctx = await createTestApp();
+    api = request(ctx.app);
+  });
+
+  afterEach(() => {
+    ctx.close();
+    vi.restoreAllMocks();
+  });
+
+  // Mid-morning in New York today, past the default 7:00 digest hour.
+  function morning(dayOffset = 0) {
+    const now = new Date();
+    now.setUTCDate(now.getUTCDate() + dayOffset);
+    now.setUTCHours(14, 0, 0, 0);
+    return now;
+  }
+
+  // Saved while signed in, so `headers`' user owns it.
+  async function overdueBudget(headers, clientName) {
+    const created = await api.post('/api/budgets').set(headers).send({ clientName, state: { clientName, homeSize: 4000 } });
+    await api.patch(`/api/admin/budgets/${created.body.id}/meta`).set(headers).send({ followUpDate: '2026-01-05' });
+    return created.body.id;
+  }
+
+  it('reads and saves the signed-in user\'s settings', async () => {
+    expect((await api.get('/api/auth/me/settings')).status).toBe(401);
+    expect((await api.get('/api/auth/me/settings').set(STAFF)).body).toEqual({ followUpDigest: true, expiringWithinDays: 7, emailSignature: '' });
+
+    const saved = await api.put('/api/auth/me/settings').set(STAFF).send({ followUpDigest: false, expiringWithinDays: 14 });
+    expect(saved.status).toBe(200);
+    expect(saved.body).toEqual({ followUpDigest: false, expiringWithinDays: 14, emailSignature: '' });
+    expect((await api.get('/api/auth/me/settings').set(STAFF)).body).toEqual({ followUpDigest: false, expiringWithinDays: 14, emailSignature: '' });
+    expect((await api.get('/api/auth/me/settings').set(MANAGER)).body.followUpDigest).toBe(true);
+
+    const invalid = await api.put('/api/auth/me/settings').set(STAFF).send({ followUpDigest: true, expiringWithinDays: 0 });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error).toBe('Invalid input');
+  });
+
+  it('emails each owner their digest once a day', async () => {
+    const id = await overdueBudget(STAFF, 'Jones');
+    await overdueBudget(MANAGER, 'Lee');
+
+    expect(await ctx.services.followUpDigests.sendDueFollowUpDigests(morning())).toEqual({ sent: 2, failed: 0 });
+    const digest = ctx.mailer.sent.find(message => message.to === 'sam@gamma.tech');
+    expect(digest.subject).toBe('Follow-ups for today: 1 overdue');
+    expect(digest.html).toContain('Jones');
+    expect(digest.html).toContain(`/b/${id}`);
+
+    expect(await ctx.services.followUpDigests.sendDueFollowUpDigests(morning())).toEqual({ sent: 0, failed: 0 });
+    expect(ctx.mailer.sent).toHaveLength(2);
+    expect((await ctx.services.followUpDigests.sendDueFollowUpDigests(morning(1))).sent).toBe(2);
+  });
+
+  it('sends each owner one digest when two servers check at the same time', async () => {
+    await overdueBudget(STAFF, 'Jones');
+    await overdueBudget(MANAGER, 'Lee');
+    const otherServer = createFollowUpDigestService({
+      storage: ctx.storage,
+      budgets: ctx.services.budgets,
+      notifications: ctx.services.notifications
+    });
+
+    const results = await Promise.all([
+      ctx.services.followUpDigests.sendDueFollowUpDigests(morning()),
+      otherServer.sendDueFollowUpDigests(morning())
+    ]);
+    expect(results[0].sent + results[1].sent).toBe(2);
+    expect(ctx.mailer.sent.map(message => message.to).sort()).toEqual(['morgan@gamma.tech', 'sam@gamma.tech']);
+  });
+
+  it('skips an owner whose day another server has claimed, and gives back a day it could not send', async () => {
+    await overdueBudget(STAFF, 'Jones');
+    await overdueBudget(MANAGER, 'Lee');
+    const day = morning().toISOString().slice(0, 10);
+    expect(await ctx.storage.userSettings.claimDigestDay('sam@gamma.tech', day)).toBe(true);
+    expect(await ctx.storage.userSettings.claimDigestDay('sam@gamma.tech', day)).toBe(false);
+
+    const send = ctx.services.notifications.send;
+    vi.spyOn(ctx.services.notifications, 'send').mockRejectedValueOnce(new Error('mail down'));
+    expect(await ctx.services.followUpDigests.sendDueFollowUpDigests(morning())).toEqual({ sent: 0, failed: 1 });
+    expect(ctx.mailer.sent).toEqual([]);
+    expect((await ctx.services.followUpDigests.getDigestSettings('morgan@gamma.tech')).lastDigestOn).toBeNull();
+
+    ctx.services.notifications.send.mockImplementation(send);
+    expect(await ctx.services.followUpDigests.sendDueFollowUpDigests(morning())).toEqual({ sent: 1, failed: 0 });
+    expect(ctx.mailer.sent.map(message => message.to)).toEqual(['morgan@gamma.tech']);
+  });
+
+  it('waits for the digest hour and skips owners who opted out', async () => {
+    await overdueBudget(STAFF, 'Jones');
+    await overdueBudget(MANAGER, 'Lee');
+    await api.put('/api/auth/me/settings').set(MANAGER).send({ followUpDigest: false, expiringWithinDays: 7 });
+
+    const early = morning();
+    early.setUTCHours(9);
+    expect(await ctx.services.followUpDigests.sendDueFollowUpDigests(early)).toEqual({ sent: 0, failed: 0 });
+
+    expect((await ctx.services.followUpDigests.sendDueFollowUpDigests(morning())).sent).toBe(1);
+    expect(ctx.mailer.sent.map(message => message.to)).toEqual(['sam@gamma.tech']);
+  });
+});
@@ -0,0 +1,134 @@
+// Builds the real Express app on an in-memory SQLite store, with Supabase Auth,
+// Resend and OpenAI replaced by stubs. Requests authenticate with
+// `Authorization: Bearer <token>` using one of the tokens in USERS.
+import path from 'path';
+import { vi } from 'vitest';
+import storageModule from '../../src/storage/index.js';
+import servicesModule from '../../src/services/index.js';
+import appModule from '../../src/app.js';
+
+const { createStorage } = storageModule;
+const { createServices } = servicesModule;
+const { createApp } = appModule;
+
+export const USERS = {
+  'staff-token': { id: 'user-staff', email: 'sam@gamma.tech', user_metadata: { name: 'Sam' }, app_metadata: {} },
+  'admin-token': { id: 'user-admin', email: 'alex@gamma.tech', user_metadata: { name: 'Alex' }, app_metadata: { role: 'superadmin' } },
+  'manager-token': { id: 'user-manager', email: 'morgan@gamma.tech', user_metadata: { name: 'Morgan' }, app_metadata: { role: 'sales_manager' } },
+  'pricing-token': { id: 'user-pricing', email: 'pat@gamma.tech', user_metadata: { name: 'Pat' }, app_metadata: { role: 'pricing_admin' } },
+  'reader-token': { id: 'user-reader', email: 'riley@gamma.tech', user_metadata: { name: 'Riley' }, app_metadata: { role: 'read_only' } }
+};
+
+// STAFF has no role, so it gets the salesperson permissions.
+export const STAFF = { Authorization: 'Bearer staff-token' };
+export const SUPERADMIN = { Authorization: 'Bearer admin-token' };
+export const MANAGER = { Authorization: 'Bearer manager-token' };
+export const PRICING_ADMIN = { Authorization: 'Bearer pricing-token' };
+export const READ_ONLY = { Authorization: 'Bearer reader-token' };
+
+// Signs the email provider webhooks the app accepts (see signWebhookPayload).
+export const EMAIL_WEBHOOK_SECRET = `whsec_${Buffer.from('test-webhook-secret').toString('base64')}`;
+
+const PASSWORDS = { 'sam@gamma.tech': 'correct-horse' };
+
+function createAuthClients() {
+  const users = new Map(Object.values(USERS).map(user => [user.id, user]));
+  const auth = {
+    async getUser(token) {
+      const user = USERS[token];
+      return user ? { data: { user }, error: null } : { data: { user: null }, error: { message: 'Invalid token' } };
+    },
+    async signInWithPassword({ email, password }) {
+      if (PASSWORDS[email] !== password) return { data: {}, error: { message: 'Invalid login credentials' } };
+      const user = Object.values(USERS).find(candidate => candidate.email === email);
+      return { data: { user, session: { access_token: 'staff-token', refresh_token: 'refresh', expires_in: 3600 } }, error: null };
+    },
+    async refreshSession() {
+      return { data: {}, error: { message: 'Invalid refresh token' } };
+    },
+    resetPasswordForEmail: vi.fn(async () => ({ data: {}, error: null }))
+  };
+  const admin = {
+    async listUsers() {
+      return { data: { users: [...users.values()].map(user => ({ ...user, created_at: '2026-01-01T00:00:00Z' })) }, error: null };
+    },
+    async createUser({ email, user_metadata, app_metadata = {} }) {
+      const user = { id: `user-${users.size + 1}`, email, user_metadata, app_metadata };
+      users.set(user.id, user);
+      return { data: { user }, error: null };
+    },
+    async updateUserById(id, updates) {
+      if (!users.has(id)) return { data: {}, error: { message: 'User not found' } };
+      const user = { ...users.get(id), ...updates };
+      users.set(id, user);
+      return { data: { user }, error: null };
+    },
+    async deleteUser(id) {
+      if (!users.delete(id)) return { error: { message: 'User not found' } };
+      return { error: null };
+    }
+  };
+  return { createPublicClient: () => ({ auth }), admin };
+}
+
+function createMailer() {
+  const sent = [];
+  return {
+    sent,
+    emails: {
+      async send(message) {
+        sent.push(message);
+        return { data: { id: `email-${sent.length}` }, error: null };
+      }
+    }
+  };
+}
+
+// Request logging and seeding are noisy; tests that care spy on console themselves.
+export function quietConsole() {
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+}
+
+// `mailer` replaces the recording stub, e.g. with a src/mail transport.
+export async function createTestApp({ openai = null, mailer = createMailer() } = {}) {
+  const storage = createStorage({ backend: 'sqlite', sqlitePath: ':memory:' });
+  const authClients = createAuthClients();
+  const services = createServices({
+    storage,
+    authClients,
+    mailer,
+    openai,
+    config: {
+      appUrl: 'http://localhost:3000',
+      budgetEditSecret: 'test-edit-secret',
+      emailConfigured: true,
+      emailWebhookSecret: EMAIL_WEBHOOK_SECRET,
+      fromEmail: 'BudgetPlanner@gamma.tech',
+      fromName: 'Gamma Tech Budget Planner',
+      openaiModel: 'test-model',
+      categoriesDataPath: path.resolve(__dirname, '../../public/categories-data.js')
+    }
+  });
+  await services.categories.seedCategoryDefaults();
+  const app = createApp({ services, config: { appUrl: 'http://localhost:3000' } });
+  return {
+    app,
+    services,
+    storage,
+    mailer,
+    auth: authClients.createPublicClient().auth,
+    close: () => storage.close()
+  };
+}
+
+// A budget created through the public API, the way the planner saves one.
+export async function createBudget(request, state = {}) {
+  const res = await request.post('/api/budgets').send({
+    clientName: 'Smith',
+    state: { clientName: 'Smith', homeSize: 4000, propertyType: 'residential', selections: { networking: 'good' }, ...state }
+  });
+  if (res.status !== 200) throw new Error(`createBudget failed: ${res.status} ${JSON.stringify(res.body)}`);
+  return res.body;
+}
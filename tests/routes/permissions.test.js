@@ -0,0 +1,104 @@
+// @vitest-environment node
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import request from 'supertest';
+import { MANAGER, PRICING_ADMIN, READ_ONLY, STAFF, SUPERADMIN, createBudget, createTestApp, quietConsole } from './harness.js';
+
+describe('role permissions', () => {
+  let ctx;
+  let api;
+
+  beforeEach(async () => {
+    quietConsole();
+    ctx = await createTestApp();
+    api = request(ctx.app);
+  });
+
+  afterEach(() => {
+    ctx.close();
+    vi.restoreAllMocks();
+  });
+
+  async function budgetCreatedBy(headers) {
+    return (await api.post('/api/budgets').set(headers).send({ state: { homeSize: 4000 } })).body;
+  }
+
+  it('reports the role and permissions of the session user', async () => {
+    const staff = await api.get('/api/auth/me').set(STAFF);
+    expect(staff.body.user).toMatchObject({ role: 'salesperson', canManageUsers: false });
+    expect(staff.body.user.permissions).toContain('budgets.edit');
+    expect(staff.body.user.permissions).not.toContain('pricing.edit');
+
+    const pricing = await api.get('/api/auth/me').set(PRICING_ADMIN);
+    expect(pricing.body.user.role).toBe('pricing_admin');
+    expect(pricing.body.user.permissions).toContain('pricing.edit');
+  });
+
+  it('limits catalog changes to pricing admins', async () => {
+    const catalog = (await api.get('/api/admin/categories').set(STAFF)).body;
+
+    for (const headers of [STAFF, MANAGER, READ_ONLY]) {
+      const res = await api.put('/api/admin/categories').set(headers).send(catalog);
+      expect(res.status).toBe(403);
+      expect(res.body.error).toBe('Pricing admin access required');
+    }
+    expect((await api.post('/api/admin/categories/reset').set(STAFF)).status).toBe(403);
+    expect((await api.put('/api/admin/categories').set(SUPERADMIN).send(catalog)).status).toBe(200);
+  });
+
+  it('limits section library changes to managers and pricing admins', async () => {
+    const section = { id: 'lighting', name: 'Lighting', payload: { name: 'Lighting', tiers: {} } };
+    expect((await api.post('/api/admin/section-library').set(STAFF).send(section)).status).toBe(403);
+    expect((await api.delete('/api/admin/section-library/lighting').set(READ_ONLY)).status).toBe(403);
+    expect((await api.get('/api/admin/section-library').set(READ_ONLY)).status).toBe(200);
+  });
+
+  it('lets salespeople delete only their own budgets', async () => {
+    const own = await budgetCreatedBy(STAFF);
+    const other = await budgetCreatedBy(MANAGER);
+
+    const denied = await api.delete(`/api/admin/budgets/${other.id}`).set(STAFF);
+    expect(denied.status).toBe(403);
+    expect(denied.body.error).toBe('You can only delete budgets you created');
+    expect((await api.delete(`/api/admin/budgets/${own.id}`).set(STAFF)).status).toBe(200);
+    expect((await api.delete(`/api/admin/budgets/${other.id}`).set(MANAGER)).status).toBe(200);
+  });
+
+  it('keeps read-only staff from changing budgets', async () => {
+    const created = await createBudget(api);
+
+    expect((await api.get('/api/admin/budgets').set(READ_ONLY)).status).toBe(200);
+    expect((await api.post('/api/admin/budgets').set(READ_ONLY).send({ clientName: 'Lee', homeSize: 3000, propertyType: 'residential' })).status).toBe(403);
+    expect((await api.patch(`/api/admin/budgets/${created.id}/meta`).set(READ_ONLY).send({ status: 'won' })).status).toBe(403);
+    expect((await api.post('/api/admin/budgets/reprice').set(READ_ONLY).send({ budgetIds: [created.id] })).status).toBe(403);
+    expect((await api.delete(`/api/admin/budgets/${created.id}`).set(READ_ONLY)).status).toBe(403);
+
+    const view = await api.get(`/api/budgets/${created.id}`).set(READ_ONLY);
+    expect(view.body.canEdit).toBe(false);
+    const save = await api.put(`/api/budgets/${created.id}`).set(READ_ONLY).send({ state: { homeSize: 4000 } });
+    expect(save.status).toBe(403);
+  });
+
+  it('assigns roles when creating and updating users', async () => {
+    const created = await api.post('/api/auth/users').set(SUPERADMIN).send({ email: 'kim@gamma.tech', password: 'pw-123456', role: 'pricing_admin' });
+    expect(created.body.user.role).toBe('pricing_admin');
+
+    const updated = await api.put(`/api/admin/users/${created.body.user.id}`).set(SUPERADMIN).send({ role: 'read_only' });
+    expect(updated.body.user.role).toBe('read_only');
+
+    const list = await api.get('/api/admin/users').set(SUPERADMIN);
+    expect(list.body.find(user => user.email === 'kim@gamma.tech').role).toBe('read_only');
+    expect(list.body.find(user => user.email === 'sam@gamma.tech').role).toBe('salesperson');
+  });
+
+  it('rejects unknown roles and changes to your own role', async () => {
+    const unknown = await api.post('/api/auth/users').set(SUPERADMIN).send({ email: 'kim@gamma.tech', password: 'pw-123456', role: 'owner' });
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.error).toBe('Unknown role');
+
+    const self = await api.put('/api/admin/users/user-admin').set(SUPERADMIN).send({ role: 'salesperson' });
+    expect(self.status).toBe(400);
+    expect(self.body.error).toBe('Cannot change your own role');
+
+    expect((await api.put('/api/admin/users/user-staff').set(MANAGER).send({ role: 'superadmin' })).status).toBe(403);
+  });
+});
@@ -0,0 +1,168 @@
+// @vitest-environment node
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import request from 'supertest';
+import priceChangesModule from '../../src/services/price-changes.js';
+import { PRICING_ADMIN, STAFF, createBudget, createTestApp, quietConsole } from './harness.js';
+
+const { createPriceChangeService } = priceChangesModule;
+
+describe('scheduled price changes', () => {
+  let ctx;
+  let api;
+
+  beforeEach(async () => {
+    quietConsole();
+    ctx = await createTestApp();
+    api = request(ctx.app);
+  });
+
+  afterEach(() => {
+    ctx.close();
+    vi.restoreAllMocks();
+  });
+
+  async function catalogWithNetworkingRaise(amount) {
+    const catalog = (await api.get('/api/admin/categories').set(STAFF)).body;
+    catalog.residential_categories.find(category => category.id === 'networking').tiers.good.price += amount;
+    return catalog;
+  }
+
+  // Scheduled through the API, then moved into the past so the next check publishes it.
+  async function dueChange(catalog, note = 'Spring pricing') {
+    const effectiveAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const created = await api.post('/api/admin/categories/scheduled').set(PRICING_ADMIN).send({ ...catalog, effective_at: effectiveAt, note });
+    expect(created.status).toBe(201);
+    const { id } = created.body.change;
+    await ctx.storage.scheduledPriceChanges.update(id, { effective_at: new Date(Date.now() - 1000).toISOString() });
+    return id;
+  }
+
+  async function customizedBudget() {
+    const budget = await createBudget(api, { clientName: 'Jones' });
+    await ctx.storage.budgets.update(budget.id, { is_customized: true });
+    return budget;
+  }
+
+  const scheduledRevisions = async () => (await api.get('/api/admin/categories/history').set(STAFF)).body.revisions
+    .filter(revision => revision.action === 'scheduled');
+
+  it('previews the catalog diff and what it does to open budgets that follow the catalog', async () => {
+    const small = await createBudget(api);
+    const large = await createBudget(api, { clientName: 'Lee', homeSize: 8000 });
+    await customizedBudget();
+    const closed = await createBudget(api, { clientName: 'Closed' });
+    await api.patch(`/api/admin/budgets/${closed.id}/meta`).set(STAFF).send({ status: 'won' });
+
+    const catalog = await catalogWithNetworkingRaise(1000);
+
+    const res = await api.post('/api/admin/categories/scheduled/preview').set(STAFF).send(catalog);
+    expect(res.status).toBe(200);
+    expect(res.body.diff.changeCount).toBe(1);
+    expect(res.body.diff.propertyTypes.residential.categories.changed).toEqual([
+      expect.objectContaining({ id: 'networking', tiers: [expect.objectContaining({ tier: 'good', priceBefore: 5700, priceAfter: 6700 })] })
+    ]);
+    expect(res.body.diff.propertyTypes.condo.categories.changed).toEqual([]);
+
+    // The good tier's $1,000 raise scales with home size (sizeScale 0.8), plus 6% sales tax.
+    expect(res.body.openBudgetCount).toBe(2);
+    expect(res.body.budgets).toEqual([
+      expect.objectContaining({ id: large.id, oldTotal: 10918, newTotal: 12826, delta: 1908 }),
+      expect.objectContaining({ id: small.id, oldTotal: 6042, newTotal: 7102, delta: 1060 })
+    ]);
+    expect(res.body.totalDelta).toBe(2968);
+  });
+
+  it('publishes a due change and reprices the open budgets that follow the catalog', async () => {
+    const following = await createBudget(api);
+    const customized = await customizedBudget();
+    const id = await dueChange(await catalogWithNetworkingRaise(1000));
+    const before = await ctx.services.budgets.loadBudget(following.id);
+
+    await ctx.services.priceChanges.publishDueScheduledPriceChanges();
+
+    const change = await ctx.storage.scheduledPriceChanges.find(id);
+    expect(change).toMatchObject({ status: 'published', affected_budget_count: 1, error: null });
+    expect(change.published_at).toEqual(expect.any(String));
+    const [revision] = await scheduledRevisions();
+    expect(change.published_revision_id).toBe(revision.id);
+
+    const live = (await api.get('/api/categories')).body;
+    expect(live.residential_categories.find(category => category.id === 'networking').tiers.good.price).toBe(6700);
+
+    const repriced = await ctx.services.budgets.loadBudget(following.id);
+    expect(repriced.versions).toHaveLength(before.versions.length + 1);
+    expect(repriced.versions.at(-1)).toMatchObject({ pinned: true });
+    expect(repriced.versions.at(-1).note).toMatch(new RegExp(`^Scheduled price update #${id} \\(Spring pricing\\): \\$[\\d,]+ → \\$[\\d,]+$`));
+
+    const untouched = await ctx.services.budgets.loadBudget(customized.id);
+    expect(untouched.versions.map(version => version.note)).toEqual(['Initial budget']);
+  });
+
+  it('publishes a change once when two servers check at the same time', async () => {
+    await createBudget(api);
+    const id = await dueChange(await catalogWithNetworkingRaise(1000));
+    const otherServer = createPriceChangeService({
+      storage: ctx.storage,
+      categories: ctx.services.categories,
+      budgets: ctx.services.budgets,
+      live: ctx.services.live
+    });
+
+    await Promise.all([
+      ctx.services.priceChanges.publishDueScheduledPriceChanges(),
+      otherServer.publishDueScheduledPriceChanges()
+    ]);
+
+    expect(await scheduledRevisions()).toHaveLength(1);
+    expect(await ctx.storage.scheduledPriceChanges.find(id)).toMatchObject({ status: 'published', affected_budget_count: 1 });
+  });
+
+  it('leaves a change another server has claimed alone', async () => {
+    const budget = await createBudget(api);
+    const id = await dueChange(await catalogWithNetworkingRaise(1000));
+    expect(await ctx.storage.scheduledPriceChanges.transitionFromPending(id, 'publishing')).toBe(true);
+
+    await ctx.services.priceChanges.publishDueScheduledPriceChanges();
+
+    expect(await scheduledRevisions()).toEqual([]);
+    expect((await ctx.storage.scheduledPriceChanges.find(id)).status).toBe('publishing');
+    expect((await ctx.services.budgets.loadBudget(budget.id)).versions).toHaveLength(1);
+  });
+
+  it('refuses to publish over a catalog saved after the change was scheduled', async () => {
+    const budget = await createBudget(api);
+    const id = await dueChange(await catalogWithNetworkingRaise(1000));
+    expect((await ctx.storage.scheduledPriceChanges.find(id)).base_revision_id).toEqual(expect.any(Number));
+
+    const saved = await catalogWithNetworkingRaise(0);
+    saved.residential_categories.find(category => category.id === 'audio').tiers.good.price += 250;
+    expect((await api.put('/api/admin/categories').set(PRICING_ADMIN).send(saved)).status).toBe(200);
+
+    const preview = await api.get(`/api/admin/categories/scheduled/${id}/preview`).set(STAFF);
+    expect(preview.body.liveRevisionId).not.toBe(preview.body.change.baseRevisionId);
+
+    await ctx.services.priceChanges.publishDueScheduledPriceChanges();
+
+    const change = await ctx.storage.scheduledPriceChanges.find(id);
+    expect(change.status).toBe('conflict');
+    expect(change.error).toMatch(/^Pricing was saved after this change was scheduled \(revision #\d+ by pat@gamma\.tech\)/);
+    expect(await scheduledRevisions()).toEqual([]);
+
+    const live = (await api.get('/api/categories')).body.residential_categories;
+    expect(live.find(category => category.id === 'networking').tiers.good.price).toBe(5700);
+    expect(live.find(category => category.id === 'audio').tiers.good.price).toBe(saved.residential_categories.find(category => category.id === 'audio').tiers.good.price);
+    expect((await ctx.services.budgets.loadBudget(budget.id)).versions).toHaveLength(1);
+  });
+
+  it('records a change that could not be published as failed', async () => {
+    const id = await dueChange(await catalogWithNetworkingRaise(1000));
+    vi.spyOn(ctx.storage.categoryDefaults, 'save').mockRejectedValue(new Error('disk full'));
+
+    await ctx.services.priceChanges.publishDueScheduledPriceChanges();
+
+    expect(await ctx.storage.scheduledPriceChanges.find(id)).toMatchObject({ status: 'failed', error: 'disk full' });
+    expect(await scheduledRevisions()).toEqual([]);
+    const list = await api.get('/api/admin/categories/scheduled').set(STAFF);
+    expect(list.body.changes[0]).toMatchObject({ id, status: 'failed', error: 'disk full' });
+  });
+});
@@ -0,0 +1,77 @@
+// @vitest-environment node
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import request from 'supertest';
+import { MANAGER, STAFF, createTestApp, quietConsole } from './harness.js';
+
+const lightingSection = {
+  name: 'Lighting Control',
+  category: 'Lighting',
+  tags: ['lighting'],
+  payload: {
+    name: 'Lighting Control',
+    icon: '💡',
+    tiers: {
+      good: { enabled: true, label: 'Keypads', price: 4200 },
+      better: { enabled: true, label: 'Whole home', price: 9800 }
+    }
+  }
+};
+
+describe('section library routes', () => {
+  let ctx;
+  let api;
+
+  beforeEach(async () => {
+    quietConsole();
+    ctx = await createTestApp();
+    api = request(ctx.app);
+  });
+
+  afterEach(() => {
+    ctx.close();
+    vi.restoreAllMocks();
+  });
+
+  it('requires sign-in', async () => {
+    expect((await api.get('/api/admin/section-library')).status).toBe(401);
+    expect((await api.post('/api/admin/section-library').send(lightingSection)).status).toBe(401);
+  });
+
+  it('saves, lists, updates and deletes a section', async () => {
+    const created = await api.post('/api/admin/section-library').set(MANAGER).send(lightingSection);
+    expect(created.status).toBe(200);
+    expect(created.body.item).toMatchObject({ id: 'lighting-control', name: 'Lighting Control', createdBy: 'morgan@gamma.tech' });
+
+    const list = await api.get('/api/admin/section-library').set(STAFF);
+    expect(list.body.items.map(item => item.id)).toContain('lighting-control');
+
+    const updated = await api.put('/api/admin/section-library/lighting-control').set(MANAGER).send({ ...lightingSection, name: 'Lighting Scenes' });
+    expect(updated.status).toBe(200);
+    expect(updated.body.item.name).toBe('Lighting Scenes');
+
+    expect((await api.delete('/api/admin/section-library/lighting-control').set(MANAGER)).status).toBe(200);
+    const after = await api.get('/api/admin/section-library').set(STAFF);
+    expect(after.body.items.map(item => item.id)).not.toContain('lighting-control');
+  });
+
+  it('refuses a second section with the same name', async () => {
+    await api.post('/api/admin/section-library').set(MANAGER).send(lightingSection);
+    const res = await api.post('/api/admin/section-library').set(MANAGER).send({ ...lightingSection, id: 'other' });
+    expect(res.status).toBe(409);
+    expect(res.body.existingId).toBe('lighting-control');
+  });
+
+  it('validates the section body', async () => {
+    const res = await api.post('/api/admin/section-library').set(MANAGER).send({ name: '', payload: {}, extra: true });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid section library item');
+    expect(res.body.details.length).toBeGreaterThan(0);
+  });
+
+  it('reports unknown sections', async () => {
+    const updated = await api.put('/api/admin/section-library/missing').set(MANAGER).send(lightingSection);
+    expect(updated.status).toBe(404);
+    expect(updated.body.error).toBe('Library section not found');
+    expect((await api.delete('/api/admin/section-library/missing').set(MANAGER)).status).toBe(404);
+  });
+});
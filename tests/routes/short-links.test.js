@@ -0,0 +1,54 @@
+// @vitest-environment node
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import request from 'supertest';
+import { STAFF, createTestApp, quietConsole } from './harness.js';
+
+describe('short link routes', () => {
+  let ctx;
+  let api;
+
+  beforeEach(async () => {
+    quietConsole();
+    ctx = await createTestApp();
+    api = request(ctx.app);
+  });
+
+  afterEach(() => {
+    ctx.close();
+    vi.restoreAllMocks();
+  });
+
+  it('creates a link that redirects to the saved configuration and counts visits', async () => {
+    const created = await api.post('/api/shorten').send({ config: 'size=4000&tier=better', clientName: 'Smith' });
+    expect(created.status).toBe(200);
+    expect(created.body.code).toMatch(/^[a-z0-9]{6}$/);
+
+    const visit = await api.get(created.body.shortUrl);
+    expect(visit.status).toBe(302);
+    expect(visit.headers.location).toBe('/?size=4000&tier=better');
+
+    const links = await api.get('/api/links').set(STAFF);
+    expect(links.body).toEqual([expect.objectContaining({ code: created.body.code, clientName: 'Smith', accessCount: 1 })]);
+  });
+
+  it('keeps custom codes unique', async () => {
+    const first = await api.post('/api/shorten').send({ config: 'a=1', customCode: 'Smith-Home!' });
+    expect(first.body.code).toBe('smith-home');
+    const second = await api.post('/api/shorten').send({ config: 'a=2', customCode: 'smith-home' });
+    expect(second.status).toBe(400);
+    expect(second.body.error).toBe('Custom code already in use');
+  });
+
+  it('validates the link body', async () => {
+    const res = await api.post('/api/shorten').send({ config: '' });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid input');
+  });
+
+  it('returns 404 for unknown codes and 401 for the link list without sign-in', async () => {
+    const res = await api.get('/s/nope');
+    expect(res.status).toBe(404);
+    expect(res.text).toBe('Short link not found');
+    expect((await api.get('/api/links')).status).toBe(401);
+  });
+});
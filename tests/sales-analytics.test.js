@@ -0,0 +1,97 @@
+import { describe, expect, it } from 'vitest';
+import salesAnalytics from '../src/utils/sales-analytics.js';
+
+const { summarizeSalesAnalytics } = salesAnalytics;
+
+const now = new Date('2026-03-31T00:00:00Z');
+const budgets = [
+  {
+    id: 'won1', created: '2026-03-01T00:00:00Z', firstSentAt: '2026-03-02T00:00:00Z', status: 'won', closedAt: '2026-03-10T00:00:00Z',
+    currentTotal: 60000, homeSize: 5200, propertyType: 'residential', selections: { networking: 'best', audio: 'better' }
+  },
+  {
+    id: 'lost1', created: '2026-03-05T00:00:00Z', firstSentAt: null, status: 'lost', closedAt: '2026-03-20T00:00:00Z',
+    currentTotal: 20000, homeSize: 2800, propertyType: 'condo', selections: { networking: 'good' }
+  },
+  {
+    id: 'open1', created: '2026-03-25T00:00:00Z', firstSentAt: null, status: 'active', closedAt: null,
+    currentTotal: 40000, homeSize: null, propertyType: 'residential', selections: { networking: 'best', lighting: 'none' }
+  }
+];
+const views = [
+  { budgetId: 'won1', viewedAt: '2026-03-01T12:00:00Z', isTeam: false },
+  { budgetId: 'won1', viewedAt: '2026-03-02T06:00:00Z', isTeam: false },
+  { budgetId: 'won1', viewedAt: '2026-03-02T01:00:00Z', isTeam: true },
+  { budgetId: 'lost1', viewedAt: '2026-03-07T00:00:00Z', isTeam: false },
+  { budgetId: 'older', viewedAt: '2026-03-30T10:00:00Z', isTeam: false }
+];
+const versions = [
+  { budgetId: 'won1', versionNumber: 1, createdAt: '2026-03-01T00:00:00Z', isClient: false, selections: { networking: 'good', audio: 'best' } },
+  { budgetId: 'won1', versionNumber: 2, createdAt: '2026-03-03T10:00:00Z', isClient: true, selections: { networking: 'better', audio: 'best' } },
+  { budgetId: 'won1', versionNumber: 3, createdAt: '2026-03-03T10:20:00Z', isClient: true, selections: { networking: 'best', audio: 'better' } },
+  { budgetId: 'won1', versionNumber: 4, createdAt: '2026-03-05T09:00:00Z', isClient: true, selections: { networking: 'best', audio: 'better' } },
+  { budgetId: 'won1', versionNumber: 5, createdAt: '2026-03-12T09:00:00Z', isClient: true, selections: { networking: 'best', audio: 'better' } },
+  { budgetId: 'lost1', versionNumber: 1, createdAt: '2026-03-05T00:00:00Z', isClient: false, selections: { networking: 'better' } },
+  { budgetId: 'lost1', versionNumber: 2, createdAt: '2026-03-06T00:00:00Z', isClient: false, selections: { networking: 'good' } }
+];
+const categoryNames = { networking: 'Networking', audio: 'Audio' };
+
+const summarize = (options = {}) => summarizeSalesAnalytics({ budgets, views, versions, categoryNames }, { now, days: 30, ...options });
+
+describe('sales analytics', () => {
+  it('counts client and team views per day', () => {
+    const { viewsOverTime, bucketDays, since } = summarize();
+    expect(bucketDays).toBe(1);
+    expect(since).toBe('2026-03-01T00:00:00.000Z');
+    expect(viewsOverTime).toHaveLength(30);
+    expect(viewsOverTime[1]).toEqual({ date: '2026-03-02', clientViews: 1, teamViews: 1 });
+    expect(viewsOverTime[29]).toEqual({ date: '2026-03-30', clientViews: 1, teamViews: 0 });
+  });
+
+  it('buckets longer periods by week', () => {
+    const { viewsOverTime, bucketDays } = summarize({ days: 180 });
+    expect(bucketDays).toBe(7);
+    expect(viewsOverTime).toHaveLength(26);
+    expect(viewsOverTime.reduce((sum, bucket) => sum + bucket.clientViews + bucket.teamViews, 0)).toBe(5);
+  });
+
+  it('measures send to first client view, from creation where there was no send', () => {
+    expect(summarize().timeToFirstView).toEqual({ viewedCount: 2, notViewedCount: 1, medianHours: 27, averageHours: 27 });
+  });
+
+  it('counts client edit sessions before a budget closed', () => {
+    expect(summarize().editSessions).toEqual({
+      won: { budgetCount: 1, averageSessions: 2, withoutSessionsCount: 0 },
+      lost: { budgetCount: 1, averageSessions: 0, withoutSessionsCount: 1 }
+    });
+  });
+
+  it('counts the tier changes clients made', () => {
+    expect(summarize().tierChanges).toEqual([
+      { categoryId: 'networking', name: 'Networking', upgrades: 2, downgrades: 0 },
+      { categoryId: 'audio', name: 'Audio', upgrades: 0, downgrades: 1 }
+    ]);
+  });
+
+  it('tallies tier popularity per category', () => {
+    expect(summarize().tierPopularity).toEqual([
+      { categoryId: 'networking', name: 'Networking', budgetCount: 3, tiers: { good: 1, standard: 0, better: 0, best: 2 } },
+      { categoryId: 'audio', name: 'Audio', budgetCount: 1, tiers: { good: 0, standard: 0, better: 1, best: 0 } }
+    ]);
+  });
+
+  it('averages totals by property type and size band', () => {
+    const { totalsByPropertyType, totalsBySizeBand } = summarize();
+    expect(totalsByPropertyType).toEqual([
+      { propertyType: 'residential', budgetCount: 2, averageTotal: 50000 },
+      { propertyType: 'condo', budgetCount: 1, averageTotal: 20000 }
+    ]);
+    expect(totalsBySizeBand.map(band => [band.label, band.budgetCount, band.averageTotal])).toEqual([
+      ['Under 3,000 sq ft', 1, 20000],
+      ['3,000–4,999 sq ft', 0, null],
+      ['5,000–7,499 sq ft', 1, 60000],
+      ['7,500–9,999 sq ft', 0, null],
+      ['10,000+ sq ft', 0, null]
+    ]);
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, expect, it } from 'vitest';
+import scenarios from '../public/src/utils/scenarios.js';
+import pricing from '../public/src/utils/pricing.js';
+
+const { chooseScenario, chosenScenario, nextScenarioName, priceScenarios, scenarioState, syncChosenScenario } = scenarios;
+
+const categories = [
+  { id: 'network', name: 'Networking', section: 'Infrastructure', sizeScale: 0, tiers: { good: { price: 5000 }, better: { price: 9000 } } },
+  { id: 'audio', name: 'Audio', section: 'Entertainment', sizeScale: 0, tiers: { good: { price: 3000 } } }
+];
+const extras = [{ id: 'leak', name: 'Leak Detection', price: 1500, sizeScale: 0 }];
+const priceState = state => pricing.calculateBudgetPricing(state, { categories, extras, sqft: 4000, taxRate: 0 }).total;
+
+const budgetState = {
+  homeSize: 4000,
+  propertyType: 'residential',
+  clientName: 'Smith Residence',
+  selections: { network: 'good' },
+  extras: {},
+  modifiers: [],
+  chosenScenarioId: 'base',
+  scenarios: [
+    { id: 'base', name: 'Base', selections: { network: 'good' }, extras: {}, modifiers: [] },
+    { id: 'dream', name: 'Dream', selections: { network: 'better', audio: 'good' }, extras: { leak: true }, modifiers: [{ name: 'Rush', amount: 500 }] }
+  ]
+};
+
+describe('budget scenarios', () => {
+  it('prices every scenario and takes the total from the chosen one', () => {
+    const priced = priceScenarios(budgetState, priceState);
+    expect(priced.scenarios.map(scenario => scenario.total)).toEqual([5000, 9000 + 3000 + 1500 + 500]);
+    expect(priced.total).toBe(5000);
+  });
+
+  it('builds a full state per scenario from the shared fields', () => {
+    const dream = scenarioState(budgetState, budgetState.scenarios[1]);
+    expect(dream).toMatchObject({ clientName: 'Smith Residence', homeSize: 4000, selections: { network: 'better', audio: 'good' } });
+    expect(dream.scenarios).toBeUndefined();
+    expect(dream.catMods).toEqual({});
+  });
+
+  it('lets top-level edits land on the chosen scenario', () => {
+    const edited = syncChosenScenario({ ...budgetState, selections: { network: 'better' } });
+    expect(edited.scenarios[0].selections).toEqual({ network: 'better' });
+    expect(edited.scenarios[1].selections).toEqual({ network: 'better', audio: 'good' });
+  });
+
+  it('mirrors a newly chosen scenario onto the top level', () => {
+    const chosen = chooseScenario(budgetState, 'dream');
+    expect(chosen.chosenScenarioId).toBe('dream');
+    expect(chosen.extras).toEqual({ leak: true });
+    expect(priceScenarios(chosen, priceState).total).toBe(14000);
+    expect(chooseScenario(budgetState, 'missing')).toBe(budgetState);
+  });
+
+  it('falls back to the first scenario and leaves plain budgets alone', () => {
+    expect(chosenScenario({ ...budgetState, chosenScenarioId: 'gone' }).id).toBe('base');
+    const plain = priceScenarios({ selections: { audio: 'good' }, scenarios: [] }, priceState);
+    expect(plain).toEqual({ selections: { audio: 'good' }, total: 3000 });
+    expect(nextScenarioName(budgetState.scenarios)).toBe('Upgraded');
+  });
+});
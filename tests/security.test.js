@@ -1,5 +1,5 @@
 import { describe, expect, it } from 'vitest';
-import { readFileSync } from 'node:fs';
+import { readFileSync, readdirSync } from 'node:fs';
 import { join } from 'node:path';
 import security from '../src/utils/security.js';
 
@@ -32,7 +32,10 @@ describe('security helpers', () => {
   });
 
   it('keeps user authentication off the service-role data client', () => {
-    const serverSource = readFileSync(join(process.cwd(), 'server.js'), 'utf8');
+    const files = ['server.js', ...['src/routes', 'src/services'].flatMap(dir =>
+      readdirSync(join(process.cwd(), dir)).map(file => join(dir, file))
+    )];
+    const serverSource = files.map(file => readFileSync(join(process.cwd(), file), 'utf8')).join('\n');
     expect(serverSource).toContain('createPublicAuthClient().auth.signInWithPassword');
     expect(serverSource).not.toMatch(/supabase\.auth\.(signInWithPassword|getUser|resetPasswordForEmail)/);
   });
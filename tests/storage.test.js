@@ -0,0 +1,237 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import storageModule from '../src/storage/index.js';
+import supabaseDriverModule from '../src/storage/supabase-driver.js';
+
+const { createStorage } = storageModule;
+const { createSupabaseDriver } = supabaseDriverModule;
+
+function budgetRow(id, overrides = {}) {
+  return {
+    id,
+    client_name: 'Smith',
+    current_state: { clientName: 'Smith', selections: { network: 'good' }, modifiers: [] },
+    is_customized: false,
+    revision: 1,
+    ...overrides
+  };
+}
+
+describe('sqlite storage', () => {
+  let storage;
+
+  beforeEach(() => {
+    storage = createStorage({ backend: 'sqlite', sqlitePath: ':memory:' });
+  });
+
+  afterEach(() => storage.close());
+
+  it('round-trips JSON and boolean columns', async () => {
+    await storage.budgets.upsert(budgetRow('abc', { is_customized: true, custom_categories: [{ id: 'x' }] }));
+    const row = await storage.budgets.find('abc');
+    expect(row.current_state.selections).toEqual({ network: 'good' });
+    expect(row.custom_categories).toEqual([{ id: 'x' }]);
+    expect(row.is_customized).toBe(true);
+    expect(row.category_config).toBeNull();
+    expect(row.created_at).toMatch(/^\d{4}-\d{2}-\d{2}T.*Z$/);
+    expect(await storage.budgets.find('missing')).toBeNull();
+    expect(await storage.budgets.exists('abc')).toBe(true);
+  });
+
+  it('writes at a revision only while nobody else has', async () => {
+    await storage.budgets.upsert(budgetRow('abc'));
+    expect(await storage.budgets.updateAtRevision('abc', 1, { client_name: 'Jones', revision: 2 })).toBe(true);
+    expect(await storage.budgets.updateAtRevision('abc', 1, { client_name: 'Lee', revision: 2 })).toBe(false);
+    expect((await storage.budgets.find('abc', 'client_name, revision'))).toEqual({ client_name: 'Jones', revision: 2 });
+  });
+
+  it('counts versions and views, and removes a budget with its history', async () => {
+    await storage.budgets.upsert(budgetRow('abc'));
+    await storage.budgets.upsert(budgetRow('def'));
+    await storage.versions.insert({ budget_id: 'abc', version_number: 1, state: {}, note: 'Initial', is_pinned: true });
+    await storage.versions.insert({ budget_id: 'abc', version_number: 2, state: {}, note: 'Auto-save', is_pinned: false });
+    await storage.versions.update('abc', 2, { is_pinned: true });
+    await storage.views.insert({ budget_id: 'abc', ip_address: '1.2.3.4', is_internal: false });
+    await storage.budgets.incrementViews('abc');
+
+    expect(await storage.versions.countsFor(['abc', 'def'])).toEqual({ abc: 2 });
+    expect((await storage.versions.listForBudget('abc')).map(version => version.is_pinned)).toEqual([true, true]);
+    expect((await storage.budgets.find('abc', 'views_count')).views_count).toBe(1);
+    expect(await storage.views.listRecentExternal('abc', 50)).toHaveLength(1);
+
+    expect(await storage.budgets.remove('abc')).toBe(true);
+    expect(await storage.budgets.remove('abc')).toBe(false);
+    expect(await storage.versions.listForBudget('abc')).toEqual([]);
+    expect(await storage.views.listForBudgets(['abc'])).toEqual([]);
+  });
+
+  it('searches, filters, sorts and pages budgets with search_budgets', async () => {
+    await storage.budgets.upsert(budgetRow('aaa', {
+      client_name: 'Jones',
+      builder: 'Acme Homes',
+      created_by_email: 'sam@gamma.tech',
+      last_client_activity_at: '2026-10-01T00:00:00.000Z',
+      current_state: { total: 50000, homeSize: 4200, scenarios: [{ id: 's1', name: 'Base' }, { id: 's2', name: 'Dream' }], chosenScenarioId: 's2' }
+    }));
+    await storage.budgets.upsert(budgetRow('bbb', {
+      client_name: 'Smith',
+      notes: 'Wants outdoor speakers',
+      status: 'won',
+      last_client_activity_at: '2026-10-18T00:00:00.000Z',
+      current_state: { total: 80000 }
+    }));
+    await storage.budgets.upsert(budgetRow('ccc', {
+      client_name: 'Lee',
+      created_by_email: 'kim@gamma.tech',
+      current_state: { total: 20000, expiresAt: '2026-10-01' }
+    }));
+    await storage.versions.insert({ budget_id: 'aaa', version_number: 1, state: {} });
+    await storage.versions.insert({ budget_id: 'aaa', version_number: 2, state: {} });
+    await storage.views.insert({ budget_id: 'aaa', ip_address: '1.2.3.4', is_internal: false });
+    await storage.views.insert({ budget_id: 'aaa', ip_address: '5.6.7.8', is_internal: true });
+    await storage.views.insert({ budget_id: 'aaa', ip_address: '69.254.59.65', is_internal: false });
+
+    const search = async args => storage.budgets.search({ p_now: '2026-10-19T12:00:00.000Z', p_office_ips: ['69.254.59.65'], ...args });
+    const ids = async args => (await search(args)).map(row => row.id);
+
+    const all = await search({});
+    expect(all.map(row => row.id)).toEqual(['bbb', 'aaa', 'ccc']);
+    expect(all[1]).toMatchObject({
+      total: 50000,
+      home_size: 4200,
+      scenario_count: 2,
+      chosen_scenario_name: 'Dream',
+      version_count: 2,
+      client_views: 1,
+      team_views: 2,
+      total_count: 3,
+      total_value: 150000,
+      total_views: 3
+    });
+    expect(all).not.toContainEqual(expect.objectContaining({ current_state: expect.anything() }));
+    expect(all.filter(row => row.is_expired).map(row => row.id)).toEqual(['ccc']);
+
+    expect(await ids({ p_search: 'OUTDOOR' })).toEqual(['bbb']);
+    expect(await ids({ p_search: 'acme' })).toEqual(['aaa']);
+    expect(await ids({ p_owner: 'Sam@gamma.tech' })).toEqual(['aaa']);
+    expect(await ids({ p_owner: 'unassigned' })).toEqual(['bbb']);
+    expect(await ids({ p_status: 'won' })).toEqual(['bbb']);
+    expect(await ids({ p_status: 'expired', p_hide_expired: true })).toEqual(['ccc']);
+    expect(await ids({ p_hide_expired: true })).toEqual(['bbb', 'aaa']);
+    expect(await ids({ p_status: 'needs-followup' })).toEqual(['aaa']);
+    expect(await ids({ p_sort: 'clientName', p_direction: 'asc' })).toEqual(['aaa', 'ccc', 'bbb']);
+    expect(await ids({ p_sort: 'currentTotal', p_direction: 'desc' })).toEqual(['bbb', 'aaa', 'ccc']);
+
+    const lastPage = await search({ p_sort: 'clientName', p_direction: 'asc', p_limit: 2, p_offset: 2 });
+    expect(lastPage).toEqual([expect.objectContaining({ id: 'bbb', total_count: 3 })]);
+  });
+
+  it('keeps one live catalog row and its history', async () => {
+    expect(await storage.categoryDefaults.findCurrent()).toBeNull();
+    await storage.categoryDefaults.insert({ residential_categories: [{ id: 'network' }], base_sqft: 4000 });
+    await storage.categoryDefaults.save({ residential_categories: [], base_sqft: 4500, tax_settings: { rate: 0.07 } });
+    const current = await storage.categoryDefaults.findCurrent();
+    expect(current).toMatchObject({ id: 'current', base_sqft: 4500, tax_settings: { rate: 0.07 }, residential_categories: [] });
+
+    const first = await storage.categoryHistory.insert({ base_sqft: 4000, action: 'baseline' }, 'id, action');
+    const second = await storage.categoryHistory.insert({ base_sqft: 4500, action: 'save' }, 'id, action');
+    expect(first).toEqual({ id: 1, action: 'baseline' });
+    expect((await storage.categoryHistory.findPrevious(second.id)).id).toBe(first.id);
+    expect(await storage.categoryHistory.findPrevious(first.id)).toBeNull();
+  });
+
+  it('moves a scheduled change out of pending once', async () => {
+    const change = await storage.scheduledPriceChanges.insert({ effective_at: '2026-01-01T00:00:00.000Z', note: 'Spring' });
+    expect(change.status).toBe('pending');
+    expect(await storage.scheduledPriceChanges.listDue('2026-06-01T00:00:00.000Z')).toHaveLength(1);
+    expect(await storage.scheduledPriceChanges.transitionFromPending(change.id, 'publishing')).toBe(true);
+    expect(await storage.scheduledPriceChanges.transitionFromPending(change.id, 'cancelled')).toBe(false);
+    expect(await storage.scheduledPriceChanges.listDue('2026-06-01T00:00:00.000Z')).toEqual([]);
+  });
+
+  it('finds library sections by name regardless of case', async () => {
+    await storage.sectionLibrary.insert({ id: 'custom-rack', name: 'Custom Rack', tags: ['rack'], payload: { name: 'Custom Rack' } });
+    expect(await storage.sectionLibrary.findByName('custom rack', 'id, name')).toEqual({ id: 'custom-rack', name: 'Custom Rack' });
+    expect(await storage.sectionLibrary.remove('custom-rack')).toBe(true);
+    expect(await storage.sectionLibrary.remove('custom-rack')).toBe(false);
+  });
+
+  it('replaces the AI undo snapshot for a budget', async () => {
+    await storage.budgets.upsert(budgetRow('abc'));
+    await storage.aiUndo.save({ budget_id: 'abc', snapshot: { n: 1 }, applied_at: '2026-10-01T00:00:00.000Z' });
+    await storage.aiUndo.save({ budget_id: 'abc', snapshot: { n: 2 }, applied_at: '2026-10-02T00:00:00.000Z' });
+    expect((await storage.aiUndo.find('abc')).snapshot).toEqual({ n: 2 });
+    await storage.aiUndo.remove('abc');
+    expect(await storage.aiUndo.find('abc')).toBeNull();
+  });
+
+  it('rejects with the repository call that failed', async () => {
+    await expect(storage.budgets.update('abc', { no_such_column: 1 })).rejects.toThrow(/^budgets\.update: /);
+  });
+
+  it('migrates a database file once and keeps its rows', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'budget-storage-'));
+    const sqlitePath = path.join(dir, 'nested', 'app.db');
+    try {
+      const first = createStorage({ backend: 'sqlite', sqlitePath });
+      await first.shortLinks.insert({ code: 'abc', config: 'a=1' });
+      first.close();
+      const second = createStorage({ backend: 'sqlite', sqlitePath });
+      expect((await second.shortLinks.find('abc')).config).toBe('a=1');
+      second.close();
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('refuses an unknown backend', () => {
+    expect(() => createStorage({ backend: 'mongo' })).toThrow(/Unknown STORAGE_BACKEND/);
+  });
+});
+
+describe('supabase storage driver', () => {
+  function recordingClient(result) {
+    const calls = [];
+    const query = new Proxy({}, {
+      get(target, method) {
+        if (method === 'then') return (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+        return (...args) => {
+          calls.push([method, ...args]);
+          return query;
+        };
+      }
+    });
+    return { calls, client: { from: table => { calls.push(['from', table]); return query; } } };
+  }
+
+  it('maps filters, order and limit onto the query builder', async () => {
+    const { calls, client } = recordingClient({ data: [{ id: 1 }], error: null });
+    const driver = createSupabaseDriver(client);
+    const rows = await driver.select('budget_views', {
+      columns: 'id',
+      where: [['budget_id', 'eq', 'abc'], ['is_internal', 'eq', false]],
+      order: [['viewed_at', 'desc']],
+      limit: 5
+    });
+    expect(rows).toEqual([{ id: 1 }]);
+    expect(calls).toEqual([
+      ['from', 'budget_views'],
+      ['select', 'id'],
+      ['eq', 'budget_id', 'abc'],
+      ['eq', 'is_internal', false],
+      ['order', 'viewed_at', { ascending: false }],
+      ['limit', 5]
+    ]);
+  });
+
+  it('rejects with the context and keeps the Supabase error as the cause', async () => {
+    const error = { message: 'permission denied', code: '42501' };
+    const driver = createSupabaseDriver(recordingClient({ data: null, error }).client);
+    const failure = await driver.update('budgets', { notes: '' }, { where: [['id', 'eq', 'abc']], context: 'budgets.update' }).catch(err => err);
+    expect(failure.message).toBe('budgets.update: permission denied');
+    expect(failure.code).toBe('42501');
+    expect(failure.cause).toBe(error);
+  });
+});
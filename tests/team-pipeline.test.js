@@ -0,0 +1,49 @@
+import { describe, expect, it } from 'vitest';
+import teamPipeline from '../src/utils/team-pipeline.js';
+
+const { summarizeTeamPipeline } = teamPipeline;
+
+const now = new Date('2026-03-20T12:00:00Z');
+const budgets = [
+  { id: 'a1', createdByEmail: 'sam@gamma.tech', status: 'active', currentTotal: 50000, created: '2026-03-01T00:00:00Z', lastClientActivity: '2026-03-19T00:00:00Z' },
+  { id: 'a2', createdByEmail: 'Sam@gamma.tech', status: 'active', currentTotal: 10000, created: '2026-02-01T00:00:00Z', lastClientActivity: '2026-03-01T00:00:00Z' },
+  { id: 'a3', createdByEmail: 'sam@gamma.tech', status: 'won', currentTotal: 80000, created: '2026-01-01T00:00:00Z', closedAt: '2026-01-11T00:00:00Z' },
+  { id: 'a4', createdByEmail: 'sam@gamma.tech', status: 'lost', currentTotal: 30000, created: '2026-01-01T00:00:00Z', closedAt: '2026-01-21T00:00:00Z' },
+  { id: 'b1', createdByEmail: 'kim@gamma.tech', status: 'active', currentTotal: 90000, created: '2026-03-10T00:00:00Z' },
+  { id: 'b2', createdByEmail: 'kim@gamma.tech', status: 'active', isExpired: true, currentTotal: 40000, created: '2026-01-10T00:00:00Z' },
+  { id: 'c1', createdByEmail: null, status: 'won', currentTotal: 5000, created: '2026-02-01T00:00:00Z', closedAt: null }
+];
+
+describe('team pipeline summary', () => {
+  it('groups budgets by owner email, case-insensitively', () => {
+    const { owners } = summarizeTeamPipeline(budgets, { now });
+    expect(owners.map(owner => owner.ownerEmail)).toEqual(['kim@gamma.tech', 'sam@gamma.tech', null]);
+    expect(owners[1]).toMatchObject({
+      budgetCount: 4,
+      activeCount: 2,
+      wonCount: 1,
+      lostCount: 1,
+      pipelineValue: 60000,
+      wonValue: 80000,
+      winRate: 0.5,
+      avgDaysToClose: 15,
+      staleCount: 1
+    });
+  });
+
+  it('leaves expired budgets out of the pipeline and the win rate', () => {
+    const kim = summarizeTeamPipeline(budgets, { now }).owners[0];
+    expect(kim).toMatchObject({ budgetCount: 2, activeCount: 1, expiredCount: 1, pipelineValue: 90000, winRate: null, avgDaysToClose: null });
+  });
+
+  it('totals the whole team', () => {
+    const { totals } = summarizeTeamPipeline(budgets, { now });
+    expect(totals).toMatchObject({ budgetCount: 7, pipelineValue: 150000, wonCount: 2, lostCount: 1, avgDaysToClose: 15 });
+    expect(totals.winRate).toBeCloseTo(2 / 3);
+    expect(totals).not.toHaveProperty('ownerEmail');
+  });
+
+  it('returns empty numbers for no budgets', () => {
+    expect(summarizeTeamPipeline([], { now })).toMatchObject({ owners: [], totals: { budgetCount: 0, winRate: null } });
+  });
+});